@@ -0,0 +1,94 @@
+// Level manifest - the one place a new level has to be added.
+//
+// Maps, tileset images and music are imported here so the bundler picks them
+// up; GameScene, LoadingScene, AssetManagementSystem and DebugMapScene are all
+// generated from this list.
+
+import level1Map from '../assets/maps/level1.json';
+import level2Map from '../assets/maps/level2.json';
+import underwaterBgImg from '../assets/underwater_bg.png';
+import blackAndBlueImg from '../assets/black_and_blue.png';
+import rock2Img from '../assets/rock2.png';
+import rock3Img from '../assets/rock3.png';
+import seaweedImg from '../assets/seaweed.png';
+import bgMusic from '../assets/music/bg_music.mp3';
+import ambienceMusic from '../assets/music/ambience_underwater.wav';
+
+/**
+ * Tileset textures shared between levels.
+ * `file` is relative to src/assets (as referenced by embedded Tiled tilesets),
+ * `aliases` are other tileset names Tiled maps use for the same image.
+ */
+export const TILESETS = {
+    underwater_bg: {
+        image: underwaterBgImg,
+        file: 'underwater_bg.png',
+        aliases: ['Blue_background', 'blue_background', 'blue_background1', 'Background', 'background']
+    },
+    black_and_blue: {
+        image: blackAndBlueImg,
+        file: 'black_and_blue.png',
+        aliases: ['blackAndBlue', 'blackAndBlue1', 'black_and_blue1']
+    },
+    rock2: {
+        image: rock2Img,
+        file: 'rock2.png',
+        aliases: ['Rocks_Small', 'rocks_small', 'Rock2']
+    },
+    rock3: {
+        image: rock3Img,
+        file: 'rock3.png',
+        aliases: ['Rocks_Large', 'rocks_large', 'Rock3']
+    },
+    seaweed: {
+        image: seaweedImg,
+        file: 'seaweed.png',
+        aliases: []
+    }
+};
+
+/**
+ * Music and ambience tracks, keyed by audio cache key
+ */
+export const MUSIC = {
+    music: { audio: bgMusic, file: 'music/bg_music.mp3' },
+    ambience: { audio: ambienceMusic, file: 'music/ambience_underwater.wav' }
+};
+
+/**
+ * Every level in the game.
+ * - `order`: position in the campaign
+ * - `map` / `file`: the Tiled JSON and its path relative to src/assets
+ * - `music` / `ambience`: keys into MUSIC
+ * - `tilesets`: keys into TILESETS the map needs
+ * - `parTime`: seconds to beat for the time star
+ * - `unlock`: requirements before the level can be played, or null if it is
+ *   always available. `complete` lists levels that must be finished first,
+ *   `stars` is the number of campaign stars needed.
+ */
+export const LEVELS = [
+    {
+        key: 'level1',
+        name: 'The Shallows',
+        order: 1,
+        map: level1Map,
+        file: 'maps/level1.json',
+        music: 'music',
+        ambience: 'ambience',
+        tilesets: ['underwater_bg', 'black_and_blue', 'rock2', 'rock3'],
+        parTime: 180,
+        unlock: null
+    },
+    {
+        key: 'level2',
+        name: 'The Abyss',
+        order: 2,
+        map: level2Map,
+        file: 'maps/level2.json',
+        music: 'music',
+        ambience: 'ambience',
+        tilesets: ['seaweed', 'black_and_blue', 'rock2', 'rock3'],
+        parTime: 600,
+        unlock: { complete: ['level1'] }
+    }
+];
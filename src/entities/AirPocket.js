@@ -97,7 +97,7 @@ export default class AirPocket {
 
                 // Give it a slight initial velocity
                 this.sprite.body.setVelocity(
-                    Phaser.Math.Between(-20, 20),
+                    this.scene.random.gameplay.between(-20, 20),
                     -40 // Upward movement
                 );
             }
@@ -0,0 +1,165 @@
+import Enemy from './Enemy';
+import { createPatterns } from './BossPatterns';
+
+/**
+ * A boss enemy with health-threshold phases. Each phase runs its own set of
+ * attack patterns (see BossPatterns.js) instead of the regular enemy AI.
+ * Bosses are spawned by BossSystem when the player enters their arena.
+ */
+export default class Boss extends Enemy {
+    /**
+     * @param {Phaser.Scene} scene - The scene
+     * @param {number} x - Spawn x
+     * @param {number} y - Spawn y
+     * @param {Object} definition - Boss definition from EnemyTypeRegistry.getBoss()
+     */
+    constructor(scene, x, y, definition = {}) {
+        // Bosses never use the regular chase AI; their phases decide how they move
+        super(scene, x, y, { ...definition, ai: { ...definition.ai, canChase: false } });
+
+        this.isBoss = true;
+        this.bossName = definition.name || definition.key;
+        this.baseTint = definition.tint;
+        this.phases = definition.phases?.length
+            ? definition.phases
+            : [{ name: 'Default', threshold: 1, patterns: ['orbit'] }];
+        this.phaseIndex = -1;
+        this.patterns = [];
+        this.minions = [];
+
+        // Dormant (and invulnerable) until the arena intro finishes
+        this.isEngaged = false;
+
+        this.body.setVelocity(0, 0);
+        this.body.setBounce(0.2, 0.2);
+    }
+
+    // The boss health bar lives in the HUD (BossSystem), not above the sprite
+    createHealthBar() {}
+
+    updateHealthBar() {}
+
+    getPlayer() {
+        const player = this.scene.player?.sprite;
+        return player?.active ? player : null;
+    }
+
+    /**
+     * @returns {Object|null} The active phase definition
+     */
+    get currentPhase() {
+        return this.phases[this.phaseIndex] ?? null;
+    }
+
+    /**
+     * Start fighting
+     */
+    engage() {
+        if (this.isEngaged || !this.isAlive) return;
+        this.isEngaged = true;
+        this.enterPhase(0);
+    }
+
+    /**
+     * Switch to a phase and build its attack patterns
+     * @param {number} index - Index into this.phases
+     */
+    enterPhase(index) {
+        this.patterns.forEach(pattern => pattern.exit?.(this));
+
+        this.phaseIndex = index;
+        const phase = this.phases[index];
+        this.patterns = createPatterns(phase.patterns || []);
+        this.patterns.forEach(pattern => pattern.enter?.(this));
+
+        const tint = phase.tint ?? this.baseTint;
+        if (tint !== null && tint !== undefined) {
+            this.setTint(tint);
+        }
+
+        console.log(`Boss '${this.enemyType}' entering phase ${index}: ${phase.name || 'unnamed'}`);
+
+        // Make later phase changes obvious
+        if (index > 0) {
+            this.scene.gameSceneCamera?.shake(400, 0.01);
+            this.scene.cameras.main.flash(200, 255, 255, 255);
+        }
+
+        this.scene.events.emit('bossPhaseChanged', { boss: this, phase, index });
+    }
+
+    /**
+     * Move to the lowest phase whose threshold we've dropped below
+     */
+    checkPhase() {
+        const fraction = this.health / this.maxHealth;
+        let next = this.phaseIndex;
+        while (next + 1 < this.phases.length && fraction <= this.phases[next + 1].threshold) {
+            next++;
+        }
+
+        if (next !== this.phaseIndex) {
+            this.enterPhase(next);
+        }
+    }
+
+    /**
+     * Visual warning before an attack
+     * @param {number} duration - How long the warning lasts (ms)
+     */
+    telegraph(duration) {
+        this.scene.tweens.add({
+            targets: this,
+            alpha: { from: 1, to: 0.6 },
+            duration: Math.max(50, duration / 6),
+            yoyo: true,
+            repeat: 2,
+            ease: 'Sine.easeInOut',
+            onComplete: () => this.setAlpha(1)
+        });
+    }
+
+    takeDamage(amount) {
+        if (!this.isEngaged || !this.isAlive) return;
+
+        super.takeDamage(amount);
+        this.scene.events.emit('bossHealthChanged', this, Math.max(0, this.health), this.maxHealth);
+
+        if (this.isAlive) {
+            this.checkPhase();
+        }
+    }
+
+    die() {
+        if (!this.isAlive) return;
+
+        this.patterns.forEach(pattern => pattern.exit?.(this));
+        this.patterns = [];
+
+        super.die();
+        this.scene.events.emit('bossDefeated', { boss: this });
+    }
+
+    update(time, delta) {
+        if (!this.isAlive || !this.body) return;
+
+        if (this.isEngaged) {
+            this.patterns.forEach(pattern => pattern.update?.(this, time, delta));
+        } else {
+            this.body.velocity.scale(0.9);
+        }
+
+        this.behaviours.forEach(behaviour => behaviour.update?.(this, time, delta));
+
+        if (this.stateText) {
+            this.stateText.setText(this.currentPhase?.name || 'dormant');
+            this.stateText.setPosition(this.x, this.y + this.displayHeight / 2 + 10);
+        }
+    }
+
+    destroy(fromScene) {
+        this.patterns?.forEach(pattern => pattern.exit?.(this));
+        this.patterns = [];
+        super.destroy(fromScene);
+    }
+}
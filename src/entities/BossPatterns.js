@@ -0,0 +1,146 @@
+import Phaser from 'phaser';
+import { steerTowards } from './EnemyBehaviours';
+
+/**
+ * Boss attack patterns, listed per phase in the `bosses` block of
+ * src/config/enemyTypes.json.
+ *
+ * Every pattern is a factory returning an object with any of these hooks:
+ *   enter(boss)                 - the phase using this pattern has started
+ *   update(boss, time, delta)   - runs every frame while the phase is active
+ *   exit(boss)                  - the phase has ended
+ *
+ * A phase may combine patterns, e.g. a movement pattern (orbit, charge)
+ * with one that only spawns things (summon).
+ */
+export const BOSS_PATTERNS = {
+    // Circle the player at a fixed distance
+    orbit: (options = {}) => {
+        const radius = options.radius ?? 300;
+        const speed = options.speed ?? 150;
+        return {
+            angle: 0,
+            enter(boss) {
+                const player = boss.getPlayer();
+                this.angle = player ? Phaser.Math.Angle.Between(player.x, player.y, boss.x, boss.y) : 0;
+            },
+            update(boss, time, delta) {
+                const player = boss.getPlayer();
+                if (!player) {
+                    boss.body.setVelocity(0, 0);
+                    return;
+                }
+
+                // Advance around the circle at the requested speed
+                this.angle += (speed / radius) * (delta / 1000);
+                const targetX = player.x + Math.cos(this.angle) * radius;
+                const targetY = player.y + Math.sin(this.angle) * radius;
+                steerTowards(boss, targetX, targetY, Math.max(speed, boss.speed));
+            }
+        };
+    },
+
+    // Wind up, then dash in a straight line at the player
+    charge: (options = {}) => {
+        const windup = options.windup ?? 800;
+        const speed = options.speed ?? 500;
+        const duration = options.duration ?? 900;
+        const cooldown = options.cooldown ?? 1500;
+        return {
+            stage: 'cooldown',
+            timer: 0,
+            enter() {
+                this.stage = 'cooldown';
+                this.timer = cooldown / 2;
+            },
+            update(boss, time, delta) {
+                const player = boss.getPlayer();
+                this.timer -= delta;
+
+                switch (this.stage) {
+                    case 'cooldown':
+                        // Drift toward the player between charges
+                        if (player) {
+                            steerTowards(boss, player.x, player.y, boss.normalSpeed * 0.5);
+                        }
+                        if (this.timer <= 0) {
+                            this.stage = 'windup';
+                            this.timer = windup;
+                            boss.telegraph(windup);
+                        }
+                        break;
+
+                    case 'windup':
+                        boss.body.velocity.scale(0.85);
+                        if (player) {
+                            boss.setFlipX(player.x < boss.x);
+                        }
+                        if (this.timer <= 0) {
+                            this.stage = 'dash';
+                            this.timer = duration;
+                            if (player) {
+                                steerTowards(boss, player.x, player.y, speed);
+                            }
+                        }
+                        break;
+
+                    case 'dash':
+                        if (this.timer <= 0) {
+                            this.stage = 'cooldown';
+                            this.timer = cooldown;
+                        }
+                        break;
+                }
+            }
+        };
+    },
+
+    // Call in minions from the enemy type registry
+    summon: (options = {}) => {
+        const interval = options.interval ?? 6000;
+        const count = options.count ?? 2;
+        const maxAlive = options.maxAlive ?? 4;
+        return {
+            timer: 0,
+            enter() {
+                this.timer = 0;
+            },
+            update(boss, time, delta) {
+                this.timer -= delta;
+                if (this.timer > 0) return;
+                this.timer = interval;
+
+                boss.minions = boss.minions.filter(minion => minion.isAlive && minion.active);
+                const toSpawn = Math.min(count, maxAlive - boss.minions.length);
+                for (let i = 0; i < toSpawn; i++) {
+                    const angle = boss.scene.random.gameplay.realInRange(0, Math.PI * 2);
+                    const x = boss.x + Math.cos(angle) * boss.displayWidth * 0.6;
+                    const y = boss.y + Math.sin(angle) * boss.displayHeight * 0.6;
+                    const minion = boss.scene.enemySystem?.spawnMinion(options.enemyType || 'badFish', x, y);
+                    if (minion) {
+                        boss.minions.push(minion);
+                    }
+                }
+            }
+        };
+    }
+};
+
+/**
+ * Build pattern instances from a phase's pattern list
+ * @param {Array<string|Object>} patternList - Names, or { type, ...options } objects
+ * @returns {Array<Object>} Pattern instances
+ */
+export function createPatterns(patternList = []) {
+    return patternList.map(entry => {
+        const { type, ...options } = typeof entry === 'string' ? { type: entry } : entry;
+        const factory = BOSS_PATTERNS[type];
+
+        if (!factory) {
+            console.warn(`Unknown boss pattern '${type}'`);
+            return null;
+        }
+
+        return { type, ...factory(options) };
+    }).filter(Boolean);
+}
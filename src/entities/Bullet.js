@@ -55,7 +55,12 @@ export default class Bullet extends Phaser.Physics.Arcade.Sprite {
         });
     }
   
-    fire(x, y, direction) {
+    /**
+     * @param {number} x - Start x
+     * @param {number} y - Start y
+     * @param {number} angle - Direction in radians (0 is right, PI is left)
+     */
+    fire(x, y, angle) {
         // Reset bullet position
         this.body.reset(x, y);
         
@@ -69,10 +74,9 @@ export default class Bullet extends Phaser.Physics.Arcade.Sprite {
             this.glow.setPosition(this.x, this.y);
         }
         
-        // Apply velocity based on direction
-        const speed = direction > 0 ? this.speed : -this.speed;
-        this.setVelocityX(speed);
-        this.setVelocityY(0);
+        // Apply velocity along the aim
+        this.setVelocity(Math.cos(angle) * this.speed, Math.sin(angle) * this.speed);
+        this.setRotation(angle);
         
         // Reset lifespan timer
         this.lifespan = 1000; // reset to full lifespan
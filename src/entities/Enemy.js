@@ -1,22 +1,57 @@
 import Phaser from 'phaser';
+import { createBehaviours, steerTowards } from './EnemyBehaviours';
+import EnemyStateMachine from './EnemyStateMachine';
 
 export default class Enemy extends Phaser.GameObjects.Sprite {
-    constructor(scene, x, y, texture = 'badFish') {
-        super(scene, x, y, texture);
+    /**
+     * @param {Phaser.Scene} scene - The scene
+     * @param {number} x - Spawn x
+     * @param {number} y - Spawn y
+     * @param {Object} definition - Enemy definition from EnemyTypeRegistry
+     */
+    constructor(scene, x, y, definition = {}) {
+        super(scene, x, y, definition.texture || 'badFish');
         
-        console.log('Creating new enemy at:', { x, y });
+        console.log('Creating new enemy at:', { x, y, type: definition.key });
         
         // Core properties
         this.scene = scene;
-        this.health = 200;
-        this.maxHealth = 200;
-        this.speed = 150;
+        this.definition = definition;
+        this.enemyType = definition.key || 'badFish';
+        this.health = definition.health ?? 200;
+        this.maxHealth = this.health;
+        this.normalSpeed = definition.speed?.normal ?? 150;  // Store normal speed
+        this.aggressiveSpeed = definition.speed?.aggressive ?? 250;  // Faster speed when aggressive
+        this.speed = this.normalSpeed;
+        this.contactDamage = definition.contactDamage ?? 20;
+        this.knockback = definition.knockback ?? 200;
+        this.threat = definition.threat ?? 1;  // Cost against the spawn director's budget
+        this.drops = definition.drops || [];
         this.isAlive = true;
-        this.isAggressive = false;  // New property to track aggressive state
-        this.aggressionTimer = null;  // Timer for aggression duration
-        this.aggressionDuration = 5000;  // 5 seconds of aggression after being hit
-        this.normalSpeed = 150;  // Store normal speed
-        this.aggressiveSpeed = 250;  // Faster speed when aggressive
+        this.aggressionDuration = definition.aggressionDuration ?? 5000;  // How long a chase lasts without sight of the player
+        
+        // Spawn data (set by EnemySystem from the Tiled 'Enemies' layer)
+        this.spawnPoint = null;
+        this.patrolPath = null;
+        this.patrolIndex = 0;
+        this.patrolDirection = 1;
+        this.aggroRadius = definition.aggroRadius ?? 0;  // 0 = only becomes aggressive when hit
+        
+        // Pathfinding state (see NavigationSystem)
+        this.navPath = null;
+        this.navIndex = 0;
+        this.navGoal = null;
+        this.navPending = false;
+        this.navRequestTime = -Infinity;
+        this.repathInterval = 750;  // ms between re-plans while the target moves
+        
+        // Appearance
+        this.setScale(definition.scale ?? 1);
+        this.baseScaleY = this.scaleY;
+        if (definition.tint !== null && definition.tint !== undefined) {
+            this.setTint(definition.tint);
+        }
+        this.setAlpha(definition.alpha ?? 1);
         
         // Add to scene and enable physics
         scene.add.existing(this);
@@ -27,12 +62,13 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         // Set depth to be above obstacles (10) but below player (25)
         this.setDepth(20);
         
-        // Configure physics body
+        // Configure physics body (hitbox is a fraction of the unscaled frame)
+        const hitbox = definition.hitbox || { width: 0.8, height: 0.8 };
         if (this.body) {
             this.body
                 .setCollideWorldBounds(true)
                 .setBounce(1, 1)
-                .setSize(this.width * 0.8, this.height * 0.8)
+                .setSize(this.width * hitbox.width, this.height * hitbox.height)
                 .setImmovable(false);  // Enemies should be movable
             
             console.log('Enemy physics body configured');
@@ -49,33 +85,165 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         }
         
         // Set initial velocity
-        const angle = Phaser.Math.Between(0, 360);
+        const angle = scene.random.gameplay.between(0, 360);
         const velocity = scene.physics.velocityFromAngle(angle, this.speed);
         if (this.body) {
             this.body.setVelocity(velocity.x, velocity.y);
             console.log('Set initial velocity:', velocity);
         }
         
-        // Add subtle wobble animation
-        scene.tweens.add({
-            targets: this,
-            angle: { from: -5, to: 5 },
-            duration: 1000,
-            yoyo: true,
-            repeat: -1,
-            ease: 'Sine.easeInOut'
+        // Build the behaviour set for this species
+        this.behaviours = createBehaviours(definition.behaviours || ['wander', 'wobble', 'faceMovement'], scene.random.gameplay);
+        this.behaviours.forEach(behaviour => behaviour.init?.(this));
+        
+        // AI state machine (idle/patrol/notice/chase/return/flee)
+        this.stateMachine = new EnemyStateMachine(this, {
+            giveUpTime: this.aggressionDuration,
+            ...definition.ai,
+            sightRadius: this.aggroRadius
         });
+        
+        // State label shown in physics debug mode
+        if (scene.physics.config.debug) {
+            this.stateText = scene.add.text(x, y, '', {
+                font: '11px Arial',
+                fill: '#ffff00',
+                stroke: '#000000',
+                strokeThickness: 2
+            }).setOrigin(0.5).setDepth(23);
+        }
 
         // Create health bar
         this.createHealthBar();
+        
+        // Bioluminescence, for species that glow (see LightEmitter)
+        this.lightEmitter = null;
+        this.setLight(definition.light);
+    }
+
+    /**
+     * Give the enemy a glowing light that follows it, or take it away
+     * @param {Object|null} light - LightEmitter options (pattern, color, radius, ...), or null or pattern 'none' for no light
+     */
+    setLight(light) {
+        if (this.lightEmitter) {
+            this.scene.lightingSystem?.removeLightEmitter(this.lightEmitter);
+            this.lightEmitter = null;
+        }
+        if (!light || light.pattern === 'none') return;
+        
+        this.lightEmitter = this.scene.lightingSystem?.createLightEmitter({ ...light, target: this }) || null;
+    }
+
+    /**
+     * Apply spawn point settings from the map
+     * @param {Object} spawnPoint - Spawn definition from EnemySystem
+     */
+    setSpawnInfo(spawnPoint) {
+        this.spawnPoint = spawnPoint;
+        this.aggroRadius = spawnPoint.aggroRadius || this.definition.aggroRadius || 0;
+        this.stateMachine.config.sightRadius = this.aggroRadius;
+        this.patrolPath = spawnPoint.patrolPath?.length > 1 ? spawnPoint.patrolPath : null;
+        
+        // A spawn can change the species' glow, or give one to a species that has none
+        if (spawnPoint.light) {
+            this.setLight({ ...this.definition.light, ...spawnPoint.light });
+        }
+        
+        // Territory is the spawn point itself, not where we were scattered to
+        this.stateMachine.setHome(spawnPoint.x, spawnPoint.y);
+        
+        if (this.patrolPath) {
+            // Start at the closest waypoint so members of a group don't bunch up
+            let closest = 0;
+            let closestDistance = Infinity;
+            this.patrolPath.forEach((point, index) => {
+                const distance = Phaser.Math.Distance.Between(this.x, this.y, point.x, point.y);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closest = index;
+                }
+            });
+            this.patrolIndex = closest;
+        }
+    }
+
+    /**
+     * Steer along the patrol path, ping-ponging at the ends
+     */
+    followPatrolPath() {
+        const target = this.patrolPath[this.patrolIndex];
+        
+        if (Phaser.Math.Distance.Between(this.x, this.y, target.x, target.y) < 16) {
+            if (this.patrolIndex + this.patrolDirection >= this.patrolPath.length ||
+                this.patrolIndex + this.patrolDirection < 0) {
+                this.patrolDirection *= -1;
+            }
+            this.patrolIndex += this.patrolDirection;
+            return;
+        }
+        
+        const angle = Phaser.Math.Angle.Between(this.x, this.y, target.x, target.y);
+        const velocity = new Phaser.Math.Vector2();
+        velocity.setToPolar(angle, this.speed);
+        this.body.setVelocity(velocity.x, velocity.y);
+    }
+
+    /**
+     * Swim toward a point, routing around the Obstacles layer when there is no clear line
+     * @param {number} x - Target x
+     * @param {number} y - Target y
+     * @param {number} time - Current time
+     */
+    navigateTo(x, y, time) {
+        const navigation = this.scene.navigationSystem;
+        
+        // Nothing in the way - swim straight there
+        if (!navigation || navigation.hasClearLine(this.x, this.y, x, y)) {
+            this.navPath = null;
+            steerTowards(this, x, y, this.speed);
+            return;
+        }
+        
+        // Re-plan when the target has moved noticeably, or periodically
+        const targetMoved = !this.navGoal ||
+            Phaser.Math.Distance.Between(x, y, this.navGoal.x, this.navGoal.y) > 64;
+        if (!this.navPending && (targetMoved || time - this.navRequestTime > this.repathInterval)) {
+            this.navPending = true;
+            this.navRequestTime = time;
+            this.navGoal = { x, y };
+            navigation.requestPath(this.x, this.y, x, y, (path) => {
+                this.navPending = false;
+                if (!this.active) return;
+                this.navPath = path;
+                this.navIndex = 0;
+            }, this);
+        }
+        
+        if (!this.navPath || this.navPath.length === 0) {
+            // Best effort until a path arrives
+            steerTowards(this, x, y, this.speed);
+            return;
+        }
+        
+        // Advance past waypoints we've reached, or can already skip to
+        let waypoint = this.navPath[this.navIndex];
+        while (this.navIndex < this.navPath.length - 1 &&
+               (Phaser.Math.Distance.Between(this.x, this.y, waypoint.x, waypoint.y) < 20 ||
+                navigation.hasClearLine(this.x, this.y, this.navPath[this.navIndex + 1].x, this.navPath[this.navIndex + 1].y))) {
+            this.navIndex++;
+            waypoint = this.navPath[this.navIndex];
+        }
+        
+        steerTowards(this, waypoint.x, waypoint.y, this.speed);
     }
 
     createHealthBar() {
         // Create health bar background
         this.healthBarBg = this.scene.add.rectangle(
             this.x,
-            this.y - this.height/2 - 10,
-            this.width,
+            this.y - this.displayHeight/2 - 10,
+            this.displayWidth,
             4,
             0x000000,
             0.5
@@ -85,9 +253,9 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
 
         // Create health bar fill
         this.healthBarFill = this.scene.add.rectangle(
-            this.x - this.width/2, // Anchor to left side
-            this.y - this.height/2 - 10,
-            this.width,
+            this.x - this.displayWidth/2, // Anchor to left side
+            this.y - this.displayHeight/2 - 10,
+            this.displayWidth,
             4,
             0x00ff00,
             1
@@ -98,7 +266,7 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         // Create health text
         this.healthText = this.scene.add.text(
             this.x,
-            this.y - this.height/2 - 20,
+            this.y - this.displayHeight/2 - 20,
             `${this.health}/${this.maxHealth}`,
             {
                 font: '12px Arial',
@@ -115,7 +283,7 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         
         // Update health bar fill width
         const healthPercent = this.health / this.maxHealth;
-        const newWidth = this.width * healthPercent;
+        const newWidth = this.displayWidth * healthPercent;
         
         // Update health text
         this.healthText.setText(`${this.health}/${this.maxHealth}`);
@@ -125,17 +293,17 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         this.healthBarFill.setFillStyle(color);
         
         // Position the background bar (centered)
-        this.healthBarBg.setPosition(this.x, this.y - this.height/2 - 10);
+        this.healthBarBg.setPosition(this.x, this.y - this.displayHeight/2 - 10);
         
         // Position the fill bar (anchored to left)
         this.healthBarFill.setPosition(
-            this.x - this.width/2, // Start from left edge of background
-            this.y - this.height/2 - 10
+            this.x - this.displayWidth/2, // Start from left edge of background
+            this.y - this.displayHeight/2 - 10
         );
         this.healthBarFill.width = newWidth;
         
         // Position the text (centered)
-        this.healthText.setPosition(this.x, this.y - this.height/2 - 20);
+        this.healthText.setPosition(this.x, this.y - this.displayHeight/2 - 20);
     }
     
     takeDamage(amount) {
@@ -146,7 +314,7 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         // Show damage number
         const damageText = this.scene.add.text(
             this.x,
-            this.y - this.height/2 - 40,
+            this.y - this.displayHeight/2 - 40,
             `-${amount}`,
             {
                 font: '16px Arial',
@@ -160,7 +328,7 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         // Animate damage number
         this.scene.tweens.add({
             targets: damageText,
-            y: this.y - this.height/2 - 60,
+            y: this.y - this.displayHeight/2 - 60,
             alpha: 0,
             duration: 500,
             ease: 'Power2',
@@ -176,8 +344,9 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
             repeat: 1
         });
         
-        // Become aggressive when hit
-        this.becomeAggressive();
+        // Getting hurt provokes the AI, then let behaviours react
+        this.stateMachine.provoke();
+        this.behaviours.forEach(behaviour => behaviour.onDamage?.(this, amount));
         
         // Update health bar
         this.updateHealthBar();
@@ -187,26 +356,52 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
         }
     }
     
+    /**
+     * Whether the AI is currently chasing the player
+     * @returns {boolean}
+     */
+    get isAggressive() {
+        return this.stateMachine?.currentState === 'chase';
+    }
+    
+    /**
+     * Current AI state name
+     * @returns {string|null}
+     */
+    get aiState() {
+        return this.stateMachine?.currentState ?? null;
+    }
+    
     becomeAggressive() {
-        this.isAggressive = true;
-        this.speed = this.aggressiveSpeed;
-        
-        // Clear existing aggression timer if it exists
-        if (this.aggressionTimer) {
-            this.aggressionTimer.remove();
+        this.stateMachine.provoke();
+    }
+    
+    /**
+     * Run the species' idle movement behaviours; the first that claims the frame wins
+     * @param {number} time - Current time
+     * @param {number} delta - Frame delta
+     * @returns {boolean} Whether any behaviour moved the enemy
+     */
+    runMovementBehaviours(time, delta) {
+        for (const behaviour of this.behaviours) {
+            if (behaviour.move?.(this, time, delta)) return true;
         }
-        
-        // Set timer to return to normal behavior
-        this.aggressionTimer = this.scene.time.delayedCall(this.aggressionDuration, () => {
-            this.isAggressive = false;
-            this.speed = this.normalSpeed;
-        });
+        return false;
     }
     
     die() {
         if (!this.isAlive) return;
         this.isAlive = false;
         
+        // Let the loot system roll this enemy's drop table
+        this.scene.events.emit('enemyDied', {
+            enemy: this,
+            enemyType: this.enemyType,
+            x: this.x,
+            y: this.y,
+            drops: this.drops
+        });
+        
         // Create death effect
         const emitter = this.scene.add.particles(this.x, this.y, 'bubble', {
             speed: { min: 50, max: 100 },
@@ -233,44 +428,43 @@ export default class Enemy extends Phaser.GameObjects.Sprite {
                 this.healthBarBg?.destroy();
                 this.healthBarFill?.destroy();
                 this.healthText?.destroy();
+                this.stateText?.destroy();
                 emitter.destroy();
                 this.destroy();
             }
         });
     }
     
-    update() {
-        if (!this.isAlive) return;
+    update(time, delta) {
+        if (!this.isAlive || !this.body) return;
         
-        // Get player reference
-        const player = this.scene.player?.sprite;
+        // The AI decides where to go this frame
+        this.stateMachine.update(time, delta);
         
-        if (this.isAggressive && player) {
-            // Chase player when aggressive
-            const angle = Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y);
-            const velocity = new Phaser.Math.Vector2();
-            velocity.setToPolar(angle, this.speed);
-            this.body.setVelocity(velocity.x, velocity.y);
-        } else {
-            // Normal movement behavior when not aggressive
-            // Bounce off screen edges with slight randomization
-            if (this.body.blocked.left || this.body.blocked.right) {
-                this.body.velocity.y += Phaser.Math.Between(-50, 50);
-            }
-            if (this.body.blocked.up || this.body.blocked.down) {
-                this.body.velocity.x += Phaser.Math.Between(-50, 50);
-            }
-            
-            // Normalize velocity to maintain constant speed
-            const currentVelocity = new Phaser.Math.Vector2(this.body.velocity.x, this.body.velocity.y);
-            currentVelocity.normalize().scale(this.speed);
-            this.body.setVelocity(currentVelocity.x, currentVelocity.y);
-        }
-        
-        // Flip sprite based on movement direction
-        this.setFlipX(this.body.velocity.x < 0);
+        // Then let every behaviour adjust the result
+        this.behaviours.forEach(behaviour => behaviour.update?.(this, time, delta));
         
         // Update health bar position
         this.updateHealthBar();
+        
+        if (this.stateText) {
+            this.stateText.setText(this.aiState);
+            this.stateText.setPosition(this.x, this.y + this.displayHeight / 2 + 10);
+        }
+    }
+    
+    destroy(fromScene) {
+        this.behaviours?.forEach(behaviour => behaviour.destroy?.(this));
+        this.behaviours = [];
+        this.stateText?.destroy();
+        this.healthBarBg?.destroy();
+        this.healthBarFill?.destroy();
+        this.healthText?.destroy();
+        this.scene?.navigationSystem?.cancelRequests(this);
+        if (this.lightEmitter) {
+            this.scene?.lightingSystem?.removeLightEmitter(this.lightEmitter);
+            this.lightEmitter = null;
+        }
+        super.destroy(fromScene);
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,225 @@
+import Phaser from 'phaser';
+
+/**
+ * Reusable enemy behaviours, assembled per species from the enemy type registry
+ * (src/config/enemyTypes.json).
+ *
+ * Every behaviour is a factory, called with its registry options and the
+ * scene's gameplay random stream, returning an object with any of these hooks:
+ *   init(enemy)                  - called once after the enemy is configured
+ *   move(enemy, time, delta)     - idle movement; return true to claim movement for this frame
+ *   update(enemy, time, delta)   - runs every frame after movement has been decided
+ *   onDamage(enemy, amount)      - called when the enemy takes damage
+ *   destroy(enemy)               - cleanup
+ *
+ * Chasing, patrolling and fleeing are handled by EnemyStateMachine. Movement
+ * behaviours only decide how the enemy moves while it is idle, and are tried
+ * in the order they are listed in the registry.
+ */
+
+/**
+ * Point the enemy's velocity toward a target at the given speed
+ * @param {Enemy} enemy - The enemy to steer
+ * @param {number} x - Target x
+ * @param {number} y - Target y
+ * @param {number} speed - Speed in px/s
+ */
+export function steerTowards(enemy, x, y, speed) {
+    const angle = Phaser.Math.Angle.Between(enemy.x, enemy.y, x, y);
+    const velocity = new Phaser.Math.Vector2();
+    velocity.setToPolar(angle, speed);
+    enemy.body.setVelocity(velocity.x, velocity.y);
+}
+
+export const ENEMY_BEHAVIOURS = {
+    // Bounce around at constant speed
+    wander: () => ({
+        move(enemy) {
+            if (enemy.body.blocked.left || enemy.body.blocked.right) {
+                enemy.body.velocity.y += enemy.scene.random.gameplay.between(-50, 50);
+            }
+            if (enemy.body.blocked.up || enemy.body.blocked.down) {
+                enemy.body.velocity.x += enemy.scene.random.gameplay.between(-50, 50);
+            }
+
+            // Normalize velocity to maintain constant speed
+            const currentVelocity = new Phaser.Math.Vector2(enemy.body.velocity.x, enemy.body.velocity.y);
+            if (currentVelocity.lengthSq() === 0) {
+                currentVelocity.setToPolar(enemy.scene.random.gameplay.realInRange(0, Math.PI * 2), 1);
+            }
+            currentVelocity.normalize().scale(enemy.speed);
+            enemy.body.setVelocity(currentVelocity.x, currentVelocity.y);
+            return true;
+        }
+    }),
+
+    // Lie in wait, barely moving (anglerfish)
+    ambush: (options = {}) => ({
+        move(enemy) {
+            const drift = options.drift ?? 0.9;
+            enemy.body.setVelocity(enemy.body.velocity.x * drift, enemy.body.velocity.y * drift);
+            return true;
+        }
+    }),
+
+    // Hover at a distance from the player, circling once in range (squid)
+    kite: (options = {}, rng) => {
+        const range = options.range ?? 450;
+        const distance = options.distance ?? 250;
+        return {
+            strafe: rng.between(0, 1) ? 1 : -1,
+            move(enemy) {
+                const player = enemy.stateMachine.getPlayer();
+                if (!player || !enemy.stateMachine.isPlayerWithin(range)) return false;
+
+                const current = Phaser.Math.Distance.Between(enemy.x, enemy.y, player.x, player.y);
+                const angle = Phaser.Math.Angle.Between(player.x, player.y, enemy.x, enemy.y);
+                if (current < distance * 0.8) {
+                    // Too close - back off
+                    enemy.body.velocity.setToPolar(angle, enemy.speed);
+                } else if (current > distance * 1.2) {
+                    steerTowards(enemy, player.x, player.y, enemy.speed);
+                } else {
+                    // Circle the player, switching direction when we bump into something
+                    if (!enemy.body.blocked.none) {
+                        this.strafe *= -1;
+                    }
+                    enemy.body.velocity.setToPolar(angle + this.strafe * Math.PI / 2, enemy.speed * 0.6);
+                }
+                return true;
+            }
+        };
+    },
+
+    // Propel in rhythmic pulses: a quick thrust followed by a slow glide (jellyfish)
+    pulse: (options = {}, rng) => {
+        const period = options.period ?? 1400;
+        const minScale = options.minSpeedScale ?? 0.2;
+        return {
+            elapsed: rng.between(0, period),
+            update(enemy, time, delta) {
+                this.elapsed = (this.elapsed + delta) % period;
+                const phase = this.elapsed / period;
+                // Strong push at the start of each cycle that eases off
+                const scale = minScale + (1 - minScale) * Math.pow(1 - phase, 2);
+                enemy.body.velocity.scale(scale * enemy.speed / Math.max(1, enemy.body.velocity.length()));
+                enemy.scaleY = enemy.baseScaleY * (1 - 0.15 * Math.sin(phase * Math.PI));
+            }
+        };
+    },
+
+    // Periodic bursts of speed while chasing (eel)
+    dart: (options = {}) => {
+        const interval = options.interval ?? 2000;
+        const duration = options.duration ?? 400;
+        const multiplier = options.multiplier ?? 2.2;
+        return {
+            timer: 0,
+            update(enemy, time, delta) {
+                if (!enemy.isAggressive) {
+                    this.timer = 0;
+                    return;
+                }
+
+                this.timer = (this.timer + delta) % interval;
+                if (this.timer < duration) {
+                    enemy.body.velocity.scale(multiplier);
+                }
+            }
+        };
+    },
+
+    // Fire projectiles from the EnemyProjectileSystem at the player (ink squid, urchin)
+    shoot: (options = {}, rng) => {
+        const projectile = options.projectile ?? 'ink';
+        const cooldown = options.cooldown ?? 2000;
+        const range = options.range ?? 400;
+        const count = options.count ?? 1;
+        const spread = Phaser.Math.DegToRad(options.spread ?? 0);
+        const pattern = options.pattern ?? 'aimed';  // 'aimed' fans out toward the player, 'radial' fires in all directions
+        const requireSight = options.requireSight ?? true;
+        return {
+            timer: rng.between(cooldown / 2, cooldown),
+            update(enemy, time, delta) {
+                this.timer -= delta;
+                if (this.timer > 0) return;
+
+                const projectiles = enemy.scene.enemyProjectileSystem;
+                const player = enemy.stateMachine.getPlayer();
+                if (!projectiles || !player || !enemy.stateMachine.isPlayerWithin(range)) return;
+                if (enemy.aiState === 'flee') return;
+                if (requireSight && !enemy.stateMachine.hasLineOfSight(time)) return;
+
+                this.timer = cooldown;
+
+                const aim = Phaser.Math.Angle.Between(enemy.x, enemy.y, player.x, player.y);
+                for (let i = 0; i < count; i++) {
+                    let angle;
+                    if (pattern === 'radial') {
+                        angle = aim + (i / count) * Math.PI * 2;
+                    } else {
+                        angle = count > 1 ? aim + (i / (count - 1) - 0.5) * spread : aim;
+                    }
+
+                    // Spawn at the edge of the body rather than the center
+                    const offset = Math.max(enemy.displayWidth, enemy.displayHeight) * 0.4;
+                    projectiles.fire(
+                        projectile,
+                        enemy.x + Math.cos(angle) * offset,
+                        enemy.y + Math.sin(angle) * offset,
+                        angle,
+                        enemy
+                    );
+                }
+
+                if (pattern !== 'radial') {
+                    enemy.setFlipX(player.x < enemy.x);
+                }
+            }
+        };
+    },
+
+    // Gentle rocking animation
+    wobble: (options = {}) => ({
+        init(enemy) {
+            this.tween = enemy.scene.tweens.add({
+                targets: enemy,
+                angle: { from: -(options.angle ?? 5), to: options.angle ?? 5 },
+                duration: options.duration ?? 1000,
+                yoyo: true,
+                repeat: -1,
+                ease: 'Sine.easeInOut'
+            });
+        },
+        destroy() {
+            this.tween?.remove();
+        }
+    }),
+
+    // Face the direction of travel
+    faceMovement: () => ({
+        update(enemy) {
+            enemy.setFlipX(enemy.body.velocity.x < 0);
+        }
+    })
+};
+
+/**
+ * Build behaviour instances from a registry behaviour list
+ * @param {Array<string|Object>} behaviourList - Names, or { type, ...options } objects
+ * @param {Phaser.Math.RandomDataGenerator} rng - The scene's gameplay random stream
+ * @returns {Array<Object>} Behaviour instances
+ */
+export function createBehaviours(behaviourList = [], rng = Phaser.Math.RND) {
+    return behaviourList.map(entry => {
+        const { type, ...options } = typeof entry === 'string' ? { type: entry } : entry;
+        const factory = ENEMY_BEHAVIOURS[type];
+
+        if (!factory) {
+            console.warn(`Unknown enemy behaviour '${type}'`);
+            return null;
+        }
+
+        return { type, ...factory(options, rng) };
+    }).filter(Boolean);
+}
@@ -0,0 +1,129 @@
+import Phaser from 'phaser';
+
+/**
+ * A hostile projectile fired by enemies (ink blobs, urchin spines...).
+ * Instances are pooled by EnemyProjectileSystem and configured per shot
+ * from the `projectiles` block of src/config/enemyTypes.json.
+ */
+export default class EnemyProjectile extends Phaser.Physics.Arcade.Sprite {
+    constructor(scene, x, y) {
+        super(scene, x, y, 'bullet');
+        scene.add.existing(this);
+        scene.physics.add.existing(this);
+
+        this.speed = 300;
+        this.lifespan = 0;
+        this.homing = 0;       // Max turn rate toward the player in radians per second
+        this.damage = 10;
+        this.knockback = 100;
+        this.owner = null;
+        this.definition = null;
+
+        this.setActive(false);
+        this.setVisible(false);
+
+        // Above the darkness overlay (900) so shots are readable in the dark, below player bullets
+        this.setDepth(940);
+
+        this.body.setAllowGravity(false);
+        this.body.setBounce(0);
+        this.body.setDrag(0);
+        this.body.enable = false;
+    }
+
+    /**
+     * Launch the projectile
+     * @param {number} x - Start x
+     * @param {number} y - Start y
+     * @param {number} angle - Direction in radians
+     * @param {Object} definition - Projectile definition from EnemyTypeRegistry.getProjectile()
+     * @param {Object} owner - Whoever fired it (used to ignore self-hits and for events)
+     */
+    fire(x, y, angle, definition, owner = null) {
+        this.definition = definition;
+        this.owner = owner;
+        this.speed = definition.speed ?? 300;
+        this.lifespan = definition.lifetime ?? 2000;
+        this.homing = definition.homing ?? 0;
+        this.damage = definition.damage ?? 10;
+        this.knockback = definition.knockback ?? 100;
+
+        this.setTexture(definition.texture || 'bullet');
+        this.setScale(definition.scale ?? 0.5);
+        this.setAlpha(definition.alpha ?? 1);
+        if (definition.tint !== null && definition.tint !== undefined) {
+            this.setTint(definition.tint);
+        } else {
+            this.clearTint();
+        }
+
+        this.body.enable = true;
+        this.body.reset(x, y);
+        const hitbox = definition.hitbox ?? 0.7;
+        this.body.setSize(this.width * hitbox, this.height * hitbox);
+
+        this.setActive(true);
+        this.setVisible(true);
+
+        this.scene.physics.velocityFromRotation(angle, this.speed, this.body.velocity);
+        this.rotation = angle;
+    }
+
+    update(time, delta) {
+        if (!this.active) return;
+
+        this.lifespan -= delta;
+        if (this.lifespan <= 0) {
+            this.deactivate();
+            return;
+        }
+
+        // Homing: turn toward the player by at most homing rad/s
+        const player = this.scene.player?.sprite;
+        if (this.homing > 0 && player?.active) {
+            const current = Math.atan2(this.body.velocity.y, this.body.velocity.x);
+            const desired = Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y);
+            const maxTurn = this.homing * (delta / 1000);
+            const turned = Phaser.Math.Angle.RotateTo(current, desired, maxTurn);
+            this.scene.physics.velocityFromRotation(turned, this.speed, this.body.velocity);
+        }
+
+        if (this.definition?.rotateToVelocity !== false) {
+            this.rotation = Math.atan2(this.body.velocity.y, this.body.velocity.x);
+        }
+
+        // Fade out over the last part of the lifetime
+        if (this.lifespan < 300) {
+            this.setAlpha((this.definition?.alpha ?? 1) * (this.lifespan / 300));
+        }
+    }
+
+    /**
+     * Hit something - show a small burst and return to the pool
+     */
+    impact() {
+        if (!this.active) return;
+
+        const emitter = this.scene.add.particles(this.x, this.y, 'bubble', {
+            speed: { min: 20, max: 80 },
+            scale: { start: 0.12, end: 0 },
+            alpha: { start: 0.8, end: 0 },
+            tint: this.definition?.tint ?? 0xffffff,
+            lifespan: 400,
+            emitting: false
+        });
+        emitter.setDepth(940);
+        emitter.explode(6, this.x, this.y);
+        this.scene.time.delayedCall(500, () => emitter.destroy());
+
+        this.deactivate();
+    }
+
+    deactivate() {
+        this.setActive(false);
+        this.setVisible(false);
+        this.body.stop();
+        this.body.enable = false;
+        this.owner = null;
+    }
+}
@@ -0,0 +1,335 @@
+import Phaser from 'phaser';
+
+/**
+ * Enemy AI states.
+ * Each state may define enter(fsm), update(fsm, time, delta) and exit(fsm).
+ * update() returns the name of the next state, or nothing to stay put.
+ */
+const STATES = {
+    // No patrol route: hang around using the species' idle movement (wander, ambush...)
+    idle: {
+        enter(fsm) {
+            fsm.enemy.speed = fsm.enemy.normalSpeed;
+        },
+        update(fsm, time, delta) {
+            if (fsm.shouldFlee()) return 'flee';
+            if (fsm.canSeePlayer(time)) return 'notice';
+            if (fsm.enemy.patrolPath) return 'patrol';
+
+            fsm.enemy.runMovementBehaviours(time, delta);
+        }
+    },
+
+    // Follow the Tiled polyline assigned to our spawn point
+    patrol: {
+        enter(fsm) {
+            fsm.enemy.speed = fsm.enemy.normalSpeed;
+        },
+        update(fsm, time) {
+            if (fsm.shouldFlee()) return 'flee';
+            if (fsm.canSeePlayer(time)) return 'notice';
+            if (!fsm.enemy.patrolPath) return 'idle';
+
+            fsm.enemy.followPatrolPath();
+        }
+    },
+
+    // Spotted the player - hesitate for a moment before committing to the chase
+    notice: {
+        enter(fsm) {
+            fsm.enemy.body.velocity.scale(0.2);
+        },
+        update(fsm) {
+            const enemy = fsm.enemy;
+            enemy.body.velocity.scale(0.9);
+
+            const player = fsm.getPlayer();
+            if (player) {
+                enemy.setFlipX(player.x < enemy.x);
+            }
+
+            if (fsm.timeInState >= fsm.config.noticeTime) {
+                return fsm.isPlayerWithin(fsm.config.loseSightRadius) ? 'chase' : fsm.restingState();
+            }
+        }
+    },
+
+    // Swim at the player until we lose them or stray too far from home
+    chase: {
+        enter(fsm) {
+            fsm.enemy.speed = fsm.enemy.aggressiveSpeed;
+            fsm.lostSightTime = 0;
+        },
+        update(fsm, time, delta) {
+            if (fsm.shouldFlee()) return 'flee';
+
+            const enemy = fsm.enemy;
+            const player = fsm.getPlayer();
+            if (!player) return 'return';
+
+            if (fsm.isPlayerWithin(fsm.config.loseSightRadius) && fsm.hasLineOfSight(time)) {
+                fsm.lostSightTime = 0;
+            } else {
+                fsm.lostSightTime += delta;
+            }
+
+            const distanceFromHome = Phaser.Math.Distance.Between(enemy.x, enemy.y, fsm.home.x, fsm.home.y);
+            if (fsm.lostSightTime >= fsm.config.giveUpTime || distanceFromHome > fsm.config.leashRadius) {
+                return 'return';
+            }
+
+            enemy.navigateTo(player.x, player.y, time);
+        }
+    },
+
+    // Head back to our territory (spawn point or nearest patrol waypoint)
+    return: {
+        enter(fsm) {
+            fsm.enemy.speed = fsm.enemy.normalSpeed;
+            fsm.returnTarget = fsm.getReturnTarget();
+        },
+        update(fsm, time) {
+            if (fsm.shouldFlee()) return 'flee';
+
+            // Only re-engage once we're back within the leash
+            const enemy = fsm.enemy;
+            const target = fsm.returnTarget;
+            const distanceFromHome = Phaser.Math.Distance.Between(enemy.x, enemy.y, fsm.home.x, fsm.home.y);
+            if (distanceFromHome < fsm.config.leashRadius * 0.5 && fsm.canSeePlayer(time)) return 'notice';
+
+            if (Phaser.Math.Distance.Between(enemy.x, enemy.y, target.x, target.y) < fsm.config.arriveRadius) {
+                return fsm.restingState();
+            }
+
+            enemy.navigateTo(target.x, target.y, time);
+        }
+    },
+
+    // Badly hurt - keep away from the player until they leave us alone
+    flee: {
+        enter(fsm) {
+            fsm.enemy.speed = fsm.enemy.aggressiveSpeed;
+        },
+        update(fsm) {
+            const enemy = fsm.enemy;
+            const player = fsm.getPlayer();
+
+            if (!player || !fsm.isPlayerWithin(fsm.config.fleeDistance)) {
+                return fsm.timeInState >= fsm.config.minFleeTime ? 'return' : undefined;
+            }
+
+            const angle = Phaser.Math.Angle.Between(player.x, player.y, enemy.x, enemy.y);
+            enemy.body.velocity.setToPolar(angle, enemy.speed);
+        }
+    }
+};
+
+/**
+ * Finite state machine driving enemy AI: idle, patrol, notice, chase, return and flee.
+ * Tuned per species through the `ai` block of the enemy type registry.
+ */
+export default class EnemyStateMachine {
+    /**
+     * @param {Enemy} enemy - The enemy this machine controls
+     * @param {Object} config - The `ai` block from the enemy definition
+     */
+    constructor(enemy, config = {}) {
+        this.enemy = enemy;
+        this.scene = enemy.scene;
+        this.config = {
+            sightRadius: 0,        // Notice the player within this distance (0 = only when provoked)
+            loseSightRadius: 400,  // Chasing enemies keep track of the player within this distance
+            leashRadius: 700,      // Give up if dragged this far from home
+            giveUpTime: 3000,      // ms without sight of the player before giving up
+            noticeTime: 400,       // ms of hesitation before chasing
+            fleeHealth: 0.25,      // Flee below this fraction of max health (0 = never)
+            fleeDistance: 350,     // Stop fleeing once the player is this far away
+            minFleeTime: 1500,     // Flee for at least this long
+            arriveRadius: 24,      // Close enough to the return target
+            canChase: true,        // Passive species never chase
+            lineOfSight: true,     // Require a clear line through the Obstacles layer
+            ...config
+        };
+
+        this.home = { x: enemy.x, y: enemy.y };
+        this.currentState = null;
+        this.previousState = null;
+        this.timeInState = 0;
+        this.lostSightTime = 0;
+        this.returnTarget = this.home;
+
+        // Line of sight checks are throttled since they sample the tilemap
+        this.lastSightCheck = 0;
+        this.lastSightResult = false;
+    }
+
+    /**
+     * Set the position the enemy considers home
+     * @param {number} x - Home x
+     * @param {number} y - Home y
+     */
+    setHome(x, y) {
+        this.home = { x, y };
+    }
+
+    /**
+     * Enter the initial state
+     */
+    start() {
+        this.transition(this.restingState(), 'spawn');
+    }
+
+    /**
+     * The state to settle into when nothing is happening
+     * @returns {string}
+     */
+    restingState() {
+        return this.enemy.patrolPath ? 'patrol' : 'idle';
+    }
+
+    /**
+     * Switch to a new state and announce it on the scene
+     * @param {string} nextState - The state to enter
+     * @param {string} reason - Why the transition happened (for debugging)
+     */
+    transition(nextState, reason = '') {
+        if (!STATES[nextState] || nextState === this.currentState) return;
+
+        const from = this.currentState;
+        if (from) {
+            STATES[from].exit?.(this);
+        }
+
+        this.previousState = from;
+        this.currentState = nextState;
+        this.timeInState = 0;
+        STATES[nextState].enter?.(this);
+
+        this.scene.events.emit('enemyStateChanged', {
+            enemy: this.enemy,
+            from,
+            to: nextState,
+            reason
+        });
+    }
+
+    /**
+     * Something provoked us (e.g. we were shot) - chase unless we're passive or fleeing
+     */
+    provoke() {
+        if (!this.config.canChase || this.currentState === 'flee') return;
+
+        if (this.currentState === 'chase') {
+            this.lostSightTime = 0;
+            return;
+        }
+
+        this.transition(this.isBadlyHurt() ? 'flee' : 'chase', 'provoked');
+    }
+
+    update(time, delta) {
+        if (!this.currentState) {
+            this.start();
+        }
+
+        this.timeInState += delta;
+        const nextState = STATES[this.currentState].update(this, time, delta);
+        if (nextState) {
+            this.transition(nextState);
+        }
+    }
+
+    getPlayer() {
+        const player = this.scene.player?.sprite;
+        return player?.active ? player : null;
+    }
+
+    /**
+     * @param {number} radius - Distance to test
+     * @returns {boolean} Whether the player is within radius of the enemy
+     */
+    isPlayerWithin(radius) {
+        const player = this.getPlayer();
+        if (!player || radius <= 0) return false;
+        return Phaser.Math.Distance.Between(this.enemy.x, this.enemy.y, player.x, player.y) <= radius;
+    }
+
+    /**
+     * Check whether the enemy notices the player this frame
+     * @param {number} time - Current time
+     * @returns {boolean}
+     */
+    canSeePlayer(time) {
+        if (!this.config.canChase) return false;
+        return this.isPlayerWithin(this.config.sightRadius) && this.hasLineOfSight(time);
+    }
+
+    /**
+     * Sample the Obstacles layer between the enemy and the player
+     * @param {number} time - Current time
+     * @returns {boolean} True if nothing solid is in between
+     */
+    hasLineOfSight(time) {
+        if (!this.config.lineOfSight) return true;
+        if (time - this.lastSightCheck < 200) return this.lastSightResult;
+
+        this.lastSightCheck = time;
+        const player = this.getPlayer();
+        const tilemapSystem = this.scene.tilemapSystem;
+        if (!player || !tilemapSystem?.layers?.Obstacles) {
+            this.lastSightResult = !!player;
+            return this.lastSightResult;
+        }
+
+        const distance = Phaser.Math.Distance.Between(this.enemy.x, this.enemy.y, player.x, player.y);
+        const steps = Math.ceil(distance / 16);
+        this.lastSightResult = true;
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const x = this.enemy.x + (player.x - this.enemy.x) * t;
+            const y = this.enemy.y + (player.y - this.enemy.y) * t;
+            if (tilemapSystem.layers.Obstacles.getTileAtWorldXY(x, y)) {
+                this.lastSightResult = false;
+                break;
+            }
+        }
+        return this.lastSightResult;
+    }
+
+    /**
+     * @returns {boolean} Whether health is below the flee threshold
+     */
+    isBadlyHurt() {
+        const threshold = this.config.fleeHealth;
+        return threshold > 0 && this.enemy.health <= this.enemy.maxHealth * threshold;
+    }
+
+    /**
+     * Badly hurt enemies flee whenever the player comes close
+     * @returns {boolean}
+     */
+    shouldFlee() {
+        return this.isBadlyHurt() && this.isPlayerWithin(this.config.fleeDistance);
+    }
+
+    /**
+     * Where to head when returning: the closest patrol waypoint, or home
+     * @returns {{x: number, y: number}}
+     */
+    getReturnTarget() {
+        const path = this.enemy.patrolPath;
+        if (!path) return this.home;
+
+        let closest = path[0];
+        let closestDistance = Infinity;
+        path.forEach((point, index) => {
+            const distance = Phaser.Math.Distance.Between(this.enemy.x, this.enemy.y, point.x, point.y);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = point;
+                this.enemy.patrolIndex = index;
+            }
+        });
+        return closest;
+    }
+}
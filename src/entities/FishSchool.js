@@ -0,0 +1,358 @@
+import Phaser from 'phaser';
+
+/**
+ * A school of small fish steered with boids rules (separation, alignment, cohesion).
+ * Members are plain images without physics bodies. Neighbour lookups go through a
+ * spatial hash, and obstacle probes are staggered across frames, so a school of
+ * 100+ fish stays cheap.
+ */
+export default class FishSchool {
+    /**
+     * @param {Phaser.Scene} scene - The scene
+     * @param {Object} config - { x, y, size, radius, species } where species comes from EnemyTypeRegistry
+     */
+    constructor(scene, config) {
+        this.scene = scene;
+        this.species = config.species;
+        this.home = { x: config.x, y: config.y };
+        this.size = config.size;
+        this.spawnRadius = config.radius;
+        this.members = [];
+        this.isSleeping = false;
+        this.frame = 0;
+
+        // Scatter state (player boosted or fired nearby)
+        this.scatterTime = 0;
+        this.scatterOrigin = { x: 0, y: 0 };
+
+        // Spatial hash reused every frame
+        this.cellSize = this.species.perception;
+        this.grid = new Map();
+
+        this.createMembers();
+    }
+
+    createMembers() {
+        const species = this.species;
+        for (let i = 0; i < this.size; i++) {
+            // Scatter members around the spawn point, skipping rock
+            let x = this.home.x;
+            let y = this.home.y;
+            for (let attempt = 0; attempt < 5; attempt++) {
+                const angle = this.scene.random.gameplay.realInRange(0, Math.PI * 2);
+                const distance = this.scene.random.gameplay.realInRange(0, this.spawnRadius);
+                const candidateX = this.home.x + Math.cos(angle) * distance;
+                const candidateY = this.home.y + Math.sin(angle) * distance;
+                if (!this.isBlocked(candidateX, candidateY)) {
+                    x = candidateX;
+                    y = candidateY;
+                    break;
+                }
+            }
+
+            const heading = this.scene.random.gameplay.realInRange(0, Math.PI * 2);
+            const speed = this.scene.random.gameplay.realInRange(species.minSpeed, species.maxSpeed);
+
+            const sprite = this.scene.add.image(x, y, species.texture || 'badFish');
+            sprite.setScale(species.scale ?? 0.25);
+            sprite.setDepth(15); // Below enemies (20) and player (25)
+            if (species.tint !== null && species.tint !== undefined) {
+                sprite.setTint(species.tint);
+            }
+
+            this.members.push({
+                sprite,
+                x,
+                y,
+                vx: Math.cos(heading) * speed,
+                vy: Math.sin(heading) * speed,
+                // Spread obstacle probes over frames
+                probeOffset: i % 3
+            });
+        }
+    }
+
+    /**
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {boolean} Whether the position is inside rock
+     */
+    isBlocked(x, y) {
+        const tilemapSystem = this.scene.tilemapSystem;
+        if (!tilemapSystem?.layers?.Obstacles) return false;
+        return tilemapSystem.isPositionBlocked(x, y);
+    }
+
+    /**
+     * Radius around home that the school can occupy, used for sleep checks
+     * @returns {number}
+     */
+    getExtent() {
+        return (this.species.leashRadius || 300) + this.species.perception;
+    }
+
+    /**
+     * Start scattering away from a point
+     * @param {number} x - World x of the disturbance
+     * @param {number} y - World y of the disturbance
+     */
+    scatterFrom(x, y) {
+        this.scatterOrigin.x = x;
+        this.scatterOrigin.y = y;
+        this.scatterTime = this.species.scatter?.duration ?? 1000;
+    }
+
+    /**
+     * Hide members and stop simulating while far from the camera
+     * @param {boolean} sleeping - Whether the school should sleep
+     */
+    setSleeping(sleeping) {
+        if (this.isSleeping === sleeping) return;
+        this.isSleeping = sleeping;
+        this.members.forEach(member => member.sprite.setVisible(!sleeping));
+    }
+
+    rebuildGrid() {
+        this.grid.forEach(bucket => { bucket.length = 0; });
+        const cellSize = this.cellSize;
+        this.members.forEach(member => {
+            const key = Math.floor(member.x / cellSize) * 100000 + Math.floor(member.y / cellSize);
+            let bucket = this.grid.get(key);
+            if (!bucket) {
+                bucket = [];
+                this.grid.set(key, bucket);
+            }
+            bucket.push(member);
+        });
+    }
+
+    /**
+     * Limit a steering vector to the species' max force
+     * @private
+     */
+    limit(vector, max) {
+        const lengthSq = vector.x * vector.x + vector.y * vector.y;
+        if (lengthSq > max * max) {
+            const scale = max / Math.sqrt(lengthSq);
+            vector.x *= scale;
+            vector.y *= scale;
+        }
+        return vector;
+    }
+
+    /**
+     * Steering force toward a desired direction at a given speed
+     * @private
+     */
+    seek(member, dx, dy, speed, maxForce) {
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        return this.limit({
+            x: (dx / length) * speed - member.vx,
+            y: (dy / length) * speed - member.vy
+        }, maxForce);
+    }
+
+    /**
+     * @param {number} time - Current time
+     * @param {number} delta - Frame delta in ms
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite (may be null)
+     */
+    update(time, delta, player) {
+        if (this.isSleeping || this.members.length === 0) return;
+
+        const species = this.species;
+        const weights = species.weights || {};
+        const dt = Math.min(delta, 50) / 1000;
+        const perceptionSq = species.perception * species.perception;
+        const separationSq = species.separation * species.separation;
+        const maxForce = species.maxForce;
+
+        this.frame++;
+        this.scatterTime = Math.max(0, this.scatterTime - delta);
+        const scatter = species.scatter || {};
+        const scatterRadiusSq = (scatter.radius || 0) * (scatter.radius || 0);
+
+        // Hostile schools go for the player when they come close to home
+        let target = null;
+        if (species.hostile && player?.active) {
+            const distanceFromHome = Phaser.Math.Distance.Between(this.home.x, this.home.y, player.x, player.y);
+            if (distanceFromHome <= (species.aggroRadius || 0) + (species.leashRadius || 0)) {
+                target = player;
+            }
+        }
+
+        this.rebuildGrid();
+        const cellSize = this.cellSize;
+
+        this.members.forEach(member => {
+            let sepX = 0, sepY = 0;
+            let aliX = 0, aliY = 0;
+            let cohX = 0, cohY = 0;
+            let neighbours = 0;
+
+            // Check the 3x3 block of cells around this member
+            const cellX = Math.floor(member.x / cellSize);
+            const cellY = Math.floor(member.y / cellSize);
+            for (let gx = cellX - 1; gx <= cellX + 1; gx++) {
+                for (let gy = cellY - 1; gy <= cellY + 1; gy++) {
+                    const bucket = this.grid.get(gx * 100000 + gy);
+                    if (!bucket) continue;
+
+                    for (let i = 0; i < bucket.length; i++) {
+                        const other = bucket[i];
+                        if (other === member) continue;
+
+                        const dx = member.x - other.x;
+                        const dy = member.y - other.y;
+                        const distanceSq = dx * dx + dy * dy;
+                        if (distanceSq > perceptionSq) continue;
+
+                        neighbours++;
+                        aliX += other.vx;
+                        aliY += other.vy;
+                        cohX += other.x;
+                        cohY += other.y;
+
+                        if (distanceSq < separationSq && distanceSq > 0) {
+                            // Closer neighbours push harder
+                            sepX += dx / distanceSq;
+                            sepY += dy / distanceSq;
+                        }
+                    }
+                }
+            }
+
+            let accelX = 0;
+            let accelY = 0;
+            let maxSpeed = species.maxSpeed;
+
+            if (neighbours > 0) {
+                if (sepX !== 0 || sepY !== 0) {
+                    const force = this.seek(member, sepX, sepY, maxSpeed, maxForce);
+                    accelX += force.x * (weights.separation ?? 1.5);
+                    accelY += force.y * (weights.separation ?? 1.5);
+                }
+
+                const alignment = this.seek(member, aliX / neighbours, aliY / neighbours, maxSpeed, maxForce);
+                accelX += alignment.x * (weights.alignment ?? 1);
+                accelY += alignment.y * (weights.alignment ?? 1);
+
+                const cohesion = this.seek(member, cohX / neighbours - member.x, cohY / neighbours - member.y, maxSpeed, maxForce);
+                accelX += cohesion.x * (weights.cohesion ?? 1);
+                accelY += cohesion.y * (weights.cohesion ?? 1);
+            }
+
+            // Drift back toward home when straying beyond the leash
+            const homeDx = this.home.x - member.x;
+            const homeDy = this.home.y - member.y;
+            const homeDistance = Math.sqrt(homeDx * homeDx + homeDy * homeDy);
+            const leash = species.leashRadius || 300;
+            if (!target && homeDistance > leash) {
+                const home = this.seek(member, homeDx, homeDy, maxSpeed, maxForce);
+                const pull = Math.min(2, (homeDistance - leash) / leash + 0.5);
+                accelX += home.x * (weights.home ?? 0.5) * pull;
+                accelY += home.y * (weights.home ?? 0.5) * pull;
+            }
+
+            // Hostile fish home in on the player
+            if (target) {
+                const attack = this.seek(member, target.x - member.x, target.y - member.y, maxSpeed, maxForce);
+                accelX += attack.x * (weights.target ?? 1);
+                accelY += attack.y * (weights.target ?? 1);
+            }
+
+            // Scatter away from a disturbance
+            if (this.scatterTime > 0) {
+                const awayX = member.x - this.scatterOrigin.x;
+                const awayY = member.y - this.scatterOrigin.y;
+                if (awayX * awayX + awayY * awayY < scatterRadiusSq) {
+                    maxSpeed *= scatter.speedMultiplier ?? 2;
+                    const flee = this.seek(member, awayX, awayY, maxSpeed, maxForce * 3);
+                    accelX += flee.x * 2;
+                    accelY += flee.y * 2;
+                }
+            }
+
+            // Look ahead for rock on this member's probe frame
+            if ((this.frame + member.probeOffset) % 3 === 0) {
+                member.avoidX = 0;
+                member.avoidY = 0;
+                const speed = Math.sqrt(member.vx * member.vx + member.vy * member.vy) || 1;
+                const lookAhead = species.perception;
+                const headingX = member.vx / speed;
+                const headingY = member.vy / speed;
+
+                if (this.isBlocked(member.x + headingX * lookAhead, member.y + headingY * lookAhead)) {
+                    // Try veering left and right, otherwise turn around
+                    const angles = [Math.PI / 3, -Math.PI / 3, (2 * Math.PI) / 3, -(2 * Math.PI) / 3];
+                    let escapeX = -headingX;
+                    let escapeY = -headingY;
+                    for (const angle of angles) {
+                        const cos = Math.cos(angle);
+                        const sin = Math.sin(angle);
+                        const dirX = headingX * cos - headingY * sin;
+                        const dirY = headingX * sin + headingY * cos;
+                        if (!this.isBlocked(member.x + dirX * lookAhead, member.y + dirY * lookAhead)) {
+                            escapeX = dirX;
+                            escapeY = dirY;
+                            break;
+                        }
+                    }
+                    const avoid = this.seek(member, escapeX, escapeY, maxSpeed, maxForce * 2);
+                    member.avoidX = avoid.x * (weights.avoid ?? 3);
+                    member.avoidY = avoid.y * (weights.avoid ?? 3);
+                }
+            }
+            accelX += member.avoidX || 0;
+            accelY += member.avoidY || 0;
+
+            // Integrate
+            member.vx += accelX * dt;
+            member.vy += accelY * dt;
+
+            const speed = Math.sqrt(member.vx * member.vx + member.vy * member.vy) || 1;
+            const clamped = Phaser.Math.Clamp(speed, species.minSpeed, maxSpeed);
+            member.vx = (member.vx / speed) * clamped;
+            member.vy = (member.vy / speed) * clamped;
+
+            const nextX = member.x + member.vx * dt;
+            const nextY = member.y + member.vy * dt;
+            if (this.isBlocked(nextX, nextY)) {
+                // Bounce off the rock instead of swimming into it
+                member.vx = -member.vx;
+                member.vy = -member.vy;
+            } else {
+                member.x = nextX;
+                member.y = nextY;
+            }
+
+            // Face the direction of travel with a slight pitch
+            const sprite = member.sprite;
+            sprite.setPosition(member.x, member.y);
+            sprite.setFlipX(member.vx < 0);
+            sprite.rotation = Math.atan2(member.vy, Math.abs(member.vx)) * (member.vx < 0 ? -0.5 : 0.5);
+        });
+    }
+
+    /**
+     * Find members touching a point
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {number} radius - Contact radius
+     * @returns {boolean} Whether any member is within radius
+     */
+    isTouching(x, y, radius) {
+        const radiusSq = radius * radius;
+        return this.members.some(member => {
+            const dx = member.x - x;
+            const dy = member.y - y;
+            return dx * dx + dy * dy <= radiusSq;
+        });
+    }
+
+    destroy() {
+        this.members.forEach(member => member.sprite.destroy());
+        this.members = [];
+        this.grid.clear();
+    }
+}
@@ -0,0 +1,124 @@
+import Phaser from 'phaser';
+import { FLARE } from '../utils/Constants';
+
+/**
+ * A thrown flare. It arcs through the water, slowed by drag and sinking
+ * slowly, bounces off rock and settles on the sea floor. While it burns it
+ * carries a flickering point light from LightingSystem that fades as it
+ * burns down. Instances are pooled by FlareSystem.
+ */
+export default class Flare extends Phaser.Physics.Arcade.Sprite {
+    constructor(scene, x, y) {
+        super(scene, x, y, 'bullet');
+        scene.add.existing(this);
+        scene.physics.add.existing(this);
+
+        this.light = null;
+        this.burnTime = 0;
+        this.age = 0;
+
+        this.setActive(false);
+        this.setVisible(false);
+        this.setTint(FLARE.COLOR);
+        this.setScale(0.6);
+
+        // Above the darkness overlay (900) so a flare can always be seen
+        this.setDepth(950);
+
+        // Water slows it down (damping keeps DRAG of its speed each second) while it sinks
+        this.body.setAllowGravity(true);
+        this.body.setGravityY(FLARE.SINK);
+        this.body.setDamping(true);
+        this.body.setDrag(FLARE.DRAG, FLARE.DRAG);
+        this.body.setBounce(FLARE.BOUNCE, FLARE.BOUNCE);
+        this.body.setCollideWorldBounds(true);
+        this.body.enable = false;
+    }
+
+    /**
+     * Throw the flare and light it
+     * @param {number} x - Start x
+     * @param {number} y - Start y
+     * @param {number} angle - Direction in radians (0 is right, PI is left)
+     * @param {number} burnTime - Milliseconds it burns for
+     */
+    throw(x, y, angle, burnTime) {
+        this.burnTime = burnTime;
+        this.age = 0;
+
+        this.body.enable = true;
+        this.body.reset(x, y);
+        this.setVelocity(Math.cos(angle) * FLARE.THROW_SPEED, Math.sin(angle) * FLARE.THROW_SPEED);
+        this.setRotation(angle);
+        this.setAlpha(1);
+        this.setActive(true);
+        this.setVisible(true);
+
+        this.light = this.scene.lightingSystem?.createPointLight(x, y, FLARE.COLOR, FLARE.RADIUS, FLARE.INTENSITY) || null;
+        if (this.light) {
+            // Lifts the zone's darkness around the diver while it burns (see LightingSystem.getDarknessRelief)
+            this.light.darknessRelief = FLARE.DARKNESS_RELIEF;
+        }
+    }
+
+    /**
+     * @returns {number} How much is left to burn, from 1 when lit to 0 when out
+     */
+    getFuel() {
+        return this.burnTime > 0 ? Math.max(0, 1 - this.age / this.burnTime) : 0;
+    }
+
+    update(time, delta) {
+        if (!this.active) return;
+
+        this.age += delta;
+        if (this.age >= this.burnTime) {
+            this.burnOut();
+            return;
+        }
+
+        // Tumble while it moves
+        this.rotation += this.body.velocity.x * delta / 20000;
+
+        // Bright for most of its life, then dying away, with a flicker on top
+        const fuel = this.getFuel();
+        const flicker = 1 - FLARE.FLICKER * this.scene.random.cosmetic.frac();
+        this.setAlpha(0.4 + 0.6 * fuel);
+
+        if (this.light) {
+            this.light.x = this.x;
+            this.light.y = this.y;
+            this.light.intensity = FLARE.INTENSITY * Math.sqrt(fuel) * flicker;
+        }
+    }
+
+    /**
+     * Put the flare out and return it to the pool
+     */
+    burnOut() {
+        if (!this.active) return;
+
+        this.scene.events.emit('flareBurntOut', { x: this.x, y: this.y });
+        this.deactivate();
+    }
+
+    deactivate() {
+        if (this.light) {
+            this.scene.lightingSystem?.removePointLight(this.light);
+            this.light = null;
+        }
+
+        this.setActive(false);
+        this.setVisible(false);
+        this.body.stop();
+        this.body.enable = false;
+    }
+
+    destroy(fromScene) {
+        if (this.light && this.scene) {
+            this.scene.lightingSystem?.removePointLight(this.light);
+            this.light = null;
+        }
+        super.destroy(fromScene);
+    }
+}
@@ -0,0 +1,128 @@
+import Phaser from 'phaser';
+
+/**
+ * A collectable dropped by a defeated enemy or placed in the level (oxygen
+ * bubble, battery cell, flare, heart, pearl...). Instances are pooled by
+ * LootSystem and configured per drop from src/config/loot.json.
+ */
+export default class Pickup extends Phaser.Physics.Arcade.Sprite {
+    constructor(scene, x, y) {
+        super(scene, x, y, 'bubble');
+        scene.add.existing(this);
+        scene.physics.add.existing(this);
+
+        this.item = null;
+        this.definition = null;
+        this.lifetime = 0;
+        this.age = 0;
+        this.bobOffset = 0;
+        // Id of the map object for pickups placed in Tiled, null for drops
+        this.placedId = null;
+
+        this.setActive(false);
+        this.setVisible(false);
+
+        // Above the darkness overlay (900) so drops stay visible in the dark
+        this.setDepth(930);
+
+        this.body.setAllowGravity(false);
+        this.body.setDrag(240, 240);
+        this.body.enable = false;
+    }
+
+    /**
+     * Drop the pickup into the world
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {string} item - Item key from loot.json
+     * @param {Object} definition - Item definition merged over the loot defaults
+     */
+    spawn(x, y, item, definition) {
+        this.item = item;
+        this.definition = definition;
+        this.placedId = null;
+        this.lifetime = definition.lifetime;
+        this.age = 0;
+        this.bobOffset = this.scene.random.cosmetic.realInRange(0, Math.PI * 2);
+
+        this.setTexture(definition.texture || 'bubble');
+        this.setScale(definition.scale ?? 0.2);
+        this.setAlpha(1);
+        if (definition.tint !== null && definition.tint !== undefined) {
+            this.setTint(definition.tint);
+        } else {
+            this.clearTint();
+        }
+
+        this.body.enable = true;
+        this.body.reset(x, y);
+        this.body.setCircle(Math.max(this.width, this.height) / 2);
+
+        // Burst out of the enemy in a random direction
+        const angle = this.scene.random.gameplay.realInRange(0, Math.PI * 2);
+        const speed = this.scene.random.gameplay.realInRange(0.4, 1) * (definition.scatterSpeed ?? 140);
+        this.scene.physics.velocityFromRotation(angle, speed, this.body.velocity);
+
+        this.setActive(true);
+        this.setVisible(true);
+    }
+
+    update(time, delta) {
+        if (!this.active) return;
+
+        this.age += delta;
+        if (this.age >= this.lifetime) {
+            this.despawn();
+            return;
+        }
+
+        const player = this.scene.player?.sprite;
+        if (player?.active) {
+            this.updateMagnet(player);
+        }
+
+        // Gentle bob so drops read as loose items rather than scenery
+        this.rotation = Math.sin(time / 300 + this.bobOffset) * 0.15;
+
+        // Blink before disappearing
+        const remaining = this.lifetime - this.age;
+        if (remaining < this.definition.blinkTime) {
+            this.setAlpha(Math.floor(remaining / 120) % 2 === 0 ? 1 : 0.25);
+        }
+    }
+
+    /**
+     * Pull the pickup toward the player once they are close enough
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     */
+    updateMagnet(player) {
+        const radius = this.definition.magnetRadius;
+        const distance = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        if (distance > radius) return;
+
+        // Faster the closer it gets
+        const pull = 1 - distance / radius;
+        const speed = this.definition.magnetSpeed * (0.35 + 0.65 * pull);
+        const angle = Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y);
+        this.scene.physics.velocityFromRotation(angle, speed, this.body.velocity);
+    }
+
+    /**
+     * Timed out - fade away and return to the pool
+     */
+    despawn() {
+        if (!this.active) return;
+
+        this.scene.events.emit('pickupExpired', { item: this.item, x: this.x, y: this.y });
+        this.deactivate();
+    }
+
+    deactivate() {
+        this.setActive(false);
+        this.setVisible(false);
+        this.body.stop();
+        this.body.enable = false;
+        this.item = null;
+        this.definition = null;
+    }
+}
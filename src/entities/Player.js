@@ -29,6 +29,8 @@ export default class Player extends Phaser.Events.EventEmitter {
         this.isDrowning = false;
         this.lastPosition = { x, y };
         this.speed = PLAYER.MAX_VELOCITY;
+        // Where the flashlight and gun point, in radians (0 is right, PI is left)
+        this.aimAngle = 0;
         this._inputState = null;
         this._lastBoostParticleTime = null;
         this.oxygenDepleted = false;
@@ -156,6 +158,7 @@ export default class Player extends Phaser.Events.EventEmitter {
             
             this.sprite.setActive(true);
             this.sprite.setVisible(true);
+            this.sprite.setRotation(0);
         }
         
         this.oxygen = this.maxOxygen;
@@ -186,12 +189,7 @@ export default class Player extends Phaser.Events.EventEmitter {
             const input = this.getInputState();
             this._inputState = input;
             
-            // Explicitly update sprite orientation based on input
-            if (input.left) {
-                this.sprite.flipX = true;
-            } else if (input.right) {
-                this.sprite.flipX = false;
-            }
+            this.updateAim(input);
             
             this.updateBoost(delta);
             this.processMovement(input);
@@ -203,6 +201,48 @@ export default class Player extends Phaser.Events.EventEmitter {
         }
     }
 
+    /**
+     * Face and lean towards the aim. Without one (facing mode, or nothing has
+     * aimed yet) the diver faces the way they swim and aims straight ahead.
+     * @param {Object} input - Input state object
+     */
+    updateAim(input) {
+        if (input.aim === null || input.aim === undefined) {
+            if (input.left) {
+                this.sprite.flipX = true;
+            } else if (input.right) {
+                this.sprite.flipX = false;
+            }
+            this.sprite.setRotation(0);
+            this.aimAngle = this.sprite.flipX ? Math.PI : 0;
+            return;
+        }
+
+        this.aimAngle = input.aim;
+        this.sprite.flipX = Math.abs(input.aim) > Math.PI / 2;
+
+        // The diver is a single sprite, so the whole body leans (head and arms with it)
+        const lean = this.sprite.flipX ? Phaser.Math.Angle.Wrap(input.aim - Math.PI) : input.aim;
+        this.sprite.setRotation(Phaser.Math.Clamp(lean, -PLAYER.AIM.MAX_TILT, PLAYER.AIM.MAX_TILT));
+    }
+
+    /**
+     * A point on the diver, such as the flashlight or gun, turned with the way
+     * they face and lean
+     * @param {number} offsetX - Pixels in front of the sprite's centre, as drawn facing right
+     * @param {number} offsetY - Pixels below the sprite's centre
+     * @returns {{x: number, y: number}} World position
+     */
+    getAimPoint(offsetX, offsetY) {
+        const x = this.sprite.flipX ? -offsetX : offsetX;
+        const cos = Math.cos(this.sprite.rotation);
+        const sin = Math.sin(this.sprite.rotation);
+        return {
+            x: this.sprite.x + x * cos - offsetY * sin,
+            y: this.sprite.y + x * sin + offsetY * cos
+        };
+    }
+
     /**
      * Get the current input state for player movement
      * @returns {Object} The current input state with left, right, up, down, and boost properties
@@ -212,46 +252,22 @@ export default class Player extends Phaser.Events.EventEmitter {
             return { left: false, right: false, up: false, down: false, boost: false };
         }
         
-        const cursors = this.scene.cursors;
-        const keys = this.scene.keys || this.scene.wasdKeys;
-        const touchData = this.scene.touchData;
-
-        if (!keys) {
-            if (cursors) {
-                return {
-                    left: cursors.left?.isDown || false,
-                    right: cursors.right?.isDown || false,
-                    up: cursors.up?.isDown || false, 
-                    down: cursors.down?.isDown || false,
-                    boost: cursors.space?.isDown || false
-                };
-            }
-            
+        const input = this.scene.inputManager?.getInputState();
+        if (!input) {
             return { left: false, right: false, up: false, down: false, boost: false };
         }
 
-        const keyboardInput = {
-            left: (keys && keys.left?.isDown) || (cursors && cursors.left?.isDown) || false,
-            right: (keys && keys.right?.isDown) || (cursors && cursors.right?.isDown) || false,
-            up: (keys && keys.up?.isDown) || (cursors && cursors.up?.isDown) || false,
-            down: (keys && keys.down?.isDown) || (cursors && cursors.down?.isDown) || false,
-            boost: (keys && keys.boost?.isDown) || (cursors && cursors.space?.isDown) || false
-        };
-
-        const touchInput = {
-            left: touchData?.left || false,
-            right: touchData?.right || false,
-            up: touchData?.up || false,
-            down: touchData?.down || false,
-            boost: touchData?.boost || false
-        };
-
+        // Keyboard actions, gamepad and touch controls, already merged by the input manager
         return {
-            left: keyboardInput.left || touchInput.left,
-            right: keyboardInput.right || touchInput.right,
-            up: keyboardInput.up || touchInput.up,
-            down: keyboardInput.down || touchInput.down,
-            boost: keyboardInput.boost || touchInput.boost
+            left: input.left,
+            right: input.right,
+            up: input.up,
+            down: input.down,
+            boost: input.boost,
+            analog: input.analog,
+            moveX: input.moveX,
+            moveY: input.moveY,
+            aim: input.aim
         };
     }
 
@@ -273,14 +289,16 @@ export default class Player extends Phaser.Events.EventEmitter {
         // Get base acceleration value from constants
         const baseAcceleration = PLAYER.ACCELERATION;
         
-        // Apply horizontal movement
+        // How hard the player is pushing, from 0 to 1 - partial for a gamepad stick, full otherwise
+        const pushX = input.analog ? Math.abs(input.moveX) : 1;
+        const pushUp = input.analog ? Math.max(0, -input.moveY) : 1;
+        
+        // Apply horizontal movement (updateAim has already faced the diver)
         if (input.left) {
-            this.sprite.setAccelerationX(-baseAcceleration);
-            this.sprite.setFlipX(true);
+            this.sprite.setAccelerationX(-baseAcceleration * pushX);
             currentDirection.x = -1;
         } else if (input.right) {
-            this.sprite.setAccelerationX(baseAcceleration);
-            this.sprite.setFlipX(false);
+            this.sprite.setAccelerationX(baseAcceleration * pushX);
             currentDirection.x = 1;
         }
         
@@ -288,7 +306,7 @@ export default class Player extends Phaser.Events.EventEmitter {
         const treadEffectiveness = this.updateTreadStamina(input);
         
         // Handle post-boost momentum
-        const timeSinceBoost = this.lastBoostEndTime ? Date.now() - this.lastBoostEndTime : null;
+        const timeSinceBoost = this.lastBoostEndTime ? this.scene.time.now - this.lastBoostEndTime : null;
         const inPostBoostGrace = timeSinceBoost && timeSinceBoost < PLAYER.TREAD_WATER.POST_BOOST.GRACE_PERIOD;
         const hasUpwardMomentum = this.sprite.body.velocity.y < 0;
         
@@ -314,7 +332,7 @@ export default class Player extends Phaser.Events.EventEmitter {
             const isFalling = currentVelocityY > 0;
             
             // Calculate tread force with momentum preservation and stamina
-            let effectiveTreadForce = PLAYER.TREAD_FORCE * treadEffectiveness;
+            let effectiveTreadForce = PLAYER.TREAD_FORCE * treadEffectiveness * pushUp;
             
             if (isFalling) {
                 const fallSpeedRatio = Math.min(1, currentVelocityY / PLAYER.TREAD_WATER.MAX_FALL_SPEED);
@@ -366,7 +384,7 @@ export default class Player extends Phaser.Events.EventEmitter {
             this.emit('oxygenChanged', this.oxygen, this.maxOxygen);
             
             // Create boost effects
-            const now = Date.now();
+            const now = this.scene.time.now;
             if (!this._lastBoostParticleTime || (now - this._lastBoostParticleTime > PLAYER.BOOST.BURST_INTERVAL)) {
                 this._lastBoostParticleTime = now;
                 this.emitBoostBurst(true);
@@ -394,11 +412,11 @@ export default class Player extends Phaser.Events.EventEmitter {
             
         // Create movement burst on direction change or start of movement
         if (isMovingNow && (!this.isMoving || directionChanged) && 
-            (!this._lastMovementBurstTime || (Date.now() - this._lastMovementBurstTime > 500)) && 
+            (!this._lastMovementBurstTime || (this.scene.time.now - this._lastMovementBurstTime > 500)) && 
             !this.boostActive) {
             
             this.emit('movementBurst', this.sprite, currentDirection);
-            this._lastMovementBurstTime = Date.now();
+            this._lastMovementBurstTime = this.scene.time.now;
         }
         
         // Update movement state
@@ -414,12 +432,17 @@ export default class Player extends Phaser.Events.EventEmitter {
     getBoostDirection(input) {
         let direction = { x: 0, y: 0 };
         
-        // Get direction from input
-        if (input.left) direction.x = -1;
-        else if (input.right) direction.x = 1;
-        
-        if (input.up) direction.y = -1;
-        else if (input.down) direction.y = 1;
+        // Get direction from input - a gamepad stick boosts at any angle
+        if (input.analog) {
+            direction.x = input.moveX;
+            direction.y = input.moveY;
+        } else {
+            if (input.left) direction.x = -1;
+            else if (input.right) direction.x = 1;
+            
+            if (input.up) direction.y = -1;
+            else if (input.down) direction.y = 1;
+        }
         
         // If no input direction, boost upward instead of using facing direction
         if (direction.x === 0 && direction.y === 0) {
@@ -486,7 +509,7 @@ export default class Player extends Phaser.Events.EventEmitter {
      * @param {number} delta - Time in ms since last update
      */
     updateBoost(delta) {
-        const now = Date.now();
+        const now = this.scene.time.now;
         
         // Handle boost cooldown expiration
         if (this.boostCooldown && now > this.boostCooldownTime) {
@@ -622,10 +645,10 @@ export default class Player extends Phaser.Events.EventEmitter {
         
         this.boostActive = false;
         this.boostCooldown = true;
-        this.boostCooldownTime = Date.now() + PLAYER.BOOST.COOLDOWN;
+        this.boostCooldownTime = this.scene.time.now + PLAYER.BOOST.COOLDOWN;
         
         // Store the time when boost was deactivated for post-boost momentum
-        this.lastBoostEndTime = Date.now();
+        this.lastBoostEndTime = this.scene.time.now;
         // Store the velocity at boost end for momentum calculation
         this.postBoostVelocity = {
             x: this.sprite.body.velocity.x,
@@ -749,7 +772,7 @@ export default class Player extends Phaser.Events.EventEmitter {
         this.health = Math.max(0, this.health);
         
         if (amount > 0.1) {
-            this.scene.cameras.main.shake(100, 0.01 * amount);
+            this.scene.gameSceneCamera?.shake(100, 0.01 * amount);
         }
         
         this.emit('healthChange', this.health, PLAYER.HEALTH.MAX);
@@ -792,9 +815,9 @@ export default class Player extends Phaser.Events.EventEmitter {
     }
 
     handleMovement(time, delta) {
-        if (!this.sprite || !this.scene.keys) return;
+        if (!this.sprite) return;
         
-        const keys = this.scene.keys;
+        const input = this.getInputState();
         const sprite = this.sprite;
         
         // Get current velocity for momentum calculations
@@ -805,20 +828,20 @@ export default class Player extends Phaser.Events.EventEmitter {
         let targetVelX = 0;
         let targetVelY = 0;
         
-        if (keys.left.isDown) {
+        if (input.left) {
             targetVelX = -this.moveSpeed;
             // Only update facing direction when actively pressing movement keys
             sprite.flipX = true;
         }
-        if (keys.right.isDown) {
+        if (input.right) {
             targetVelX = this.moveSpeed;
             // Only update facing direction when actively pressing movement keys
             sprite.flipX = false;
         }
-        if (keys.up.isDown) {
+        if (input.up) {
             targetVelY = -this.moveSpeed;
         }
-        if (keys.down.isDown) {
+        if (input.down) {
             targetVelY = this.moveSpeed;
         }
         
@@ -859,7 +882,7 @@ export default class Player extends Phaser.Events.EventEmitter {
     }
 
     updateTreadStamina(input) {
-        const now = Date.now();
+        const now = this.scene.time.now;
         const stamina = PLAYER.TREAD_WATER.STAMINA;
         
         if (input.up) {
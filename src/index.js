@@ -1,6 +1,9 @@
 import Phaser from 'phaser';
+import PhaserRaycaster from 'phaser-raycaster';
 import GameScene from './scenes/GameScene';
 import DebugMapScene from './scenes/DebugMapScene';
+import LevelSelectScene from './scenes/LevelSelectScene';
+import SettingsScene from './scenes/SettingsScene';
 import { GAME_WIDTH, GAME_HEIGHT, GAME_GRAVITY } from './utils/Constants';
 
 // Create game container if it doesn't exist
@@ -48,6 +51,9 @@ const config = {
     dom: {
         createContainer: true
     },
+    input: {
+        gamepad: true
+    },
     physics: {
         default: 'arcade',
         arcade: {
@@ -55,7 +61,14 @@ const config = {
             debug: false
         }
     },
-    scene: [DebugMapScene, GameScene]
+    plugins: {
+        // Line of sight for lights (see LightOcclusion)
+        scene: [
+            { key: 'PhaserRaycaster', plugin: PhaserRaycaster, mapping: 'raycasterPlugin' }
+        ]
+    },
+    // SettingsScene comes after GameScene so it draws over the paused game
+    scene: [LevelSelectScene, DebugMapScene, GameScene, SettingsScene]
 };
 
 // Create the game instance
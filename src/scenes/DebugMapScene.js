@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { getLevels } from '../utils/LevelManifest';
 
 export default class DebugMapScene extends Phaser.Scene {
     constructor() {
@@ -15,67 +16,51 @@ export default class DebugMapScene extends Phaser.Scene {
             fill: '#ffffff'
         }).setOrigin(0.5);
 
-        // Create level 1 button
-        const level1Button = this.add.rectangle(
-            this.cameras.main.centerX,
-            this.cameras.main.centerY - 50,
-            200,
-            50,
-            0x6666ff
-        ).setInteractive({ useHandCursor: true });
+        // One button per level in the manifest, stacked around the center
+        const levels = getLevels();
+        const spacing = 100;
+        const startY = this.cameras.main.centerY - ((levels.length - 1) * spacing) / 2;
 
-        this.add.text(
-            this.cameras.main.centerX,
-            this.cameras.main.centerY - 50,
-            'Level 1',
-            {
-                font: '24px Arial',
-                fill: '#ffffff'
-            }
-        ).setOrigin(0.5);
+        levels.forEach((level, index) => {
+            this.createLevelButton(level, this.cameras.main.centerX, startY + index * spacing);
+        });
+
+        // Back to the campaign level select
+        const backButton = this.add.text(this.cameras.main.centerX, this.cameras.main.height - 40, 'Back to Campaign', {
+            font: '18px Arial',
+            fill: '#8888ff'
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        backButton.on('pointerup', () => this.scene.start('LevelSelectScene'));
+    }
 
-        // Create level 2 button
-        const level2Button = this.add.rectangle(
-            this.cameras.main.centerX,
-            this.cameras.main.centerY + 50,
-            200,
-            50,
-            0x6666ff
-        ).setInteractive({ useHandCursor: true });
+    /**
+     * Create a button that starts a level
+     * @param {Object} level - Level entry from the manifest
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     */
+    createLevelButton(level, x, y) {
+        const button = this.add.rectangle(x, y, 200, 50, 0x6666ff)
+            .setInteractive({ useHandCursor: true });
 
-        this.add.text(
-            this.cameras.main.centerX,
-            this.cameras.main.centerY + 50,
-            'Level 2',
-            {
-                font: '24px Arial',
-                fill: '#ffffff'
-            }
-        ).setOrigin(0.5);
+        this.add.text(x, y, level.name, {
+            font: '24px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
 
         // Add hover effects
-        [level1Button, level2Button].forEach(button => {
-            button.on('pointerover', () => {
-                button.setFillStyle(0x8888ff);
-            });
-            button.on('pointerout', () => {
-                button.setFillStyle(0x6666ff);
-            });
-            button.on('pointerdown', () => {
-                button.setFillStyle(0x4444ff);
-            });
-            button.on('pointerup', () => {
-                button.setFillStyle(0x8888ff);
-            });
+        button.on('pointerover', () => {
+            button.setFillStyle(0x8888ff);
         });
-
-        // Add click handlers
-        level1Button.on('pointerup', () => {
-            this.scene.start('GameScene', { level: 'level1' });
+        button.on('pointerout', () => {
+            button.setFillStyle(0x6666ff);
         });
-
-        level2Button.on('pointerup', () => {
-            this.scene.start('GameScene', { level: 'level2' });
+        button.on('pointerdown', () => {
+            button.setFillStyle(0x4444ff);
+        });
+        button.on('pointerup', () => {
+            button.setFillStyle(0x8888ff);
+            this.scene.start('GameScene', { level: level.key });
         });
     }
-} 
\ No newline at end of file
+}
@@ -13,14 +13,12 @@ import {
     AUDIO 
 } from '../utils/Constants';
 
-// Import asset paths
-import level1Data from '../assets/maps/level1.json';
-import level2Data from '../assets/maps/level2.json';
+// Import asset paths (maps, tilesets and music come from the level manifest)
 import mapConfig from '../config/mapConfig.json';
-import underwaterBg from '../assets/underwater_bg.png';
-import blackAndBlueImg from '../assets/black_and_blue.png';  
-import rock2Img from '../assets/rock2.png';
-import rock3Img from '../assets/rock3.png';
+import enemyTypes from '../config/enemyTypes.json';
+import spawnDirector from '../config/spawnDirector.json';
+import loot from '../config/loot.json';
+import gamepad from '../config/gamepad.json';
 import diverImg from '../assets/diver2.png';
 import bubbleImg from '../assets/bubble.png';
 import bgBubble1Img from '../assets/bg_bubble1.png';
@@ -30,11 +28,8 @@ import bulletImg from '../assets/laser_sprites/03.png';
 import airPocket1Img from '../assets/air_pocket1.png';
 import airPocket2Img from '../assets/air_pocket2.png';
 import airPocket3Img from '../assets/air_pocket3.png';
-import bgMusic from '../assets/music/bg_music.mp3';
-import ambienceMusic from '../assets/music/ambience_underwater.wav';
 import heartImg from '../assets/heart.png';
 import badFishImg from '../assets/enemies/badFish01.png';
-import seaweedImg from '../assets/seaweed.png'; // Add seaweed tileset
 import flashlightCone1Img from '../assets/flashlight_cone1.png'; // Import custom flashlight mask
 import new_idle_swimImg from '../assets/new_idle_swim.png'; // Import new player spritesheet
 import batteryImg from '../assets/battery.png';
@@ -55,22 +50,37 @@ import AmbientBubbleSystem from '../systems/AmbientBubbleSystem.js';
 import Bullet from '../entities/Bullet.js';
 import BulletSystem from '../systems/BulletSystem.js';
 import EnemySystem from '../systems/EnemySystem';
+import NavigationSystem from '../systems/NavigationSystem';
+import SchoolSystem from '../systems/SchoolSystem';
+import BossSystem from '../systems/BossSystem';
+import EnemyProjectileSystem from '../systems/EnemyProjectileSystem';
+import LootSystem from '../systems/LootSystem';
+import LevelSystem from '../systems/LevelSystem';
+import CheckpointSystem from '../systems/CheckpointSystem';
+import SaveGameSystem from '../systems/SaveGameSystem';
+import ReplaySystem from '../systems/ReplaySystem';
+import RandomSystem from '../systems/RandomSystem';
+import SettingsSystem from '../systems/SettingsSystem';
 import MapConfigurationSystem from '../systems/MapConfigurationSystem';
 import EntityLayerSystem from '../systems/EntityLayerSystem';
 import AssetManagementSystem from '../systems/AssetManagementSystem';
 import UIManagementSystem from '../systems/UIManagementSystem';
 import TouchControlSystem from '../systems/TouchControlSystem';
+import InputManager from '../systems/InputManager';
 import { GameSceneUI } from './components/GameSceneUI';
 import { GameSceneCamera } from './components/GameSceneCamera';
 import BackgroundSystem from '../systems/BackgroundSystem';
 import LightingSystem from '../systems/LightingSystem';
+import BatterySystem from '../systems/BatterySystem';
+import FlareSystem from '../systems/FlareSystem';
 import GameStateManager from '../systems/GameStateManager';
+import { getFirstLevel, getLevel, loadLevelAssets } from '../utils/LevelManifest';
 
 export default class GameScene extends Phaser.Scene {
     constructor() {
         super({ key: 'GameScene' });
         this.initializeProperties();
-        this.currentLevel = 'level1'; // Default level
+        this.currentLevel = getFirstLevel().key; // Default level
         
         // Expose systems for UI
         this.OxygenMeterSystem = OxygenMeterSystem;
@@ -92,10 +102,21 @@ export default class GameScene extends Phaser.Scene {
         this.bulletSystem = null;
         this.healthSystem = null;
         this.enemySystem = null;
+        this.navigationSystem = null;
+        this.schoolSystem = null;
+        this.bossSystem = null;
+        this.enemyProjectileSystem = null;
+        this.lootSystem = null;
+        this.flareSystem = null;
+        this.levelSystem = null;
+        this.checkpointSystem = null;
+        this.saveGameSystem = null;
+        this.replaySystem = null;
         this.mapConfigSystem = null;
         this.entityLayerSystem = null;
         this.uiSystem = null;
         this.touchControlSystem = null;
+        this.inputManager = null;
         this.gameSceneUI = null;
         this.gameSceneCamera = null;
         this.backgroundSystem = null;
@@ -111,7 +132,6 @@ export default class GameScene extends Phaser.Scene {
         this.airPocketSpawnPoints = [];
         
         // Input state
-        this.cursors = null;
         this.touchData = { startX: 0, startY: 0, isMoving: false };
         this.touchControlsEnabled = true;
     }
@@ -121,6 +141,22 @@ export default class GameScene extends Phaser.Scene {
             this.currentLevel = data.level;
             console.log('Loading level:', this.currentLevel);
         }
+        // Save game to restore once the level is built (see SaveGameSystem.load)
+        this.pendingRestore = data?.restore || null;
+        
+        // Replay to play back, or whether to record one (see ReplaySystem)
+        this.pendingReplay = data?.replay || null;
+        this.recordReplay = !!data?.record;
+        
+        // A restart from the pause menu (loading another level's save) would
+        // otherwise start the level with the clock and animations still paused
+        this.time.paused = false;
+        this.anims.resumeAll();
+        
+        // Random streams for the run. Gameplay is seeded, so a replay can start
+        // again from the same seed
+        this.random = new RandomSystem(this.pendingReplay?.seed ?? data?.seed);
+        
         // Don't set world bounds here - we'll set them properly when the map loads
         // This was overriding the correct map dimensions
         if (this.physics.config.debug && this.physics.world.debugGraphic) {
@@ -136,21 +172,21 @@ export default class GameScene extends Phaser.Scene {
             // Add map configuration to cache
             this.cache.json.add('mapConfig', mapConfig);
             
-            // Load map and tilesets
-            this.load.tilemapTiledJSON('level1', level1Data);
-            this.load.tilemapTiledJSON('level2', level2Data);
+            // Add enemy type registry to cache
+            this.cache.json.add('enemyTypes', enemyTypes);
             
-            // CRITICAL: Also add the raw level data to the json cache for AirPocketSystem
-            if (!this.cache.json.has('level1')) {
-                this.cache.json.add('level1', level1Data);
-                console.log('Added level1 data to json cache for AirPocketSystem');
-            }
+            // Add spawn director tuning to cache
+            this.cache.json.add('spawnDirector', spawnDirector);
+            
+            // Add loot drop tables to cache
+            this.cache.json.add('loot', loot);
+            
+            // Add gamepad dead zone and button map to cache
+            this.cache.json.add('gamepad', gamepad);
+            
+            // Load every level's map, tilesets and music from the level manifest
+            loadLevelAssets(this);
             
-            this.load.image('underwater_bg', underwaterBg);
-            this.load.image('black_and_blue', blackAndBlueImg);
-            this.load.image('rock2', rock2Img);
-            this.load.image('rock3', rock3Img);
-            this.load.image('seaweed', seaweedImg);
             this.load.image('air_pocket1', airPocket1Img);
             this.load.image('air_pocket2', airPocket2Img);
             this.load.image('air_pocket3', airPocket3Img);
@@ -188,10 +224,6 @@ export default class GameScene extends Phaser.Scene {
             // Load custom flashlight mask image
             this.load.image('flashlight_cone1', flashlightCone1Img);
             
-            // Load audio
-            this.load.audio('music', bgMusic);
-            this.load.audio('ambience', ambienceMusic);
-
             // Initialize the asset system after loading
             this.assetSystem.loadAssets()
                 .catch(error => {
@@ -238,6 +270,12 @@ export default class GameScene extends Phaser.Scene {
                 this
             );
 
+            // Enemy projectiles hit the player and pop on obstacles
+            this.enemyProjectileSystem?.setupCollisions();
+
+            // Enemy drops are collected by swimming into them
+            this.lootSystem?.setupCollisions();
+
             // Set up collision between bullets and enemies
             if (this.bulletSystem) {
                 this.bulletSystem.setupCollision(
@@ -276,14 +314,25 @@ export default class GameScene extends Phaser.Scene {
                 this.lightingSystem?.handleResize();
             });
             
-            // Add flashlight key binding
-            this.input.keyboard.on('keydown-F', () => {
-                if (this.lightingSystem) {
-                    // Toggle flashlight with the custom mask
-                    this.lightingSystem.toggleFlashlight('flashlight_cone1');
-                }
+            // Apply the player's settings now and whenever they change
+            this.applySettings();
+            this.settings.on('change', this.applySettings, this);
+            this.events.once('shutdown', () => {
+                this.settings.off('change', this.applySettings, this);
+                this.events.off('gamepadConnected', this.updateTouchControlsVisibility, this);
+                this.events.off('gamepadDisconnected', this.updateTouchControlsVisibility, this);
+                this.replaySystem?.destroy();
+                this.inputManager?.destroy();
+                this.lightingSystem?.destroy();
+                this.batterySystem?.destroy();
             });
             
+            // Restore a save game loaded from another level
+            if (this.pendingRestore) {
+                this.saveGameSystem.restore(this.pendingRestore);
+                this.pendingRestore = null;
+            }
+            
             console.log('GameScene initialization complete');
         } catch (error) {
             console.error('Error in create:', error);
@@ -297,6 +346,9 @@ export default class GameScene extends Phaser.Scene {
             // Initialize camera system first
             this.gameSceneCamera = new GameSceneCamera(this);
             
+            // Keyboard actions from the player's key bindings, used by the systems below
+            this.inputManager = new InputManager(this);
+            
             // Setup core systems
             this.audioSystem = new AudioSystem(this);
             this.particleSystem = new ParticleSystem(this);
@@ -308,10 +360,33 @@ export default class GameScene extends Phaser.Scene {
             
             // Initialize game state manager
             this.gameStateManager = new GameStateManager(this);
+            this.gameStateManager.startLevel(this.currentLevel);
+            
+            // Replays start with the level, before anything random happens
+            this.replaySystem = new ReplaySystem(this);
+            if (this.pendingReplay) {
+                this.replaySystem.startPlayback(this.pendingReplay);
+            } else if (this.recordReplay) {
+                this.replaySystem.startRecording();
+            }
+            
+            // Track exits, secrets and stats for the results screen
+            this.levelSystem = new LevelSystem(this);
+            
+            // Checkpoints to respawn at after a game over
+            this.checkpointSystem = new CheckpointSystem(this);
+            
+            // Save slots for snapshots of the running level
+            this.saveGameSystem = new SaveGameSystem(this);
+            
+            // Player settings, applied to the systems once they all exist (see applySettings)
+            this.settings = SettingsSystem.get(this);
+            this.touchControlsEnabled = this.settings.getValue('touchControls');
             
             // Initialize audio system
             if (this.audioSystem) {
-                this.audioSystem.setupMusic('music', 'ambience');
+                const level = getLevel(this.currentLevel);
+                this.audioSystem.setupMusic(level?.music || 'music', level?.ambience || 'ambience');
             }
             
             // Initialize player system
@@ -321,17 +396,38 @@ export default class GameScene extends Phaser.Scene {
             this.airPocketSystem = new AirPocketSystem(this, this.player);
             this.airPocketSystem.setDebugVisualsEnabled(true);
             
+            // Initialize navigation grid for enemy pathfinding
+            this.navigationSystem = new NavigationSystem(this);
+            
             // Initialize enemy system
             console.log('Creating enemy system...');
             this.enemySystem = new EnemySystem(this);
             console.log('Enemy system created successfully');
             
+            // Initialize hostile projectile pool for ranged enemies
+            this.enemyProjectileSystem = new EnemyProjectileSystem(this);
+            
+            // Initialize loot drops (tables come from loot.json and the enemy types)
+            this.lootSystem = new LootSystem(this);
+            
+            // Initialize schooling fish (species come from the enemy type registry)
+            this.schoolSystem = new SchoolSystem(this);
+            
+            // Initialize boss encounters (arenas come from the Tiled map)
+            this.bossSystem = new BossSystem(this);
+            
+            // Initialize the flashlight's battery, which the lighting and HUD follow
+            this.batterySystem = new BatterySystem(this);
+            
             // Initialize lighting system
             this.lightingSystem = new LightingSystem(this);
             
             // Set the custom flashlight mask
             this.lightingSystem.setCustomFlashlightMask('flashlight_cone1');
             
+            // Initialize throwable flares, which light the water through the lighting system
+            this.flareSystem = new FlareSystem(this);
+            
             // Initialize animation system
             this.animationSystem = new AnimationSystem(this);
             
@@ -553,6 +649,44 @@ export default class GameScene extends Phaser.Scene {
                                 });
                             }
                         }
+                        
+                        // Hand enemy spawns from the 'Enemies' layer to the enemy system
+                        if (this.enemySystem) {
+                            const enemySpawns = this.entityLayerSystem.getEnemySpawns();
+                            console.log(`Loaded ${enemySpawns.length} enemy spawn points`);
+                            this.enemySystem.initSpawnPoints(enemySpawns);
+                            
+                            // The spawn director holds off inside safe zones
+                            this.enemySystem.director.setSafeZones(this.entityLayerSystem.getSafeZones());
+                        }
+                        
+                        // Fish schools from the 'Schools' layer
+                        if (this.schoolSystem) {
+                            this.schoolSystem.createSchools(this.entityLayerSystem.getSchoolSpawns());
+                        }
+                        
+                        // Boss arenas from the 'Arenas' layer
+                        if (this.bossSystem) {
+                            this.bossSystem.initArenas(this.entityLayerSystem.getArenas());
+                        }
+                        
+                        // Exits and secrets from the map
+                        if (this.levelSystem) {
+                            this.levelSystem.initObjectives(
+                                this.entityLayerSystem.getExits(),
+                                this.entityLayerSystem.getSecrets()
+                            );
+                        }
+                        
+                        // Checkpoints from the map
+                        if (this.checkpointSystem) {
+                            this.checkpointSystem.initCheckpoints(this.entityLayerSystem.getCheckpoints());
+                        }
+                        
+                        // Pickups placed on the 'Pickups' layer, such as flares
+                        if (this.lootSystem) {
+                            this.lootSystem.placePickups(this.entityLayerSystem.getPickups());
+                        }
                     } else {
                         // Fallback to old object processing if EntityLayerSystem is not available
                         console.warn('EntityLayerSystem not available, using legacy object processing');
@@ -859,42 +993,31 @@ export default class GameScene extends Phaser.Scene {
     }
 
     setupControls() {
-        this.setupKeyboardControls();
-        
         // Initialize touch control system
         this.touchControlSystem = new TouchControlSystem(this);
         this.touchControlSystem.initialize();
-        this.touchControlSystem.setVisible(this.touchControlsEnabled);
+        this.updateTouchControlsVisibility();
+        
+        // Touch controls make way for a gamepad while one is plugged in
+        this.events.on('gamepadConnected', this.updateTouchControlsVisibility, this);
+        this.events.on('gamepadDisconnected', this.updateTouchControlsVisibility, this);
 
-        // Add escape key for pause
-        this.input.keyboard.on('keydown-ESC', () => {
-            if (this.gameRunning) {
-                this.pause();
-            } else {
-                this.resume();
-            }
+        // The pause key is handled by the game state manager, which pauses the scene
+        
+        // Flashlight key: toggle the flashlight with the custom mask (the battery follows it)
+        this.inputManager.bindAction('flashlight', () => {
+            this.lightingSystem?.toggleFlashlight('flashlight_cone1');
         });
-    }
-
-    setupKeyboardControls() {
-        this.cursors = this.input.keyboard.createCursorKeys();
         
-        // Initialize both arrow and WASD controls in a single object
-        this.keys = {
-            up: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.W),
-            down: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.S),
-            left: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A),
-            right: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D),
-            boost: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE),
-            // Add arrow keys as alternative controls
-            upArrow: this.cursors.up,
-            downArrow: this.cursors.down,
-            leftArrow: this.cursors.left,
-            rightArrow: this.cursors.right
-        };
+        // Flare key: throw a flare along the diver's aim
+        this.inputManager.bindAction('flare', () => {
+            this.flareSystem?.throwFlare();
+        });
         
-        // For backward compatibility
-        this.wasdKeys = this.keys;
+        // Interact key, announced for anything in the level that can be used
+        this.inputManager.bindAction('interact', () => {
+            this.events.emit('playerInteract', this.player);
+        });
     }
 
     setupCollisions() {
@@ -927,6 +1050,12 @@ export default class GameScene extends Phaser.Scene {
                         );
                         console.log('Bullet-obstacle collisions set up');
                     }
+                    
+                    // Flares bounce off rock
+                    if (this.flareSystem) {
+                        this.physics.add.collider(this.flareSystem.flares, obstaclesLayer);
+                        console.log('Flare-obstacle collisions set up');
+                    }
                 }
             }
             
@@ -951,16 +1080,16 @@ export default class GameScene extends Phaser.Scene {
         if (!enemy.isAlive) return;
         
         // Update player health
-        const damage = 20;
+        const damage = enemy.contactDamage ?? 20;
         if (this.healthSystem) {
             this.healthSystem.takeDamage(damage);
         }
         
         // Add screen shake effect
-        this.cameras.main.shake(100, 0.01);
+        this.gameSceneCamera?.shake(100, 0.01);
         
         // Knockback effect on player
-        const knockbackForce = 200;
+        const knockbackForce = enemy.knockback ?? 200;
         const angle = Phaser.Math.Angle.Between(enemy.x, enemy.y, playerSprite.x, playerSprite.y);
         playerSprite.body.velocity.x += Math.cos(angle) * knockbackForce;
         playerSprite.body.velocity.y += Math.sin(angle) * knockbackForce;
@@ -975,7 +1104,13 @@ export default class GameScene extends Phaser.Scene {
     }
 
     update(time, delta) {
-        if (!this.gameRunning) return;
+        // Frames spent paused don't count while a replay is recorded or played back
+        if (!this.gameRunning || this.replaySystem?.frozen) return;
+        
+        // Touch input joins the keyboard in the input manager's state
+        this.touchData = this.touchControlSystem?.getInputState() || this.touchData;
+        this.inputManager?.updateTouchData(this.touchData);
+        const input = this.inputManager?.getInputState() || {};
         
         // Enhanced animation management: ensure animation is playing with proper settings
         if (this.player && this.player.sprite && this.anims.exists('idle_swim')) {
@@ -996,6 +1131,7 @@ export default class GameScene extends Phaser.Scene {
         this.gameSceneCamera?.update?.(time, delta);
         this.airPocketSystem?.update?.(time, delta);
         this.collisionSystem?.update?.(time, delta);
+        this.batterySystem?.update(time, delta);
         
         // Update visual and effect systems
         this.ambientBubbleSystem?.update?.(time, delta);
@@ -1009,34 +1145,34 @@ export default class GameScene extends Phaser.Scene {
 
         // Update enemy system last to ensure all other systems are updated first
         this.enemySystem?.update?.(time, delta);
+        this.navigationSystem?.update?.(time, delta);
+        this.schoolSystem?.update?.(time, delta);
+        this.bossSystem?.update?.(time, delta);
+        this.levelSystem?.update?.(time, delta);
+        this.checkpointSystem?.update?.(time, delta);
 
-        // Update touch input state
-        this.touchData = this.touchControlSystem?.getInputState() || this.touchData;
-
-        // Get the player's current direction based on keyboard input
+        // Get the player's current direction from the movement actions
         let playerRotation = null;
         
-        if (this.cursors) {
-            if (this.cursors.left.isDown) {
-                playerRotation = Math.PI; // Left = 180 degrees
-            } else if (this.cursors.right.isDown) {
-                playerRotation = 0; // Right = 0 degrees
-            } else if (this.cursors.up.isDown) {
-                playerRotation = -Math.PI/2; // Up = -90 degrees
-            } else if (this.cursors.down.isDown) {
-                playerRotation = Math.PI/2; // Down = 90 degrees
-            }
-            
-            // Handle diagonals
-            if (this.cursors.up.isDown && this.cursors.right.isDown) {
-                playerRotation = -Math.PI/4; // Up-Right = -45 degrees
-            } else if (this.cursors.up.isDown && this.cursors.left.isDown) {
-                playerRotation = -3*Math.PI/4; // Up-Left = -135 degrees
-            } else if (this.cursors.down.isDown && this.cursors.right.isDown) {
-                playerRotation = Math.PI/4; // Down-Right = 45 degrees
-            } else if (this.cursors.down.isDown && this.cursors.left.isDown) {
-                playerRotation = 3*Math.PI/4; // Down-Left = 135 degrees
-            }
+        if (input.left) {
+            playerRotation = Math.PI; // Left = 180 degrees
+        } else if (input.right) {
+            playerRotation = 0; // Right = 0 degrees
+        } else if (input.up) {
+            playerRotation = -Math.PI/2; // Up = -90 degrees
+        } else if (input.down) {
+            playerRotation = Math.PI/2; // Down = 90 degrees
+        }
+        
+        // Handle diagonals
+        if (input.up && input.right) {
+            playerRotation = -Math.PI/4; // Up-Right = -45 degrees
+        } else if (input.up && input.left) {
+            playerRotation = -3*Math.PI/4; // Up-Left = -135 degrees
+        } else if (input.down && input.right) {
+            playerRotation = Math.PI/4; // Down-Right = 45 degrees
+        } else if (input.down && input.left) {
+            playerRotation = 3*Math.PI/4; // Down-Left = 135 degrees
         }
         
         // Only update the player's rotation if we have a valid direction
@@ -1045,46 +1181,9 @@ export default class GameScene extends Phaser.Scene {
             this.player.rotation = playerRotation;
         }
         
-        // Check if player's sprite flipX needs to be updated based on movement
-        if (this.player && this.player.sprite) {
-            // If player is moving left
-            if (this.cursors.left.isDown || this.keys.left.isDown) {
-                // If player wasn't already facing left
-                if (!this.player.sprite.flipX) {
-                    // Update the player sprite and flashlight immediately
-                    this.player.sprite.flipX = true;
-                    
-                    // Make sure animation keeps playing
-                    if (this.anims.exists('idle_swim') && !this.player.sprite.anims.isPlaying) {
-                        this.player.sprite.anims.play('idle_swim', true);
-                    }
-                    
-                    // Update flashlight rotation if enabled
-                    if (this.lightingSystem && this.lightingSystem.flashlightEnabled) {
-                        this.lightingSystem.flashlightRotation = Math.PI; // left
-                        this.lightingSystem.updateFlashlightCone();
-                    }
-                }
-            }
-            // If player is moving right
-            else if (this.cursors.right.isDown || this.keys.right.isDown) {
-                // If player wasn't already facing right
-                if (this.player.sprite.flipX) {
-                    // Update the player sprite and flashlight immediately
-                    this.player.sprite.flipX = false;
-                    
-                    // Make sure animation keeps playing
-                    if (this.anims.exists('idle_swim') && !this.player.sprite.anims.isPlaying) {
-                        this.player.sprite.anims.play('idle_swim', true);
-                    }
-                    
-                    // Update flashlight rotation if enabled
-                    if (this.lightingSystem && this.lightingSystem.flashlightEnabled) {
-                        this.lightingSystem.flashlightRotation = 0; // right
-                        this.lightingSystem.updateFlashlightCone();
-                    }
-                }
-            }
+        // The flashlight points wherever the diver aims (Player.updateAim faces the sprite)
+        if (this.lightingSystem && this.player) {
+            this.lightingSystem.flashlightRotation = this.player.aimAngle;
         }
         
         // Update the lighting system
@@ -1158,6 +1257,14 @@ export default class GameScene extends Phaser.Scene {
                 { system: this.gameSceneUI, name: 'GameSceneUI' },
                 { system: this.particleSystem, name: 'ParticleSystem' },
                 { system: this.enemySystem, name: 'EnemySystem' },
+                { system: this.navigationSystem, name: 'NavigationSystem' },
+                { system: this.schoolSystem, name: 'SchoolSystem' },
+                { system: this.bossSystem, name: 'BossSystem' },
+                { system: this.enemyProjectileSystem, name: 'EnemyProjectileSystem' },
+                { system: this.lootSystem, name: 'LootSystem' },
+                { system: this.flareSystem, name: 'FlareSystem' },
+                { system: this.levelSystem, name: 'LevelSystem' },
+                { system: this.checkpointSystem, name: 'CheckpointSystem' },
                 { system: this.bulletSystem, name: 'BulletSystem' },
                 { system: this.audioSystem, name: 'AudioSystem' }
             ];
@@ -1248,6 +1355,61 @@ export default class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Push the player's settings to the running systems
+     */
+    applySettings() {
+        const values = this.settings.getAll();
+
+        this.audioSystem?.setVolumes({
+            master: values.masterVolume,
+            music: values.musicVolume,
+            ambience: values.ambienceVolume,
+            effects: values.sfxVolume
+        });
+        this.particleSystem?.setDensity(values.particleDensity);
+        this.ambientBubbleSystem?.setDensity(values.particleDensity);
+        this.gameSceneCamera?.setShakeStrength(values.screenShake);
+        this.inputManager?.setDeadZone(values.gamepadDeadZone);
+        this.inputManager?.setAimMode(values.aimMode);
+        this.touchControlSystem?.setLayoutScale(values.touchScale);
+
+        if (values.touchControls !== this.touchControlsEnabled) {
+            this.setTouchControlsEnabled(values.touchControls);
+        }
+    }
+
+    /**
+     * Show or hide the touch controls and release anything they were holding
+     * @param {boolean} enabled - Whether touch controls are on
+     */
+    setTouchControlsEnabled(enabled) {
+        this.touchControlsEnabled = enabled;
+        this.updateTouchControlsVisibility();
+        this.gameSceneUI?.debugText?.setText(`Touch: ${enabled ? 'ON' : 'OFF'}`);
+
+        if (!enabled) {
+            this.touchData = {
+                isMoving: false,
+                startX: 0,
+                startY: 0,
+                left: false,
+                right: false,
+                up: false,
+                down: false,
+                boost: false
+            };
+        }
+    }
+
+    /**
+     * Show the touch controls when they are switched on and no gamepad is connected
+     */
+    updateTouchControlsVisibility() {
+        const visible = this.touchControlsEnabled && !this.inputManager?.hasGamepad();
+        this.touchControlSystem?.setVisible(visible);
+    }
+
     getInputState() {
         // Only process touch input if enabled
         if (!this.touchControlsEnabled) {
@@ -0,0 +1,163 @@
+import Phaser from 'phaser';
+import CampaignSystem from '../systems/CampaignSystem';
+import ReplaySystem from '../systems/ReplaySystem';
+import { getLevels } from '../utils/LevelManifest';
+import { formatTime, formatStars } from '../utils/Format';
+
+/**
+ * Campaign level select. Shows every level from the manifest with its lock
+ * state, stars and records from the saved campaign.
+ */
+export default class LevelSelectScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'LevelSelectScene' });
+        this.menu = null;
+    }
+
+    create() {
+        this.cameras.main.setBackgroundColor('#000033');
+        this.campaign = CampaignSystem.get(this);
+
+        this.buildMenu();
+
+        this.scale.on('resize', this.buildMenu, this);
+        this.events.once('shutdown', () => {
+            this.scale.off('resize', this.buildMenu, this);
+        });
+    }
+
+    /**
+     * (Re)build the menu for the current screen size
+     */
+    buildMenu() {
+        this.menu?.destroy();
+        this.menu = this.add.container(0, 0);
+
+        const centerX = this.cameras.main.width / 2;
+
+        this.menu.add(this.add.text(centerX, 70, 'Select Level', {
+            font: 'bold 32px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5));
+
+        this.menu.add(this.add.text(centerX, 110, `Total stars: ${this.campaign.getTotalStars()}`, {
+            font: '20px Arial',
+            fill: '#ffd700'
+        }).setOrigin(0.5));
+
+        getLevels().forEach((level, index) => {
+            this.createLevelCard(level, centerX, 190 + index * 110);
+        });
+
+        const settingsButton = this.add.text(centerX - 80, this.cameras.main.height - 40, 'Settings', {
+            font: '18px Arial',
+            fill: '#8888ff'
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        settingsButton.on('pointerup', () => this.scene.start('SettingsScene', { returnTo: 'LevelSelectScene' }));
+        this.menu.add(settingsButton);
+
+        // Debug map selection skips the campaign locks
+        const debugButton = this.add.text(centerX + 80, this.cameras.main.height - 40, 'Debug Maps', {
+            font: '18px Arial',
+            fill: '#8888ff'
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        debugButton.on('pointerup', () => this.scene.start('DebugMapScene'));
+        this.menu.add(debugButton);
+
+        this.createReplayLinks(centerX, this.cameras.main.height - 75);
+    }
+
+    /**
+     * Links to watch or export the last replay recorded, or watch one from a file
+     * @param {number} centerX - Center x
+     * @param {number} y - Center y
+     */
+    createReplayLinks(centerX, y) {
+        const lastReplay = ReplaySystem.loadLast();
+        const links = [
+            { label: 'Watch Last Replay', enabled: !!lastReplay, onClick: () => this.watchReplay(lastReplay) },
+            { label: 'Export Last Replay', enabled: !!lastReplay, onClick: () => ReplaySystem.exportReplay(lastReplay) },
+            {
+                label: 'Watch Replay File',
+                enabled: true,
+                onClick: () => ReplaySystem.promptImport().then(replay => {
+                    if (replay) {
+                        this.watchReplay(replay);
+                    }
+                })
+            }
+        ];
+
+        links.forEach(({ label, enabled, onClick }, index) => {
+            const link = this.add.text(centerX + (index - 1) * 190, y, label, {
+                font: '18px Arial',
+                fill: enabled ? '#8888ff' : '#555577'
+            }).setOrigin(0.5);
+            if (enabled) {
+                link.setInteractive({ useHandCursor: true });
+                link.on('pointerup', onClick);
+            }
+            this.menu.add(link);
+        });
+    }
+
+    /**
+     * Play a replay back on its level
+     * @param {Object} replay - Replay document
+     */
+    watchReplay(replay) {
+        this.scene.start('GameScene', { level: replay.level, replay });
+    }
+
+    /**
+     * Create the card for one level
+     * @param {Object} level - Level entry from the manifest
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     */
+    createLevelCard(level, x, y) {
+        const unlocked = this.campaign.isUnlocked(level.key);
+        const record = this.campaign.getRecord(level.key);
+        const width = 480;
+        const left = x - width / 2 + 20;
+
+        const card = this.add.rectangle(x, y, width, 90, unlocked ? 0x6666ff : 0x333344);
+
+        const name = this.add.text(left, y - 22, level.name, {
+            font: 'bold 24px Arial',
+            fill: unlocked ? '#ffffff' : '#888888'
+        }).setOrigin(0, 0.5);
+
+        let details;
+        if (!unlocked) {
+            details = `LOCKED - ${this.campaign.describeUnlock(level.key)}`;
+        } else if (record.completed) {
+            const secretsTotal = this.campaign.getSecretTotal(level.key);
+            details = `Best time ${formatTime(record.bestTime)}   Best score ${record.bestScore}   Secrets ${record.secrets.length}/${secretsTotal}`;
+        } else {
+            details = 'Not completed yet';
+        }
+
+        const info = this.add.text(left, y + 18, details, {
+            font: '16px Arial',
+            fill: unlocked ? '#ccccff' : '#888888'
+        }).setOrigin(0, 0.5);
+
+        const stars = this.add.text(x + width / 2 - 20, y - 22, formatStars(record.stars), {
+            font: '26px Arial',
+            fill: '#ffd700'
+        }).setOrigin(1, 0.5);
+
+        this.menu.add([card, name, info, stars]);
+
+        if (!unlocked) return;
+
+        card.setInteractive({ useHandCursor: true });
+        card.on('pointerover', () => card.setFillStyle(0x8888ff));
+        card.on('pointerout', () => card.setFillStyle(0x6666ff));
+        card.on('pointerdown', () => card.setFillStyle(0x4444ff));
+        card.on('pointerup', () => {
+            this.scene.start('GameScene', { level: level.key });
+        });
+    }
+}
@@ -1,14 +1,12 @@
 import Phaser from 'phaser';
 import AssetManagementSystem from '../systems/AssetManagementSystem';
+import { loadLevelAssets } from '../utils/LevelManifest';
 
-// Import asset paths directly
-import level1Data from '../assets/maps/level1.json';
-import level2Data from '../assets/maps/level2.json';
+// Import asset paths directly (maps, tilesets and music come from the level manifest)
 import mapConfig from '../config/mapConfig.json';
-import underwaterBg from '../assets/underwater_bg.png';
-import blackAndBlueImg from '../assets/black_and_blue.png';  
-import rock2Img from '../assets/rock2.png';
-import rock3Img from '../assets/rock3.png';
+import enemyTypes from '../config/enemyTypes.json';
+import spawnDirector from '../config/spawnDirector.json';
+import loot from '../config/loot.json';
 import diverImg from '../assets/diver2.png';
 import bubbleImg from '../assets/bubble.png';
 import bgBubble1Img from '../assets/bg_bubble1.png';
@@ -19,11 +17,8 @@ import laserSprite09 from '../assets/laser_sprites/09.png';
 import airPocket1Img from '../assets/air_pocket1.png';
 import airPocket2Img from '../assets/air_pocket2.png';
 import airPocket3Img from '../assets/air_pocket3.png';
-import bgMusic from '../assets/music/bg_music.mp3';
-import ambienceMusic from '../assets/music/ambience_underwater.wav';
 import heartImg from '../assets/heart.png';
 import badFishImg from '../assets/enemies/badFish01.png';
-import seaweedImg from '../assets/seaweed.png';
 import flashlightCone1Img from '../assets/flashlight_cone1.png';
 import new_idle_swimImg from '../assets/new_idle_swim.png';
 import batteryImg from '../assets/battery.png';
@@ -69,17 +64,22 @@ export default class LoadingScene extends Phaser.Scene {
             // Add map configuration to cache
             this.cache.json.add('mapConfig', mapConfig);
             
-            // Load map and tilesets
-            this.load.tilemapTiledJSON('level1', level1Data);
-            this.load.tilemapTiledJSON('level2', level2Data);
-            this.load.image('underwater_bg', underwaterBg);
-            this.load.image('black_and_blue', blackAndBlueImg);
+            // Add enemy type registry to cache
+            this.cache.json.add('enemyTypes', enemyTypes);
+            
+            // Add spawn director tuning to cache
+            this.cache.json.add('spawnDirector', spawnDirector);
+            
+            // Add loot drop tables to cache
+            this.cache.json.add('loot', loot);
+            
+            // Load every level's map, tilesets and music from the level manifest
+            loadLevelAssets(this);
+            
+            // Normal maps for the tilesets
             this.load.image('black_and_blue_n', black_and_blue_nImg);
-            this.load.image('rock2', rock2Img);
             this.load.image('rock2_n', rock2_nImg);
-            this.load.image('rock3', rock3Img);
             this.load.image('rock3_n', rock3_nImg);
-            this.load.image('seaweed', seaweedImg);
             this.load.image('air_pocket1', airPocket1Img);
             this.load.image('air_pocket2', airPocket2Img);
             this.load.image('air_pocket3', airPocket3Img);
@@ -111,10 +111,6 @@ export default class LoadingScene extends Phaser.Scene {
             // Load custom flashlight mask image
             this.load.image('flashlight_cone1', flashlightCone1Img);
             
-            // Load audio
-            this.load.audio('music', bgMusic);
-            this.load.audio('ambience', ambienceMusic);
-            
             // Use AssetManagementSystem to track loaded assets
             this.assetSystem.loadAssets();
             
@@ -168,9 +164,8 @@ export default class LoadingScene extends Phaser.Scene {
             // Small animation before transitioning
             this.cameras.main.fadeOut(500);
             this.cameras.main.once('camerafadeoutcomplete', () => {
-                // Start the level selection scene (DebugMapScene) 
-                // This preserves the original flow where users select a level first
-                this.scene.start('DebugMapScene');
+                // Start the campaign level select so users pick a level first
+                this.scene.start('LevelSelectScene');
             });
         });
     }
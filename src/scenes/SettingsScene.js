@@ -0,0 +1,304 @@
+import Phaser from 'phaser';
+import SettingsSystem, { SETTINGS } from '../systems/SettingsSystem';
+import KeyBindingSystem, { ACTIONS, KEYS_PER_ACTION } from '../systems/KeyBindingSystem';
+
+/**
+ * Settings menu. Opened from the level select screen, or launched over the
+ * paused game from the pause menu. Every change is saved and applied as soon
+ * as it is made.
+ *
+ * The Controls page rebinds the keys of each action: click a key, then press
+ * the new one. ESC cancels and Backspace clears the key.
+ */
+export default class SettingsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'SettingsScene' });
+        this.menu = null;
+        this.page = 'settings';
+        // Action and slot waiting for a key press, or null
+        this.listening = null;
+        this.statusMessage = '';
+        this.statusColor = '#ffd700';
+    }
+
+    /**
+     * @param {Object} data
+     * @param {string|null} data.returnTo - Scene to start when closing, or null when launched over the game
+     */
+    init(data) {
+        this.returnTo = data?.returnTo || null;
+        this.page = 'settings';
+        this.listening = null;
+        this.statusMessage = '';
+    }
+
+    create() {
+        this.settings = SettingsSystem.get(this);
+        this.keyBindings = KeyBindingSystem.get(this);
+
+        this.buildMenu();
+
+        this.input.keyboard.on('keydown', this.handleKeyCapture, this);
+        this.input.keyboard.on('keydown-ESC', this.handleEscape, this);
+        this.settings.on('change', this.buildMenu, this);
+        this.keyBindings.on('change', this.buildMenu, this);
+        this.scale.on('resize', this.buildMenu, this);
+        this.events.once('shutdown', () => {
+            this.settings.off('change', this.buildMenu, this);
+            this.keyBindings.off('change', this.buildMenu, this);
+            this.scale.off('resize', this.buildMenu, this);
+        });
+    }
+
+    /**
+     * (Re)build the menu for the current values and screen size
+     */
+    buildMenu() {
+        this.menu?.destroy();
+        this.menu = this.add.container(0, 0);
+
+        const camera = this.cameras.main;
+        const centerX = camera.width / 2;
+        const rows = this.page === 'controls' ? ACTIONS.length : SETTINGS.length;
+        // Rows close up on short screens so the buttons stay on screen
+        const rowSpacing = Math.min(44, Math.floor((camera.height - 180) / rows));
+        const top = Math.max(60, camera.height / 2 - (rows * rowSpacing) / 2 - 60);
+
+        // Over the game the background dims it and swallows clicks meant for the pause menu
+        const bg = this.add.rectangle(0, 0, camera.width, camera.height, 0x000033, this.returnTo ? 1 : 0.9)
+            .setOrigin(0, 0)
+            .setInteractive();
+
+        const title = this.add.text(centerX, top, this.page === 'controls' ? 'Controls' : 'Settings', {
+            font: 'bold 32px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+
+        this.menu.add([bg, title]);
+
+        if (this.page === 'controls') {
+            ACTIONS.forEach((definition, index) => {
+                this.createBindingRow(definition, centerX, top + 60 + index * rowSpacing);
+            });
+
+            const status = this.add.text(centerX, top + 50 + rows * rowSpacing, this.statusMessage, {
+                font: '18px Arial',
+                fill: this.statusColor
+            }).setOrigin(0.5);
+            this.menu.add(status);
+        } else {
+            SETTINGS.forEach((setting, index) => {
+                this.createSettingRow(setting, centerX, top + 60 + index * rowSpacing);
+            });
+        }
+
+        const buttonsY = top + 100 + rows * rowSpacing;
+        this.createButton(centerX - 200, buttonsY, 'Reset', () => this.resetPage());
+        this.createButton(centerX, buttonsY, this.page === 'controls' ? 'Settings' : 'Controls', () => {
+            this.showPage(this.page === 'controls' ? 'settings' : 'controls');
+        });
+        this.createButton(centerX + 200, buttonsY, 'Back', () => this.close());
+    }
+
+    /**
+     * @param {string} page - 'settings' or 'controls'
+     */
+    showPage(page) {
+        this.page = page;
+        this.listening = null;
+        this.statusMessage = '';
+        this.buildMenu();
+    }
+
+    /**
+     * Put the settings or the key bindings, whichever page is showing, back to their defaults
+     */
+    resetPage() {
+        if (this.page === 'controls') {
+            this.listening = null;
+            this.setStatus('Controls reset to their defaults');
+            this.keyBindings.reset();
+        } else {
+            this.settings.reset();
+        }
+    }
+
+    /**
+     * One row: the setting's name and its value between previous/next arrows
+     * @param {Object} setting - Definition from SETTINGS
+     * @param {number} centerX - Row center x
+     * @param {number} y - Row center y
+     */
+    createSettingRow(setting, centerX, y) {
+        const label = this.add.text(centerX - 40, y, setting.label, {
+            font: '20px Arial',
+            fill: '#ccccff'
+        }).setOrigin(1, 0.5);
+
+        const value = this.add.text(centerX + 110, y, this.settings.describe(setting.key), {
+            font: 'bold 20px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+
+        this.menu.add([label, value]);
+
+        this.createArrow(centerX + 20, y, '<', () => this.settings.cycle(setting.key, -1));
+        this.createArrow(centerX + 200, y, '>', () => this.settings.cycle(setting.key, 1));
+    }
+
+    /**
+     * One row: the action's name and a button per key slot
+     * @param {Object} definition - Action from ACTIONS
+     * @param {number} centerX - Row center x
+     * @param {number} y - Row center y
+     */
+    createBindingRow(definition, centerX, y) {
+        const label = this.add.text(centerX - 60, y, definition.label, {
+            font: '20px Arial',
+            fill: '#ccccff'
+        }).setOrigin(1, 0.5);
+        this.menu.add(label);
+
+        const keys = this.keyBindings.getAll()[definition.action];
+        for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+            const waiting = this.listening?.action === definition.action && this.listening.slot === slot;
+            const text = waiting ? '...' : KeyBindingSystem.describeKey(keys[slot]);
+            this.createKeyButton(centerX + 20 + slot * 150, y, text, waiting, () => {
+                this.listening = { action: definition.action, slot };
+                this.setStatus(`Press a key for ${definition.label} (ESC cancels, Backspace clears)`);
+            });
+        }
+    }
+
+    /**
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} label - Key name
+     * @param {boolean} waiting - Whether this slot is waiting for a key press
+     * @param {Function} onClick - Called when the button is released
+     */
+    createKeyButton(x, y, label, waiting, onClick) {
+        const color = waiting ? 0xffaa00 : 0x333366;
+        const button = this.add.rectangle(x + 60, y, 130, 34, color)
+            .setInteractive({ useHandCursor: true });
+
+        const text = this.add.text(x + 60, y, label, {
+            font: '18px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+
+        button.on('pointerover', () => button.setFillStyle(waiting ? color : 0x555599));
+        button.on('pointerout', () => button.setFillStyle(color));
+        button.on('pointerup', onClick);
+        this.menu.add([button, text]);
+    }
+
+    /**
+     * Bind the key pressed while a slot is waiting for one
+     * @param {KeyboardEvent} event - The key press
+     */
+    handleKeyCapture(event) {
+        if (!this.listening) return;
+
+        const key = KeyBindingSystem.getKeyName(event.keyCode);
+        // ESC is handled by handleEscape, which cancels
+        if (key === 'ESC') return;
+
+        const { action, slot } = this.listening;
+        const label = this.keyBindings.getDefinition(action).label;
+        this.listening = null;
+
+        if (key === 'BACKSPACE') {
+            this.setStatus(`Cleared a key for ${label}`);
+            this.keyBindings.clearKey(action, slot);
+            return;
+        }
+
+        if (!key) {
+            this.setStatus('That key can\'t be bound', '#ff6666');
+            return;
+        }
+
+        const { bound, conflict } = this.keyBindings.setKey(action, slot, key);
+        if (bound) {
+            this.setStatus(`${label} bound to ${KeyBindingSystem.describeKey(key)}`);
+        } else if (conflict) {
+            const owner = this.keyBindings.getDefinition(conflict).label;
+            this.setStatus(`${KeyBindingSystem.describeKey(key)} is already used by ${owner}`, '#ff6666');
+        }
+    }
+
+    /**
+     * ESC cancels a key being rebound, otherwise closes the menu
+     */
+    handleEscape() {
+        if (this.listening) {
+            this.listening = null;
+            this.setStatus('');
+            return;
+        }
+        this.close();
+    }
+
+    /**
+     * @param {string} message - Message shown under the controls
+     * @param {string} color - Text color
+     */
+    setStatus(message, color = '#ffd700') {
+        this.statusMessage = message;
+        this.statusColor = color;
+        this.buildMenu();
+    }
+
+    /**
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} symbol - Arrow text
+     * @param {Function} onClick - Called when the arrow is released
+     */
+    createArrow(x, y, symbol, onClick) {
+        const arrow = this.add.text(x, y, symbol, {
+            font: 'bold 24px Arial',
+            fill: '#8888ff',
+            padding: { x: 10, y: 2 }
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+        arrow.on('pointerover', () => arrow.setColor('#ffffff'));
+        arrow.on('pointerout', () => arrow.setColor('#8888ff'));
+        arrow.on('pointerup', onClick);
+        this.menu.add(arrow);
+    }
+
+    /**
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} label - Button label
+     * @param {Function} onClick - Called when the button is released
+     */
+    createButton(x, y, label, onClick) {
+        const button = this.add.rectangle(x, y, 180, 50, 0x6666ff)
+            .setInteractive({ useHandCursor: true });
+
+        const text = this.add.text(x, y, label, {
+            font: '24px Arial',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+
+        button.on('pointerover', () => button.setFillStyle(0x8888ff));
+        button.on('pointerout', () => button.setFillStyle(0x6666ff));
+        button.on('pointerdown', () => button.setFillStyle(0x4444ff));
+        button.on('pointerup', onClick);
+        this.menu.add([button, text]);
+    }
+
+    /**
+     * Leave the menu, back to the screen it was opened from
+     */
+    close() {
+        if (this.returnTo) {
+            this.scene.start(this.returnTo);
+        } else {
+            this.scene.stop();
+        }
+    }
+}
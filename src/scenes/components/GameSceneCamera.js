@@ -8,7 +8,10 @@ export class GameSceneCamera {
         this.scene = scene;
         this.camera = scene.cameras.main;
         this.originalBounds = null;
+        this.lockedBounds = null;
         this.updateListener = null;
+        // Screen shake setting, from 0 (off) to 1 (full)
+        this.shakeStrength = 1;
     }
 
     /**
@@ -80,6 +83,9 @@ export class GameSceneCamera {
         this.updateListener = () => {
             if (!this.scene.player?.sprite || !this.camera || !this.originalBounds) return;
             
+            // Arena locks take priority over the map bounds
+            const bounds = this.lockedBounds || this.originalBounds;
+            
             // Calculate the camera's view rectangle
             const halfWidth = this.camera.width * 0.5;
             const halfHeight = this.camera.height * 0.5;
@@ -88,13 +94,19 @@ export class GameSceneCamera {
             let cameraX = this.scene.player.sprite.x - halfWidth;
             let cameraY = this.scene.player.sprite.y - halfHeight;
             
+            // Same clamping Phaser applies (bounds smaller than the view pin to the top-left)
+            const minX = bounds.x;
+            const minY = bounds.y;
+            const maxX = bounds.x + Math.max(0, bounds.width - this.camera.width);
+            const maxY = bounds.y + Math.max(0, bounds.height - this.camera.height);
+            
             // Clamp camera position to world bounds
-            cameraX = Phaser.Math.Clamp(cameraX, 0, this.originalBounds.width - this.camera.width);
-            cameraY = Phaser.Math.Clamp(cameraY, 0, this.originalBounds.height - this.camera.height);
+            cameraX = Phaser.Math.Clamp(cameraX, minX, maxX);
+            cameraY = Phaser.Math.Clamp(cameraY, minY, maxY);
             
             // Set camera position directly if it would go out of bounds
-            if (cameraX <= 0 || cameraX >= this.originalBounds.width - this.camera.width ||
-                cameraY <= 0 || cameraY >= this.originalBounds.height - this.camera.height) {
+            if (cameraX <= minX || cameraX >= maxX ||
+                cameraY <= minY || cameraY >= maxY) {
                 this.camera.setScroll(cameraX, cameraY);
             }
         };
@@ -103,17 +115,60 @@ export class GameSceneCamera {
         this.scene.events.on('update', this.updateListener);
     }
 
+    /**
+     * Restrict the camera to an area (e.g. a boss arena) until unlockBounds() is called
+     * @param {number} x - Left edge in world coordinates
+     * @param {number} y - Top edge in world coordinates
+     * @param {number} width - Width of the area
+     * @param {number} height - Height of the area
+     */
+    lockBounds(x, y, width, height) {
+        if (!this.camera) return;
+        
+        console.log('Locking camera bounds:', { x, y, width, height });
+        this.lockedBounds = { x, y, width, height };
+        this.camera.setBounds(x, y, width, height);
+    }
+
+    /**
+     * Restore the map bounds after lockBounds()
+     */
+    unlockBounds() {
+        if (!this.camera || !this.lockedBounds) return;
+        
+        console.log('Unlocking camera bounds');
+        this.lockedBounds = null;
+        const bounds = this.originalBounds;
+        if (bounds) {
+            this.camera.setBounds(bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether an arena currently locks the camera
+     */
+    isLocked() {
+        return !!this.lockedBounds;
+    }
+
     /**
      * Apply camera shake effect
      * @param {number} duration - Duration of shake effect in ms
      * @param {number} intensity - Intensity of shake effect
      */
     shake(duration = CAMERA.SHAKE.DURATION, intensity = CAMERA.SHAKE.INTENSITY) {
-        if (this.camera) {
-            this.camera.shake(duration, intensity);
+        if (this.camera && this.shakeStrength > 0) {
+            this.camera.shake(duration, intensity * this.shakeStrength);
         }
     }
 
+    /**
+     * @param {number} strength - Screen shake setting, from 0 (off) to 1 (full)
+     */
+    setShakeStrength(strength) {
+        this.shakeStrength = strength;
+    }
+
     /**
      * Update camera viewport on resize
      */
@@ -121,6 +176,12 @@ export class GameSceneCamera {
         if (this.originalBounds) {
             this.setupCameraBounds();
         }
+        
+        // Keep an active arena lock in place
+        if (this.lockedBounds) {
+            const { x, y, width, height } = this.lockedBounds;
+            this.camera.setBounds(x, y, width, height);
+        }
     }
 
     /**
@@ -1,5 +1,6 @@
 import { OXYGEN } from '../../utils/Constants';
 import BatteryMeter from '../../ui/BatteryMeter';
+import SettingsSystem from '../../systems/SettingsSystem';
 
 /**
  * Handles UI components and their management for GameScene
@@ -11,6 +12,19 @@ export class GameSceneUI {
         this.debugText = null;
         this.uiElements = new Map();
         this.batteryMeter = null;
+        this.scoreText = null;
+        this.flareText = null;
+        this.replayText = null;
+        
+        this.handleScoreChanged = this.handleScoreChanged.bind(this);
+        this.handleFlaresChanged = this.handleFlaresChanged.bind(this);
+        this.handleFlareEmpty = this.handleFlareEmpty.bind(this);
+        this.handlePickupCollected = this.handlePickupCollected.bind(this);
+        this.handleSecretFound = this.handleSecretFound.bind(this);
+        this.handleCheckpointReached = this.handleCheckpointReached.bind(this);
+        this.updateReplayText = this.updateReplayText.bind(this);
+        this.handleReplayRecorded = this.handleReplayRecorded.bind(this);
+        this.handleReplayFinished = this.handleReplayFinished.bind(this);
         
         // Store references to required systems
         this.OxygenMeterSystem = scene.OxygenMeterSystem || scene.scene.systems.OxygenMeterSystem;
@@ -55,6 +69,55 @@ export class GameSceneUI {
             this.batteryMeter = new BatteryMeter(this.scene);
             this.uiElements.set('batteryMeter', this.batteryMeter);
             
+            // Score counter below the debug button
+            this.scoreText = this.scene.add.text(
+                this.scene.cameras.main.width - 20,
+                80,
+                `Score: ${this.scene.gameStateManager?.score ?? 0}`,
+                {
+                    fontFamily: 'Verdana',
+                    fontSize: '18px',
+                    color: '#ffd700',
+                    stroke: '#000000',
+                    strokeThickness: 4
+                }
+            ).setOrigin(1, 0);
+            this.scoreText.setScrollFactor(0);
+            this.scoreText.setDepth(1000);
+            
+            // Flares carried, below the score
+            this.flareText = this.scene.add.text(
+                this.scene.cameras.main.width - 20,
+                108,
+                `Flares: ${this.scene.flareSystem?.count ?? 0}`,
+                {
+                    fontFamily: 'Verdana',
+                    fontSize: '18px',
+                    color: '#ff7755',
+                    stroke: '#000000',
+                    strokeThickness: 4
+                }
+            ).setOrigin(1, 0);
+            this.flareText.setScrollFactor(0);
+            this.flareText.setDepth(1000);
+            
+            // Replay indicator below the flares
+            this.replayText = this.scene.add.text(
+                this.scene.cameras.main.width - 20,
+                136,
+                '',
+                {
+                    fontFamily: 'Verdana',
+                    fontSize: '16px',
+                    fontStyle: 'bold',
+                    stroke: '#000000',
+                    strokeThickness: 4
+                }
+            ).setOrigin(1, 0);
+            this.replayText.setScrollFactor(0);
+            this.replayText.setDepth(1000);
+            this.updateReplayText();
+            
             // Add debug button in top-right corner with better visibility
             this.debugButton = this.scene.add.rectangle(
                 this.scene.cameras.main.width - 80,
@@ -84,39 +147,8 @@ export class GameSceneUI {
             
             // Toggle touch controls when clicked
             this.debugButton.on('pointerdown', () => {
-                // Toggle the state
-                this.scene.touchControlsEnabled = !this.scene.touchControlsEnabled;
-                
-                // Update the text
-                this.debugText.setText(`Touch: ${this.scene.touchControlsEnabled ? 'ON' : 'OFF'}`);
-                
-                // Update touch control system visibility
-                if (this.scene.touchControlSystem) {
-                    this.scene.touchControlSystem.setVisible(this.scene.touchControlsEnabled);
-                    
-                    // Reset touch input state when disabled
-                    if (!this.scene.touchControlsEnabled) {
-                        this.scene.touchData = {
-                            isMoving: false,
-                            startX: 0,
-                            startY: 0,
-                            left: false,
-                            right: false,
-                            up: false,
-                            down: false,
-                            boost: false
-                        };
-                        
-                        // Reset any active key states
-                        if (this.scene.keys) {
-                            this.scene.keys.left.isDown = false;
-                            this.scene.keys.right.isDown = false;
-                            this.scene.keys.up.isDown = false;
-                            this.scene.keys.down.isDown = false;
-                            this.scene.keys.boost.isDown = false;
-                        }
-                    }
-                }
+                // Goes through the settings so the choice is saved and applied like the settings menu's
+                SettingsSystem.get(this.scene).setValue('touchControls', !this.scene.touchControlsEnabled);
                 
                 // Visual feedback for button press
                 this.scene.tweens.add({
@@ -134,6 +166,20 @@ export class GameSceneUI {
                 }
             });
 
+            // React to loot pickups
+            this.scene.events.on('scoreChanged', this.handleScoreChanged);
+            this.scene.events.on('flaresChanged', this.handleFlaresChanged);
+            this.scene.events.on('flareEmpty', this.handleFlareEmpty);
+            this.scene.events.on('pickupCollected', this.handlePickupCollected);
+            this.scene.events.on('secretFound', this.handleSecretFound);
+            this.scene.events.on('checkpointReached', this.handleCheckpointReached);
+            
+            // Show whether a replay is being recorded or played back
+            this.scene.events.on('replayStarted', this.updateReplayText);
+            this.scene.events.on('replayStopped', this.updateReplayText);
+            this.scene.events.on('replayRecorded', this.handleReplayRecorded);
+            this.scene.events.on('replayFinished', this.handleReplayFinished);
+
             console.log('UI initialization complete');
         } catch (error) {
             console.error('Error creating UI:', error);
@@ -158,6 +204,158 @@ export class GameSceneUI {
             this.debugButton.setPosition(width - 80, 40);
             this.debugText.setPosition(this.debugButton.x, this.debugButton.y);
         }
+        
+        this.scoreText?.setPosition(width - 20, 80);
+        this.flareText?.setPosition(width - 20, 108);
+        this.replayText?.setPosition(width - 20, 136);
+    }
+
+    /**
+     * Update the score counter with a little pop
+     * @param {number} score - The new total score
+     */
+    handleScoreChanged(score) {
+        if (!this.scoreText) return;
+
+        this.scoreText.setText(`Score: ${score}`);
+        this.scene.tweens.add({
+            targets: this.scoreText,
+            scale: { from: 1.25, to: 1 },
+            duration: 200,
+            ease: 'Quad.easeOut'
+        });
+    }
+
+    /**
+     * Update the flare counter with a little pop
+     * @param {number} count - Flares carried
+     */
+    handleFlaresChanged(count) {
+        if (!this.flareText) return;
+
+        this.flareText.setText(`Flares: ${count}`);
+        this.scene.tweens.add({
+            targets: this.flareText,
+            scale: { from: 1.25, to: 1 },
+            duration: 200,
+            ease: 'Quad.easeOut'
+        });
+    }
+
+    /**
+     * Blink the flare counter when there are none left to throw
+     */
+    handleFlareEmpty() {
+        if (!this.flareText) return;
+
+        this.scene.tweens.add({
+            targets: this.flareText,
+            alpha: 0.2,
+            duration: 100,
+            yoyo: true,
+            repeat: 2,
+            onComplete: () => this.flareText?.setAlpha(1)
+        });
+    }
+
+    /**
+     * Float the pickup's label up from where it was collected
+     * @param {Object} event - Payload of the 'pickupCollected' event
+     */
+    handlePickupCollected({ x, y, label, color }) {
+        const popup = this.scene.add.text(x, y - 20, label, {
+            fontFamily: 'Verdana',
+            fontSize: '16px',
+            color,
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        popup.setDepth(1000);
+
+        this.scene.tweens.add({
+            targets: popup,
+            y: y - 70,
+            alpha: 0,
+            duration: 900,
+            ease: 'Cubic.easeOut',
+            onComplete: () => popup.destroy()
+        });
+    }
+
+    /**
+     * Announce a secret in the middle of the screen
+     * @param {Object} event - Payload of the 'secretFound' event
+     */
+    handleSecretFound({ found, total }) {
+        this.showToast(`Secret found! (${found}/${total})`, '#ffd700');
+    }
+
+    /**
+     * Let the player know their progress is safe
+     */
+    handleCheckpointReached() {
+        this.showToast('Checkpoint reached', '#66ffcc');
+    }
+
+    /**
+     * Label the HUD with what the replay system is doing
+     */
+    updateReplayText() {
+        if (!this.replayText) return;
+
+        const replaySystem = this.scene.replaySystem;
+        if (replaySystem?.isRecording()) {
+            this.replayText.setText('REC').setColor('#ff4444');
+        } else if (replaySystem?.isPlaying()) {
+            this.replayText.setText('REPLAY').setColor('#66ccff');
+        } else {
+            this.replayText.setText('');
+        }
+    }
+
+    handleReplayRecorded() {
+        this.updateReplayText();
+        this.showToast('Replay recorded', '#66ffcc');
+    }
+
+    /**
+     * Tell the viewer whether the replay reproduced the recorded run
+     * @param {Object} event - Payload of the 'replayFinished' event
+     */
+    handleReplayFinished({ matched }) {
+        this.updateReplayText();
+        this.showToast(
+            matched ? 'Replay matched the recording' : 'Replay diverged from the recording',
+            matched ? '#66ffcc' : '#ff6666'
+        );
+    }
+
+    /**
+     * Short message in the middle of the screen that fades out
+     * @param {string} message - Text to show
+     * @param {string} color - Text color
+     */
+    showToast(message, color) {
+        const camera = this.scene.cameras.main;
+        const toast = this.scene.add.text(camera.width / 2, camera.height / 3, message, {
+            fontFamily: 'Verdana',
+            fontSize: '24px',
+            color,
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 5
+        }).setOrigin(0.5);
+        toast.setScrollFactor(0);
+        toast.setDepth(1000);
+
+        this.scene.tweens.add({
+            targets: toast,
+            alpha: 0,
+            delay: 1500,
+            duration: 600,
+            onComplete: () => toast.destroy()
+        });
     }
 
     /**
@@ -181,6 +379,16 @@ export class GameSceneUI {
     destroy() {
         // Remove resize listener
         this.scene.scale.off('resize', this.handleResize, this);
+        this.scene.events.off('scoreChanged', this.handleScoreChanged);
+        this.scene.events.off('flaresChanged', this.handleFlaresChanged);
+        this.scene.events.off('flareEmpty', this.handleFlareEmpty);
+        this.scene.events.off('pickupCollected', this.handlePickupCollected);
+        this.scene.events.off('secretFound', this.handleSecretFound);
+        this.scene.events.off('checkpointReached', this.handleCheckpointReached);
+        this.scene.events.off('replayStarted', this.updateReplayText);
+        this.scene.events.off('replayStopped', this.updateReplayText);
+        this.scene.events.off('replayRecorded', this.handleReplayRecorded);
+        this.scene.events.off('replayFinished', this.handleReplayFinished);
 
         // Destroy debug elements
         if (this.debugButton) {
@@ -192,6 +400,21 @@ export class GameSceneUI {
             this.debugText = null;
         }
 
+        if (this.scoreText) {
+            this.scoreText.destroy();
+            this.scoreText = null;
+        }
+
+        if (this.flareText) {
+            this.flareText.destroy();
+            this.flareText = null;
+        }
+
+        if (this.replayText) {
+            this.replayText.destroy();
+            this.replayText = null;
+        }
+
         // Clean up battery meter
         if (this.batteryMeter) {
             this.batteryMeter.destroy();
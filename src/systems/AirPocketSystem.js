@@ -12,6 +12,7 @@ export default class AirPocketSystem {
      */
     constructor(scene, player) {
         this.scene = scene;
+        this.rng = scene.random.gameplay;
         this.player = player || scene.player; // Accept player as param or get from scene
         this.airPockets = [];
         this.group = scene.physics.add.group();
@@ -19,6 +20,7 @@ export default class AirPocketSystem {
         this.pendingOverlapSetup = false;
         this.colliders = [];
         this.processedObjectIds = [];
+        this.pendingState = null;
         
         // DEBUGGING: Flag to control debug visualization
         // CRITICAL: DISABLE debug markers entirely - they cause visual bugs
@@ -800,7 +802,7 @@ export default class AirPocketSystem {
         
         // HIGHER UPWARD VELOCITY - make them float up faster
         sprite.body.setVelocity(
-            Phaser.Math.Between(-15, 15), // Slight random horizontal movement
+            this.rng.between(-15, 15), // Slight random horizontal movement
             -70 // Faster upward movement to ensure they move
         );
         
@@ -835,7 +837,7 @@ export default class AirPocketSystem {
                         }
                         
                         // Add slight wobble effect
-                        sprite.body.velocity.x += Phaser.Math.Between(-5, 5);
+                        sprite.body.velocity.x += this.rng.between(-5, 5);
                     }
                 },
                 callbackScope: this,
@@ -937,8 +939,9 @@ export default class AirPocketSystem {
     /**
      * Remove an air pocket and start its respawn timer
      * @param {Object} airPocket - The air pocket to remove
+     * @param {number} respawnDelay - Time until it comes back, in ms
      */
-    removeAirPocket(airPocket) {
+    removeAirPocket(airPocket, respawnDelay = 30000) {
         try {
             const instance = airPocket.airPocketInstance || airPocket;
             
@@ -964,10 +967,12 @@ export default class AirPocketSystem {
                     instance.particles = null;
                 }
                 
-                // Start respawn timer (30 seconds)
+                // Start respawn timer (30 seconds unless restoring a save)
                 if (this.scene) {
-                    console.log('Starting 30 second respawn timer for air pocket');
-                    instance.respawnTimer = this.scene.time.delayedCall(30000, () => {
+                    console.log(`Starting ${respawnDelay / 1000} second respawn timer for air pocket`);
+                    instance.respawnTimer?.remove();
+                    instance.respawnTimer = this.scene.time.delayedCall(respawnDelay, () => {
+                        instance.respawnTimer = null;
                         // Pass original coordinates to respawn
                         this.respawnAirPocket(instance, originalX, originalY);
                     });
@@ -1014,6 +1019,62 @@ export default class AirPocketSystem {
         }
     }
 
+    /**
+     * Snapshot of every air pocket for save games
+     * @returns {Array<Object>} One entry per air pocket, in creation order
+     */
+    getState() {
+        return this.airPockets.map(airPocket => ({
+            x: airPocket.sprite ? airPocket.sprite.x : airPocket.x,
+            y: airPocket.sprite ? airPocket.sprite.y : airPocket.y,
+            hasCollided: !!airPocket.hasCollided,
+            collected: !!airPocket.isDestroyed,
+            respawnIn: airPocket.isDestroyed && airPocket.respawnTimer
+                ? Math.round(airPocket.respawnTimer.getRemaining())
+                : 0
+        }));
+    }
+    
+    /**
+     * Restore air pockets from getState(). Air pockets are created from the
+     * map a little after the scene starts, so a state restored before then
+     * is applied as soon as they exist.
+     * @param {Array<Object>} states - Saved air pocket states
+     */
+    restoreState(states = []) {
+        if (this.airPockets.length === 0) {
+            this.pendingState = states;
+            return;
+        }
+        
+        states.forEach((state, index) => {
+            const airPocket = this.airPockets[index];
+            if (!airPocket) return;
+            
+            if (state.collected) {
+                this.removeAirPocket(airPocket, Math.max(0, state.respawnIn));
+                return;
+            }
+            
+            if (airPocket.isDestroyed) {
+                airPocket.respawnTimer?.remove();
+                airPocket.respawnTimer = null;
+                this.respawnAirPocket(airPocket);
+            }
+            
+            airPocket.hasCollided = !!state.hasCollided;
+            if (airPocket.sprite) {
+                airPocket.sprite.setPosition(state.x, state.y);
+                airPocket.sprite.body?.setVelocity(0, 0);
+                if (airPocket.sprite.body) {
+                    airPocket.sprite.body.immovable = airPocket.hasCollided;
+                }
+            }
+        });
+        
+        console.log(`Restored ${Math.min(states.length, this.airPockets.length)} air pockets`);
+    }
+
     /**
      * Create a particle effect when collecting air pocket
      * @param {number} x - X position
@@ -1066,6 +1127,13 @@ export default class AirPocketSystem {
      * @param {number} time - Current game time
      */
     update(time) {
+        // Apply a restored save once the air pockets have been created
+        if (this.pendingState && this.airPockets.length > 0) {
+            const state = this.pendingState;
+            this.pendingState = null;
+            this.restoreState(state);
+        }
+        
         // Only update at fixed intervals to reduce CPU impact
         if (this.lastUpdateTime && time - this.lastUpdateTime < 100) {
             return;
@@ -1105,8 +1173,8 @@ export default class AirPocketSystem {
                 }
                 
                 // Add a slight random horizontal wobble
-                if (Math.random() < 0.1) {
-                    const wobble = Phaser.Math.Between(-25, 25);
+                if (this.rng.frac() < 0.1) {
+                    const wobble = this.rng.between(-25, 25);
                     sprite.body.setVelocityX(wobble);
                 }
             }
@@ -11,6 +11,8 @@ export default class AmbientBubbleSystem {
      */
     constructor(scene) {
         this.scene = scene;
+        // Bubbles are only for looks, so they don't move the gameplay stream
+        this.rng = scene.random.cosmetic;
         this.enabled = true;
         this.depth = 1 ;  // Between Background (10) and Background_sprites (20), behind Midground_sprites (30) and Obstacles (40)
         this.bubbles = new Set();
@@ -20,6 +22,15 @@ export default class AmbientBubbleSystem {
         // Spawn timing
         this.nextSpawnTime = 0;
         this.spawnInterval = 1000; // Increased from 800ms to 1000ms for fewer bubbles
+        this.density = 1; // Particle density setting, from 0 (off) to 1 (full)
+    }
+
+    /**
+     * Fewer bubbles at lower particle densities, none at 0
+     * @param {number} density - Particle density setting, from 0 (off) to 1 (full)
+     */
+    setDensity(density) {
+        this.density = density;
     }
 
     createAmbientBubbles(width, height) {
@@ -45,9 +56,9 @@ export default class AmbientBubbleSystem {
         }
 
         // Check if we should spawn new bubbles
-        if (time > this.nextSpawnTime) {
+        if (time > this.nextSpawnTime && this.density > 0) {
             this.spawnBubbles();
-            this.nextSpawnTime = time + this.spawnInterval;
+            this.nextSpawnTime = time + this.spawnInterval / this.density;
         }
 
         // Update existing bubbles
@@ -59,11 +70,11 @@ export default class AmbientBubbleSystem {
         const spawnY = camera.scrollY + camera.height + 300; // 300px below viewport
         
         // Spawn 1-2 bubbles with reduced chance of 2 bubbles
-        const count = Math.random() < 0.2 ? 2 : 1; // Reduced from 0.3 to 0.2 for fewer double spawns
+        const count = this.rng.frac() < 0.2 ? 2 : 1; // Reduced from 0.3 to 0.2 for fewer double spawns
         
         for (let i = 0; i < count; i++) {
             // Spawn across the entire visible width plus some padding
-            const spawnX = camera.scrollX - 50 + Math.random() * (camera.width + 100);
+            const spawnX = camera.scrollX - 50 + this.rng.frac() * (camera.width + 100);
             this.createBubble(spawnX, spawnY);
         }
     }
@@ -71,9 +82,9 @@ export default class AmbientBubbleSystem {
     createBubble(x, y) {
         // Randomly select one of the three bubble images
         const bubbleImages = ['bg_bubble1', 'bg_bubble2', 'bg_bubble3'];
-        const randomBubbleKey = bubbleImages[Math.floor(Math.random() * bubbleImages.length)];
+        const randomBubbleKey = bubbleImages[Math.floor(this.rng.frac() * bubbleImages.length)];
 
-        const rand = Math.random();
+        const rand = this.rng.frac();
         let config;
 
         if (rand < 0.5) { // 50% tiny
@@ -84,7 +95,7 @@ export default class AmbientBubbleSystem {
                 drift: 0.15,
                 wobbleSpeed: 0.002,
                 wobbleAmount: 0.3,
-                deformSpeed: 0.4 + Math.random() * 0.2
+                deformSpeed: 0.4 + this.rng.frac() * 0.2
             };
         } else if (rand < 0.8) { // 30% small
             config = {
@@ -94,7 +105,7 @@ export default class AmbientBubbleSystem {
                 drift: 0.12,
                 wobbleSpeed: 0.0015,
                 wobbleAmount: 0.4,
-                deformSpeed: 0.35 + Math.random() * 0.2
+                deformSpeed: 0.35 + this.rng.frac() * 0.2
             };
         } else if (rand < 0.95) { // 15% medium
             config = {
@@ -104,7 +115,7 @@ export default class AmbientBubbleSystem {
                 drift: 0.1,
                 wobbleSpeed: 0.001,
                 wobbleAmount: 0.5,
-                deformSpeed: 0.3 + Math.random() * 0.5
+                deformSpeed: 0.3 + this.rng.frac() * 0.5
             };
         } else { // 5% large
             config = {
@@ -114,7 +125,7 @@ export default class AmbientBubbleSystem {
                 drift: 0.08,
                 wobbleSpeed: 0.0008,
                 wobbleAmount: 0.6,
-                deformSpeed: 0.25 + Math.random() * 0.5
+                deformSpeed: 0.25 + this.rng.frac() * 0.5
             };
         }
 
@@ -122,7 +133,7 @@ export default class AmbientBubbleSystem {
             .setScale(config.scale)
             .setAlpha(0.5)
             .setDepth(this.depth)
-            .setRotation(Math.random() * Math.PI * 2);
+            .setRotation(this.rng.frac() * Math.PI * 2);
             
         // Add blur effect to the bubble
         // Quality: 1 (Medium), Horizontal: 2, Vertical: 2, Strength: 1, Color: white, Steps: 4
@@ -138,10 +149,10 @@ export default class AmbientBubbleSystem {
             drift: config.drift,
             wobbleSpeed: config.wobbleSpeed,
             wobbleAmount: config.wobbleAmount,
-            wobbleOffset: Math.random() * Math.PI * 2,
+            wobbleOffset: this.rng.frac() * Math.PI * 2,
             deformSpeed: config.deformSpeed,
-            deformOffsetX: Math.random() * Math.PI * 2,
-            deformOffsetY: Math.random() * Math.PI * 2,
+            deformOffsetX: this.rng.frac() * Math.PI * 2,
+            deformOffsetY: this.rng.frac() * Math.PI * 2,
             time: 0
         };
 
@@ -200,10 +211,10 @@ export default class AmbientBubbleSystem {
         
         // Randomly select one of the three bubble images
         const bubbleImages = ['bg_bubble1', 'bg_bubble2', 'bg_bubble3'];
-        const randomBubbleKey = bubbleImages[Math.floor(Math.random() * bubbleImages.length)];
+        const randomBubbleKey = bubbleImages[Math.floor(this.rng.frac() * bubbleImages.length)];
         
         // Random position along the bottom of the screen
-        const x = Math.random() * this.mapWidth;
+        const x = this.rng.frac() * this.mapWidth;
         const y = this.mapHeight + 20; // Start slightly below the screen
         
         // Create bubble sprite
@@ -216,36 +227,36 @@ export default class AmbientBubbleSystem {
         }
         
         // Randomize initial rotation
-        bubble.setRotation(Math.random() * Math.PI * 2);
+        bubble.setRotation(this.rng.frac() * Math.PI * 2);
         
         // Determine bubble size and properties
-        const sizeRoll = Math.random();
+        const sizeRoll = this.rng.frac();
         let baseScale, scaleVariation, deformSpeed, speed, drift;
         
         if (sizeRoll < 0.5) { // 50% chance for tiny bubbles
             baseScale = 0.08;
             scaleVariation = 0.004;
-            deformSpeed = 0.4 + Math.random() * 0.2;
-            speed = 30 + Math.random() * 20;
-            drift = 0.5 + Math.random() * 0.5;
+            deformSpeed = 0.4 + this.rng.frac() * 0.2;
+            speed = 30 + this.rng.frac() * 20;
+            drift = 0.5 + this.rng.frac() * 0.5;
         } else if (sizeRoll < 0.8) { // 30% chance for small bubbles
             baseScale = 0.12;
             scaleVariation = 0.006;
-            deformSpeed = 0.35 + Math.random() * 0.2;
-            speed = 25 + Math.random() * 15;
-            drift = 0.8 + Math.random() * 0.8;
+            deformSpeed = 0.35 + this.rng.frac() * 0.2;
+            speed = 25 + this.rng.frac() * 15;
+            drift = 0.8 + this.rng.frac() * 0.8;
         } else if (sizeRoll < 0.95) { // 15% chance for medium bubbles
             baseScale = 0.16;
             scaleVariation = 0.01;
-            deformSpeed = 0.3 + Math.random() * 0.2;
-            speed = 20 + Math.random() * 10;
-            drift = 1.2 + Math.random() * 1.2;
+            deformSpeed = 0.3 + this.rng.frac() * 0.2;
+            speed = 20 + this.rng.frac() * 10;
+            drift = 1.2 + this.rng.frac() * 1.2;
         } else { // 5% chance for large bubbles
             baseScale = 0.2;
             scaleVariation = 0.015;
-            deformSpeed = 0.25 + Math.random() * 0.2;
-            speed = 15 + Math.random() * 5;
-            drift = 1.5 + Math.random() * 1.5;
+            deformSpeed = 0.25 + this.rng.frac() * 0.2;
+            speed = 15 + this.rng.frac() * 5;
+            drift = 1.5 + this.rng.frac() * 1.5;
         }
         
         // Set initial scale
@@ -257,8 +268,8 @@ export default class AmbientBubbleSystem {
             drift: drift,
             time: 0,
             deformSpeed: deformSpeed,
-            deformOffsetX: Math.random() * Math.PI * 2,
-            deformOffsetY: Math.random() * Math.PI * 2
+            deformOffsetX: this.rng.frac() * Math.PI * 2,
+            deformOffsetY: this.rng.frac() * Math.PI * 2
         };
         
         // Add to active bubbles
@@ -1,3 +1,5 @@
+import { getTilesetMappings, getAssetPaths } from '../utils/LevelManifest';
+
 /**
  * Manages game assets, including loading, mapping, and access
  */
@@ -16,20 +18,12 @@ export default class AssetManagementSystem {
      * Initialize default asset mappings
      */
     initializeDefaultMappings() {
-        // Tileset mappings (maintaining existing functionality)
-        this.tilesetMappings.set('Blue_background', 'underwater_bg');
-        this.tilesetMappings.set('blue_background', 'underwater_bg');
-        this.tilesetMappings.set('blue_background1', 'underwater_bg');
-        this.tilesetMappings.set('Background', 'underwater_bg');
-        this.tilesetMappings.set('background', 'underwater_bg');
-        this.tilesetMappings.set('blackAndBlue', 'black_and_blue');
-        this.tilesetMappings.set('blackAndBlue1', 'black_and_blue');
-        this.tilesetMappings.set('black_and_blue', 'black_and_blue');
-        this.tilesetMappings.set('black_and_blue1', 'black_and_blue');
-        this.tilesetMappings.set('Rocks_Small', 'rock2');
-        this.tilesetMappings.set('rocks_small', 'rock2');
-        this.tilesetMappings.set('Rocks_Large', 'rock3');
-        this.tilesetMappings.set('rocks_large', 'rock3');
+        // Tileset mappings from the level manifest
+        getTilesetMappings().forEach(([tilesetName, textureKey]) => {
+            this.tilesetMappings.set(tilesetName, textureKey);
+        });
+
+        // Air pocket sprites (not part of any level's tilesets)
         this.tilesetMappings.set('Air_Pocket', 'air_pocket1');
         this.tilesetMappings.set('air_pocket', 'air_pocket1');
         this.tilesetMappings.set('Air_Pocket1', 'air_pocket1');
@@ -40,20 +34,14 @@ export default class AssetManagementSystem {
         this.tilesetMappings.set('air_pocket3', 'air_pocket3');
 
         // Image path mappings (for embedded tilesets)
-        this.tilesetMappings.set('../underwater_bg.png', 'underwater_bg');
-        this.tilesetMappings.set('../black_and_blue.png', 'black_and_blue');
-        this.tilesetMappings.set('../rock2.png', 'rock2');
-        this.tilesetMappings.set('../rock3.png', 'rock3');
         this.tilesetMappings.set('../air_pocket1.png', 'air_pocket1');
         this.tilesetMappings.set('../air_pocket2.png', 'air_pocket2');
         this.tilesetMappings.set('../air_pocket3.png', 'air_pocket3');
 
-        // Asset type mappings
+        // Asset type mappings - level assets come from the manifest
+        const levelAssets = getAssetPaths();
         this.assetMappings.set('images', {
-            'underwater_bg': 'underwater_bg.png',
-            'black_and_blue': 'black_and_blue.png',
-            'rock2': 'rock2.png',
-            'rock3': 'rock3.png',
+            ...levelAssets.images,
             'air_pocket1': 'air_pocket1.png',
             'air_pocket2': 'air_pocket2.png',
             'air_pocket3': 'air_pocket3.png',
@@ -64,19 +52,12 @@ export default class AssetManagementSystem {
             'bg_bubble1': 'bg_bubble1.png',
             'bg_bubble2': 'bg_bubble2.png',
             'bg_bubble3': 'bg_bubble3.png',
-            'bullet': 'laser_sprites/03.png',
-            'seaweed': 'seaweed.png'
+            'bullet': 'laser_sprites/03.png'
         });
 
-        this.assetMappings.set('audio', {
-            'music': 'music/bg_music.mp3',
-            'ambience': 'music/ambience_underwater.wav'
-        });
+        this.assetMappings.set('audio', levelAssets.audio);
 
-        this.assetMappings.set('tilemaps', {
-            'level1': 'maps/level1.json',
-            'level2': 'maps/level2.json'
-        });
+        this.assetMappings.set('tilemaps', levelAssets.tilemaps);
     }
 
     /**
@@ -87,28 +68,11 @@ export default class AssetManagementSystem {
         return new Promise((resolve, reject) => {
             try {
                 // We don't need to load the assets here since they're imported in GameScene
-                // Just mark them as loaded
+                // Just mark every mapped asset as loaded
                 const assetKeys = [
-                    'underwater_bg',
-                    'black_and_blue',
-                    'rock2',
-                    'rock3',
-                    'air_pocket1',
-                    'air_pocket2',
-                    'air_pocket3',
-                    'player',
-                    'bubble',
-                    'heart',
-                    'badFish',
-                    'bg_bubble1',
-                    'bg_bubble2',
-                    'bg_bubble3',
-                    'bullet',
-                    'seaweed',
-                    'level1',
-                    'level2',
-                    'music',
-                    'ambience'
+                    ...Object.keys(this.assetMappings.get('images')),
+                    ...Object.keys(this.assetMappings.get('tilemaps')),
+                    ...Object.keys(this.assetMappings.get('audio'))
                 ];
 
                 assetKeys.forEach(key => {
@@ -11,6 +11,7 @@ export default class AudioSystem {
     constructor(scene) {
         this.scene = scene;
         this.musicVolume = AUDIO.MUSIC_VOLUME;
+        this.ambienceVolume = AUDIO.AMBIENCE_VOLUME;
         this.isMuted = false;
         this.ambience = null;
         this.music = null;
@@ -46,7 +47,7 @@ export default class AudioSystem {
             
             // Ambient underwater sound
             this.ambience = this.scene.sound.add(ambienceKey, {
-                volume: AUDIO.AMBIENCE_VOLUME,
+                volume: this.ambienceVolume,
                 loop: true
             });
             
@@ -121,6 +122,26 @@ export default class AudioSystem {
         }
     }
     
+    /**
+     * Apply volume settings (0 to 1 each) to the running audio
+     * @param {Object} volumes
+     * @param {number} volumes.master - Volume of the whole game
+     * @param {number} volumes.music - Background music
+     * @param {number} volumes.ambience - Ambient underwater sound
+     * @param {number} volumes.effects - Sound effects
+     */
+    setVolumes({ master, music, ambience, effects }) {
+        this.masterVolume = master;
+        this.musicVolume = music;
+        this.ambienceVolume = ambience;
+        this.effectsVolume = effects;
+
+        // The master volume scales everything the scene's sound manager plays
+        this.scene.sound.volume = master;
+        this.music?.setVolume(music);
+        this.ambience?.setVolume(ambience);
+    }
+
     /**
      * Clean up audio resources when scene is destroyed
      */
@@ -154,7 +175,7 @@ export default class AudioSystem {
             
             // Set default config
             const mergedConfig = {
-                volume: (this.effectsVolume || 0.5) * (this.masterVolume || 1),
+                volume: this.effectsVolume ?? 0.5,
                 loop: false,
                 ...config
             };
@@ -1,119 +1,182 @@
+import { BATTERY } from '../utils/Constants';
+
 /**
- * BatterySystem - Manages the flashlight's battery level and indicator
+ * BatterySystem - The flashlight's power: the one battery model the game has.
+ *
+ * It owns the charge and the rules for it: the battery drains while the
+ * flashlight is on, recharges while it is off, and a flat battery has to
+ * recharge a little before the flashlight will come back on. Everything else
+ * only listens:
+ * - the HUD's BatteryMeter draws the charge
+ * - LightingSystem tints the flashlight's indicator and turns the flashlight
+ *   off when the battery runs flat, and asks canPower() before turning it on
+ *
+ * Battery pickups add charge with addCharge(). Upgrades go through
+ * applyUpgrade() and change the capacity and the drain and recharge rates for
+ * the rest of the level.
+ *
+ * Events (on the scene):
+ * - batteryChanged (status) - the charge, capacity or rates changed, see getStatus()
+ * - batteryDepleted - the battery ran flat with the flashlight on
+ * - batteryUpgraded (upgrade, status) - an upgrade was applied
+ *
+ * Listens for flashlightToggled (enabled) from LightingSystem to know when to drain.
  */
 export default class BatterySystem {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     */
     constructor(scene) {
         this.scene = scene;
-        this.maxBattery = 100;
-        this.currentBattery = this.maxBattery;
-        this.drainRate = 2; // Battery percentage drained per second
-        this.rechargeRate = 5; // Battery percentage recharged per second
-        this.isFlashlightOn = false;
-        this.lastUpdateTime = 0;
-        
-        // Battery level thresholds and their corresponding colors
-        this.batteryStates = [
-            { threshold: 75, color: 0x00ff00 }, // Green (100-75%)
-            { threshold: 50, color: 0xffff00 }, // Yellow (74-50%)
-            { threshold: 25, color: 0xff8800 }, // Orange (49-25%)
-            { threshold: 0, color: 0xff0000 }   // Red (24-0%)
-        ];
+
+        // Upgrades applied this level, as given to applyUpgrade()
+        this.upgrades = [];
+        this.updateRates();
+
+        this.charge = this.capacity;
+        // Whether the flashlight is on and drawing power
+        this.draining = false;
+
+        this.scene.events.on('flashlightToggled', this.handleFlashlightToggled, this);
+    }
+
+    /**
+     * Work out the capacity and rates from the base values and the upgrades
+     */
+    updateRates() {
+        this.capacity = BATTERY.CAPACITY;
+        this.drainRate = BATTERY.DRAIN_RATE;
+        this.rechargeRate = BATTERY.RECHARGE_RATE;
+
+        this.upgrades.forEach(upgrade => {
+            this.capacity += upgrade.capacity || 0;
+            this.drainRate *= upgrade.drain ?? 1;
+            this.rechargeRate *= upgrade.recharge ?? 1;
+        });
     }
 
     /**
-     * Update the battery level based on flashlight usage
+     * Drain or recharge the battery
      * @param {number} time - Current game time
+     * @param {number} delta - Time since last update in ms
      */
-    update(time) {
-        if (this.lastUpdateTime === 0) {
-            this.lastUpdateTime = time;
-            return;
-        }
+    update(time, delta) {
+        const seconds = delta / 1000;
 
-        const deltaSeconds = (time - this.lastUpdateTime) / 1000;
-        this.lastUpdateTime = time;
+        if (this.draining) {
+            if (this.charge <= 0) return;
 
-        if (this.isFlashlightOn && this.currentBattery > 0) {
-            // Drain battery when flashlight is on
-            this.currentBattery = Math.max(0, this.currentBattery - (this.drainRate * deltaSeconds));
-            
-            // Turn off flashlight if battery is depleted
-            if (this.currentBattery === 0) {
-                this.turnOffFlashlight();
+            this.setCharge(this.charge - this.drainRate * seconds);
+            if (this.charge === 0) {
+                console.log('Flashlight battery depleted');
+                this.scene.events.emit('batteryDepleted');
             }
-        } else if (!this.isFlashlightOn && this.currentBattery < this.maxBattery) {
-            // Recharge battery when flashlight is off
-            this.currentBattery = Math.min(this.maxBattery, this.currentBattery + (this.rechargeRate * deltaSeconds));
+        } else if (this.charge < this.capacity) {
+            this.setCharge(this.charge + this.rechargeRate * seconds);
         }
     }
 
     /**
-     * Update the indicator light color based on current battery level
+     * @param {boolean} enabled - Whether the flashlight is now on
+     */
+    handleFlashlightToggled(enabled) {
+        this.draining = enabled;
+        this.emitChange();
+    }
+
+    /**
+     * @returns {boolean} Whether there is enough charge to turn the flashlight on
      */
-    updateIndicatorColor() {
-        if (!this.scene.lightingSystem) return;
+    canPower() {
+        return this.charge >= Math.min(BATTERY.MIN_CHARGE_TO_SWITCH_ON, this.capacity);
+    }
 
-        // Find the appropriate color for current battery level
-        const state = this.batteryStates.find(state => this.currentBattery > state.threshold);
-        const color = state ? state.color : this.batteryStates[this.batteryStates.length - 1].color;
+    /**
+     * Set the charge, kept between empty and the capacity
+     * @param {number} charge - New charge
+     */
+    setCharge(charge) {
+        const clamped = Math.max(0, Math.min(this.capacity, charge));
+        if (clamped === this.charge) return;
 
-        // Update both the point light and glow colors
-        if (this.scene.lightingSystem.flashlightPointLight) {
-            this.scene.lightingSystem.flashlightPointLight.setTint(color);
-        }
-        if (this.scene.lightingSystem.flashlightGlow) {
-            // Make glow slightly lighter
-            const glowColor = this.getLighterColor(color);
-            this.scene.lightingSystem.flashlightGlow.setTint(glowColor);
-        }
+        this.charge = clamped;
+        this.emitChange();
     }
 
     /**
-     * Get a lighter version of a color for the glow effect
-     * @param {number} color - The base color in hex
-     * @returns {number} - Lighter version of the color
+     * Add charge, e.g. from a battery pickup
+     * @param {number} amount - Charge to add
      */
-    getLighterColor(color) {
-        const r = ((color >> 16) & 255) + 40;
-        const g = ((color >> 8) & 255) + 40;
-        const b = (color & 255) + 40;
-        return ((Math.min(r, 255) << 16) | (Math.min(g, 255) << 8) | Math.min(b, 255));
+    addCharge(amount) {
+        this.setCharge(this.charge + amount);
     }
 
     /**
-     * Try to turn on the flashlight
-     * @returns {boolean} Whether the flashlight was successfully turned on
+     * Improve the battery for the rest of the level
+     * @param {Object} upgrade - What the upgrade changes
+     * @param {number} upgrade.capacity - Extra capacity, which comes charged
+     * @param {number} upgrade.drain - Multiplier for the drain rate, e.g. 0.8 to drain 20% slower
+     * @param {number} upgrade.recharge - Multiplier for the recharge rate
      */
-    turnOnFlashlight() {
-        if (this.currentBattery > 0) {
-            this.isFlashlightOn = true;
-            return true;
-        }
-        return false;
+    applyUpgrade(upgrade) {
+        this.upgrades.push({ ...upgrade });
+        this.updateRates();
+        this.charge = Math.min(this.capacity, this.charge + (upgrade.capacity || 0));
+
+        console.log('Battery upgraded:', upgrade, `capacity ${this.capacity}`);
+        this.scene.events.emit('batteryUpgraded', upgrade, this.getStatus());
+        this.emitChange();
     }
 
     /**
-     * Turn off the flashlight
+     * @returns {number} Colour for the charge left, from BATTERY.LEVELS
      */
-    turnOffFlashlight() {
-        this.isFlashlightOn = false;
-        if (this.scene.lightingSystem) {
-            this.scene.lightingSystem.toggleFlashlight();
-        }
+    getColor() {
+        const level = this.charge / this.capacity;
+        const state = BATTERY.LEVELS.find(candidate => level > candidate.threshold);
+        return (state || BATTERY.LEVELS[BATTERY.LEVELS.length - 1]).color;
     }
 
     /**
-     * Get the current battery percentage
-     * @returns {number} Battery percentage (0-100)
+     * @returns {Object} { charge, capacity, level (0-1), color, draining }
      */
-    getBatteryPercentage() {
-        return this.currentBattery;
+    getStatus() {
+        return {
+            charge: this.charge,
+            capacity: this.capacity,
+            level: this.charge / this.capacity,
+            color: this.getColor(),
+            draining: this.draining
+        };
+    }
+
+    emitChange() {
+        this.scene.events.emit('batteryChanged', this.getStatus());
+    }
+
+    /**
+     * Snapshot of the battery for save games
+     * @returns {{level: number, upgrades: Object[]}} The charge and the upgrades applied
+     */
+    getState() {
+        return {
+            level: this.charge,
+            upgrades: this.upgrades.map(upgrade => ({ ...upgrade }))
+        };
     }
 
     /**
-     * Recharge the battery to full
+     * Restore the battery from getState()
+     * @param {Object} state - Saved battery state
      */
-    rechargeBattery() {
-        this.currentBattery = this.maxBattery;
+    restoreState(state = {}) {
+        this.upgrades = (state.upgrades || []).map(upgrade => ({ ...upgrade }));
+        this.updateRates();
+        this.charge = Math.max(0, Math.min(this.capacity, state.level ?? this.capacity));
+        this.emitChange();
+    }
+
+    destroy() {
+        this.scene.events.off('flashlightToggled', this.handleFlashlightToggled, this);
     }
-} 
\ No newline at end of file
+}
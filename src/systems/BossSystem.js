@@ -0,0 +1,253 @@
+import Phaser from 'phaser';
+import Boss from '../entities/Boss';
+import HealthBar from '../ui/HealthBar';
+
+/**
+ * Runs boss encounters. Arenas come from the Tiled 'Arenas' layer: when the
+ * player swims into one, the camera is locked to the arena, the boss spawns
+ * and a boss health bar appears. Defeating the boss unlocks the camera and,
+ * unless the arena says otherwise, completes the level.
+ */
+export default class BossSystem {
+    constructor(scene) {
+        console.log('Initializing BossSystem...');
+
+        this.scene = scene;
+        this.arenas = [];
+        this.activeArena = null;
+        this.boss = null;
+        this.healthBar = null;
+        this.nameText = null;
+
+        // Delay between entering the arena and the boss attacking
+        this.introDuration = 1200;
+        // Delay between the boss dying and the level completing
+        this.outroDuration = 1500;
+
+        this.handleBossHealthChanged = this.handleBossHealthChanged.bind(this);
+        this.handleBossDefeated = this.handleBossDefeated.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        scene.events.on('bossHealthChanged', this.handleBossHealthChanged);
+        scene.events.on('bossDefeated', this.handleBossDefeated);
+        scene.scale.on('resize', this.handleResize);
+    }
+
+    /**
+     * Set up arenas from Tiled
+     * @param {Array} arenas - Arenas from EntityLayerSystem.getArenas()
+     */
+    initArenas(arenas = []) {
+        this.arenas = arenas.map(arena => ({
+            ...arena,
+            bounds: new Phaser.Geom.Rectangle(arena.x, arena.y, arena.width, arena.height),
+            state: arena.boss ? 'waiting' : 'cleared'
+        }));
+        console.log(`BossSystem initialized with ${this.arenas.length} arenas`);
+    }
+
+    getPlayer() {
+        const player = this.scene.player?.sprite;
+        return player?.active ? player : null;
+    }
+
+    /**
+     * @returns {boolean} Whether a boss fight is in progress
+     */
+    isFightActive() {
+        return !!this.activeArena;
+    }
+
+    update(time, delta) {
+        const player = this.getPlayer();
+        if (!player) return;
+
+        if (this.activeArena) {
+            this.keepPlayerInArena(player, this.activeArena);
+            return;
+        }
+
+        const arena = this.arenas.find(candidate =>
+            candidate.state === 'waiting' && candidate.bounds.contains(player.x, player.y));
+        if (arena) {
+            this.startFight(arena);
+        }
+    }
+
+    /**
+     * Lock the arena and bring in the boss
+     * @param {Object} arena - The arena the player entered
+     */
+    startFight(arena) {
+        try {
+            const registry = this.scene.enemySystem?.enemyTypes;
+            const definition = registry?.getBoss(arena.boss);
+            if (!definition) {
+                arena.state = 'cleared';
+                return;
+            }
+
+            console.log(`Starting boss fight '${arena.boss}' in arena '${arena.name}'`);
+            arena.state = 'active';
+            this.activeArena = arena;
+
+            this.scene.gameSceneCamera?.lockBounds(arena.x, arena.y, arena.width, arena.height);
+
+            // Bosses join the enemy group so bullets and contact damage just work
+            this.boss = new Boss(this.scene, arena.bossX, arena.bossY, definition);
+            this.scene.enemySystem.enemies.add(this.boss);
+
+            this.createHealthBar(this.boss);
+
+            this.scene.gameSceneCamera?.shake(this.introDuration / 2, 0.006);
+            this.scene.time.delayedCall(this.introDuration, () => {
+                this.boss?.engage();
+            });
+
+            this.scene.events.emit('bossFightStarted', { boss: this.boss, arena });
+        } catch (error) {
+            console.error('Error starting boss fight:', error);
+        }
+    }
+
+    /**
+     * The arena walls are invisible - stop the player swimming out mid-fight
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     * @param {Object} arena - The active arena
+     */
+    keepPlayerInArena(player, arena) {
+        const bounds = arena.bounds;
+        const x = Phaser.Math.Clamp(player.x, bounds.left, bounds.right);
+        const y = Phaser.Math.Clamp(player.y, bounds.top, bounds.bottom);
+
+        if (x !== player.x) {
+            player.x = x;
+            player.body?.setVelocityX(0);
+        }
+        if (y !== player.y) {
+            player.y = y;
+            player.body?.setVelocityY(0);
+        }
+    }
+
+    /**
+     * Build the HUD health bar for the boss
+     * @param {Boss} boss - The boss
+     */
+    createHealthBar(boss) {
+        this.destroyHealthBar();
+
+        const layout = this.getHealthBarLayout();
+        this.healthBar = new HealthBar(this.scene, {
+            x: layout.x,
+            y: layout.y,
+            width: layout.width,
+            height: 20,
+            healthColor: 0x9933ff,
+            icon: null
+        });
+        this.healthBar.updateHealth(boss.health, boss.maxHealth);
+
+        this.nameText = this.scene.add.text(layout.x, layout.y - 8, boss.bossName, {
+            fontFamily: 'Verdana',
+            fontSize: '18px',
+            color: '#ffffff',
+            fontStyle: 'bold',
+            stroke: '#000000',
+            strokeThickness: 4
+        });
+        this.nameText.setOrigin(0, 1);
+        this.nameText.setScrollFactor(0);
+        this.nameText.setDepth(1000);
+    }
+
+    /**
+     * Boss bar sits centered along the bottom of the screen
+     * @returns {{x: number, y: number, width: number}}
+     */
+    getHealthBarLayout() {
+        const camera = this.scene.cameras.main;
+        const width = Math.min(500, camera.width - 120);
+        return {
+            x: (camera.width - width) / 2,
+            y: camera.height - 60,
+            width
+        };
+    }
+
+    handleResize() {
+        if (!this.healthBar) return;
+
+        const layout = this.getHealthBarLayout();
+        this.healthBar.setPosition(layout.x, layout.y);
+        this.nameText?.setPosition(layout.x, layout.y - 8);
+    }
+
+    handleBossHealthChanged(boss, health, maxHealth) {
+        if (boss === this.boss) {
+            this.healthBar?.updateHealth(health, maxHealth);
+        }
+    }
+
+    handleBossDefeated({ boss }) {
+        if (boss !== this.boss || !this.activeArena) return;
+
+        const arena = this.activeArena;
+        arena.state = 'cleared';
+        console.log(`Boss '${boss.enemyType}' defeated in arena '${arena.name}'`);
+
+        this.scene.events.emit('bossFightEnded', { boss, arena });
+
+        this.scene.time.delayedCall(this.outroDuration, () => {
+            this.destroyHealthBar();
+            this.scene.gameSceneCamera?.unlockBounds();
+            this.activeArena = null;
+            this.boss = null;
+
+            if (arena.completesLevel) {
+                this.scene.levelSystem?.complete({
+                    reason: 'bossDefeated',
+                    boss: boss.enemyType,
+                    arena: arena.name
+                });
+            }
+        });
+    }
+
+    /**
+     * Call off the fight in progress, e.g. when the player respawns at a
+     * checkpoint. The arena waits for the player to come back.
+     */
+    resetFight() {
+        if (!this.activeArena) return;
+
+        console.log(`Resetting boss fight in arena '${this.activeArena.name}'`);
+        this.activeArena.state = 'waiting';
+        this.activeArena = null;
+
+        if (this.boss?.active) {
+            this.boss.destroy();
+        }
+        this.boss = null;
+
+        this.destroyHealthBar();
+        this.scene.gameSceneCamera?.unlockBounds();
+    }
+
+    destroyHealthBar() {
+        this.healthBar?.destroy();
+        this.healthBar = null;
+        this.nameText?.destroy();
+        this.nameText = null;
+    }
+
+    destroy() {
+        this.scene.events.off('bossHealthChanged', this.handleBossHealthChanged);
+        this.scene.events.off('bossDefeated', this.handleBossDefeated);
+        this.scene.scale.off('resize', this.handleResize);
+        this.destroyHealthBar();
+        this.scene.gameSceneCamera?.unlockBounds();
+        this.activeArena = null;
+        this.boss = null;
+        this.arenas = [];
+    }
+}
@@ -21,16 +21,12 @@ export default class BulletSystem {
         // Firing properties
         this.fireRate = 150; // Time between shots in ms
         this.lastFireTime = 0;
-        this.isFiring = false;
         
         // Oxygen cost per shot
         this.oxygenCostPerShot = 0.7; // Reduced from 2 to make shooting more sustainable
         
         // Reference to the lighting system (will be set in init)
         this.lightingSystem = null;
-        
-        // Set up input handling
-        this.setupInput();
     }
     
     /**
@@ -43,36 +39,22 @@ export default class BulletSystem {
         }
     }
     
-    setupInput() {
-        // Set up mouse input for firing
-        this.scene.input.on('pointerdown', (pointer) => {
-            if (pointer.leftButtonDown()) {
-                this.isFiring = true;
-            }
-        });
-        
-        this.scene.input.on('pointerup', (pointer) => {
-            if (!pointer.leftButtonDown()) {
-                this.isFiring = false;
-            }
-        });
-    }
-
     /**
      * Update bullet system
      * @param {number} time - Current game time
      * @param {number} delta - Time since last update
      */
     update(time, delta) {
-        // Handle firing logic
-        if (this.isFiring || this.scene.input.activePointer.isDown) {
+        // Handle firing logic: the shoot action or the mouse button, from the input manager
+        if (this.scene.inputManager?.getInputState().shoot) {
             // Check if enough time has passed since last shot
             if (time - this.lastFireTime >= this.fireRate) {
                 // Only fire if we have a player reference
-                if (this.scene.player?.sprite) {
-                    // Use player's facing direction instead of mouse position
-                    const direction = this.scene.player.sprite.flipX ? -1 : 1;
-                    this.fireBullet(this.scene.player.sprite.x, this.scene.player.sprite.y, direction);
+                const player = this.scene.player;
+                if (player?.sprite) {
+                    // Fire from the gun hand along the aim (straight ahead in facing mode)
+                    const muzzle = player.getAimPoint(50, -40);
+                    this.fireBullet(muzzle.x, muzzle.y, player.aimAngle);
                     this.lastFireTime = time;
                 }
             }
@@ -81,47 +63,35 @@ export default class BulletSystem {
     
     /**
      * Fire a bullet from the player
-     * @param {number} x - X position of the player
-     * @param {number} y - Y position of the player
-     * @param {number} direction - Direction of the bullet
+     * @param {number} x - X position of the muzzle
+     * @param {number} y - Y position of the muzzle
+     * @param {number} angle - Direction of the bullet in radians
      */
-    fireBullet(x, y, direction) {
+    fireBullet(x, y, angle) {
         // Check if player has enough oxygen to fire
         if (this.scene.player && this.scene.player.oxygen < this.oxygenCostPerShot) {
             return; // Can't fire if not enough oxygen
         }
 
-        // Use manually tuned offsets based on the player sprite
-        let bulletX = x;
-        let bulletY = y;
-        
-        // Different offsets based on player direction
-        if (direction > 0) { // Facing right
-            bulletX = x + 50; // Moved out by 12px (was +38)
-            bulletY = y - 40; // Moved up by 2px (was -38)
-        } else { // Facing left
-            bulletX = x - 50; // Moved out by 12px (was -38)
-            bulletY = y - 40; // Moved up by 2px (was -38)
-        }
-        
         let bullet = this.bullets.getFirstDead(true);
         
         if (bullet) {
-            bullet.fire(bulletX, bulletY, direction);
+            bullet.fire(x, y, angle);
             
             // The depth is now set in the Bullet class constructor
             // to be higher than the darkness overlay (950)
             
             // Add a subtle camera shake effect when firing
-            if (this.scene.cameras && this.scene.cameras.main) {
-                this.scene.cameras.main.shake(50, 0.003, false); // Duration 50ms, intensity 0.003 (very subtle)
-            }
+            this.scene.gameSceneCamera?.shake(50, 0.003); // Duration 50ms, intensity 0.003 (very subtle)
             
             // Consume oxygen for firing
             if (this.scene.player) {
                 this.scene.player.oxygen = Math.max(0, this.scene.player.oxygen - this.oxygenCostPerShot);
                 this.scene.events.emit('playerOxygenChanged', this.scene.player.oxygen, this.scene.player.maxOxygen);
             }
+            
+            // Let nearby wildlife react to the shot
+            this.scene.events.emit('playerFired', x, y, angle);
         }
     }
     
@@ -160,10 +130,6 @@ export default class BulletSystem {
      * Clean up resources
      */
     destroy() {
-        // Remove input listeners
-        this.scene.input.off('pointerdown');
-        this.scene.input.off('pointerup');
-        
         // Destroy bullet group
         if (this.bulletCollider) {
             this.bulletCollider.destroy();
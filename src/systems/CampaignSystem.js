@@ -0,0 +1,203 @@
+import SaveStore from './SaveStore';
+import { getLevels, getLevel, getSecretCount } from '../utils/LevelManifest';
+
+const SAVE_KEY = 'diverGame.campaign';
+const SAVE_VERSION = 1;
+
+/**
+ * Campaign progress over the level manifest: which levels are unlocked,
+ * best times and scores, stars and the secrets found in each level.
+ *
+ * There is one campaign per game, shared by every scene through the game
+ * registry (see CampaignSystem.get). Progress is written to localStorage
+ * through a versioned SaveStore whenever it changes.
+ *
+ * Stars per level: one for finishing it, one for finding every secret and one
+ * for beating the level's `parTime`.
+ */
+export default class CampaignSystem {
+    /**
+     * Get the game's campaign, creating it on first use
+     * @param {Phaser.Scene} scene - Any scene of the game
+     * @returns {CampaignSystem}
+     */
+    static get(scene) {
+        let campaign = scene.registry.get('campaign');
+        if (!campaign) {
+            campaign = new CampaignSystem();
+            scene.registry.set('campaign', campaign);
+        }
+        return campaign;
+    }
+
+    constructor() {
+        this.store = new SaveStore({
+            key: SAVE_KEY,
+            version: SAVE_VERSION,
+            createDefault: () => CampaignSystem.createDefaultProgress()
+        });
+        this.progress = this.store.load();
+        console.log('Campaign progress loaded:', this.progress);
+    }
+
+    /**
+     * @returns {Object} Progress for a brand new campaign
+     */
+    static createDefaultProgress() {
+        return {
+            currentLevel: getLevels()[0]?.key || null,
+            levels: {}
+        };
+    }
+
+    save() {
+        this.store.save(this.progress);
+    }
+
+    /**
+     * Saved record for a level
+     * @param {string} key - Level key
+     * @returns {{completed: boolean, bestTime: number|null, bestScore: number, stars: number, secrets: Array<string>}}
+     */
+    getRecord(key) {
+        return {
+            completed: false,
+            bestTime: null,
+            bestScore: 0,
+            stars: 0,
+            secrets: [],
+            ...this.progress.levels[key]
+        };
+    }
+
+    /**
+     * @returns {number} Stars earned across every level
+     */
+    getTotalStars() {
+        return getLevels().reduce((total, level) => total + this.getRecord(level.key).stars, 0);
+    }
+
+    /**
+     * @param {string} key - Level key
+     * @returns {boolean} Whether the level's unlock requirements are met
+     */
+    isUnlocked(key) {
+        const level = getLevel(key);
+        if (!level) return false;
+
+        const unlock = level.unlock;
+        if (!unlock) return true;
+
+        const levelsDone = (unlock.complete || []).every(required => this.getRecord(required).completed);
+        const enoughStars = this.getTotalStars() >= (unlock.stars || 0);
+        return levelsDone && enoughStars;
+    }
+
+    /**
+     * Human readable unlock requirements, for locked levels
+     * @param {string} key - Level key
+     * @returns {string}
+     */
+    describeUnlock(key) {
+        const unlock = getLevel(key)?.unlock;
+        if (!unlock) return '';
+
+        const parts = (unlock.complete || []).map(required => `Finish ${getLevel(required)?.name || required}`);
+        if (unlock.stars) {
+            parts.push(`${unlock.stars} stars`);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Remember the level being played so the player can continue later
+     * @param {string} key - Level key
+     */
+    setCurrentLevel(key) {
+        if (this.progress.currentLevel === key) return;
+        this.progress.currentLevel = key;
+        this.save();
+    }
+
+    /**
+     * @returns {string|null} The level the player last started
+     */
+    getCurrentLevel() {
+        return this.progress.currentLevel;
+    }
+
+    /**
+     * Score carried into a level: the best scores of every level before it
+     * @param {string} key - Level key
+     * @returns {number}
+     */
+    getCarriedScore(key) {
+        let total = 0;
+        for (const level of getLevels()) {
+            if (level.key === key) break;
+            total += this.getRecord(level.key).bestScore;
+        }
+        return total;
+    }
+
+    /**
+     * Stars earned by a finished run
+     * @param {Object} results - Results from LevelSystem.getResults()
+     * @returns {number} 1-3
+     */
+    calculateStars(results) {
+        const level = getLevel(results.level);
+        let stars = 1;
+        if (results.secretsFound >= results.secretsTotal) stars++;
+        if (level?.parTime && results.time <= level.parTime * 1000) stars++;
+        return stars;
+    }
+
+    /**
+     * Record a finished level and unlock whatever it opens up
+     * @param {Object} results - Results from LevelSystem.getResults()
+     * @returns {{stars: number, newBestTime: boolean, newBestScore: boolean, unlocked: Array<string>}}
+     */
+    recordResults(results) {
+        const lockedBefore = getLevels().filter(level => !this.isUnlocked(level.key)).map(level => level.key);
+
+        const record = this.getRecord(results.level);
+        const stars = this.calculateStars(results);
+        const newBestTime = record.bestTime === null || results.time < record.bestTime;
+        const newBestScore = results.levelScore > record.bestScore;
+
+        this.progress.levels[results.level] = {
+            completed: true,
+            bestTime: newBestTime ? results.time : record.bestTime,
+            bestScore: Math.max(record.bestScore, results.levelScore),
+            stars: Math.max(record.stars, stars),
+            secrets: [...new Set([...record.secrets, ...results.secrets])]
+        };
+        this.save();
+
+        const unlocked = lockedBefore.filter(key => this.isUnlocked(key));
+        if (unlocked.length > 0) {
+            console.log('Campaign unlocked:', unlocked);
+        }
+
+        return { stars, newBestTime, newBestScore, unlocked };
+    }
+
+    /**
+     * Secrets total for a level, from the map
+     * @param {string} key - Level key
+     * @returns {number}
+     */
+    getSecretTotal(key) {
+        return getSecretCount(key);
+    }
+
+    /**
+     * Forget all progress
+     */
+    reset() {
+        this.store.clear();
+        this.progress = CampaignSystem.createDefaultProgress();
+        console.log('Campaign progress reset');
+    }
+}
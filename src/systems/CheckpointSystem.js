@@ -0,0 +1,212 @@
+import Phaser from 'phaser';
+
+// Respawning never leaves the diver with less than this share of oxygen/health
+const MIN_RESTORE = 0.25;
+// Grace period after respawning before anything can hurt the diver
+const RESPAWN_INVULNERABILITY = 2000;
+
+/**
+ * Checkpoints from the Tiled map ('Checkpoint' objects).
+ *
+ * Swimming into a checkpoint saves the diver's position, oxygen, health,
+ * battery, score and the level's collected state (kills, secrets found,
+ * placed pickups collected and air pockets used).
+ * After a game over the player can respawn at the last checkpoint, which
+ * restores that state in place instead of restarting the scene. The level
+ * clock keeps running, so dying still costs time.
+ */
+export default class CheckpointSystem {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        console.log('Initializing CheckpointSystem...');
+
+        this.scene = scene;
+        this.checkpoints = [];
+        this.saved = null;
+    }
+
+    /**
+     * Set up checkpoints from Tiled
+     * @param {Array} checkpoints - Checkpoints from EntityLayerSystem.getCheckpoints()
+     */
+    initCheckpoints(checkpoints = []) {
+        this.checkpoints = checkpoints.map(checkpoint => {
+            const entry = {
+                ...checkpoint,
+                bounds: new Phaser.Geom.Rectangle(checkpoint.x, checkpoint.y, checkpoint.width, checkpoint.height),
+                centerX: checkpoint.x + checkpoint.width / 2,
+                centerY: checkpoint.y + checkpoint.height / 2
+            };
+            entry.marker = this.createMarker(entry);
+            return entry;
+        });
+        console.log(`CheckpointSystem: ${this.checkpoints.length} checkpoints`);
+    }
+
+    /**
+     * Buoy marking the checkpoint, lit up once it has been reached
+     * @param {Object} checkpoint - The checkpoint
+     * @returns {Phaser.GameObjects.Graphics}
+     */
+    createMarker(checkpoint) {
+        const marker = this.scene.add.graphics({ x: checkpoint.centerX, y: checkpoint.centerY });
+        // Above the darkness overlay (900), like the exits
+        marker.setDepth(920);
+        this.drawMarker(marker, false);
+        return marker;
+    }
+
+    /**
+     * @param {Phaser.GameObjects.Graphics} marker - The checkpoint's marker
+     * @param {boolean} active - Whether it is the current checkpoint
+     */
+    drawMarker(marker, active) {
+        const color = active ? 0x66ffcc : 0x6688aa;
+        marker.clear();
+        marker.fillStyle(color, active ? 0.35 : 0.15);
+        marker.fillCircle(0, 0, 18);
+        marker.lineStyle(3, color, active ? 1 : 0.6);
+        marker.strokeCircle(0, 0, 18);
+        marker.lineBetween(0, 18, 0, 40);
+    }
+
+    /**
+     * @returns {boolean} Whether there is a checkpoint to respawn at
+     */
+    hasCheckpoint() {
+        return !!this.saved;
+    }
+
+    update(time, delta) {
+        const stateManager = this.scene.gameStateManager;
+        if (stateManager && stateManager.currentState !== stateManager.gameStates.RUNNING) return;
+
+        const player = this.scene.player?.sprite;
+        if (!player?.active) return;
+
+        const checkpoint = this.checkpoints.find(candidate => candidate.bounds.contains(player.x, player.y));
+        if (checkpoint && checkpoint.name !== this.saved?.checkpoint) {
+            this.activate(checkpoint);
+        }
+    }
+
+    /**
+     * Make this the checkpoint to respawn at and save the diver's state
+     * @param {Object} checkpoint - The checkpoint the player swam into
+     */
+    activate(checkpoint) {
+        try {
+            const scene = this.scene;
+            const player = scene.player;
+
+            this.saved = {
+                checkpoint: checkpoint.name,
+                x: checkpoint.centerX,
+                y: checkpoint.centerY,
+                oxygen: player?.oxygen ?? 0,
+                health: scene.healthSystem?.currentHealth ?? 0,
+                battery: scene.batterySystem?.charge ?? null,
+                score: scene.gameStateManager?.score ?? 0,
+                level: scene.levelSystem?.getProgress() ?? null,
+                // Saved the same way as in save games (see SaveGameSystem.serialize)
+                pickups: scene.lootSystem?.getState() ?? null,
+                airPockets: scene.airPocketSystem?.getState() ?? null
+            };
+
+            this.checkpoints.forEach(entry => this.drawMarker(entry.marker, entry === checkpoint));
+
+            console.log(`Checkpoint '${checkpoint.name}' reached:`, this.saved);
+            scene.events.emit('checkpointReached', { checkpoint: checkpoint.name, x: this.saved.x, y: this.saved.y });
+        } catch (error) {
+            console.error('Error saving checkpoint:', error);
+        }
+    }
+
+    /**
+     * Put the diver back at the last checkpoint with the state saved there
+     * @returns {boolean} Whether the diver was respawned
+     */
+    respawn() {
+        if (!this.saved) return false;
+
+        try {
+            const scene = this.scene;
+            const saved = this.saved;
+            const player = scene.player;
+
+            // Stop the death animation before it announces another game over
+            if (player?.sprite) {
+                scene.tweens.killTweensOf(player.sprite);
+            }
+
+            // A boss fight in progress starts over when the player comes back
+            scene.bossSystem?.resetFight();
+            scene.enemyProjectileSystem?.clear();
+
+            if (player) {
+                player.reset(saved.x, saved.y);
+                player.oxygen = Math.max(saved.oxygen, player.maxOxygen * MIN_RESTORE);
+                player.oxygenDepleted = false;
+                scene.events.emit('playerOxygenChanged', player.oxygen, player.maxOxygen);
+            }
+
+            const healthSystem = scene.healthSystem;
+            if (healthSystem) {
+                healthSystem.reset();
+                healthSystem.currentHealth = Math.max(saved.health, healthSystem.maxHealth * MIN_RESTORE);
+                healthSystem.updateHealthDisplay();
+                healthSystem.grantInvulnerability(RESPAWN_INVULNERABILITY);
+            }
+
+            if (saved.battery !== null) {
+                scene.batterySystem?.setCharge(saved.battery);
+            }
+
+            const stateManager = scene.gameStateManager;
+            if (stateManager) {
+                const change = saved.score - stateManager.score;
+                stateManager.score = saved.score;
+                scene.events.emit('scoreChanged', stateManager.score, change);
+            }
+
+            if (saved.level) {
+                scene.levelSystem?.restoreProgress(saved.level);
+            }
+
+            // Pickups and air pockets go back to how they were at the checkpoint
+            if (saved.pickups) {
+                scene.lootSystem?.clear();
+                scene.lootSystem?.restoreState(saved.pickups);
+            }
+            if (saved.airPockets) {
+                scene.airPocketSystem?.restoreState(saved.airPockets);
+            }
+
+            scene.cameras.main.flash(400, 102, 255, 204);
+
+            console.log(`Respawned at checkpoint '${saved.checkpoint}'`);
+            scene.events.emit('playerRespawned', { checkpoint: saved.checkpoint, x: saved.x, y: saved.y });
+            return true;
+        } catch (error) {
+            console.error('Error respawning at checkpoint:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Restore the last checkpoint from a save game
+     * @param {Object|null} saved - State from `saved`, or null for none
+     */
+    restoreSaved(saved) {
+        this.saved = saved || null;
+        this.checkpoints.forEach(entry => this.drawMarker(entry.marker, entry.name === this.saved?.checkpoint));
+    }
+
+    destroy() {
+        this.checkpoints.forEach(checkpoint => checkpoint.marker?.destroy());
+        this.checkpoints = [];
+        this.saved = null;
+    }
+}
@@ -0,0 +1,126 @@
+import EnemyProjectile from '../entities/EnemyProjectile';
+
+/**
+ * Pool of hostile projectiles. Enemies fire through fire(); hits on the player
+ * go through HealthSystem.takeDamage (so invulnerability frames apply) and
+ * projectiles pop when they hit the Obstacles layer.
+ */
+export default class EnemyProjectileSystem {
+    /**
+     * @param {Phaser.Scene} scene - The scene this system belongs to
+     */
+    constructor(scene) {
+        console.log('Initializing EnemyProjectileSystem...');
+
+        this.scene = scene;
+        this.projectiles = scene.add.group({
+            classType: EnemyProjectile,
+            maxSize: 80,
+            runChildUpdate: true
+        });
+
+        this.playerOverlap = null;
+        this.obstacleCollider = null;
+    }
+
+    /**
+     * Set up hits against the player and the Obstacles layer.
+     * Call once the map and player exist.
+     */
+    setupCollisions() {
+        try {
+            this.playerOverlap?.destroy();
+            this.obstacleCollider?.destroy();
+
+            const playerSprite = this.scene.player?.sprite;
+            if (playerSprite) {
+                this.playerOverlap = this.scene.physics.add.overlap(
+                    playerSprite,
+                    this.projectiles,
+                    (player, projectile) => this.handlePlayerHit(player, projectile)
+                );
+            } else {
+                console.warn('EnemyProjectileSystem: no player to collide with');
+            }
+
+            const obstacles = this.scene.tilemapSystem?.layers?.Obstacles;
+            if (obstacles) {
+                this.obstacleCollider = this.scene.physics.add.collider(
+                    this.projectiles,
+                    obstacles,
+                    (projectile) => projectile.impact()
+                );
+            } else {
+                console.warn('EnemyProjectileSystem: no Obstacles layer to collide with');
+            }
+        } catch (error) {
+            console.error('Error setting up enemy projectile collisions:', error);
+        }
+    }
+
+    /**
+     * Fire a projectile
+     * @param {string} typeKey - Key under `projectiles` in enemyTypes.json
+     * @param {number} x - Start x
+     * @param {number} y - Start y
+     * @param {number} angle - Direction in radians
+     * @param {Object} owner - The enemy that fired
+     * @returns {EnemyProjectile|null} The projectile, or null if the pool is exhausted
+     */
+    fire(typeKey, x, y, angle, owner = null) {
+        const definition = this.scene.enemySystem?.enemyTypes?.getProjectile(typeKey);
+        if (!definition) return null;
+
+        const projectile = this.projectiles.getFirstDead(true, x, y);
+        if (!projectile) return null;
+
+        projectile.fire(x, y, angle, definition, owner);
+        this.scene.events.emit('enemyProjectileFired', { projectile, owner, type: typeKey });
+        return projectile;
+    }
+
+    /**
+     * @param {Phaser.GameObjects.Sprite} playerSprite - The player sprite
+     * @param {EnemyProjectile} projectile - The projectile that hit
+     */
+    handlePlayerHit(playerSprite, projectile) {
+        if (!projectile.active) return;
+
+        const healthSystem = this.scene.healthSystem;
+        const damaged = healthSystem ? healthSystem.takeDamage(projectile.damage) : false;
+
+        // Only push the player around when the hit actually landed
+        if (damaged && projectile.knockback > 0 && playerSprite.body) {
+            const angle = Math.atan2(projectile.body.velocity.y, projectile.body.velocity.x);
+            playerSprite.body.velocity.x += Math.cos(angle) * projectile.knockback;
+            playerSprite.body.velocity.y += Math.sin(angle) * projectile.knockback;
+        }
+
+        this.scene.events.emit('playerHitByProjectile', {
+            projectile,
+            damage: projectile.damage,
+            damaged
+        });
+
+        projectile.impact();
+    }
+
+    /**
+     * Return every projectile to the pool
+     */
+    clear() {
+        this.projectiles.getChildren().forEach(projectile => {
+            if (projectile.active) {
+                projectile.deactivate();
+            }
+        });
+    }
+
+    destroy() {
+        this.playerOverlap?.destroy();
+        this.obstacleCollider?.destroy();
+        this.playerOverlap = null;
+        this.obstacleCollider = null;
+        this.projectiles.clear(true, true);
+    }
+}
@@ -1,44 +1,36 @@
+import Phaser from 'phaser';
 import Enemy from '../entities/Enemy';
+import EnemyTypeRegistry from './EnemyTypeRegistry';
+import SpawnDirector from './SpawnDirector';
 
 export default class EnemySystem {
     constructor(scene) {
         console.log('Initializing EnemySystem...');
         
         this.scene = scene;
+        this.rng = scene.random.gameplay;
         this.enemies = scene.add.group({
             classType: Enemy,
             runChildUpdate: true
         });
         
-        // Spawn settings
-        this.maxEnemies = 10;
-        this.spawnInterval = 2000; // Spawn every 2 seconds
-        this.spawnTimer = 0;
+        // Species definitions from src/config/enemyTypes.json
+        this.enemyTypes = new EnemyTypeRegistry(scene);
+        
+        // Spawn points come from the Tiled 'Enemies' layer via initSpawnPoints()
+        this.spawnPoints = [];
+        this.spreadRadius = 48; // How far group members are scattered around their spawn point
+        
+        // Extra spawns around the player, budgeted by depth, time and player condition
+        this.director = new SpawnDirector(scene, this);
         
         // Debug markers array
         this.debugMarkers = [];
-        this.spawnData = {};
         
         // Get map bounds for spawning
         this.updateMapBounds();
         
-        // Define hardcoded enemy spawn points
-        // These are used instead of map data
-        this.hardcodedSpawnPoints = [
-            { x: 500, y: 300, type: 1 },
-            { x: 800, y: 500, type: 2 },
-            { x: 1200, y: 700, type: 3 },
-            { x: 400, y: 900, type: 1 },
-            { x: 1500, y: 400, type: 2 }
-        ];
-        
-        // Initialize with hardcoded spawn points
-        this.initSpawnPoints(this.hardcodedSpawnPoints);
-        
         console.log('EnemySystem initialization complete');
-        
-        // Start spawning immediately
-        this.spawnEnemy();
     }
     
     isPositionValid(x, y) {
@@ -129,65 +121,84 @@ export default class EnemySystem {
         }
     }
     
-    spawnEnemy() {
-        console.log('SpawnEnemy called. Current enemy count:', this.enemies.getLength(), 'Max:', this.maxEnemies);
-        
-        if (this.enemies.getLength() >= this.maxEnemies) {
-            console.log('Max enemies reached, skipping spawn');
-            return;
+    /**
+     * Spawn one enemy for a spawn point, scattered around its position
+     * @param {Object} spawnPoint - The spawn point to spawn from
+     * @returns {Enemy|null} The spawned enemy
+     */
+    spawnEnemy(spawnPoint) {
+        if (spawnPoint.alive.length >= spawnPoint.count) {
+            return null;
         }
         
-        // Update map bounds before spawning
-        this.updateMapBounds();
-        console.log('Map bounds:', this.mapBounds);
-        
-        // Try to find a valid spawn position
-        let validPosition = false;
-        let x, y;
-        let attempts = 0;
-        const maxAttempts = 10; // Prevent infinite loop
-        const spawnOffset = 100; // Distance outside the map to spawn enemies
-        
-        while (!validPosition && attempts < maxAttempts) {
-            // Random position along the edges of the map
-            const side = Phaser.Math.Between(0, 3); // 0: top, 1: right, 2: bottom, 3: left
-            
-            switch (side) {
-                case 0: // Top
-                    x = Phaser.Math.Between(0, this.mapBounds.width);
-                    y = -spawnOffset;
-                    break;
-                case 1: // Right
-                    x = this.mapBounds.width + spawnOffset;
-                    y = Phaser.Math.Between(0, this.mapBounds.height);
-                    break;
-                case 2: // Bottom
-                    x = Phaser.Math.Between(0, this.mapBounds.width);
-                    y = this.mapBounds.height + spawnOffset;
-                    break;
-                case 3: // Left
-                    x = -spawnOffset;
-                    y = Phaser.Math.Between(0, this.mapBounds.height);
+        // Try to find a free position near the spawn point, falling back to the point itself
+        let x = spawnPoint.x;
+        let y = spawnPoint.y;
+        if (spawnPoint.count > 1) {
+            for (let attempts = 0; attempts < 5; attempts++) {
+                const candidateX = spawnPoint.x + this.rng.between(-this.spreadRadius, this.spreadRadius);
+                const candidateY = spawnPoint.y + this.rng.between(-this.spreadRadius, this.spreadRadius);
+                if (this.isPositionValid(candidateX, candidateY)) {
+                    x = candidateX;
+                    y = candidateY;
                     break;
+                }
             }
-            
-            console.log(`Attempt ${attempts + 1}: Trying position (${x}, ${y})`);
-            
-            // Check if position is valid (not inside an obstacle)
-            validPosition = this.isPositionValid(x, y);
-            attempts++;
         }
         
-        // If we found a valid position, spawn the enemy
-        if (validPosition) {
-            const enemy = new Enemy(this.scene, x, y);
+        try {
+            const enemy = new Enemy(this.scene, x, y, this.enemyTypes.get(spawnPoint.enemyType));
+            enemy.setSpawnInfo(spawnPoint);
+            this.enemies.add(enemy);
+            spawnPoint.alive.push(enemy);
+            console.log(`Spawned '${spawnPoint.enemyType}' at (${Math.round(x)}, ${Math.round(y)}) - ${spawnPoint.alive.length}/${spawnPoint.count}`);
+            return enemy;
+        } catch (error) {
+            console.error('Error spawning enemy:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Spawn an enemy that doesn't belong to a spawn point (boss minions, spawn director).
+     * These enemies treat their spawn position as home and never respawn.
+     * @param {string} typeKey - Enemy type key
+     * @param {number} x - Spawn x
+     * @param {number} y - Spawn y
+     * @returns {Enemy|null} The spawned enemy
+     */
+    spawnUnbound(typeKey, x, y) {
+        if (!this.isPositionValid(x, y)) {
+            return null;
+        }
+        
+        try {
+            const enemy = new Enemy(this.scene, x, y, this.enemyTypes.get(typeKey));
+            enemy.stateMachine.setHome(x, y);
             this.enemies.add(enemy);
-            console.log('Successfully spawned enemy at:', { x, y });
-        } else {
-            console.warn('Could not find valid spawn position for enemy after', maxAttempts, 'attempts');
+            return enemy;
+        } catch (error) {
+            console.error(`Error spawning '${typeKey}':`, error);
+            return null;
         }
     }
     
+    /**
+     * Spawn an enemy that starts chasing the player straight away (e.g. summoned by a boss)
+     * @param {string} typeKey - Enemy type key
+     * @param {number} x - Spawn x
+     * @param {number} y - Spawn y
+     * @returns {Enemy|null} The spawned enemy
+     */
+    spawnMinion(typeKey, x, y) {
+        const enemy = this.spawnUnbound(typeKey, x, y);
+        if (enemy) {
+            enemy.becomeAggressive();
+            console.log(`Spawned minion '${enemy.enemyType}' at (${Math.round(x)}, ${Math.round(y)})`);
+        }
+        return enemy;
+    }
+    
     update(time, delta) {
         if (!this.scene || !this.scene.game) {
             console.warn('EnemySystem update called without valid scene');
@@ -198,38 +209,138 @@ export default class EnemySystem {
             return;
         }
 
-        // Update spawn timer
-        this.spawnTimer += delta;
-        
-        // Only log every second to reduce spam
-        if (Math.floor(this.spawnTimer / 1000) !== Math.floor((this.spawnTimer - delta) / 1000)) {
-            console.log(`Enemy system active - Timer: ${Math.floor(this.spawnTimer)}/${this.spawnInterval}ms`);
-        }
-        
-        if (this.spawnTimer >= this.spawnInterval) {
-            console.log('Spawn interval reached, attempting to spawn enemy...');
-            this.spawnTimer = 0;
-            this.spawnEnemy();
-        }
+        this.spawnPoints.forEach(spawnPoint => {
+            // Drop dead enemies and queue a respawn for each one
+            spawnPoint.alive = spawnPoint.alive.filter(enemy => {
+                if (enemy.isAlive && enemy.active) return true;
+                
+                if (spawnPoint.respawn > 0) {
+                    spawnPoint.respawnTimers.push(spawnPoint.respawn);
+                }
+                return false;
+            });
+            
+            // Count down pending respawns
+            if (spawnPoint.respawnTimers.length > 0) {
+                spawnPoint.respawnTimers = spawnPoint.respawnTimers.map(remaining => remaining - delta);
+                while (spawnPoint.respawnTimers.length > 0 && spawnPoint.respawnTimers[0] <= 0) {
+                    spawnPoint.respawnTimers.shift();
+                    this.spawnEnemy(spawnPoint);
+                }
+            }
+        });
         
-        // Update existing enemies
-        const enemies = this.enemies.getChildren();
-        if (enemies.length === 0) {
-            console.log('No active enemies, waiting for spawn...');
-        } else {
-            console.log(`Managing ${enemies.length} active enemies`);
-        }
+        this.director.update(time, delta);
         
         // Clean up dead enemies
-        enemies.forEach(enemy => {
+        this.enemies.getChildren().forEach(enemy => {
             if (!enemy.isAlive) {
-                console.log('Removing dead enemy');
                 this.enemies.remove(enemy);
             }
         });
     }
     
+    /**
+     * Snapshot of every live enemy and pending respawn for save games.
+     * Bosses aren't included - their arenas wait for the player instead.
+     * @returns {Object}
+     */
+    getState() {
+        const enemies = this.enemies.getChildren()
+            .filter(enemy => enemy.isAlive && enemy.active && !enemy.isBoss)
+            .map(enemy => ({
+                type: enemy.enemyType,
+                x: enemy.x,
+                y: enemy.y,
+                vx: enemy.body?.velocity.x ?? 0,
+                vy: enemy.body?.velocity.y ?? 0,
+                health: enemy.health,
+                aiState: enemy.aiState,
+                spawnPoint: enemy.spawnPoint?.id ?? null,
+                home: enemy.stateMachine ? { ...enemy.stateMachine.home } : null,
+                patrolIndex: enemy.patrolIndex,
+                directed: !!enemy.isDirected
+            }));
+        
+        return {
+            enemies,
+            respawns: this.spawnPoints
+                .filter(spawnPoint => spawnPoint.respawnTimers.length > 0)
+                .map(spawnPoint => ({ id: spawnPoint.id, timers: [...spawnPoint.respawnTimers] })),
+            director: this.director.getState()
+        };
+    }
+    
+    /**
+     * Replace every enemy with the ones saved by getState()
+     * @param {Object} state - Saved enemy state
+     */
+    restoreState(state = {}) {
+        this.scene.bossSystem?.resetFight();
+        
+        this.enemies.getChildren().slice().forEach(enemy => {
+            this.scene.tweens.killTweensOf(enemy);
+            enemy.destroy();
+        });
+        this.enemies.clear(false, false);
+        
+        this.spawnPoints.forEach(spawnPoint => {
+            spawnPoint.alive = [];
+            spawnPoint.respawnTimers = [];
+        });
+        this.director.restoreState(state.director);
+        
+        (state.enemies || []).forEach(saved => this.restoreEnemy(saved));
+        
+        (state.respawns || []).forEach(({ id, timers }) => {
+            const spawnPoint = this.spawnPoints.find(candidate => candidate.id === id);
+            if (spawnPoint) {
+                spawnPoint.respawnTimers = [...timers];
+            }
+        });
+        
+        console.log(`Restored ${this.enemies.getLength()} enemies`);
+    }
+    
+    /**
+     * Recreate one enemy from a save
+     * @param {Object} saved - Entry from getState().enemies
+     * @returns {Enemy|null} The enemy
+     */
+    restoreEnemy(saved) {
+        try {
+            const enemy = new Enemy(this.scene, saved.x, saved.y, this.enemyTypes.get(saved.type));
+            
+            const spawnPoint = this.spawnPoints.find(candidate => candidate.id === saved.spawnPoint);
+            if (spawnPoint) {
+                enemy.setSpawnInfo(spawnPoint);
+                spawnPoint.alive.push(enemy);
+            } else if (saved.home) {
+                enemy.stateMachine.setHome(saved.home.x, saved.home.y);
+            }
+            this.enemies.add(enemy);
+            
+            enemy.health = Math.min(saved.health, enemy.maxHealth);
+            enemy.updateHealthBar();
+            enemy.patrolIndex = saved.patrolIndex ?? enemy.patrolIndex;
+            enemy.body?.setVelocity(saved.vx, saved.vy);
+            if (saved.aiState) {
+                enemy.stateMachine.transition(saved.aiState, 'restored');
+            }
+            
+            if (saved.directed) {
+                enemy.isDirected = true;
+                this.director.spawned.push(enemy);
+            }
+            return enemy;
+        } catch (error) {
+            console.error(`Error restoring '${saved.type}':`, error);
+            return null;
+        }
+    }
+    
     destroy() {
+        this.director.destroy();
         this.enemies.getChildren().forEach(enemy => enemy.destroy());
         this.enemies.clear(true, true);
     }
@@ -238,7 +349,7 @@ export default class EnemySystem {
      * Create a visual marker for a spawn point (debug only)
      * @param {number} x - X position
      * @param {number} y - Y position 
-     * @param {number} type - Enemy type
+     * @param {string} type - Enemy type
      * @private
      */
     createSpawnPointMarker(x, y, type) {
@@ -274,65 +385,49 @@ export default class EnemySystem {
             // Store the spawn points
             this.spawnPoints = [];
             
-            // CRITICAL: Set enemySpawnLocations immediately to prevent other systems from using these positions
-            this.scene.enemySpawnPointsInitialized = true;
-            this.scene.enemySpawnLocations = this.hardcodedSpawnPoints.map(p => ({ x: p.x, y: p.y, isEnemySpawn: true }));
-            
             console.log(`Initializing ${spawnPoints.length} enemy spawn points`);
             
             // Process each spawn point
             spawnPoints.forEach(point => {
                 // Only process valid spawn points with coordinates
                 if (point && point.x !== undefined && point.y !== undefined) {
-                    // Store the spawn point
+                    // Store the spawn point with its own population cap and respawn queue
                     this.spawnPoints.push({
+                        id: point.id,
                         x: point.x,
                         y: point.y,
-                        type: point.type || 1,
-                        active: true,
-                        lastSpawnTime: 0,
+                        enemyType: this.enemyTypes.resolveKey(point.enemyType),
+                        count: Math.max(1, point.count || 1),
+                        respawn: point.respawn || 0,
+                        patrolPath: point.patrolPath || null,
+                        aggroRadius: point.aggroRadius || 0,
+                        light: point.light || null,
+                        alive: [],
+                        respawnTimers: [],
                         isEnemySpawn: true // Mark explicitly as enemy spawn
                     });
                     
                     // Create debug marker (hidden by default)
-                    this.createSpawnPointMarker(point.x, point.y, point.type || 1);
+                    this.createSpawnPointMarker(point.x, point.y, point.enemyType);
                 }
             });
             
-            // Create spawn data for each type of enemy
-            this.spawnData = {};
-            
-            // Type 1: Basic enemy
-            this.spawnData[1] = {
-                respawn: 5000,  // Respawn every 5 seconds
-                health: 30,
-                damage: 10,
-                oxygen: 20, // Oxygen drop amount
-                speed: 100
-            };
-            
-            // Type 2: Medium enemy
-            this.spawnData[2] = {
-                respawn: 8000,  // Respawn every 8 seconds
-                health: 50,
-                damage: 15,
-                oxygen: 35,
-                speed: 80
-            };
-            
-            // Type 3: Large enemy
-            this.spawnData[3] = {
-                respawn: 12000,  // Respawn every 12 seconds
-                health: 100,
-                damage: 25,
-                oxygen: 50,
-                speed: 60
-            };
+            // CRITICAL: Set enemySpawnLocations so other systems avoid these positions
+            this.scene.enemySpawnPointsInitialized = true;
+            this.scene.enemySpawnLocations = this.spawnPoints.map(p => ({ x: p.x, y: p.y, isEnemySpawn: true }));
             
             console.log(`Enemy spawn system initialized with ${this.spawnPoints.length} spawn points`);
             
             // Clear any existing air pocket markers at enemy spawn positions
             this.clearAirPocketMarkersAtEnemyPositions();
+            
+            // Populate every spawn point up to its cap
+            this.updateMapBounds();
+            this.spawnPoints.forEach(spawnPoint => {
+                for (let i = 0; i < spawnPoint.count; i++) {
+                    this.spawnEnemy(spawnPoint);
+                }
+            });
         } catch (error) {
             console.error('Error initializing enemy spawn points:', error);
         }
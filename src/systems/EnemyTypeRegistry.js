@@ -0,0 +1,232 @@
+/**
+ * Registry of enemy definitions loaded from src/config/enemyTypes.json.
+ * Each type is merged over the shared defaults so a species only needs to
+ * list what makes it different.
+ */
+export default class EnemyTypeRegistry {
+    constructor(scene) {
+        this.scene = scene;
+        this.types = new Map();
+        this.aliases = new Map();
+        this.schoolSpecies = new Map();
+        this.bosses = new Map();
+        this.projectiles = new Map();
+        this.defaultType = 'badFish';
+        this.loadConfig();
+    }
+
+    /**
+     * Load enemy definitions from the JSON cache
+     */
+    loadConfig() {
+        try {
+            let config = this.scene.cache.json.get('enemyTypes');
+            if (!config) {
+                console.warn('Enemy type configuration not found in cache, using built-in badFish');
+                config = {
+                    defaultType: 'badFish',
+                    defaults: {
+                        texture: 'badFish',
+                        hitbox: { width: 0.8, height: 0.8 },
+                        health: 200,
+                        speed: { normal: 150, aggressive: 250 },
+                        contactDamage: 20,
+                        knockback: 200,
+                        aggressionDuration: 5000,
+                        ai: {},
+                        behaviours: ['wander', 'wobble', 'faceMovement'],
+                        drops: []
+                    },
+                    types: { badFish: { name: 'Bad Fish' } }
+                };
+            }
+
+            this.defaultType = config.defaultType || this.defaultType;
+            this.defaults = config.defaults || {};
+
+            Object.entries(config.aliases || {}).forEach(([alias, key]) => {
+                this.aliases.set(String(alias), key);
+            });
+
+            Object.entries(config.types || {}).forEach(([key, definition]) => {
+                this.register(key, definition);
+            });
+
+            Object.entries(config.schools || {}).forEach(([key, species]) => {
+                this.registerSchoolSpecies(key, species);
+            });
+
+            Object.entries(config.bosses || {}).forEach(([key, definition]) => {
+                this.registerBoss(key, definition);
+            });
+
+            Object.entries(config.projectiles || {}).forEach(([key, definition]) => {
+                this.registerProjectile(key, definition);
+            });
+
+            console.log(`Loaded ${this.types.size} enemy types:`, this.getTypeKeys());
+        } catch (error) {
+            console.error('Error loading enemy type configuration:', error);
+        }
+    }
+
+    /**
+     * Register (or replace) an enemy type
+     * @param {string} key - The type key used by `enemyType` in Tiled
+     * @param {Object} definition - Partial definition merged over the defaults
+     */
+    register(key, definition) {
+        this.types.set(key, this.mergeDefinition(key, definition));
+    }
+
+    /**
+     * Merge a partial definition over the shared defaults
+     * @param {string} key - The type key
+     * @param {Object} definition - Partial definition
+     * @returns {Object} The merged definition
+     */
+    mergeDefinition(key, definition) {
+        const merged = {
+            ...this.defaults,
+            ...definition,
+            key,
+            hitbox: { ...this.defaults.hitbox, ...definition.hitbox },
+            speed: { ...this.defaults.speed, ...definition.speed },
+            ai: { ...this.defaults.ai, ...definition.ai }
+        };
+
+        // JSON has no hex literals, so colors are stored as "0xRRGGBB" strings
+        if (typeof merged.tint === 'string') {
+            merged.tint = Number(merged.tint);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Register (or replace) a boss. Bosses share the enemy defaults but are only
+     * spawned by arenas, never by regular enemy spawn points.
+     * @param {string} key - The boss key used by `boss` on a Tiled arena
+     * @param {Object} definition - Partial definition including `phases`
+     */
+    registerBoss(key, definition) {
+        const merged = this.mergeDefinition(key, definition);
+
+        // Phases are ordered from full health down
+        merged.phases = (definition.phases || []).map(phase => ({
+            ...phase,
+            tint: typeof phase.tint === 'string' ? Number(phase.tint) : phase.tint
+        })).sort((a, b) => b.threshold - a.threshold);
+
+        this.bosses.set(key, merged);
+    }
+
+    /**
+     * Get a boss definition
+     * @param {string} key - The boss key
+     * @returns {Object|null} The boss definition, or null if unknown
+     */
+    getBoss(key) {
+        const boss = this.bosses.get(key);
+        if (!boss) {
+            console.warn(`Unknown boss '${key}'`);
+            return null;
+        }
+        return boss;
+    }
+
+    /**
+     * Register (or replace) a schooling fish species
+     * @param {string} key - The species key used by `species` in Tiled
+     * @param {Object} species - Species definition
+     */
+    registerSchoolSpecies(key, species) {
+        const definition = { ...species, key, weights: { ...species.weights } };
+        if (typeof definition.tint === 'string') {
+            definition.tint = Number(definition.tint);
+        }
+        this.schoolSpecies.set(key, definition);
+    }
+
+    /**
+     * Get a schooling fish species definition
+     * @param {string} key - The species key
+     * @returns {Object|null} The species definition, or null if unknown
+     */
+    getSchoolSpecies(key) {
+        const species = this.schoolSpecies.get(key);
+        if (!species) {
+            console.warn(`Unknown school species '${key}'`);
+            return null;
+        }
+        return species;
+    }
+
+    /**
+     * Register (or replace) a projectile type fired by ranged enemies
+     * @param {string} key - The projectile key used by the `shoot` behaviour
+     * @param {Object} definition - Projectile definition
+     */
+    registerProjectile(key, definition) {
+        const projectile = { ...definition, key };
+        if (typeof projectile.tint === 'string') {
+            projectile.tint = Number(projectile.tint);
+        }
+        this.projectiles.set(key, projectile);
+    }
+
+    /**
+     * Get a projectile definition
+     * @param {string} key - The projectile key
+     * @returns {Object|null} The projectile definition, or null if unknown
+     */
+    getProjectile(key) {
+        const projectile = this.projectiles.get(key);
+        if (!projectile) {
+            console.warn(`Unknown projectile '${key}'`);
+            return null;
+        }
+        return projectile;
+    }
+
+    /**
+     * Resolve a type key or legacy numeric alias to a key
+     * @param {string|number} typeKey - The key or alias
+     * @returns {string} The registered type key
+     */
+    resolveKey(typeKey) {
+        const key = String(typeKey ?? '');
+        if (this.types.has(key)) return key;
+        if (this.aliases.has(key)) return this.aliases.get(key);
+
+        console.warn(`Unknown enemy type '${key}', falling back to '${this.defaultType}'`);
+        return this.defaultType;
+    }
+
+    /**
+     * Get the definition for an enemy type
+     * @param {string|number} typeKey - The key or alias
+     * @returns {Object} The merged enemy definition
+     */
+    get(typeKey) {
+        return this.types.get(this.resolveKey(typeKey)) || this.types.get(this.defaultType);
+    }
+
+    /**
+     * Check whether a type (or alias) exists
+     * @param {string|number} typeKey - The key or alias
+     * @returns {boolean}
+     */
+    has(typeKey) {
+        const key = String(typeKey);
+        return this.types.has(key) || this.aliases.has(key);
+    }
+
+    /**
+     * Get all registered type keys
+     * @returns {Array<string>}
+     */
+    getTypeKeys() {
+        return Array.from(this.types.keys());
+    }
+}
@@ -7,6 +7,7 @@ export default class EntityLayerSystem {
         this.entityLayers = new Map();
         this.entityProcessors = new Map();
         this.spawnPoints = new Map();
+        this.patrolPaths = new Map();
         
         // Register default entity processors
         this.registerDefaultProcessors();
@@ -110,6 +111,245 @@ export default class EntityLayerSystem {
             // Mark this position as processed
             processedPositions.add(posKey);
         });
+        
+        // Enemy processor - handles spawn objects placed on the 'Enemies' layer
+        this.registerEntityProcessor('enemies', (obj, layer) => {
+            // Polylines on the enemy layer are patrol routes, already indexed in processMapLayers
+            if (obj.polyline || obj.polygon) {
+                return;
+            }
+            
+            if (obj.x === undefined || obj.y === undefined) {
+                console.warn('Skipping enemy spawn with undefined coordinates');
+                return;
+            }
+            
+            const props = this.extractProperties(obj.properties);
+            
+            const spawn = {
+                id: obj.id,
+                name: obj.name || '',
+                x: obj.x,
+                y: obj.y,
+                enemyType: props.enemyType || 'badFish',
+                count: Math.max(1, parseInt(props.count, 10) || 1),
+                // Tiled respawn is in seconds (same as air pockets), 0 disables respawning
+                respawn: Math.max(0, parseFloat(props.respawn ?? 10) || 0) * 1000,
+                patrolPath: props.patrolPath ?? null,
+                aggroRadius: Math.max(0, parseFloat(props.aggroRadius) || 0),
+                light: this.extractLight(props)
+            };
+            
+            if (!this.spawnPoints.has('enemies')) {
+                this.spawnPoints.set('enemies', []);
+            }
+            
+            console.log(`Adding enemy spawn '${spawn.enemyType}' x${spawn.count} at (${spawn.x}, ${spawn.y})`);
+            this.spawnPoints.get('enemies').push(spawn);
+        });
+        
+        // School processor - handles schooling fish placed on the 'Schools' layer
+        this.registerEntityProcessor('school', (obj, layer) => {
+            if (obj.x === undefined || obj.y === undefined) {
+                console.warn('Skipping fish school with undefined coordinates');
+                return;
+            }
+            
+            const props = this.extractProperties(obj.properties);
+            
+            // Rectangles spawn the school across their area, points use a default radius
+            const width = obj.width || 0;
+            const height = obj.height || 0;
+            const school = {
+                id: obj.id,
+                name: obj.name || '',
+                x: obj.x + width / 2,
+                y: obj.y + height / 2,
+                species: props.species || 'sardine',
+                size: Math.max(1, parseInt(props.size, 10) || 20),
+                radius: Math.max(width, height) / 2 || 80
+            };
+            
+            if (!this.spawnPoints.has('schools')) {
+                this.spawnPoints.set('schools', []);
+            }
+            
+            console.log(`Adding ${school.species} school of ${school.size} at (${school.x}, ${school.y})`);
+            this.spawnPoints.get('schools').push(school);
+        });
+        
+        // Arena processor - boss fight trigger zones placed on the 'Arenas' layer
+        this.registerEntityProcessor('arena', (obj, layer) => {
+            if (!obj.width || !obj.height) {
+                console.warn(`Skipping arena ${obj.id}: arenas must be rectangles`);
+                return;
+            }
+            
+            const props = this.extractProperties(obj.properties);
+            
+            const arena = {
+                id: obj.id,
+                name: obj.name || `arena_${obj.id}`,
+                x: obj.x,
+                y: obj.y,
+                width: obj.width,
+                height: obj.height,
+                boss: props.boss || null,
+                // The boss appears in the middle of the arena unless offset
+                bossX: obj.x + obj.width / 2 + (parseFloat(props.bossOffsetX) || 0),
+                bossY: obj.y + obj.height / 2 + (parseFloat(props.bossOffsetY) || 0),
+                completesLevel: props.completesLevel ?? true
+            };
+            
+            if (!arena.boss) {
+                console.warn(`Arena '${arena.name}' has no boss property`);
+            }
+            
+            if (!this.spawnPoints.has('arenas')) {
+                this.spawnPoints.set('arenas', []);
+            }
+            
+            console.log(`Adding arena '${arena.name}' (${arena.boss}) at (${arena.x}, ${arena.y}) ${arena.width}x${arena.height}`);
+            this.spawnPoints.get('arenas').push(arena);
+        });
+        
+        // Safe zone processor - rectangles on the 'SafeZones' layer where the spawn director holds off
+        this.registerEntityProcessor('safezone', (obj, layer) => {
+            if (!obj.width || !obj.height) {
+                console.warn(`Skipping safe zone ${obj.id}: safe zones must be rectangles`);
+                return;
+            }
+            
+            if (!this.spawnPoints.has('safeZones')) {
+                this.spawnPoints.set('safeZones', []);
+            }
+            
+            console.log(`Adding safe zone at (${obj.x}, ${obj.y}) ${obj.width}x${obj.height}`);
+            this.spawnPoints.get('safeZones').push({
+                id: obj.id,
+                name: obj.name || '',
+                x: obj.x,
+                y: obj.y,
+                width: obj.width,
+                height: obj.height
+            });
+        });
+        
+        // Exit processor - reaching an 'Exit' object completes the level
+        this.registerEntityProcessor('exit', (obj, layer) => {
+            const props = this.extractProperties(obj.properties);
+            
+            if (!this.spawnPoints.has('exits')) {
+                this.spawnPoints.set('exits', []);
+            }
+            
+            const exit = {
+                id: obj.id,
+                name: obj.name || `exit_${obj.id}`,
+                ...this.getTriggerArea(obj, props),
+                nextLevel: props.nextLevel || null
+            };
+            
+            console.log(`Adding exit '${exit.name}' at (${exit.x}, ${exit.y}) ${exit.width}x${exit.height}`);
+            this.spawnPoints.get('exits').push(exit);
+        });
+        
+        // Secret processor - hidden areas counted on the results screen
+        this.registerEntityProcessor('secret', (obj, layer) => {
+            if (!this.spawnPoints.has('secrets')) {
+                this.spawnPoints.set('secrets', []);
+            }
+            
+            const secret = {
+                id: obj.id,
+                name: obj.name || `secret_${obj.id}`,
+                ...this.getTriggerArea(obj, this.extractProperties(obj.properties))
+            };
+            
+            console.log(`Adding secret '${secret.name}' at (${secret.x}, ${secret.y})`);
+            this.spawnPoints.get('secrets').push(secret);
+        });
+        
+        // Checkpoint processor - respawn points that save the diver's state
+        this.registerEntityProcessor('checkpoint', (obj, layer) => {
+            if (!this.spawnPoints.has('checkpoints')) {
+                this.spawnPoints.set('checkpoints', []);
+            }
+            
+            const checkpoint = {
+                id: obj.id,
+                name: obj.name || `checkpoint_${obj.id}`,
+                ...this.getTriggerArea(obj, this.extractProperties(obj.properties))
+            };
+            
+            console.log(`Adding checkpoint '${checkpoint.name}' at (${checkpoint.x}, ${checkpoint.y})`);
+            this.spawnPoints.get('checkpoints').push(checkpoint);
+        });
+        
+        // Pickup processor - loot placed on the 'Pickups' layer, e.g. flares
+        this.registerEntityProcessor('pickup', (obj, layer) => {
+            if (obj.x === undefined || obj.y === undefined) {
+                console.warn('Skipping pickup with undefined coordinates');
+                return;
+            }
+            
+            const props = this.extractProperties(obj.properties);
+            if (!props.item) {
+                console.warn(`Skipping pickup ${obj.id}: it needs an item property`);
+                return;
+            }
+            
+            if (!this.spawnPoints.has('pickups')) {
+                this.spawnPoints.set('pickups', []);
+            }
+            
+            // Rectangles place the pickup in their middle
+            const pickup = {
+                id: obj.id,
+                item: props.item,
+                x: obj.x + (obj.width || 0) / 2,
+                y: obj.y + (obj.height || 0) / 2,
+                amount: props.amount !== undefined ? parseInt(props.amount, 10) || 0 : null
+            };
+            
+            console.log(`Adding ${pickup.item} pickup at (${pickup.x}, ${pickup.y})`);
+            this.spawnPoints.get('pickups').push(pickup);
+        });
+    }
+
+    /**
+     * Trigger area of a rectangle or point object. Points become a square
+     * of the given `radius` (default 64) around the point.
+     * @param {Object} obj - The object from Tiled
+     * @param {Object} props - Its extracted properties
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getTriggerArea(obj, props) {
+        if (obj.width && obj.height) {
+            return { x: obj.x, y: obj.y, width: obj.width, height: obj.height };
+        }
+        
+        const radius = parseFloat(props.radius) || 64;
+        return { x: obj.x - radius, y: obj.y - radius, width: radius * 2, height: radius * 2 };
+    }
+
+    /**
+     * Light settings given to an entity with `light...` properties
+     * (lightPattern, lightColor, lightRadius, lightIntensity, lightPeriod,
+     * lightMinIntensity, lightPhase). See LightEmitter
+     * @param {Object} props - The object's extracted properties
+     * @returns {Object|null} LightEmitter options, or null if none are set
+     */
+    extractLight(props) {
+        const light = {};
+        if (props.lightPattern !== undefined) light.pattern = String(props.lightPattern);
+        if (props.lightColor !== undefined) light.color = props.lightColor;
+        ['radius', 'intensity', 'period', 'minIntensity', 'phase'].forEach(name => {
+            const value = parseFloat(props[`light${name[0].toUpperCase()}${name.slice(1)}`]);
+            if (Number.isFinite(value)) light[name] = value;
+        });
+        
+        return Object.keys(light).length > 0 ? light : null;
     }
 
     /**
@@ -140,6 +380,13 @@ export default class EntityLayerSystem {
                 return;
             }
 
+            // Index polylines first so spawns can reference paths from any layer
+            layer.objects.forEach(obj => {
+                if (obj.polyline) {
+                    this.registerPatrolPath(obj);
+                }
+            });
+
             layer.objects.forEach(obj => {
                 this.processEntity(obj, layer);
             });
@@ -147,7 +394,16 @@ export default class EntityLayerSystem {
 
         console.log('Entity processing complete:', {
             playerSpawn: this.spawnPoints.has('player'),
-            airPockets: this.spawnPoints.get('airPockets')?.length || 0
+            airPockets: this.spawnPoints.get('airPockets')?.length || 0,
+            enemies: this.spawnPoints.get('enemies')?.length || 0,
+            schools: this.spawnPoints.get('schools')?.length || 0,
+            arenas: this.spawnPoints.get('arenas')?.length || 0,
+            safeZones: this.spawnPoints.get('safeZones')?.length || 0,
+            exits: this.spawnPoints.get('exits')?.length || 0,
+            secrets: this.spawnPoints.get('secrets')?.length || 0,
+            checkpoints: this.spawnPoints.get('checkpoints')?.length || 0,
+            pickups: this.spawnPoints.get('pickups')?.length || 0,
+            patrolPaths: this.patrolPaths.size
         });
     }
 
@@ -172,11 +428,52 @@ export default class EntityLayerSystem {
     }
 
     /**
-     * Extract properties from a Tiled properties array
-     * @param {Array} properties - The properties array from Tiled
+     * Register a polyline object as a patrol path, keyed by both id and name
+     * @param {Object} obj - The polyline object from Tiled
+     */
+    registerPatrolPath(obj) {
+        // Polyline points are relative to the object origin
+        const points = obj.polyline.map(point => ({
+            x: obj.x + point.x,
+            y: obj.y + point.y
+        }));
+        
+        if (points.length < 2) {
+            console.warn(`Ignoring patrol path ${obj.id} with fewer than 2 points`);
+            return;
+        }
+        
+        this.patrolPaths.set(String(obj.id), points);
+        if (obj.name) {
+            this.patrolPaths.set(obj.name, points);
+        }
+    }
+
+    /**
+     * Resolve a patrol path reference (object id or name)
+     * @param {number|string} ref - The patrolPath property value
+     * @returns {Array|null} Array of world-space points, or null if not found
+     */
+    getPatrolPath(ref) {
+        if (ref === null || ref === undefined || ref === '' || ref === 0) return null;
+        
+        const path = this.patrolPaths.get(String(ref));
+        if (!path) {
+            console.warn(`Patrol path '${ref}' not found`);
+            return null;
+        }
+        return path;
+    }
+
+    /**
+     * Extract properties from Tiled properties (array or object format)
+     * @param {Array|Object} properties - The properties from Tiled
      * @returns {Object} Extracted properties
      */
     extractProperties(properties) {
+        if (properties && !Array.isArray(properties) && typeof properties === 'object') {
+            return { ...properties };
+        }
         if (!Array.isArray(properties)) return {};
 
         return properties.reduce((acc, prop) => {
@@ -209,4 +506,71 @@ export default class EntityLayerSystem {
     getAirPocketSpawns() {
         return this.spawnPoints.get('airPockets') || [];
     }
-} 
\ No newline at end of file
+
+    /**
+     * Get all enemy spawn points with their patrol paths resolved
+     * @returns {Array} Array of enemy spawn definitions
+     */
+    getEnemySpawns() {
+        return (this.spawnPoints.get('enemies') || []).map(spawn => ({
+            ...spawn,
+            patrolPath: this.getPatrolPath(spawn.patrolPath)
+        }));
+    }
+
+    /**
+     * Get all fish school spawns
+     * @returns {Array} Array of school definitions
+     */
+    getSchoolSpawns() {
+        return this.spawnPoints.get('schools') || [];
+    }
+
+    /**
+     * Get all boss arenas
+     * @returns {Array} Array of arena definitions
+     */
+    getArenas() {
+        return this.spawnPoints.get('arenas') || [];
+    }
+
+    /**
+     * Get all safe zones
+     * @returns {Array} Array of safe zone rectangles
+     */
+    getSafeZones() {
+        return this.spawnPoints.get('safeZones') || [];
+    }
+
+    /**
+     * Get all level exits
+     * @returns {Array} Array of exit areas
+     */
+    getExits() {
+        return this.spawnPoints.get('exits') || [];
+    }
+
+    /**
+     * Get all secret areas
+     * @returns {Array} Array of secret areas
+     */
+    getSecrets() {
+        return this.spawnPoints.get('secrets') || [];
+    }
+
+    /**
+     * Get all checkpoints
+     * @returns {Array} Array of checkpoint areas
+     */
+    getCheckpoints() {
+        return this.spawnPoints.get('checkpoints') || [];
+    }
+
+    /**
+     * Get all pickups placed in the map
+     * @returns {Array} Array of { id, item, x, y, amount } (amount is null for the item's own)
+     */
+    getPickups() {
+        return this.spawnPoints.get('pickups') || [];
+    }
+}
@@ -0,0 +1,138 @@
+import Flare from '../entities/Flare';
+import { FLARE } from '../utils/Constants';
+
+/**
+ * FlareSystem - The diver's throwable flares.
+ *
+ * The diver carries a few flares (flare pickups add more) and throws them
+ * with the 'flare' action, from their hand along their aim. Each flare lights
+ * the water around it through LightingSystem.createPointLight for 20-30
+ * seconds. Only FLARE.MAX_ACTIVE burn at once; throwing another puts out the
+ * oldest.
+ *
+ * Events (on the scene):
+ * - flaresChanged (count, max) - the number carried changed
+ * - flareThrown ({ x, y, angle }) - a flare left the diver's hand
+ * - flareEmpty - the diver tried to throw with none left
+ * - flareBurntOut ({ x, y }) - a flare went out (from Flare)
+ */
+export default class FlareSystem {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.rng = scene.random.gameplay;
+
+        this.count = FLARE.START_COUNT;
+        this.lastThrowTime = -Infinity;
+
+        this.flares = scene.add.group({
+            classType: Flare,
+            maxSize: FLARE.MAX_ACTIVE,
+            runChildUpdate: true
+        });
+
+        console.log(`FlareSystem initialized with ${this.count} flares`);
+    }
+
+    /**
+     * Throw a flare from the diver's hand along their aim
+     * @returns {Flare|null} The flare, or null if none was thrown
+     */
+    throwFlare() {
+        const player = this.scene.player;
+        if (!player?.sprite?.active) return null;
+
+        const now = this.scene.time.now;
+        if (now - this.lastThrowTime < FLARE.THROW_COOLDOWN) return null;
+
+        if (this.count <= 0) {
+            this.scene.events.emit('flareEmpty');
+            return null;
+        }
+
+        try {
+            // Every flare is burning: the oldest makes way
+            if (this.flares.countActive(true) >= FLARE.MAX_ACTIVE) {
+                this.getActiveFlares()[0]?.burnOut();
+            }
+
+            const { x, y } = player.getAimPoint(50, -40);
+            const flare = this.flares.getFirstDead(true, x, y);
+            if (!flare) return null;
+
+            const burnTime = this.rng.between(FLARE.BURN_TIME[0], FLARE.BURN_TIME[1]);
+            flare.throw(x, y, player.aimAngle, burnTime);
+            // Oldest first, for when the next throw needs one put out
+            this.flares.remove(flare);
+            this.flares.add(flare);
+
+            this.lastThrowTime = now;
+            this.setCount(this.count - 1);
+
+            console.log(`Threw a flare at (${Math.round(x)}, ${Math.round(y)}), ${this.count} left`);
+            this.scene.events.emit('flareThrown', { x, y, angle: player.aimAngle });
+            return flare;
+        } catch (error) {
+            console.error('Error throwing flare:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Flare[]} Burning flares, oldest first
+     */
+    getActiveFlares() {
+        return this.flares.getChildren().filter(flare => flare.active);
+    }
+
+    /**
+     * Add flares, e.g. from a flare pickup
+     * @param {number} amount - Flares to add
+     */
+    addFlares(amount) {
+        this.setCount(this.count + amount);
+    }
+
+    /**
+     * Set the number carried, kept between none and FLARE.MAX_CARRIED
+     * @param {number} count - New count
+     */
+    setCount(count) {
+        const clamped = Math.max(0, Math.min(FLARE.MAX_CARRIED, Math.floor(count)));
+        if (clamped === this.count) return;
+
+        this.count = clamped;
+        this.scene.events.emit('flaresChanged', this.count, FLARE.MAX_CARRIED);
+    }
+
+    /**
+     * Put out every burning flare
+     */
+    clear() {
+        this.getActiveFlares().forEach(flare => flare.deactivate());
+    }
+
+    /**
+     * Snapshot for save games. Flares in flight aren't saved
+     * @returns {{count: number}}
+     */
+    getState() {
+        return { count: this.count };
+    }
+
+    /**
+     * Restore from getState()
+     * @param {Object} state - Saved flare state
+     */
+    restoreState(state = {}) {
+        this.clear();
+        this.setCount(state.count ?? FLARE.START_COUNT);
+    }
+
+    destroy() {
+        this.clear();
+        this.flares.clear(true, true);
+    }
+}
@@ -1,3 +1,8 @@
+import { getFirstLevel, getLevel } from '../utils/LevelManifest';
+import { formatTime, formatStars } from '../utils/Format';
+import CampaignSystem from './CampaignSystem';
+import SaveSlotsMenu from '../ui/SaveSlotsMenu';
+
 /**
  * GameStateManager - Manages game state and transitions
  */
@@ -24,8 +29,9 @@ export default class GameStateManager {
         this.previousState = null;
         
         // Game progress tracking
-        this.currentLevel = 'level1';
+        this.currentLevel = getFirstLevel().key;
         this.score = 0;
+        this.levelStartScore = 0;
         
         // State change listeners
         this.stateChangeListeners = new Map();
@@ -40,10 +46,9 @@ export default class GameStateManager {
      * Setup pause key
      */
     setupPauseKey() {
-        // Add pause key binding (ESC)
-        this.scene.input.keyboard.on('keydown-ESC', () => {
-            this.togglePause();
-        });
+        // Pause action from the key bindings (ESC by default)
+        this.handlePauseAction = () => this.togglePause();
+        this.scene.inputManager?.bindAction('pause', this.handlePauseAction);
     }
     
     /**
@@ -55,6 +60,21 @@ export default class GameStateManager {
         console.log(`Current level set to: ${levelKey}`);
     }
     
+    /**
+     * Start a level of the campaign: remember it as the current level and
+     * carry in the score banked by the levels before it
+     * @param {string} levelKey - The level key
+     */
+    startLevel(levelKey) {
+        this.setLevel(levelKey);
+        
+        const campaign = CampaignSystem.get(this.scene);
+        campaign.setCurrentLevel(levelKey);
+        this.score = campaign.getCarriedScore(levelKey);
+        this.levelStartScore = this.score;
+        console.log(`Starting ${levelKey} with carried score ${this.score}`);
+    }
+    
     /**
      * Change the game state
      * @param {string} newState - The new state to set
@@ -112,8 +132,8 @@ export default class GameStateManager {
     pauseGame() {
         console.log('Game paused');
         
-        // Explicitly set the game's paused state
-        this.scene.physics.pause();
+        // Freeze the level: physics, timers, tweens and the scene's update
+        this.scene.pause();
         
         // Create or show pause menu
         this.showPauseMenu();
@@ -125,8 +145,8 @@ export default class GameStateManager {
     resumeGame() {
         console.log('Game resumed');
         
-        // Resume the physics system
-        this.scene.physics.resume();
+        // Unfreeze the level, whether it was resumed with the key or the menu
+        this.scene.resume();
         
         // Hide pause menu
         this.hidePauseMenu();
@@ -154,6 +174,7 @@ export default class GameStateManager {
         
         // Show the menu
         if (this.pauseMenu) {
+            this.replayText?.setText(this.getReplayButtonLabel());
             this.pauseMenu.setVisible(true);
         }
     }
@@ -165,6 +186,76 @@ export default class GameStateManager {
         if (this.pauseMenu) {
             this.pauseMenu.setVisible(false);
         }
+        this.saveSlotsMenu?.hide();
+    }
+    
+    /**
+     * Swap the pause menu for the save slots panel
+     */
+    showSaveSlotsMenu() {
+        if (!this.scene.saveGameSystem) return;
+        
+        if (!this.saveSlotsMenu) {
+            this.saveSlotsMenu = new SaveSlotsMenu(this.scene, this.scene.saveGameSystem, {
+                onClose: () => this.pauseMenu?.setVisible(true),
+                // A restored save picks up where it left off
+                onLoaded: () => this.togglePause()
+            });
+        }
+        
+        this.pauseMenu?.setVisible(false);
+        this.saveSlotsMenu.show();
+    }
+    
+    /**
+     * Open the settings menu over the paused game, coming back to the pause menu when it closes
+     */
+    showSettingsMenu() {
+        this.pauseMenu?.setVisible(false);
+        // Keys go to the settings menu (e.g. rebinding) while it is open
+        const inputManager = this.scene.inputManager;
+        if (inputManager) {
+            inputManager.enabled = false;
+        }
+        this.scene.scene.launch('SettingsScene', { returnTo: null });
+        this.scene.scene.get('SettingsScene').events.once('shutdown', () => {
+            if (inputManager) {
+                inputManager.enabled = true;
+            }
+            if (this.currentState === this.gameStates.PAUSED) {
+                this.pauseMenu?.setVisible(true);
+            }
+        });
+    }
+    
+    /**
+     * @returns {string} Label of the pause menu's replay button for what the replay system is doing
+     */
+    getReplayButtonLabel() {
+        const replaySystem = this.scene.replaySystem;
+        if (replaySystem?.isRecording()) return 'Stop Recording';
+        if (replaySystem?.isPlaying()) return 'Stop Replay';
+        return 'Record Replay';
+    }
+    
+    /**
+     * Stop the replay being recorded or played back, or restart the level recording one
+     */
+    handleReplayButton() {
+        const replaySystem = this.scene.replaySystem;
+        if (replaySystem?.isActive()) {
+            // A stopped recording is still kept as the last replay
+            replaySystem.stop();
+            this.replayText?.setText(this.getReplayButtonLabel());
+            return;
+        }
+        
+        console.log(`Restarting ${this.currentLevel} to record a replay`);
+        const scene = this.scene;
+        // The clock and animations stay paused through a restart otherwise
+        scene.resume();
+        this.cleanupForRestart();
+        scene.scene.restart({ level: this.currentLevel, record: true });
     }
     
     /**
@@ -221,8 +312,25 @@ export default class GameStateManager {
             this.togglePause();
         });
         
+        // Save / Load button
+        const [saveButton, saveText] = this.createMenuButton(0, 70, 'Save / Load', () => {
+            this.showSaveSlotsMenu();
+        });
+        
+        // Settings button
+        const [settingsButton, settingsText] = this.createMenuButton(0, 140, 'Settings', () => {
+            this.showSettingsMenu();
+        });
+        
+        // Replay button: record from the start of the level, or stop the replay running
+        const [replayButton, replayText] = this.createMenuButton(0, 210, this.getReplayButtonLabel(), () => {
+            this.handleReplayButton();
+        });
+        this.replayText = replayText;
+        
         // Add elements to container
-        this.pauseMenu.add([bg, titleText, resumeButton, resumeText]);
+        this.pauseMenu.add([bg, titleText, resumeButton, resumeText, saveButton, saveText, settingsButton, settingsText, replayButton, replayText]);
+        this.pauseMenu.setScrollFactor(0, 0, true);
         
         // Make sure the menu stays fixed to the camera
         this.scene.scale.on('resize', this.handleResize, this);
@@ -343,8 +451,49 @@ export default class GameStateManager {
                 this.scene.scene.restart();
             });
             
+            // Respawn button - only shown once a checkpoint has been reached
+            const respawnButton = this.scene.add.rectangle(
+                this.scene.scale.width / 2,
+                this.scene.scale.height / 2 + 120,
+                340, 50,
+                0x44aa88
+            ).setInteractive({ useHandCursor: true });
+            respawnButton.setScrollFactor(0); // Fix to camera
+            
+            const respawnText = this.scene.add.text(
+                this.scene.scale.width / 2,
+                this.scene.scale.height / 2 + 120,
+                'Respawn at Checkpoint',
+                {
+                    fontFamily: 'Arial',
+                    fontSize: '26px',
+                    color: '#ffffff',
+                    fontWeight: 'bold'
+                }
+            ).setOrigin(0.5);
+            respawnText.setScrollFactor(0); // Fix to camera
+            
+            respawnButton.on('pointerover', () => {
+                respawnButton.setFillStyle(0x66ccaa);
+            });
+            
+            respawnButton.on('pointerout', () => {
+                respawnButton.setFillStyle(0x44aa88);
+            });
+            
+            respawnButton.on('pointerdown', () => {
+                respawnButton.setFillStyle(0x338866);
+            });
+            
+            respawnButton.on('pointerup', () => {
+                respawnButton.setFillStyle(0x44aa88);
+                this.respawnAtCheckpoint();
+            });
+            
+            this.respawnElements = [respawnButton, respawnText];
+            
             // Add elements to container
-            this.gameOverMenu.add([bg, gameOverText, restartButton, restartText]);
+            this.gameOverMenu.add([bg, gameOverText, restartButton, restartText, respawnButton, respawnText]);
             
             // Handle window resize
             this.scene.scale.on('resize', () => {
@@ -356,10 +505,16 @@ export default class GameStateManager {
                     gameOverText.setPosition(this.scene.scale.width / 2, this.scene.scale.height / 2 - 100);
                     restartButton.setPosition(this.scene.scale.width / 2, this.scene.scale.height / 2 + 50);
                     restartText.setPosition(this.scene.scale.width / 2, this.scene.scale.height / 2 + 50);
+                    respawnButton.setPosition(this.scene.scale.width / 2, this.scene.scale.height / 2 + 120);
+                    respawnText.setPosition(this.scene.scale.width / 2, this.scene.scale.height / 2 + 120);
                 }
             });
         }
         
+        // Only offer a respawn once a checkpoint has been reached
+        const canRespawn = !!this.scene.checkpointSystem?.hasCheckpoint();
+        this.respawnElements.forEach(element => element.setVisible(canRespawn));
+        
         // Show the menu
         this.gameOverMenu.setVisible(true);
         
@@ -372,6 +527,19 @@ export default class GameStateManager {
         console.log('Game over screen displayed');
     }
     
+    /**
+     * Leave the game over screen by respawning at the last checkpoint,
+     * without reloading the scene
+     */
+    respawnAtCheckpoint() {
+        if (this.currentState !== this.gameStates.GAME_OVER) return;
+        if (!this.scene.checkpointSystem?.respawn()) return;
+        
+        this.gameOverMenu?.setVisible(false);
+        this.changeState(this.gameStates.RUNNING, { reason: 'respawn' });
+        this.scene.physics.resume();
+    }
+    
     /**
      * Handle level complete
      * @param {Object} data - Data related to the level completion
@@ -387,9 +555,162 @@ export default class GameStateManager {
      * Show level complete screen
      * @param {Object} data - Level complete data
      */
-    showLevelCompleteScreen(data) {
-        // Implementation of level complete screen
+    showLevelCompleteScreen(data = {}) {
         console.log('Showing level complete screen');
+        
+        // Freeze the level behind the results
+        this.scene.physics.pause();
+        
+        const results = this.scene.levelSystem?.getResults(data.nextLevel) || {
+            level: this.currentLevel,
+            levelName: this.currentLevel,
+            nextLevel: null,
+            time: 0,
+            oxygen: 0,
+            kills: 0,
+            secretsFound: 0,
+            secretsTotal: 0,
+            secrets: [],
+            score: this.score,
+            levelScore: this.score - this.levelStartScore
+        };
+        
+        // Save progress before building the screen so unlocks are known
+        const campaign = CampaignSystem.get(this.scene);
+        const record = campaign.recordResults(results);
+        
+        if (this.levelCompleteMenu) {
+            this.levelCompleteMenu.destroy();
+        }
+        
+        // Create container for the results screen, fixed to the camera
+        this.levelCompleteMenu = this.scene.add.container(0, 0);
+        this.levelCompleteMenu.setScrollFactor(0, 0, true);
+        this.levelCompleteMenu.setDepth(1000);
+        
+        const width = this.scene.scale.width;
+        const height = this.scene.scale.height;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        
+        // Background darkening
+        const bg = this.scene.add.rectangle(0, 0, width, height, 0x000000, 0.8);
+        bg.setOrigin(0, 0);
+        
+        const titleText = this.scene.add.text(centerX, centerY - 220, 'LEVEL COMPLETE', {
+            fontFamily: 'Arial',
+            fontSize: '48px',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 6
+        }).setOrigin(0.5);
+        
+        const nameText = this.scene.add.text(centerX, centerY - 170, results.levelName, {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#99e6ff'
+        }).setOrigin(0.5);
+        
+        const starsText = this.scene.add.text(centerX, centerY - 128, formatStars(record.stars), {
+            fontFamily: 'Arial',
+            fontSize: '36px',
+            color: '#ffd700'
+        }).setOrigin(0.5);
+        
+        const rows = [
+            ['Time', formatTime(results.time) + (record.newBestTime ? '  NEW BEST' : '')],
+            ['Oxygen remaining', `${results.oxygen}%`],
+            ['Enemies killed', `${results.kills}`],
+            ['Secrets found', `${results.secretsFound} / ${results.secretsTotal}`],
+            ['Score', `${results.score}` + (record.newBestScore ? '  NEW BEST' : '')]
+        ];
+        
+        const statTexts = [];
+        rows.forEach(([label, value], index) => {
+            const y = centerY - 90 + index * 34;
+            statTexts.push(
+                this.scene.add.text(centerX - 170, y, label, {
+                    fontFamily: 'Arial', fontSize: '22px', color: '#cccccc'
+                }).setOrigin(0, 0.5),
+                this.scene.add.text(centerX + 170, y, value, {
+                    fontFamily: 'Arial', fontSize: '22px', color: '#ffffff'
+                }).setOrigin(1, 0.5)
+            );
+        });
+        
+        // Buttons along the bottom: next level (if there is one), retry, level select
+        const buttons = [];
+        if (results.nextLevel && getLevel(results.nextLevel) && campaign.isUnlocked(results.nextLevel)) {
+            buttons.push(['Next Level', () => this.goToLevel(results.nextLevel)]);
+        }
+        buttons.push(['Retry', () => this.goToLevel(results.level)]);
+        buttons.push(['Level Select', () => this.goToLevelSelect()]);
+        
+        const buttonY = centerY + 140;
+        const spacing = 220;
+        const startX = centerX - ((buttons.length - 1) * spacing) / 2;
+        const buttonObjects = buttons.flatMap(([label, onClick], index) =>
+            this.createMenuButton(startX + index * spacing, buttonY, label, onClick));
+        
+        this.levelCompleteMenu.add([bg, titleText, nameText, starsText, ...statTexts, ...buttonObjects]);
+        
+        if (record.unlocked.length > 0) {
+            const unlockedNames = record.unlocked.map(key => getLevel(key)?.name || key).join(', ');
+            const unlockedText = this.scene.add.text(centerX, buttonY + 60, `Unlocked: ${unlockedNames}`, {
+                fontFamily: 'Arial',
+                fontSize: '20px',
+                color: '#66ffcc'
+            }).setOrigin(0.5);
+            this.levelCompleteMenu.add(unlockedText);
+        }
+        
+        this.scene.events.emit('levelResults', { ...results, ...record });
+    }
+    
+    /**
+     * Create a menu button in the style of the pause and game over menus
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} label - Button label
+     * @param {Function} onClick - Called when the button is released
+     * @returns {Array<Phaser.GameObjects.GameObject>} The button and its label
+     */
+    createMenuButton(x, y, label, onClick) {
+        const button = this.scene.add.rectangle(x, y, 200, 50, 0x6666ff)
+            .setInteractive({ useHandCursor: true });
+        
+        const text = this.scene.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        
+        button.on('pointerover', () => button.setFillStyle(0x8888ff));
+        button.on('pointerout', () => button.setFillStyle(0x6666ff));
+        button.on('pointerdown', () => button.setFillStyle(0x4444ff));
+        button.on('pointerup', onClick);
+        
+        return [button, text];
+    }
+    
+    /**
+     * Restart the game scene on a level
+     * @param {string} levelKey - Level to play
+     */
+    goToLevel(levelKey) {
+        console.log(`Starting level: ${levelKey}`);
+        const scene = this.scene;
+        this.cleanupForRestart();
+        scene.scene.restart({ level: levelKey });
+    }
+    
+    /**
+     * Leave the level for the level select screen
+     */
+    goToLevelSelect() {
+        const scene = this.scene;
+        this.cleanupForRestart();
+        scene.scene.start('LevelSelectScene');
     }
     
     /**
@@ -409,6 +730,22 @@ export default class GameStateManager {
         });
     }
     
+    /**
+     * Remove a listener added with onStateChange
+     * @param {string} state - The state it listens for, or 'any'
+     * @param {Function} callback - The callback it was added with
+     * @param {Object} context - The context it was added with
+     */
+    offStateChange(state, callback, context) {
+        const listeners = this.stateChangeListeners.get(state);
+        if (!listeners) return;
+        
+        // A new array, so listeners can remove themselves while being notified
+        this.stateChangeListeners.set(state, listeners.filter(listener =>
+            listener.callback !== callback || listener.context !== (context || this)
+        ));
+    }
+    
     /**
      * Notify all listeners of a state change
      * @param {string} newState - The new state
@@ -469,16 +806,28 @@ export default class GameStateManager {
                 this.gameOverMenu = null;
             }
             
+            // Clean up results screen
+            if (this.levelCompleteMenu) {
+                this.levelCompleteMenu.removeAll(true);
+                this.levelCompleteMenu.destroy();
+                this.levelCompleteMenu = null;
+            }
+            
+            // Clean up save slots panel
+            this.saveSlotsMenu?.destroy();
+            this.saveSlotsMenu = null;
+            
             // Clean up pause menu
             if (this.pauseMenu) {
                 this.pauseMenu.removeAll(true);
                 this.pauseMenu.destroy();
                 this.pauseMenu = null;
+                this.replayText = null;
             }
             
             // Clean up event listeners
             this.scene.scale.off('resize');
-            this.scene.input.keyboard.off('keydown-ESC');
+            this.scene.inputManager?.unbindAction('pause', this.handlePauseAction);
             
             // Clear state listeners
             this.stateChangeListeners.clear();
@@ -505,6 +854,9 @@ export default class GameStateManager {
                 'bulletSystem',
                 'healthSystem',
                 'enemySystem',
+                'lootSystem',
+                'levelSystem',
+                'checkpointSystem',
                 'uiSystem',
                 'gameSceneUI',
                 'gameSceneCamera'
@@ -528,7 +880,7 @@ export default class GameStateManager {
             this.scene.time.removeAllEvents();
             
             // Clear any remaining physics bodies
-            this.scene.physics.world.colliders.clear();
+            this.scene.physics.world.colliders.removeAll();
             this.scene.physics.world.bodies.clear();
             
             console.log('Cleanup completed successfully');
@@ -543,7 +895,7 @@ export default class GameStateManager {
     destroy() {
         // Remove event listeners
         this.scene.scale.off('resize', this.handleResize, this);
-        this.scene.input.keyboard.off('keydown-ESC');
+        this.scene.inputManager?.unbindAction('pause', this.handlePauseAction);
         
         // Clear listeners
         this.stateChangeListeners.clear();
@@ -10,6 +10,7 @@ export default class HealthSystem {
         this.isInvulnerable = false;
         this.invulnerabilityDuration = 1000; // 1 second of invulnerability after taking damage
         this.lastDamageTime = 0;
+        this.invulnerableUntil = 0;
         
         // Create health bar UI
         this.healthBar = new HealthBar(scene, {
@@ -23,12 +24,20 @@ export default class HealthSystem {
         this.updateHealthDisplay();
     }
     
+    /**
+     * Damage the player, unless they're still invulnerable from the last hit
+     * @param {number} amount - Damage to apply
+     * @returns {boolean} Whether the damage was applied
+     */
     takeDamage(amount) {
-        const now = Date.now();
+        const now = this.scene.time.now;
         
         // Check invulnerability
         if (this.isInvulnerable && now - this.lastDamageTime < this.invulnerabilityDuration) {
-            return;
+            return false;
+        }
+        if (now < this.invulnerableUntil) {
+            return false;
         }
         
         // Apply damage
@@ -69,6 +78,24 @@ export default class HealthSystem {
                 this.player.sprite.clearTint();
             }
         });
+        
+        return true;
+    }
+    
+    /**
+     * Protect the player for a while, e.g. right after respawning. Timed on
+     * the scene clock, the same one takeDamage checks against
+     * @param {number} duration - How long in ms
+     */
+    grantInvulnerability(duration) {
+        this.isInvulnerable = true;
+        this.invulnerableUntil = this.scene.time.now + duration;
+        
+        this.scene.time.delayedCall(duration, () => {
+            if (this.scene.time.now >= this.invulnerableUntil) {
+                this.isInvulnerable = false;
+            }
+        });
     }
     
     heal(amount) {
@@ -111,6 +138,7 @@ export default class HealthSystem {
         this.currentHealth = this.maxHealth;
         this.isInvulnerable = false;
         this.lastDamageTime = 0;
+        this.invulnerableUntil = 0;
         this.updateHealthDisplay();
         
         if (this.player?.sprite) {
@@ -123,7 +151,7 @@ export default class HealthSystem {
         // Update invulnerability visual effect
         if (this.isInvulnerable && this.player?.sprite) {
             const flickerSpeed = 100; // ms
-            const alpha = Math.sin(Date.now() / flickerSpeed) * 0.3 + 0.7;
+            const alpha = Math.sin(this.scene.time.now / flickerSpeed) * 0.3 + 0.7;
             this.player.sprite.setAlpha(alpha);
         } else if (this.player?.sprite && !this.isInvulnerable) {
             // Ensure alpha is reset when not invulnerable
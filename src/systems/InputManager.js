@@ -1,7 +1,43 @@
 /**
- * InputManager - Manages all input handling (keyboard, touch) for the game
+ * InputManager - Manages all input handling (keyboard, gamepad, touch) for the game
  */
-import Phaser from 'phaser';
+import KeyBindingSystem, { ACTIONS } from './KeyBindingSystem';
+// Standard gamepad mapping: D-pad moves, LT/A boost, RT/X shoot, Y flashlight, RB throws a flare, Start pauses, B interacts
+import DEFAULT_GAMEPAD_CONFIG from '../config/gamepad.json';
+
+// How the diver aims: 'free' follows the mouse or right stick, 'facing' is the classic left or right
+export const AIM_MODES = ['free', 'facing'];
+
+/**
+ * Fill in the movement of an input state from its directions and stick
+ * @param {Object} inputState - State with up/down/left/right set, and optionally aim
+ * @param {{x: number, y: number}} stick - Stick position, zero when not in use
+ * @returns {Object} The same state with analog, moveX, moveY, aim and primaryDirection
+ */
+export function completeInputState(inputState, stick) {
+    // Aim angle in radians, or null to aim wherever the diver faces
+    if (inputState.aim === undefined) {
+        inputState.aim = null;
+    }
+
+    // How far to swim on each axis, from -1 to 1: proportional for the stick, full for keys and touch
+    inputState.analog = stick.x !== 0 || stick.y !== 0;
+    if (inputState.analog) {
+        inputState.moveX = stick.x;
+        inputState.moveY = stick.y;
+    } else {
+        inputState.moveX = (inputState.right ? 1 : 0) - (inputState.left ? 1 : 0);
+        inputState.moveY = (inputState.down ? 1 : 0) - (inputState.up ? 1 : 0);
+    }
+
+    // Calculate the primary direction for convenience
+    if (inputState.left) inputState.primaryDirection = 'left';
+    else if (inputState.right) inputState.primaryDirection = 'right';
+    else if (inputState.up) inputState.primaryDirection = 'up';
+    else if (inputState.down) inputState.primaryDirection = 'down';
+
+    return inputState;
+}
 
 export default class InputManager {
     /**
@@ -15,214 +51,367 @@ export default class InputManager {
             touchEnabled: true,
             ...config
         };
-        
+
         // Input states
-        this.keys = null;
-        this.cursors = null;
         this.touchData = { startX: 0, startY: 0, isMoving: false };
-        
+
+        // While disabled (e.g. a menu is open over the game) actions don't fire and read as released
+        this.enabled = true;
+
+        // Phaser keys per action, rebuilt whenever the bindings change
+        this.actionKeys = {};
+        this.keyListeners = [];
+
+        // Callbacks per action, run when one of its keys is pressed
+        this.actionBindings = {};
+
+        // Set by ReplaySystem while recording or playing back a replay: actionFilter
+        // sees every action pressed and returns false to hold it back, and
+        // inputOverride is the state the game reads instead of the live input
+        this.actionFilter = null;
+        this.inputOverride = null;
+
+        // Active gamepad, and its dead zone and button map from src/config/gamepad.json
+        this.pad = null;
+        this.gamepadConfig = this.loadGamepadConfig();
+
+        // Free aim follows whichever of the mouse and right stick moved last.
+        // The angle stays null until one of them moves, so the diver faces
+        // where they swim until the player aims
+        this.aimMode = 'free';
+        this.aimSource = null;
+        this.aimAngle = null;
+        this.lastPointerPosition = null;
+
         // Initialize input systems
+        this.bindings = KeyBindingSystem.get(scene);
+        this.bindings.on('change', this.setupKeyboardControls, this);
         this.setupKeyboardControls();
-        
-        // Store player reference (to be set later)
-        this.player = null;
-        
-        // Key bindings for specific actions
-        this.actionBindings = {};
+        this.setupGamepad();
     }
-    
+
     /**
-     * Initialize keyboard controls
+     * Merge the JSON gamepad config over the defaults
+     * @returns {Object}
      */
-    setupKeyboardControls() {
-        // Create cursors for arrow keys
-        this.cursors = this.scene.input.keyboard.createCursorKeys();
-        
-        // Initialize both arrow and WASD controls in a single object
-        this.keys = {
-            up: this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.W),
-            down: this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.S),
-            left: this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A),
-            right: this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D),
-            boost: this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SHIFT),
-            space: this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE),
-            // Add arrow keys as alternative controls
-            upArrow: this.cursors.up,
-            downArrow: this.cursors.down,
-            leftArrow: this.cursors.left,
-            rightArrow: this.cursors.right
+    loadGamepadConfig() {
+        const config = this.scene.cache.json.get('gamepad');
+        if (!config) {
+            console.warn('Gamepad configuration not found in cache, using defaults');
+            return { ...DEFAULT_GAMEPAD_CONFIG, buttons: { ...DEFAULT_GAMEPAD_CONFIG.buttons } };
+        }
+
+        return {
+            ...DEFAULT_GAMEPAD_CONFIG,
+            ...config,
+            buttons: { ...DEFAULT_GAMEPAD_CONFIG.buttons, ...config.buttons }
         };
-        
-        // For backward compatibility with existing code
-        this.wasdKeys = this.keys;
     }
-    
+
     /**
-     * Bind a specific action to a callback
-     * @param {string} action - Action name (e.g., 'flashlight', 'pause')
-     * @param {Function} callback - Callback to execute when key is pressed
-     * @param {string} key - Keyboard key code (defaults to predefined keys)
-     */
-    bindAction(action, callback, key = null) {
-        // If a key is specified, use it; otherwise use default mappings
-        const keyCode = key || this.getDefaultKeyForAction(action);
-        
-        if (!keyCode) {
-            console.warn(`No key binding found for action: ${action}`);
+     * Listen for controllers being plugged in and out, and pick up one that is already connected
+     */
+    setupGamepad() {
+        const gamepads = this.scene.input.gamepad;
+        if (!gamepads) {
+            console.warn('Gamepad plugin is not enabled, gamepads are ignored');
             return;
         }
-        
-        const keyObj = this.scene.input.keyboard.addKey(keyCode);
-        
-        // Store the binding
-        this.actionBindings[action] = {
-            key: keyObj,
-            callback
-        };
-        
-        // Add the key event listener
-        this.scene.input.keyboard.on(`keydown-${keyCode}`, callback);
-        
-        console.log(`Bound action '${action}' to key ${keyCode}`);
+
+        gamepads.on('connected', this.handleGamepadConnected, this);
+        gamepads.on('disconnected', this.handleGamepadDisconnected, this);
+        gamepads.on('down', this.handleGamepadButtonDown, this);
+
+        const connected = gamepads.getAll()[0];
+        if (connected) {
+            this.handleGamepadConnected(connected);
+        }
+    }
+
+    /**
+     * @param {Phaser.Input.Gamepad.Gamepad} pad - The controller that was plugged in
+     */
+    handleGamepadConnected(pad) {
+        if (this.pad) return;
+
+        this.pad = pad;
+        console.log(`Gamepad connected: ${pad.id}`);
+        this.scene.events.emit('gamepadConnected', pad);
+    }
+
+    /**
+     * Switch to another connected controller, if any, when the active one is unplugged
+     * @param {Phaser.Input.Gamepad.Gamepad} pad - The controller that was unplugged
+     */
+    handleGamepadDisconnected(pad) {
+        if (pad !== this.pad) return;
+
+        console.log(`Gamepad disconnected: ${pad.id}`);
+        this.pad = null;
+        this.scene.events.emit('gamepadDisconnected', pad);
+
+        const next = this.scene.input.gamepad?.getAll().find(candidate => candidate !== pad && candidate.connected);
+        if (next) {
+            this.handleGamepadConnected(next);
+        }
+    }
+
+    /**
+     * Run the actions mapped to a gamepad button
+     * @param {Phaser.Input.Gamepad.Gamepad} pad - The controller
+     * @param {Phaser.Input.Gamepad.Button} button - The button pressed
+     */
+    handleGamepadButtonDown(pad, button) {
+        if (pad !== this.pad) return;
+
+        Object.entries(this.gamepadConfig.buttons).forEach(([action, indexes]) => {
+            if (indexes.includes(button.index)) {
+                this.triggerAction(action);
+            }
+        });
+    }
+
+    /**
+     * @returns {boolean} Whether a gamepad is connected and in use
+     */
+    hasGamepad() {
+        return !!this.pad?.connected;
+    }
+
+    /**
+     * @param {number} deadZone - Stick travel, from 0 to 1, ignored around the center
+     */
+    setDeadZone(deadZone) {
+        this.gamepadConfig.deadZone = deadZone;
+    }
+
+    /**
+     * Change which gamepad buttons trigger actions
+     * @param {Object<string, Array<number>>} buttons - Action -> standard mapping button indexes, merged over the current map
+     */
+    setGamepadButtons(buttons) {
+        this.gamepadConfig.buttons = { ...this.gamepadConfig.buttons, ...buttons };
     }
-    
+
     /**
-     * Get the default key for a named action
      * @param {string} action - Action name
-     * @returns {string} Key code for the action
-     */
-    getDefaultKeyForAction(action) {
-        const actionMap = {
-            'flashlight': 'F',
-            'pause': 'P',
-            'menu': 'ESC',
-            'shoot': 'SPACE',
-            'boost': 'SHIFT'
-        };
-        
-        return actionMap[action];
+     * @returns {boolean} Whether a gamepad button mapped to the action is held (triggers past the threshold)
+     */
+    isGamepadActionDown(action) {
+        if (!this.hasGamepad()) return false;
+
+        const indexes = this.gamepadConfig.buttons[action] || [];
+        return indexes.some(index => (this.pad.buttons[index]?.value || 0) > this.gamepadConfig.triggerThreshold);
     }
-    
+
     /**
-     * Unbind a specific action
+     * A stick with the dead zone removed, rescaled so the edge of the dead zone reads as 0
+     * @param {string} name - 'leftStick' (swimming) or 'rightStick' (aiming)
+     * @returns {{x: number, y: number}} Stick position, each axis from -1 to 1
+     */
+    getStick(name = 'leftStick') {
+        if (!this.hasGamepad()) return { x: 0, y: 0 };
+
+        const { x, y } = this.pad[name];
+        const magnitude = Math.min(1, Math.sqrt(x * x + y * y));
+        const deadZone = this.gamepadConfig.deadZone;
+        if (magnitude <= deadZone) return { x: 0, y: 0 };
+
+        const scale = (magnitude - deadZone) / (1 - deadZone) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+
+    /**
+     * @param {string} mode - One of AIM_MODES
+     */
+    setAimMode(mode) {
+        if (!AIM_MODES.includes(mode)) {
+            console.warn(`Unknown aim mode: ${mode}`);
+            return;
+        }
+
+        this.aimMode = mode;
+        this.aimSource = null;
+        this.aimAngle = null;
+    }
+
+    /**
+     * Work out where the player is aiming in free aim: along the right stick,
+     * or from the diver towards the mouse cursor
+     * @returns {number|null} Aim angle in radians, or null to aim where the diver faces
+     */
+    getAim() {
+        if (this.aimMode !== 'free') return null;
+        if (!this.enabled) return this.aimAngle;
+
+        const stick = this.getStick('rightStick');
+        if (stick.x !== 0 || stick.y !== 0) {
+            this.aimSource = 'stick';
+            this.aimAngle = Math.atan2(stick.y, stick.x);
+        } else if (this.hasPointerMoved()) {
+            this.aimSource = 'pointer';
+        }
+
+        // The cursor stays put on screen while the diver swims, so its angle is worked out every frame
+        const sprite = this.scene.player?.sprite;
+        if (this.aimSource === 'pointer' && sprite) {
+            const cursor = this.scene.input.activePointer.positionToCamera(this.scene.cameras.main);
+            this.aimAngle = Math.atan2(cursor.y - sprite.y, cursor.x - sprite.x);
+        }
+
+        return this.aimAngle;
+    }
+
+    /**
+     * @returns {boolean} Whether the mouse has moved since the last check. Fingers don't aim
+     */
+    hasPointerMoved() {
+        const pointer = this.scene.input.activePointer;
+        if (!pointer || pointer.wasTouch) return false;
+
+        const last = this.lastPointerPosition;
+        this.lastPointerPosition = { x: pointer.x, y: pointer.y };
+        return !!last && (last.x !== pointer.x || last.y !== pointer.y);
+    }
+
+    /**
+     * Create the keys for every action from the current bindings
+     */
+    setupKeyboardControls() {
+        const keyboard = this.scene.input.keyboard;
+
+        // Drop the listeners on the old keys. The keys themselves stay with the
+        // keyboard plugin, which hands out the same Key object for a key code.
+        this.keyListeners.forEach(({ key, listener }) => key.off('down', listener));
+        this.keyListeners = [];
+        this.actionKeys = {};
+
+        ACTIONS.forEach(({ action }) => {
+            this.actionKeys[action] = this.bindings.getKeys(action).map(name => {
+                const key = keyboard.addKey(name);
+                const listener = () => this.triggerAction(action);
+                key.on('down', listener);
+                this.keyListeners.push({ key, listener });
+                return key;
+            });
+        });
+
+        console.log('Keyboard controls set up from bindings:', this.bindings.getAll());
+    }
+
+    /**
+     * Handle an action pressed by the player
+     * @param {string} action - Action name
+     */
+    triggerAction(action) {
+        if (!this.enabled) return;
+        if (this.actionFilter && !this.actionFilter(action)) return;
+
+        this.runAction(action);
+    }
+
+    /**
+     * Run the callbacks bound to an action
+     * @param {string} action - Action name
+     */
+    runAction(action) {
+        (this.actionBindings[action] || []).forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error(`Error handling action '${action}':`, error);
+            }
+        });
+    }
+
+    /**
+     * Bind a callback to an action
+     * @param {string} action - Action name (e.g., 'flashlight', 'pause')
+     * @param {Function} callback - Callback to execute when one of the action's keys is pressed
+     */
+    bindAction(action, callback) {
+        if (!this.actionKeys[action]) {
+            console.warn(`No key binding found for action: ${action}`);
+            return;
+        }
+
+        if (!this.actionBindings[action]) {
+            this.actionBindings[action] = [];
+        }
+        this.actionBindings[action].push(callback);
+
+        console.log(`Bound callback to action '${action}'`);
+    }
+
+    /**
+     * Unbind a callback from an action
      * @param {string} action - Action name to unbind
+     * @param {Function} callback - Callback to remove (all of the action's callbacks when omitted)
      */
-    unbindAction(action) {
+    unbindAction(action, callback = null) {
         if (this.actionBindings[action]) {
-            const binding = this.actionBindings[action];
-            this.scene.input.keyboard.off(`keydown-${binding.key.keyCode}`);
-            delete this.actionBindings[action];
+            this.actionBindings[action] = callback
+                ? this.actionBindings[action].filter(existing => existing !== callback)
+                : [];
             console.log(`Unbound action: ${action}`);
         }
     }
-    
+
     /**
-     * Set the player reference for input processing
-     * @param {Object} player - The player object
+     * @param {string} action - Action name
+     * @returns {boolean} Whether any key bound to the action is held
      */
-    setPlayer(player) {
-        this.player = player;
+    isActionDown(action) {
+        if (!this.enabled) return false;
+        return (this.actionKeys[action] || []).some(key => key.isDown) || this.isGamepadActionDown(action);
     }
-    
+
     /**
-     * Get the current input state
+     * @returns {boolean} Whether the mouse button, or a finger, is held down on the game
+     */
+    isPointerDown() {
+        if (!this.enabled) return false;
+        return !!this.scene.input.activePointer?.isDown;
+    }
+
+    /**
+     * Get the current input state, as the game should act on it
      * @returns {Object} Current input state
      */
     getInputState() {
+        if (this.inputOverride) {
+            return { ...this.inputOverride, touch: { ...this.touchData } };
+        }
+        return this.readInputState();
+    }
+
+    /**
+     * Read the player's keys, gamepad, pointer and touch controls
+     * @returns {Object} Live input state
+     */
+    readInputState() {
+        const touch = this.config.touchEnabled ? this.touchData : {};
+        const stick = this.enabled ? this.getStick() : { x: 0, y: 0 };
+
         const inputState = {
             // Direction input
-            up: this.keys.up.isDown || this.keys.upArrow.isDown,
-            down: this.keys.down.isDown || this.keys.downArrow.isDown,
-            left: this.keys.left.isDown || this.keys.leftArrow.isDown,
-            right: this.keys.right.isDown || this.keys.rightArrow.isDown,
-            
+            up: this.isActionDown('up') || !!touch.up || stick.y < 0,
+            down: this.isActionDown('down') || !!touch.down || stick.y > 0,
+            left: this.isActionDown('left') || !!touch.left || stick.x < 0,
+            right: this.isActionDown('right') || !!touch.right || stick.x > 0,
+
             // Action input
-            boost: this.keys.boost.isDown || this.cursors.shift.isDown || this.keys.space.isDown || this.cursors.space.isDown,
-            shoot: this.keys.space.isDown || this.cursors.space.isDown,
-            
+            boost: this.isActionDown('boost') || !!touch.boost,
+            shoot: this.isActionDown('shoot') || this.isPointerDown(),
+            aim: this.getAim(),
+
             // Touch data
             touch: {...this.touchData}
         };
-        
-        // Calculate the primary direction for convenience
-        if (inputState.left) inputState.primaryDirection = 'left';
-        else if (inputState.right) inputState.primaryDirection = 'right';
-        else if (inputState.up) inputState.primaryDirection = 'up';
-        else if (inputState.down) inputState.primaryDirection = 'down';
-        
-        return inputState;
-    }
-    
-    /**
-     * Update method called each frame
-     * @param {number} time - Current time
-     * @param {number} delta - Time since last update
-     */
-    update(time, delta) {
-        // Get player's current direction based on keyboard input
-        if (this.player && this.player.sprite) {
-            // Track player rotation
-            let playerRotation = null;
-            
-            // Handle rotation based on input
-            if (this.cursors.left.isDown || this.keys.left.isDown) {
-                playerRotation = Math.PI; // Left = 180 degrees
-                
-                // If player wasn't already facing left
-                if (!this.player.sprite.flipX) {
-                    this.player.sprite.flipX = true;
-                    
-                    // Notify any systems that need to know about direction change
-                    this.scene.events.emit('playerDirectionChanged', 'left');
-                }
-            } 
-            else if (this.cursors.right.isDown || this.keys.right.isDown) {
-                playerRotation = 0; // Right = 0 degrees
-                
-                // If player wasn't already facing right
-                if (this.player.sprite.flipX) {
-                    this.player.sprite.flipX = false;
-                    
-                    // Notify any systems that need to know about direction change
-                    this.scene.events.emit('playerDirectionChanged', 'right');
-                }
-            } 
-            else if (this.cursors.up.isDown || this.keys.up.isDown) {
-                playerRotation = -Math.PI/2; // Up = -90 degrees
-            } 
-            else if (this.cursors.down.isDown || this.keys.down.isDown) {
-                playerRotation = Math.PI/2; // Down = 90 degrees
-            }
-            
-            // Handle diagonals
-            if ((this.cursors.up.isDown || this.keys.up.isDown) && 
-                (this.cursors.right.isDown || this.keys.right.isDown)) {
-                playerRotation = -Math.PI/4; // Up-Right = -45 degrees
-            } 
-            else if ((this.cursors.up.isDown || this.keys.up.isDown) && 
-                     (this.cursors.left.isDown || this.keys.left.isDown)) {
-                playerRotation = -3*Math.PI/4; // Up-Left = -135 degrees
-            } 
-            else if ((this.cursors.down.isDown || this.keys.down.isDown) && 
-                     (this.cursors.right.isDown || this.keys.right.isDown)) {
-                playerRotation = Math.PI/4; // Down-Right = 45 degrees
-            } 
-            else if ((this.cursors.down.isDown || this.keys.down.isDown) && 
-                     (this.cursors.left.isDown || this.keys.left.isDown)) {
-                playerRotation = 3*Math.PI/4; // Down-Left = 135 degrees
-            }
-            
-            // Only update the player's rotation if we have a valid direction
-            if (playerRotation !== null) {
-                // Store the rotation on the player object
-                this.player.rotation = playerRotation;
-                
-                // Emit rotation change event
-                this.scene.events.emit('playerRotationChanged', playerRotation);
-            }
-        }
+
+        return completeInputState(inputState, stick);
     }
-    
+
     /**
      * Update touch input state
      * @param {Object} touchData - The touch state data from TouchControlSystem
@@ -230,18 +419,27 @@ export default class InputManager {
     updateTouchData(touchData) {
         this.touchData = touchData || { startX: 0, startY: 0, isMoving: false };
     }
-    
+
     /**
      * Clean up event listeners
      */
     destroy() {
-        // Unbind all action bindings
-        Object.keys(this.actionBindings).forEach(action => {
-            this.unbindAction(action);
-        });
-        
+        this.bindings.off('change', this.setupKeyboardControls, this);
+        const gamepads = this.scene.input.gamepad;
+        if (gamepads) {
+            gamepads.off('connected', this.handleGamepadConnected, this);
+            gamepads.off('disconnected', this.handleGamepadDisconnected, this);
+            gamepads.off('down', this.handleGamepadButtonDown, this);
+        }
+        this.pad = null;
+        this.aimSource = null;
+        this.aimAngle = null;
+        this.keyListeners.forEach(({ key, listener }) => key.off('down', listener));
+        this.keyListeners = [];
+        this.actionKeys = {};
         this.actionBindings = {};
+        this.actionFilter = null;
+        this.inputOverride = null;
         this.scene = null;
-        this.player = null;
     }
-} 
\ No newline at end of file
+}
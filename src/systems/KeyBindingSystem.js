@@ -0,0 +1,228 @@
+import Phaser from 'phaser';
+import SaveStore from './SaveStore';
+
+const SAVE_KEY = 'diverGame.controls';
+const SAVE_VERSION = 1;
+
+/**
+ * Keys each action can be bound to
+ */
+export const KEYS_PER_ACTION = 2;
+
+/**
+ * Every gameplay action, in the order the controls menu shows them, with its
+ * default keys (names from Phaser.Input.Keyboard.KeyCodes)
+ */
+export const ACTIONS = [
+    { action: 'up', label: 'Swim Up', keys: ['W', 'UP'] },
+    { action: 'down', label: 'Swim Down', keys: ['S', 'DOWN'] },
+    { action: 'left', label: 'Swim Left', keys: ['A', 'LEFT'] },
+    { action: 'right', label: 'Swim Right', keys: ['D', 'RIGHT'] },
+    // Space used to boost and shoot at once; it stays on shoot, and boost has Shift
+    { action: 'boost', label: 'Boost', keys: ['SHIFT'] },
+    { action: 'shoot', label: 'Shoot', keys: ['SPACE', 'X'] },
+    { action: 'flashlight', label: 'Flashlight', keys: ['F'] },
+    { action: 'flare', label: 'Throw Flare', keys: ['G'] },
+    { action: 'pause', label: 'Pause', keys: ['ESC', 'P'] },
+    { action: 'interact', label: 'Interact', keys: ['E'] }
+];
+
+// Friendlier names for keys whose KeyCodes name reads badly in the menu
+const KEY_LABELS = {
+    UP: 'Up Arrow',
+    DOWN: 'Down Arrow',
+    LEFT: 'Left Arrow',
+    RIGHT: 'Right Arrow',
+    SPACE: 'Space',
+    SHIFT: 'Shift',
+    CTRL: 'Ctrl',
+    ALT: 'Alt',
+    ENTER: 'Enter',
+    ESC: 'Esc',
+    TAB: 'Tab',
+    BACKSPACE: 'Backspace'
+};
+
+/**
+ * Keyboard bindings for every gameplay action.
+ *
+ * Like the settings, there is one instance per game shared through the game
+ * registry (see KeyBindingSystem.get) and saved to localStorage through a
+ * versioned SaveStore. Each action has up to KEYS_PER_ACTION keys and a key
+ * can only belong to one action; binding a key that another action already
+ * uses is refused and reported as a conflict. Every change is announced with
+ * a 'change' event (bindings) so InputManager can rebuild its keys.
+ */
+export default class KeyBindingSystem extends Phaser.Events.EventEmitter {
+    /**
+     * Get the game's key bindings, loading them on first use
+     * @param {Phaser.Scene} scene - Any scene of the game
+     * @returns {KeyBindingSystem}
+     */
+    static get(scene) {
+        let bindings = scene.registry.get('keyBindings');
+        if (!bindings) {
+            bindings = new KeyBindingSystem();
+            scene.registry.set('keyBindings', bindings);
+        }
+        return bindings;
+    }
+
+    constructor() {
+        super();
+        this.store = new SaveStore({
+            key: SAVE_KEY,
+            version: SAVE_VERSION,
+            createDefault: () => KeyBindingSystem.createDefaultBindings()
+        });
+
+        // Actions added since the save was written get their defaults
+        const saved = this.store.load();
+        this.bindings = KeyBindingSystem.createDefaultBindings();
+        ACTIONS.forEach(({ action }) => {
+            if (Array.isArray(saved[action])) {
+                this.bindings[action] = this.normalizeKeys(saved[action]);
+            }
+        });
+        console.log('Key bindings loaded:', this.bindings);
+    }
+
+    /**
+     * @returns {Object<string, Array<string|null>>} Every action with its default keys
+     */
+    static createDefaultBindings() {
+        const bindings = {};
+        ACTIONS.forEach(({ action, keys }) => {
+            bindings[action] = Array.from({ length: KEYS_PER_ACTION }, (unused, slot) => keys[slot] || null);
+        });
+        return bindings;
+    }
+
+    /**
+     * Name of a key code as used in the bindings
+     * @param {number} keyCode - Key code from a keyboard event
+     * @returns {string|null} Name from Phaser.Input.Keyboard.KeyCodes, or null for keys Phaser doesn't know
+     */
+    static getKeyName(keyCode) {
+        const codes = Phaser.Input.Keyboard.KeyCodes;
+        return Object.keys(codes).find(name => codes[name] === keyCode) || null;
+    }
+
+    /**
+     * @param {string|null} key - Key name
+     * @returns {string} The key as shown in menus
+     */
+    static describeKey(key) {
+        if (!key) return '-';
+        return KEY_LABELS[key] || key;
+    }
+
+    /**
+     * Keep known key names and pad the list to KEYS_PER_ACTION slots
+     * @param {Array} keys - Saved keys for an action
+     * @returns {Array<string|null>}
+     */
+    normalizeKeys(keys) {
+        const codes = Phaser.Input.Keyboard.KeyCodes;
+        return Array.from({ length: KEYS_PER_ACTION }, (unused, slot) => {
+            const key = keys[slot];
+            return codes[key] !== undefined ? key : null;
+        });
+    }
+
+    /**
+     * @param {string} action - Action name
+     * @returns {Object} The action's definition from ACTIONS
+     */
+    getDefinition(action) {
+        const definition = ACTIONS.find(candidate => candidate.action === action);
+        if (!definition) {
+            throw new Error(`Unknown action '${action}'`);
+        }
+        return definition;
+    }
+
+    /**
+     * @param {string} action - Action name
+     * @returns {Array<string>} Keys bound to the action, without empty slots
+     */
+    getKeys(action) {
+        return (this.bindings[action] || []).filter(Boolean);
+    }
+
+    /**
+     * @returns {Object<string, Array<string|null>>} Copy of every action's key slots
+     */
+    getAll() {
+        const bindings = {};
+        Object.entries(this.bindings).forEach(([action, keys]) => {
+            bindings[action] = [...keys];
+        });
+        return bindings;
+    }
+
+    /**
+     * @param {string} key - Key name
+     * @returns {string|null} The action the key is bound to, if any
+     */
+    findAction(key) {
+        const entry = Object.entries(this.bindings).find(([, keys]) => keys.includes(key));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Bind a key to one of an action's slots
+     * @param {string} action - Action name
+     * @param {number} slot - Slot index, from 0
+     * @param {string} key - Key name
+     * @returns {{bound: boolean, conflict: string|null}} Whether it was bound, and the action already using the key if not
+     */
+    setKey(action, slot, key) {
+        this.getDefinition(action);
+        if (Phaser.Input.Keyboard.KeyCodes[key] === undefined) {
+            console.warn(`Unknown key '${key}'`);
+            return { bound: false, conflict: null };
+        }
+
+        const owner = this.findAction(key);
+        if (owner && owner !== action) {
+            console.warn(`Key '${key}' is already bound to '${owner}'`);
+            return { bound: false, conflict: owner };
+        }
+
+        // Moving a key between the action's own slots leaves the old slot empty
+        const keys = this.bindings[action].map(existing => (existing === key ? null : existing));
+        keys[slot] = key;
+        this.bindings[action] = keys;
+        this.changed();
+        return { bound: true, conflict: null };
+    }
+
+    /**
+     * Empty one of an action's slots
+     * @param {string} action - Action name
+     * @param {number} slot - Slot index, from 0
+     */
+    clearKey(action, slot) {
+        this.getDefinition(action);
+        this.bindings[action][slot] = null;
+        this.changed();
+    }
+
+    /**
+     * Put every action back on its default keys
+     */
+    reset() {
+        this.bindings = KeyBindingSystem.createDefaultBindings();
+        this.changed();
+    }
+
+    /**
+     * Save the bindings and announce the change
+     */
+    changed() {
+        this.store.save(this.bindings);
+        console.log('Key bindings changed:', this.bindings);
+        this.emit('change', this.getAll());
+    }
+}
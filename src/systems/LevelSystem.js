@@ -0,0 +1,207 @@
+import Phaser from 'phaser';
+import { getLevelName, getNextLevel } from '../utils/LevelManifest';
+
+/**
+ * Tracks the current run through a level and decides when it is over.
+ *
+ * Exits and secrets come from the Tiled map ('Exit' and 'Secret' objects).
+ * Swimming into an exit completes the level; swimming into a secret marks it
+ * as found. The stats collected here (time, kills, secrets) feed the results
+ * screen shown by GameStateManager.
+ */
+export default class LevelSystem {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        console.log('Initializing LevelSystem...');
+
+        this.scene = scene;
+        this.levelKey = scene.currentLevel;
+        this.exits = [];
+        this.secrets = [];
+        this.elapsed = 0;
+        this.kills = 0;
+        this.completed = false;
+        this.exitMarkers = [];
+
+        this.handleEnemyDied = this.handleEnemyDied.bind(this);
+        scene.events.on('enemyDied', this.handleEnemyDied);
+    }
+
+    /**
+     * Set up exits and secrets from Tiled
+     * @param {Array} exits - Exits from EntityLayerSystem.getExits()
+     * @param {Array} secrets - Secrets from EntityLayerSystem.getSecrets()
+     */
+    initObjectives(exits = [], secrets = []) {
+        this.exits = exits.map(exit => ({
+            ...exit,
+            bounds: new Phaser.Geom.Rectangle(exit.x, exit.y, exit.width, exit.height)
+        }));
+        this.exits.forEach(exit => this.createExitMarker(exit));
+
+        this.secrets = secrets.map(secret => ({
+            ...secret,
+            bounds: new Phaser.Geom.Rectangle(secret.x, secret.y, secret.width, secret.height),
+            found: false
+        }));
+        console.log(`LevelSystem: ${this.exits.length} exits, ${this.secrets.length} secrets in '${this.levelKey}'`);
+    }
+
+    /**
+     * Glowing outline so the diver can spot the way out, even in the dark
+     * @param {Object} exit - The exit area
+     */
+    createExitMarker(exit) {
+        const marker = this.scene.add.graphics();
+        marker.fillStyle(0x66ffcc, 0.15);
+        marker.fillRect(exit.x, exit.y, exit.width, exit.height);
+        marker.lineStyle(3, 0x66ffcc, 0.8);
+        marker.strokeRect(exit.x, exit.y, exit.width, exit.height);
+        // Above the darkness overlay (900)
+        marker.setDepth(920);
+
+        const label = this.scene.add.text(exit.x + exit.width / 2, exit.y + exit.height / 2, 'EXIT', {
+            fontFamily: 'Arial',
+            fontSize: '28px',
+            color: '#66ffcc',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        label.setDepth(921);
+
+        this.scene.tweens.add({
+            targets: [marker, label],
+            alpha: 0.4,
+            duration: 1200,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+
+        this.exitMarkers.push(marker, label);
+    }
+
+    /**
+     * Count kills of enemies placed in the level. Boss minions and spawn
+     * director fish don't belong to a spawn point, so they don't count
+     * @param {Object} data - enemyDied event data
+     */
+    handleEnemyDied({ enemy } = {}) {
+        if (!this.completed && enemy?.spawnPoint?.isEnemySpawn) {
+            this.kills++;
+        }
+    }
+
+    update(time, delta) {
+        if (this.completed) return;
+
+        const stateManager = this.scene.gameStateManager;
+        if (stateManager && stateManager.currentState !== stateManager.gameStates.RUNNING) return;
+
+        this.elapsed += delta;
+
+        const player = this.scene.player?.sprite;
+        if (!player?.active) return;
+
+        this.secrets.forEach(secret => {
+            if (!secret.found && secret.bounds.contains(player.x, player.y)) {
+                this.findSecret(secret);
+            }
+        });
+
+        const exit = this.exits.find(candidate => candidate.bounds.contains(player.x, player.y));
+        if (exit) {
+            this.complete({ reason: 'exit', exit: exit.name, nextLevel: exit.nextLevel });
+        }
+    }
+
+    /**
+     * @param {Object} secret - The secret the player swam into
+     */
+    findSecret(secret) {
+        secret.found = true;
+        const found = this.getSecretsFound();
+        console.log(`Secret '${secret.name}' found (${found}/${this.secrets.length})`);
+        this.scene.events.emit('secretFound', { secret: secret.name, found, total: this.secrets.length });
+    }
+
+    /**
+     * @returns {number} How many secrets have been found so far
+     */
+    getSecretsFound() {
+        return this.secrets.filter(secret => secret.found).length;
+    }
+
+    /**
+     * Collected state that checkpoints save
+     * @returns {{kills: number, secrets: Array<string>}}
+     */
+    getProgress() {
+        return {
+            kills: this.kills,
+            secrets: this.secrets.filter(secret => secret.found).map(secret => secret.name)
+        };
+    }
+
+    /**
+     * Roll back to state saved by getProgress()
+     * @param {Object} progress - Saved progress
+     */
+    restoreProgress({ kills = 0, secrets = [] }) {
+        this.kills = kills;
+        this.secrets.forEach(secret => {
+            secret.found = secrets.includes(secret.name);
+        });
+    }
+
+    /**
+     * End the level and show the results screen
+     * @param {Object} data - Why the level ended, passed on to the state change
+     */
+    complete(data = {}) {
+        if (this.completed) return;
+        this.completed = true;
+
+        console.log(`Level '${this.levelKey}' complete:`, data.reason);
+
+        const stateManager = this.scene.gameStateManager;
+        stateManager?.changeState(stateManager.gameStates.LEVEL_COMPLETE, data);
+    }
+
+    /**
+     * Results of the run so far
+     * @param {string|null} nextLevel - Optional override for the level that follows
+     * @returns {Object}
+     */
+    getResults(nextLevel = null) {
+        const player = this.scene.player;
+        const stateManager = this.scene.gameStateManager;
+        const score = stateManager?.score ?? 0;
+        const next = nextLevel ? { key: nextLevel } : getNextLevel(this.levelKey);
+
+        return {
+            level: this.levelKey,
+            levelName: getLevelName(this.levelKey),
+            nextLevel: next?.key || null,
+            time: this.elapsed,
+            oxygen: player?.maxOxygen ? Math.round((player.oxygen / player.maxOxygen) * 100) : 0,
+            kills: this.kills,
+            secretsFound: this.getSecretsFound(),
+            secretsTotal: this.secrets.length,
+            secrets: this.secrets.filter(secret => secret.found).map(secret => secret.name),
+            score,
+            // Score earned in this level alone, without what was carried in
+            levelScore: score - (stateManager?.levelStartScore ?? 0)
+        };
+    }
+
+    destroy() {
+        this.scene.events.off('enemyDied', this.handleEnemyDied);
+        this.exitMarkers.forEach(marker => marker.destroy());
+        this.exitMarkers = [];
+        this.exits = [];
+        this.secrets = [];
+    }
+}
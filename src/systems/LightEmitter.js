@@ -0,0 +1,152 @@
+import { LIGHTING } from '../utils/Constants';
+
+/**
+ * How an emitter's light varies over time. Each pattern gives a level from 0
+ * (the emitter's minIntensity) to 1 (its intensity) for the current time.
+ * `period` is the length of one cycle in ms and `phase` (0-1) where in the
+ * cycle the emitter starts, so a group of emitters doesn't beat in step.
+ */
+export const LIGHT_PATTERNS = {
+    // Always at full strength
+    steady: () => 1,
+
+    // Smooth rise and fall, like a jellyfish's bell
+    pulse: (emitter, time) => 0.5 + 0.5 * Math.sin((time / emitter.period + emitter.phase) * Math.PI * 2),
+
+    // Long dim rests between slow swells, like glowing weed
+    breathe: (emitter, time) => {
+        const wave = (1 - Math.cos((time / emitter.period + emitter.phase) * Math.PI * 2)) / 2;
+        return wave * wave;
+    },
+
+    // Holds a random level for a moment, then jumps to another, like a lure
+    flicker: (emitter, time, rng) => {
+        if (time >= emitter.nextFlicker) {
+            emitter.flickerLevel = rng.realInRange(0.3, 1);
+            emitter.nextFlicker = time + rng.realInRange(0.03, 0.1) * emitter.period;
+        }
+        return emitter.flickerLevel;
+    }
+};
+
+/**
+ * Read a colour from a number, a "0xRRGGBB" string or a Tiled "#RRGGBB" or
+ * "#AARRGGBB" colour
+ * @param {number|string} value - The colour
+ * @param {number} fallback - Colour to use if it can't be read
+ * @returns {number}
+ */
+export function parseColor(value, fallback = 0xffffff) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value === '') return fallback;
+
+    const color = value.startsWith('#')
+        ? parseInt(value.slice(-6), 16)
+        : Number(value);
+    return Number.isFinite(color) ? color : fallback;
+}
+
+/**
+ * A point light that changes over time and can follow a sprite: the glow of
+ * bioluminescent creatures and plants.
+ *
+ * The light comes from LightingSystem.createPointLight, so it lights tiles
+ * and pushes back the darkness like any other point light. Every frame its
+ * intensity is set from its pattern (see LIGHT_PATTERNS). An emitter with a
+ * target follows it, offset by a fraction of its size (mirrored when the
+ * sprite is flipped), hides with it and fades with its alpha, and is removed
+ * once the target is destroyed.
+ *
+ * Created and updated by LightingSystem (see createLightEmitter).
+ */
+export default class LightEmitter {
+    /**
+     * @param {LightingSystem} lighting - The lighting system that owns the emitter
+     * @param {Object} options - The emitter
+     * @param {number} options.x - World x, for an emitter without a target
+     * @param {number} options.y - World y
+     * @param {number|string} options.color - Light colour (see parseColor)
+     * @param {number} options.radius - Light radius
+     * @param {number} options.intensity - Brightest intensity
+     * @param {number} options.minIntensity - Dimmest intensity, by default LIGHTING.EMITTERS.MIN_LEVEL of the brightest
+     * @param {string} options.pattern - Name from LIGHT_PATTERNS
+     * @param {number} options.period - Length of one cycle in ms
+     * @param {number} options.phase - Where in the cycle it starts (0-1), random if not given
+     * @param {Phaser.GameObjects.Sprite} options.target - Sprite to follow
+     * @param {number} options.offsetX - Offset from the target as a fraction of its width
+     * @param {number} options.offsetY - Offset from the target as a fraction of its height
+     */
+    constructor(lighting, options = {}) {
+        this.lighting = lighting;
+        this.rng = lighting.scene.random.cosmetic;
+
+        this.pattern = LIGHT_PATTERNS[options.pattern] ? options.pattern : 'steady';
+        if (options.pattern && this.pattern !== options.pattern) {
+            console.warn(`Unknown light pattern '${options.pattern}', using steady`);
+        }
+
+        this.intensity = options.intensity ?? 1;
+        this.minIntensity = options.minIntensity ?? this.intensity * LIGHTING.EMITTERS.MIN_LEVEL;
+        this.period = Math.max(1, options.period || LIGHTING.EMITTERS.PERIOD);
+        this.phase = options.phase ?? this.rng.frac();
+
+        this.target = options.target || null;
+        this.offsetX = options.offsetX || 0;
+        this.offsetY = options.offsetY || 0;
+
+        // State of the flicker pattern
+        this.flickerLevel = 1;
+        this.nextFlicker = 0;
+
+        const { x, y } = this.target ? this.getTargetPosition() : { x: options.x ?? 0, y: options.y ?? 0 };
+        this.light = lighting.createPointLight(x, y, parseColor(options.color), options.radius ?? 200, this.intensity);
+    }
+
+    /**
+     * @returns {{x: number, y: number}} Where the light sits on the target
+     */
+    getTargetPosition() {
+        const target = this.target;
+        const offsetX = this.offsetX * target.displayWidth;
+        return {
+            x: target.x + (target.flipX ? -offsetX : offsetX),
+            y: target.y + this.offsetY * target.displayHeight
+        };
+    }
+
+    /**
+     * Follow the target and set the light's intensity for this frame
+     * @param {number} time - Current game time
+     * @returns {boolean} Whether the emitter is still needed (false once its target is destroyed)
+     */
+    update(time) {
+        const light = this.light;
+        if (!light) return false;
+
+        let strength = 1;
+        if (this.target) {
+            if (!this.target.scene) return false;
+
+            const { x, y } = this.getTargetPosition();
+            light.x = x;
+            light.y = y;
+            light.visible = this.target.visible;
+            strength = this.target.alpha;
+        }
+
+        const level = LIGHT_PATTERNS[this.pattern](this, time, this.rng);
+        light.intensity = (this.minIntensity + (this.intensity - this.minIntensity) * level) * strength;
+        return true;
+    }
+
+    /**
+     * Take the light away
+     */
+    destroy() {
+        if (this.light) {
+            this.lighting.removePointLight(this.light);
+            this.light = null;
+        }
+        this.target = null;
+    }
+}
@@ -0,0 +1,371 @@
+import Phaser from 'phaser';
+import { LIGHTING } from '../utils/Constants';
+
+/**
+ * Line-of-sight polygons for lights, so light stops at rock.
+ *
+ * Rays are cast with phaser-raycaster (installed as the `raycasterPlugin` scene
+ * plugin in src/index.js) against the Obstacles tile layer. Each light gets a
+ * visibility polygon: the area it can see within its range, either all around
+ * (point lights) or within a cone (the flashlight). Polygons are cached per
+ * light and only recast when the light moves or turns past a threshold, or
+ * when the Obstacles layer changes.
+ *
+ * Owned by LightingSystem, which draws the polygons into the darkness mask.
+ */
+export default class LightOcclusion {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        this.raycaster = null;
+        this.ray = null;
+        this.obstaclesMap = null;
+
+        // Visibility per light id, recast only when the light moves meaningfully
+        this.cache = new Map();
+        this.moveThreshold = LIGHTING.OCCLUSION.MOVE_THRESHOLD;
+        this.angleThreshold = LIGHTING.OCCLUSION.ANGLE_THRESHOLD;
+
+        // Polygons actually cast, for debugging
+        this.casts = 0;
+
+        // Map the obstacles once the level exists, and remap when they change
+        this.scene.events.on('tilemapCreated', this.rebuild, this);
+        this.scene.events.on('obstaclesChanged', this.handleObstaclesChanged, this);
+    }
+
+    /**
+     * @returns {boolean} Whether rays can be cast against the level
+     */
+    get ready() {
+        return !!this.ray;
+    }
+
+    /**
+     * Get the Obstacles layer from the tilemap system
+     * @returns {Phaser.Tilemaps.TilemapLayer|null}
+     */
+    getObstaclesLayer() {
+        return this.scene.tilemapSystem?.layers?.Obstacles || null;
+    }
+
+    /**
+     * (Re)create the raycaster and map the Obstacles layer's solid tiles
+     * @returns {boolean} Whether the obstacles were mapped
+     */
+    rebuild() {
+        const layer = this.getObstaclesLayer();
+        if (!layer) {
+            return false;
+        }
+
+        if (!this.scene.raycasterPlugin) {
+            console.warn('Raycaster plugin not installed, lights will shine through rock');
+            return false;
+        }
+
+        try {
+            this.destroyRaycaster();
+
+            const map = layer.tilemap;
+            this.raycaster = this.scene.raycasterPlugin.createRaycaster({
+                boundingBox: new Phaser.Geom.Rectangle(0, 0, map.widthInPixels, map.heightInPixels),
+                autoUpdate: false
+            });
+            this.raycaster.mapGameObjects(layer, false, {
+                collisionTiles: this.getCollisionTiles(layer)
+            });
+            this.obstaclesMap = layer.data.get('raycasterMap');
+            this.ray = this.raycaster.createRay();
+
+            this.cache.clear();
+            console.log(`Light occlusion mapped ${this.obstaclesMap?.collisionTiles.length || 0} solid tile types`);
+            return true;
+        } catch (error) {
+            console.error('Error mapping obstacles for light occlusion:', error);
+            this.destroyRaycaster();
+            return false;
+        }
+    }
+
+    /**
+     * Every tile index that blocks movement, which is also what blocks light
+     * @param {Phaser.Tilemaps.TilemapLayer} layer - The Obstacles layer
+     * @returns {number[]} Tile indices
+     */
+    getCollisionTiles(layer) {
+        const indices = new Set();
+        layer.layer.data.forEach(row => {
+            row.forEach(tile => {
+                if (tile && tile.index !== -1 && tile.collides) {
+                    indices.add(tile.index);
+                }
+            });
+        });
+        return [...indices];
+    }
+
+    /**
+     * Remap the obstacles after TilemapSystem.setObstacleTile, and recast every light
+     * @param {Object} change - { tileX, tileY, index }
+     */
+    handleObstaclesChanged({ index } = {}) {
+        if (!this.obstaclesMap) return;
+
+        try {
+            if (index !== undefined && index !== -1 && !this.obstaclesMap.collisionTiles.includes(index)) {
+                this.obstaclesMap.setCollisionTiles([...this.obstaclesMap.collisionTiles, index]);
+            }
+            this.obstaclesMap.updateMap();
+            this.invalidate();
+        } catch (error) {
+            console.error('Error remapping obstacles for light occlusion:', error);
+        }
+    }
+
+    /**
+     * Get a light's visibility, recasting it only if the light has moved or
+     * turned meaningfully since the last cast
+     * @param {*} id - Anything that identifies the light (the light object itself works)
+     * @param {Object} light - Where the light is and how far it reaches
+     * @param {number} light.x - World x
+     * @param {number} light.y - World y
+     * @param {number} light.range - How far the light reaches
+     * @param {number} light.angle - Direction of a cone, in radians
+     * @param {number} light.cone - Width of a cone in radians, or omit for all around
+     * @returns {Object|null} { polygon, shadows, ... } or null when nothing is mapped
+     */
+    getVisibility(id, { x, y, range, angle = 0, cone = null }) {
+        if (!this.ready) return null;
+
+        const cached = this.cache.get(id);
+        if (cached && !this.hasMoved(cached, x, y, range, angle, cone)) {
+            return cached;
+        }
+
+        try {
+            const visibility = this.cast(x, y, range, angle, cone);
+            this.cache.set(id, visibility);
+            return visibility;
+        } catch (error) {
+            console.error('Error casting light visibility:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether a cached visibility is out of date for the light
+     * @private
+     */
+    hasMoved(cached, x, y, range, angle, cone) {
+        if (cached.range !== range || cached.cone !== cone) return true;
+
+        const dx = cached.x - x;
+        const dy = cached.y - y;
+        if (dx * dx + dy * dy > this.moveThreshold * this.moveThreshold) return true;
+
+        return cone !== null && Math.abs(Phaser.Math.Angle.Wrap(cached.angle - angle)) > this.angleThreshold;
+    }
+
+    /**
+     * Cast a light's rays and build its polygon and shadows
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {number} range - How far the light reaches
+     * @param {number} angle - Direction of a cone
+     * @param {number|null} cone - Width of a cone, or null for all around
+     * @returns {Object} { x, y, range, angle, cone, points, polygon, shadows }
+     */
+    cast(x, y, range, angle, cone) {
+        const ray = this.ray;
+        ray.setOrigin(x, y);
+        // Only rock within reach is tested
+        ray.setDetectionRange(range);
+
+        let hits;
+        if (cone === null) {
+            hits = ray.castCircle();
+        } else {
+            ray.setAngle(angle);
+            ray.setCone(cone);
+            hits = ray.castCone();
+        }
+        this.casts++;
+
+        const origin = { x, y };
+        const closed = cone === null;
+        const points = this.traceBoundary(origin, hits, range, closed);
+
+        return {
+            x, y, range, angle, cone,
+            points,
+            polygon: closed ? points : [origin, ...points],
+            shadows: this.buildShadows(origin, points, range, closed)
+        };
+    }
+
+    /**
+     * Turn ray hits into the edge of the lit area. Between two neighbouring
+     * hits the light ends on the straight rock face joining them, or at its
+     * range, whichever is nearer, so wide gaps get extra points every ARC_STEP.
+     * @param {{x: number, y: number}} origin - The light
+     * @param {Phaser.Geom.Point[]} hits - Ray hits in angle order
+     * @param {number} range - How far the light reaches
+     * @param {boolean} closed - Whether the hits go all the way around
+     * @returns {{x: number, y: number}[]} Boundary points in angle order
+     * @private
+     */
+    traceBoundary(origin, hits, range, closed) {
+        const points = [];
+        const count = hits.length;
+        const pairs = closed ? count : count - 1;
+
+        for (let i = 0; i < pairs; i++) {
+            const a = hits[i];
+            const b = hits[(i + 1) % count];
+            const angleA = Math.atan2(a.y - origin.y, a.x - origin.x);
+            const angleB = Math.atan2(b.y - origin.y, b.x - origin.x);
+            const gap = closed
+                ? Phaser.Math.Angle.Normalize(angleB - angleA)
+                : Math.max(0, Phaser.Math.Angle.Wrap(angleB - angleA));
+            const steps = Math.max(1, Math.ceil(gap / LIGHTING.OCCLUSION.ARC_STEP));
+
+            for (let step = 0; step < steps; step++) {
+                const theta = angleA + gap * step / steps;
+                const distance = step === 0
+                    ? Math.hypot(a.x - origin.x, a.y - origin.y)
+                    : this.distanceToFace(origin, theta, a, b);
+                points.push(this.pointAt(origin, theta, Math.min(distance, range)));
+            }
+        }
+
+        if (!closed && count > 0) {
+            const last = hits[count - 1];
+            const theta = Math.atan2(last.y - origin.y, last.x - origin.x);
+            points.push(this.pointAt(origin, theta, Math.min(Math.hypot(last.x - origin.x, last.y - origin.y), range)));
+        }
+
+        return points;
+    }
+
+    /**
+     * Distance from the light along an angle to the line through two hits
+     * @private
+     */
+    distanceToFace(origin, theta, a, b) {
+        const dirX = Math.cos(theta);
+        const dirY = Math.sin(theta);
+        const faceX = b.x - a.x;
+        const faceY = b.y - a.y;
+        const denominator = dirX * faceY - dirY * faceX;
+
+        if (Math.abs(denominator) < 1e-9) {
+            return Math.hypot(a.x - origin.x, a.y - origin.y);
+        }
+
+        const distance = ((a.x - origin.x) * faceY - (a.y - origin.y) * faceX) / denominator;
+        return distance > 0 ? distance : 0;
+    }
+
+    /**
+     * @returns {{x: number, y: number}} The point a distance from the light along an angle
+     * @private
+     */
+    pointAt(origin, theta, distance) {
+        return {
+            x: origin.x + Math.cos(theta) * distance,
+            y: origin.y + Math.sin(theta) * distance
+        };
+    }
+
+    /**
+     * The areas within a light's reach that rock hides from it, as quads from
+     * the lit boundary out past the range. Used to cut the shadows out of a
+     * light shape that isn't a polygon, like the flashlight_cone1 image.
+     * @param {{x: number, y: number}} origin - The light
+     * @param {{x: number, y: number}[]} points - Boundary from traceBoundary()
+     * @param {number} range - How far the light reaches
+     * @param {boolean} closed - Whether the boundary goes all the way around
+     * @returns {Array<{x: number, y: number}[]>} Shadow quads
+     * @private
+     */
+    buildShadows(origin, points, range, closed) {
+        const shadows = [];
+        const reach = range * LIGHTING.OCCLUSION.SHADOW_EXTENT;
+        const count = points.length;
+        const pairs = closed ? count : count - 1;
+
+        for (let i = 0; i < pairs; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % count];
+
+            // Nothing in the way on either side: lit all the way to the range
+            if (Math.hypot(a.x - origin.x, a.y - origin.y) >= range - 0.5 &&
+                Math.hypot(b.x - origin.x, b.y - origin.y) >= range - 0.5) {
+                continue;
+            }
+
+            shadows.push([
+                a,
+                this.pointAt(origin, Math.atan2(a.y - origin.y, a.x - origin.x), reach),
+                this.pointAt(origin, Math.atan2(b.y - origin.y, b.x - origin.x), reach),
+                b
+            ]);
+        }
+
+        return shadows;
+    }
+
+    /**
+     * A light's polygon cut short at a smaller range, for soft edges
+     * @param {Object} visibility - From getVisibility()
+     * @param {number} range - Range to cut at, up to the light's own
+     * @returns {{x: number, y: number}[]} Polygon points
+     */
+    getPolygonWithin(visibility, range) {
+        const { x, y } = visibility;
+        const points = visibility.points.map(point => {
+            const distance = Math.hypot(point.x - x, point.y - y);
+            if (distance <= range) return point;
+            const scale = range / distance;
+            return { x: x + (point.x - x) * scale, y: y + (point.y - y) * scale };
+        });
+        return visibility.cone === null ? points : [{ x, y }, ...points];
+    }
+
+    /**
+     * Drop a light's cached polygon, e.g. when the light is removed
+     * @param {*} id - The light's id
+     */
+    forget(id) {
+        this.cache.delete(id);
+    }
+
+    /**
+     * Recast every light on its next request
+     */
+    invalidate() {
+        this.cache.clear();
+    }
+
+    /**
+     * @private
+     */
+    destroyRaycaster() {
+        this.ray?.destroy();
+        this.raycaster?.destroy();
+        this.ray = null;
+        this.raycaster = null;
+        this.obstaclesMap = null;
+    }
+
+    destroy() {
+        this.scene.events.off('tilemapCreated', this.rebuild, this);
+        this.scene.events.off('obstaclesChanged', this.handleObstaclesChanged, this);
+        this.destroyRaycaster();
+        this.cache.clear();
+    }
+}
@@ -3,8 +3,16 @@
  * 
  * This system manages the lighting levels based on object zones defined in Tiled maps.
  * It supports smooth transitions between different lighting states.
+ * The flashlight and point lights stop at rock: LightOcclusion gives each one a
+ * line-of-sight polygon against the Obstacles layer, and only those areas are
+ * cut out of the darkness overlay.
+ * The flashlight runs on BatterySystem's charge: it won't turn on with a flat
+ * battery, goes out when the battery runs flat, and its indicator light is
+ * tinted with the charge left.
  */
 import { LIGHTING } from '../utils/Constants';
+import LightOcclusion from './LightOcclusion';
+import LightEmitter, { parseColor } from './LightEmitter';
 
 export default class LightingSystem {
     /**
@@ -47,6 +55,19 @@ export default class LightingSystem {
         // Point lights collection
         this.pointLights = [];
         
+        // Animated lights, such as glowing creatures and plants (see LightEmitter)
+        this.lightEmitters = [];
+        
+        // Line of sight for the flashlight and point lights
+        this.occlusion = new LightOcclusion(scene);
+        this.flashlightVisibility = null;
+        this.litPointLights = [];
+        
+        // Custom mask image, its shadows and point lights are drawn into this texture
+        this.lightTexture = null;
+        this.shadowGraphics = null;
+        this.revealGraphics = null;
+        
         // Light masks for obstacles
         this.lightMask = null;
         
@@ -55,6 +76,10 @@ export default class LightingSystem {
         this.flashlightMask = null;
         this.flashlightRotation = 0;
         
+        // Battery power for the flashlight (see BatterySystem)
+        this.scene.events.on('batteryChanged', this.handleBatteryChanged, this);
+        this.scene.events.on('batteryDepleted', this.handleBatteryDepleted, this);
+        
         // Previous position tracking for boost detection
         this.prevPlayerX = null;
         this.prevPlayerY = null;
@@ -161,15 +186,16 @@ export default class LightingSystem {
      */
     createPointLight(x, y, color = 0xffffff, radius = 200, intensity = 1) {
         try {
-            // Skip if the light pipeline is not available
-            if (!this.scene.sys.game.renderer.pipelines.get('Light2D')) {
-                console.warn('Light2D pipeline not available');
-                return null;
+            let light;
+            if (this.scene.sys.game.renderer?.pipelines?.get('Light2D')) {
+                // Create the light
+                light = this.scene.lights.addLight(x, y, radius, color, intensity);
+            } else {
+                // Without Light2D (canvas, or headless tests) the light can't shade tiles
+                // but still pushes back the darkness
+                light = { x, y, radius, color, intensity, visible: true };
             }
             
-            // Create the light
-            const light = this.scene.lights.addLight(x, y, radius, color, intensity);
-            
             // Store the light for later reference
             this.pointLights.push(light);
             
@@ -181,6 +207,84 @@ export default class LightingSystem {
         }
     }
     
+    /**
+     * Remove a point light made by createPointLight()
+     * @param {Object} light - The light to remove
+     */
+    removePointLight(light) {
+        const index = this.pointLights.indexOf(light);
+        if (index === -1) return;
+        
+        this.pointLights.splice(index, 1);
+        if (light instanceof Phaser.GameObjects.Light) {
+            this.scene.lights.removeLight(light);
+        }
+        this.occlusion.forget(light);
+    }
+    
+    /**
+     * Create a point light that pulses, breathes or flickers, and can follow a sprite
+     * @param {Object} options - See LightEmitter
+     * @returns {LightEmitter|null} The emitter, or null if its light couldn't be made
+     */
+    createLightEmitter(options) {
+        const emitter = new LightEmitter(this, options);
+        if (!emitter.light) return null;
+        
+        this.lightEmitters.push(emitter);
+        return emitter;
+    }
+    
+    /**
+     * Remove an emitter made by createLightEmitter() and its light
+     * @param {LightEmitter} emitter - The emitter to remove
+     */
+    removeLightEmitter(emitter) {
+        const index = this.lightEmitters.indexOf(emitter);
+        if (index !== -1) {
+            this.lightEmitters.splice(index, 1);
+        }
+        emitter?.destroy();
+    }
+    
+    /**
+     * Animate every emitter, and drop those whose sprite has gone
+     */
+    updateLightEmitters() {
+        const time = this.scene.time.now;
+        
+        this.lightEmitters = this.lightEmitters.filter(emitter => {
+            if (emitter.update(time)) return true;
+            
+            emitter.destroy();
+            return false;
+        });
+    }
+    
+    /**
+     * How much of the zone's darkness lights such as flares lift at a point.
+     * Each light with a `darknessRelief` lifts up to that fraction, less the
+     * further the point is from it and the dimmer it burns.
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {number} Fraction of the darkness lifted, from 0 to 1
+     */
+    getDarknessRelief(x, y) {
+        let relief = 0;
+        
+        this.pointLights.forEach(light => {
+            if (!light.darknessRelief || light.visible === false) return;
+            
+            const distance = Phaser.Math.Distance.Between(x, y, light.x, light.y);
+            if (distance >= light.radius) return;
+            
+            const strength = Math.min(1, light.intensity) * (1 - distance / light.radius);
+            relief = Math.max(relief, light.darknessRelief * strength);
+        });
+        
+        return Math.min(1, relief);
+    }
+    
     /**
      * Create a player light that follows the player
      * @param {number} radius - Light radius
@@ -227,14 +331,30 @@ export default class LightingSystem {
     }
     
     /**
-     * Update all point lights
+     * Find the point lights that reach the camera and their line of sight.
+     * Static lights reuse their cached polygon; moving ones are recast once
+     * they have moved far enough.
+     * @returns {Array<{light: Phaser.GameObjects.Light, visibility: Object}>} Lights to draw
      */
     updatePointLights() {
-        // This method is called in the main update loop
-        // to update any dynamic lights (like the player light)
+        if (!this.occlusion.ready || this.pointLights.length === 0) {
+            this.litPointLights = [];
+            return this.litPointLights;
+        }
+        
+        const view = this.scene.cameras.main.worldView;
+        
+        this.litPointLights = this.pointLights
+            .filter(light => light.visible !== false && light.intensity > 0 &&
+                light.x + light.radius > view.x && light.x - light.radius < view.right &&
+                light.y + light.radius > view.y && light.y - light.radius < view.bottom)
+            .map(light => ({
+                light,
+                visibility: this.occlusion.getVisibility(light, { x: light.x, y: light.y, range: light.radius })
+            }))
+            .filter(({ visibility }) => visibility);
         
-        // For now we have nothing to do here since our lights
-        // either have their own update methods or are static
+        return this.litPointLights;
     }
     
     /**
@@ -540,6 +660,11 @@ export default class LightingSystem {
         this.overlay.height = camera.height;
         this.overlay.setPosition(camera.width / 2, camera.height / 2);
         
+        // The light texture covers the screen
+        if (this.lightTexture) {
+            this.lightTexture.resize(camera.width, camera.height);
+        }
+        
         // Update flashlight overlay if it exists
         if (this.flashlightOverlay) {
             this.flashlightOverlay.setPosition(
@@ -705,10 +830,6 @@ export default class LightingSystem {
             this.currentLightLevel = this.transitionStartValue + 
                 (this.targetLightLevel - this.transitionStartValue) * easedProgress;
 
-            // Update overlay with rounded alpha to prevent visual glitches
-            const roundedAlpha = Math.round(this.currentLightLevel * 1000) / 1000;
-            this.overlay.setAlpha(roundedAlpha);
-
             // Check if transition is complete
             if (Math.abs(this.currentLightLevel - this.targetLightLevel) < 0.001 || progress >= 1) {
                 this.currentLightLevel = this.targetLightLevel;
@@ -716,9 +837,21 @@ export default class LightingSystem {
             }
         }
 
-        // Update flashlight if enabled
+        // Burning flares near the diver push the zone's darkness back.
+        // Rounded alpha prevents visual glitches
+        const relief = this.getDarknessRelief(playerX, playerY);
+        const roundedAlpha = Math.round(this.currentLightLevel * (1 - relief) * 1000) / 1000;
+        if (this.overlay.alpha !== roundedAlpha) {
+            this.overlay.setAlpha(roundedAlpha);
+        }
+
+        // Redraw the lit areas: the flashlight cone and any point lights in view
+        this.updateLightEmitters();
+        this.updatePointLights();
         if (this.flashlightEnabled) {
             this.updateFlashlightCone();
+        } else {
+            this.drawLightMap();
         }
 
         // Update debug text if enabled
@@ -777,42 +910,40 @@ export default class LightingSystem {
             const pipelineReady = this.initLightPipeline();
             
             if (!pipelineReady) {
-                console.warn('Light pipeline initialization failed, skipping point lights');
-                return;
+                console.warn('Light pipeline initialization failed, point lights will only push back the darkness');
             }
             
             // Process each light object
             lightsLayer.objects.forEach(obj => {
-                // Extract light properties
-                let color = 0xffffff;
-                let radius = 200;
-                let intensity = 1;
+                // Extract light properties (array or object format)
+                const props = Array.isArray(obj.properties)
+                    ? Object.fromEntries(obj.properties.map(prop => [prop.name, prop.value]))
+                    : { ...obj.properties };
                 
-                // Check for custom properties
-                if (obj.properties && Array.isArray(obj.properties)) {
-                    obj.properties.forEach(prop => {
-                        if (prop.name === 'color' && prop.value) {
-                            // Handle color in different formats
-                            if (prop.value.startsWith('#')) {
-                                color = parseInt(prop.value.substring(1), 16);
-                            } else if (prop.value.startsWith('0x')) {
-                                color = parseInt(prop.value, 16);
-                            } else {
-                                color = parseInt(prop.value);
-                            }
-                        } else if (prop.name === 'radius') {
-                            radius = parseInt(prop.value, 10) || radius;
-                        } else if (prop.name === 'intensity') {
-                            intensity = parseFloat(prop.value) || intensity;
-                        }
+                const color = parseColor(props.color, 0xffffff);
+                const radius = parseInt(props.radius, 10) || 200;
+                const intensity = parseFloat(props.intensity) || 1;
+                
+                if (props.pattern) {
+                    // An animated light, such as glowing weed
+                    this.createLightEmitter({
+                        x: obj.x,
+                        y: obj.y,
+                        color,
+                        radius,
+                        intensity,
+                        pattern: props.pattern,
+                        period: parseFloat(props.period) || undefined,
+                        minIntensity: props.minIntensity !== undefined ? parseFloat(props.minIntensity) : undefined,
+                        phase: props.phase !== undefined ? parseFloat(props.phase) : undefined
                     });
+                } else {
+                    // Create the point light
+                    this.createPointLight(obj.x, obj.y, color, radius, intensity);
                 }
-                
-                // Create the point light
-                this.createPointLight(obj.x, obj.y, color, radius, intensity);
             });
             
-            console.log(`Created ${this.pointLights.length} point lights`);
+            console.log(`Created ${this.pointLights.length} point lights (${this.lightEmitters.length} animated)`);
         }
     }
     
@@ -939,8 +1070,28 @@ export default class LightingSystem {
                 add: false // Important: don't add to display list
             });
             
-            // Create a bitmap mask from the image
-            this.lightMask = this.customMaskImage.createBitmapMask();
+            this.lightTexture?.destroy();
+            this.lightTexture = null;
+            
+            if (this.scene.sys.game.renderer) {
+                // The image is drawn into a screen-sized texture with the rock's
+                // shadows erased from it, and that texture masks the overlay
+                this.lightTexture = this.scene.make.renderTexture({
+                    x: 0,
+                    y: 0,
+                    width: this.scene.cameras.main.width,
+                    height: this.scene.cameras.main.height,
+                    add: false
+                }).setOrigin(0, 0).setScrollFactor(0);
+                this.shadowGraphics = this.shadowGraphics || this.scene.make.graphics({ add: false });
+                this.revealGraphics = this.revealGraphics || this.scene.make.graphics({ add: false });
+                
+                // Create a bitmap mask from the texture
+                this.lightMask = this.lightTexture.createBitmapMask();
+            } else {
+                // Headless games can't draw into a texture, so the image masks directly
+                this.lightMask = this.customMaskImage.createBitmapMask();
+            }
             
             // Important fix: Bitmap masks use invertAlpha property, not setInvertAlpha method
             this.lightMask.invertAlpha = true;
@@ -1046,30 +1197,27 @@ export default class LightingSystem {
         }
     }
 
+    /**
+     * Where the beam starts: the diver's hand, 45 pixels in front of the
+     * sprite and 40 up, turned with the way the diver faces and leans
+     * @returns {{x: number, y: number}} World position
+     */
+    getFlashlightOrigin() {
+        if (this.player?.getAimPoint && this.player.sprite) {
+            return this.player.getAimPoint(45, -40);
+        }
+        return { x: this.player?.x || 0, y: this.player?.y || 0 };
+    }
+
     /**
      * Update the flashlight cone position and rotation
      */
     updateFlashlightCone() {
         if (!this.flashlightEnabled || !this.player) return;
 
-        // Get player position
-        const playerX = this.player?.sprite ? this.player.sprite.x : this.player?.x || 0;
-        const playerY = this.player?.sprite ? this.player.sprite.y : this.player?.y || 0;
-
-        // Directly check if player is facing left using sprite.flipX 
-        const isFacingLeft = this.player.sprite && this.player.sprite.flipX;
-        
-        // Position the magenta light
-        let lightX, lightY;
-        
-        // Use new offset values for the upper-right position
-        // Adjust these values to move the light to match the red arrow in the screenshot
-        const lightOffsetX = isFacingLeft ? -45 : 45; // Increased from 40 to 45 - more outward
-        const lightOffsetY = -40; // Changed from -50 to -40 - moved down by 10px
-        
-        // Use fixed offsets instead of marker-based positioning for reliability
-        lightX = playerX + lightOffsetX;
-        lightY = playerY + lightOffsetY;
+        // The beam leaves the diver's hand, upper front of the sprite, and points along the aim
+        const aimAngle = this.flashlightRotation;
+        const { x: lightX, y: lightY } = this.getFlashlightOrigin();
         
         // Position the point light and glow
         if (this.flashlightPointLight) {
@@ -1094,44 +1242,156 @@ export default class LightingSystem {
         }
         
         if (this.usingCustomMask && this.customMaskImage) {
-            // Update custom image mask position
-            // Move the mask in the direction the player is facing, but not too far
-            const extraOffset = isFacingLeft ? -500 : 500; // Move it 500 pixels in facing direction
-            this.customMaskImage.setPosition(lightX + extraOffset, lightY);
+            // The beam starts at the image's left edge, so its centre sits 500 pixels along the aim
+            const extraOffset = 500;
+            this.customMaskImage.setPosition(
+                lightX + Math.cos(aimAngle) * extraOffset,
+                lightY + Math.sin(aimAngle) * extraOffset
+            );
             
-            // Flip the mask image based on direction
-            this.customMaskImage.setScale(isFacingLeft ? -1 : 1, 1);
+            // Turned to the aim, and mirrored rather than upside down when aiming left
+            this.customMaskImage.setRotation(aimAngle);
+            this.customMaskImage.setScale(1, Math.cos(aimAngle) < 0 ? -1 : 1);
             
-            // Proper origin should be set on the image itself
-            // If needed, adjust rotation here
+            // Line of sight over the whole image, whose shadows are erased from it
+            this.flashlightVisibility = this.occlusion.getVisibility('flashlight', {
+                x: lightX,
+                y: lightY,
+                range: LIGHTING.OCCLUSION.FLASHLIGHT_RANGE,
+                angle: aimAngle,
+                cone: LIGHTING.OCCLUSION.FLASHLIGHT_CONE
+            });
         } else {
-            // Update the geometry mask with the cone shape
-            this.flashlightMask.clear();
-            this.flashlightMask.fillStyle(0xffffff, 1);
-            
             // Calculate the cone's end points
             const coneLength = 600; // Length of the cone
             const coneWidth = 350;  // Width at the end of the cone
             
-            // Draw a cone/triangle shape
-            if (isFacingLeft) {
-                // Facing left: cone opens to the left
-                this.flashlightMask.beginPath();
-                this.flashlightMask.moveTo(lightX, lightY); // Start at light origin
-                this.flashlightMask.lineTo(lightX - coneLength, lightY - coneWidth/2); // Top end point
-                this.flashlightMask.lineTo(lightX - coneLength, lightY + coneWidth/2); // Bottom end point
-                this.flashlightMask.closePath();
-                this.flashlightMask.fillPath();
+            // Line of sight within the cone, or the plain cone if nothing is mapped
+            this.flashlightVisibility = this.occlusion.getVisibility('flashlight', {
+                x: lightX,
+                y: lightY,
+                range: Math.hypot(coneLength, coneWidth / 2),
+                angle: aimAngle,
+                cone: 2 * Math.atan2(coneWidth / 2, coneLength)
+            });
+            
+            if (!this.flashlightVisibility) {
+                // Draw a cone/triangle shape, opening along the aim
+                const cos = Math.cos(aimAngle);
+                const sin = Math.sin(aimAngle);
+                const halfWidth = coneWidth / 2;
+                this.flashlightVisibility = {
+                    polygon: [
+                        { x: lightX, y: lightY }, // Start at light origin
+                        { x: lightX + coneLength * cos + halfWidth * sin, y: lightY + coneLength * sin - halfWidth * cos }, // One end point
+                        { x: lightX + coneLength * cos - halfWidth * sin, y: lightY + coneLength * sin + halfWidth * cos } // Other end point
+                    ],
+                    shadows: []
+                };
+            }
+        }
+        
+        this.drawLightMap();
+    }
+
+    /**
+     * Redraw what masks the darkness overlay: the flashlight, less whatever
+     * rock hides from it, and the point lights in view. The overlay is only
+     * masked while something is lit.
+     */
+    drawLightMap() {
+        if (!this.lightMask || !this.overlay) return;
+        
+        const pointLights = this.litPointLights;
+        const lit = this.flashlightEnabled || pointLights.length > 0;
+        
+        if (!lit) {
+            if (this.overlay.mask) {
+                this.overlay.clearMask();
+            }
+            return;
+        }
+        
+        try {
+            if (this.usingCustomMask) {
+                this.drawLightTexture(pointLights);
             } else {
-                // Facing right: cone opens to the right
-                this.flashlightMask.beginPath();
-                this.flashlightMask.moveTo(lightX, lightY); // Start at light origin
-                this.flashlightMask.lineTo(lightX + coneLength, lightY - coneWidth/2); // Top end point
-                this.flashlightMask.lineTo(lightX + coneLength, lightY + coneWidth/2); // Bottom end point
-                this.flashlightMask.closePath();
-                this.flashlightMask.fillPath();
+                this.drawLightGeometry(pointLights);
+            }
+            
+            if (!this.overlay.mask) {
+                this.overlay.setMask(this.lightMask);
+            }
+        } catch (error) {
+            console.error('Error drawing light map:', error);
+        }
+    }
+
+    /**
+     * Draw the custom mask image with its shadows erased, then the point lights
+     * @param {Array} pointLights - From updatePointLights()
+     */
+    drawLightTexture(pointLights) {
+        // Headless games have no texture to draw into
+        if (!this.lightTexture) return;
+        
+        // The texture covers the screen, so it looks at the world through the main camera
+        const camera = this.scene.cameras.main;
+        this.lightTexture.camera.setScroll(camera.scrollX, camera.scrollY);
+        this.lightTexture.clear();
+        
+        if (this.flashlightEnabled && this.customMaskImage) {
+            this.lightTexture.draw(this.customMaskImage);
+            
+            const shadows = this.flashlightVisibility?.shadows || [];
+            if (shadows.length > 0) {
+                this.shadowGraphics.clear();
+                this.shadowGraphics.fillStyle(0xffffff, 1);
+                shadows.forEach(shadow => this.shadowGraphics.fillPoints(shadow, true));
+                this.lightTexture.erase(this.shadowGraphics);
             }
         }
+        
+        if (pointLights.length > 0) {
+            this.revealGraphics.clear();
+            this.fillPointLights(this.revealGraphics, pointLights, true);
+            this.lightTexture.draw(this.revealGraphics);
+        }
+    }
+
+    /**
+     * Draw the flashlight and point light polygons into the geometry mask
+     * @param {Array} pointLights - From updatePointLights()
+     */
+    drawLightGeometry(pointLights) {
+        this.flashlightMask.clear();
+        this.flashlightMask.fillStyle(0xffffff, 1);
+        
+        if (this.flashlightEnabled && this.flashlightVisibility) {
+            this.flashlightMask.fillPoints(this.flashlightVisibility.polygon, true);
+        }
+        
+        // Geometry masks have no alpha, so point lights get hard edges
+        this.fillPointLights(this.flashlightMask, pointLights, false);
+    }
+
+    /**
+     * Fill the point lights' line-of-sight polygons
+     * @param {Phaser.GameObjects.Graphics} graphics - Graphics to fill
+     * @param {Array} pointLights - From updatePointLights()
+     * @param {boolean} feather - Fade each light out in rings towards its radius
+     */
+    fillPointLights(graphics, pointLights, feather) {
+        const steps = feather ? LIGHTING.OCCLUSION.FEATHER_STEPS : 1;
+        
+        pointLights.forEach(({ light, visibility }) => {
+            const alpha = Math.min(1, light.intensity) / steps;
+            
+            for (let ring = steps; ring >= 1; ring--) {
+                graphics.fillStyle(0xffffff, feather ? alpha : 1);
+                graphics.fillPoints(this.occlusion.getPolygonWithin(visibility, light.radius * ring / steps), true);
+            }
+        });
     }
 
     /**
@@ -1139,6 +1399,13 @@ export default class LightingSystem {
      * @param {string} customMaskKey - Optional key for a custom mask image
      */
     toggleFlashlight(customMaskKey = null) {
+        const battery = this.scene.batterySystem;
+        if (!this.flashlightEnabled && battery && !battery.canPower()) {
+            console.log('Flashlight battery is too low to turn on');
+            this.scene.events.emit('flashlightNoPower');
+            return;
+        }
+        
         this.flashlightEnabled = !this.flashlightEnabled;
         
         // Create flashlight if needed
@@ -1147,9 +1414,11 @@ export default class LightingSystem {
         }
         
         if (this.flashlightEnabled) {
-            // If the player has a sprite, check flipX first to determine direction
+            // If the player has a sprite, point where the diver aims, else check flipX
             if (this.player && this.player.sprite) {
-                if (this.player.sprite.flipX !== undefined) {
+                if (this.player.aimAngle !== undefined) {
+                    this.flashlightRotation = this.player.aimAngle;
+                } else if (this.player.sprite.flipX !== undefined) {
                     // Use flipX to determine direction (same as bullets)
                     this.flashlightRotation = this.player.sprite.flipX ? Math.PI : 0;
                     console.log(`Flashlight enabled, using player flipX: ${this.player.sprite.flipX}`);
@@ -1168,16 +1437,12 @@ export default class LightingSystem {
                 this.flashlightRotation = 0;
             }
             
-            // Show the point light and glow at the flashlight origin
+            // Show the point light and glow at the flashlight origin, tinted with the charge left
             if (this.flashlightPointLight) this.flashlightPointLight.setVisible(true);
             if (this.flashlightGlow) this.flashlightGlow.setVisible(true);
+            if (battery) this.setIndicatorColor(battery.getColor());
             
-            // Make sure to apply the mask to the overlay
-            if (this.lightMask && this.overlay) {
-                this.overlay.setMask(this.lightMask);
-            }
-            
-            // Update flashlight position and rotation
+            // Update flashlight position and rotation, which applies the mask to the overlay
             this.updateFlashlightCone();
             
             console.log(`Flashlight enabled with ${this.usingCustomMask ? 'custom image' : 'graphics-based'} mask`);
@@ -1186,13 +1451,85 @@ export default class LightingSystem {
             if (this.flashlightPointLight) this.flashlightPointLight.setVisible(false);
             if (this.flashlightGlow) this.flashlightGlow.setVisible(false);
             
-            // CRITICAL FIX: Clear the mask from the overlay when turning off
-            if (this.overlay) {
-                this.overlay.clearMask();
-            }
+            // CRITICAL FIX: Clear the mask from the overlay when turning off,
+            // unless point lights are still lighting something
+            this.drawLightMap();
             
             console.log(`Flashlight disabled`);
         }
+        
+        this.scene.events.emit('flashlightToggled', this.flashlightEnabled);
+    }
+
+    /**
+     * @param {Object} status - From BatterySystem.getStatus()
+     */
+    handleBatteryChanged({ color }) {
+        this.setIndicatorColor(color);
+    }
+
+    /**
+     * The battery ran flat: the flashlight goes out
+     */
+    handleBatteryDepleted() {
+        if (this.flashlightEnabled) {
+            this.toggleFlashlight();
+        }
+    }
+
+    /**
+     * Tint the flashlight's indicator light, with a lighter glow around it
+     * @param {number} color - Colour in hex
+     */
+    setIndicatorColor(color) {
+        this.flashlightPointLight?.setTint(color);
+        this.flashlightGlow?.setTint(this.getLighterColor(color));
+    }
+
+    /**
+     * Get a lighter version of a color for the glow effect
+     * @param {number} color - The base color in hex
+     * @returns {number} - Lighter version of the color
+     */
+    getLighterColor(color) {
+        const r = ((color >> 16) & 255) + 40;
+        const g = ((color >> 8) & 255) + 40;
+        const b = (color & 255) + 40;
+        return ((Math.min(r, 255) << 16) | (Math.min(g, 255) << 8) | Math.min(b, 255));
+    }
+
+    /**
+     * Snapshot of the lighting zone and flashlight for save games
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            zone: this.currentZoneType,
+            lightLevel: this.currentLightLevel,
+            targetLightLevel: this.targetLightLevel,
+            flashlight: this.flashlightEnabled
+        };
+    }
+
+    /**
+     * Restore the lighting from getState() without a transition
+     * @param {Object} state - Saved lighting state
+     */
+    restoreState(state = {}) {
+        this.currentZoneType = state.zone ?? null;
+        this.currentLightLevel = state.lightLevel ?? this.zoneLevels['default'];
+        this.targetLightLevel = state.targetLightLevel ?? this.currentLightLevel;
+        this.transitionStartValue = this.currentLightLevel;
+        this.transitionStartTime = this.scene.time.now;
+        this.transitionActive = false;
+        
+        if (this.overlay) {
+            this.overlay.setAlpha(Math.round(this.currentLightLevel * 1000) / 1000);
+        }
+        
+        if (!!state.flashlight !== this.flashlightEnabled) {
+            this.toggleFlashlight();
+        }
     }
 
     /**
@@ -1239,4 +1576,21 @@ export default class LightingSystem {
         
         return true;
     }
+    /**
+     * Release the light emitters, the raycaster and the textures behind the light mask
+     */
+    destroy() {
+        this.lightEmitters.forEach(emitter => emitter.destroy());
+        this.lightEmitters = [];
+        this.scene.events.off('batteryChanged', this.handleBatteryChanged, this);
+        this.scene.events.off('batteryDepleted', this.handleBatteryDepleted, this);
+        this.occlusion.destroy();
+        this.lightTexture?.destroy();
+        this.shadowGraphics?.destroy();
+        this.revealGraphics?.destroy();
+        this.lightTexture = null;
+        this.shadowGraphics = null;
+        this.revealGraphics = null;
+        this.litPointLights = [];
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,320 @@
+import Phaser from 'phaser';
+import Pickup from '../entities/Pickup';
+
+const DEFAULT_CONFIG = {
+    defaults: {
+        lifetime: 12000,
+        blinkTime: 3000,
+        magnetRadius: 160,
+        magnetSpeed: 420,
+        scatterSpeed: 140,
+        maxPickups: 60
+    },
+    items: {},
+    tables: {}
+};
+
+/**
+ * Rolls enemy drop tables and manages the resulting pickups.
+ *
+ * Enemies list their drops in src/config/enemyTypes.json, either inline
+ * (`[{ "item": "oxygen", "chance": 0.4 }]`) or as the name of a shared table
+ * from src/config/loot.json. When an enemy dies the table is rolled and the
+ * pickups scatter from the body, drift toward the player once they are close
+ * and disappear after a while if nobody collects them.
+ *
+ * Pickups can also be placed in the level from a Tiled 'Pickups' layer (see
+ * placePickups). Those stay put until collected, and save games remember
+ * which have been.
+ *
+ * Collecting a pickup applies it (oxygen, battery, battery upgrade, flares, health or score) and emits
+ * 'pickupCollected' so the HUD can react.
+ */
+export default class LootSystem {
+    /**
+     * @param {Phaser.Scene} scene - The scene this system belongs to
+     */
+    constructor(scene) {
+        console.log('Initializing LootSystem...');
+
+        this.scene = scene;
+        this.rng = scene.random.gameplay;
+        this.config = this.loadConfig();
+
+        this.pickups = scene.add.group({
+            classType: Pickup,
+            maxSize: this.config.defaults.maxPickups,
+            runChildUpdate: true
+        });
+
+        this.playerOverlap = null;
+
+        // Pickups placed in the map, and the ids of those collected
+        this.placedPickups = [];
+        this.collectedPlaced = new Set();
+
+        this.handleEnemyDied = this.handleEnemyDied.bind(this);
+        scene.events.on('enemyDied', this.handleEnemyDied);
+    }
+
+    /**
+     * Merge loot.json over the defaults
+     * @returns {Object}
+     */
+    loadConfig() {
+        const config = this.scene.cache.json.get('loot');
+        if (!config) {
+            console.warn('Loot configuration not found in cache, using defaults');
+            return DEFAULT_CONFIG;
+        }
+
+        const defaults = { ...DEFAULT_CONFIG.defaults, ...config.defaults };
+        const items = {};
+        Object.entries(config.items || {}).forEach(([key, item]) => {
+            items[key] = {
+                ...defaults,
+                ...item,
+                // JSON has no hex literals, so colors are stored as "0xRRGGBB" strings
+                tint: typeof item.tint === 'string' ? Number(item.tint) : item.tint
+            };
+        });
+
+        console.log(`Loaded ${Object.keys(items).length} loot items:`, Object.keys(items));
+        return { defaults, items, tables: config.tables || {} };
+    }
+
+    /**
+     * Set up collection by the player. Call once the player exists.
+     */
+    setupCollisions() {
+        try {
+            this.playerOverlap?.destroy();
+
+            const playerSprite = this.scene.player?.sprite;
+            if (!playerSprite) {
+                console.warn('LootSystem: no player to collect pickups');
+                return;
+            }
+
+            this.playerOverlap = this.scene.physics.add.overlap(
+                playerSprite,
+                this.pickups,
+                (player, pickup) => this.collect(pickup)
+            );
+        } catch (error) {
+            console.error('Error setting up loot collisions:', error);
+        }
+    }
+
+    /**
+     * @param {Object} event - Payload of the 'enemyDied' event
+     */
+    handleEnemyDied({ x, y, drops, enemyType }) {
+        const rolled = this.rollDrops(drops);
+        if (rolled.length === 0) return;
+
+        console.log(`Enemy '${enemyType}' dropped:`, rolled);
+        rolled.forEach(item => this.spawnPickup(item, x, y));
+    }
+
+    /**
+     * Resolve a drop table name to its entries
+     * @param {Array|string} drops - Inline entries or a table name from loot.json
+     * @returns {Array} Drop entries
+     */
+    getTable(drops) {
+        if (typeof drops === 'string') {
+            const table = this.config.tables[drops];
+            if (!table) {
+                console.warn(`Unknown loot table '${drops}'`);
+                return [];
+            }
+            return table;
+        }
+        return Array.isArray(drops) ? drops : [];
+    }
+
+    /**
+     * Roll every entry of a drop table
+     * @param {Array|string} drops - Inline entries or a table name from loot.json
+     * @returns {Array<string>} Item keys to drop, one per pickup
+     */
+    rollDrops(drops) {
+        const result = [];
+        this.getTable(drops).forEach(entry => {
+            if (!this.config.items[entry.item]) return;
+            if (this.rng.frac() > (entry.chance ?? 1)) return;
+
+            const quantity = Array.isArray(entry.quantity)
+                ? this.rng.between(entry.quantity[0], entry.quantity[1])
+                : (entry.quantity ?? 1);
+            for (let i = 0; i < quantity; i++) {
+                result.push(entry.item);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Drop a single pickup into the world
+     * @param {string} item - Item key from loot.json
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {Object} definition - Item definition, if not the one from loot.json
+     * @returns {Pickup|null} The pickup, or null if the item is unknown or the pool is full
+     */
+    spawnPickup(item, x, y, definition = this.config.items[item]) {
+        if (!definition) {
+            console.warn(`Unknown loot item '${item}'`);
+            return null;
+        }
+
+        const pickup = this.pickups.getFirstDead(true, x, y);
+        if (!pickup) return null;
+
+        pickup.spawn(x, y, item, definition);
+        this.scene.events.emit('pickupSpawned', { pickup, item });
+        return pickup;
+    }
+
+    /**
+     * Place pickups from the map. They don't scatter or expire.
+     * @param {Array} spawns - From EntityLayerSystem.getPickups(): { id, item, x, y, amount }
+     */
+    placePickups(spawns) {
+        this.placedPickups = spawns;
+        let placed = 0;
+
+        spawns.forEach(spawn => {
+            if (this.collectedPlaced.has(spawn.id)) return;
+
+            const definition = this.config.items[spawn.item];
+            if (!definition) {
+                console.warn(`Unknown loot item '${spawn.item}' placed in the map`);
+                return;
+            }
+
+            const pickup = this.spawnPickup(spawn.item, spawn.x, spawn.y, {
+                ...definition,
+                amount: spawn.amount ?? definition.amount,
+                lifetime: Infinity,
+                scatterSpeed: 0
+            });
+            if (pickup) {
+                pickup.placedId = spawn.id;
+                placed++;
+            }
+        });
+
+        console.log(`Placed ${placed} pickups from the map`);
+    }
+
+    /**
+     * Apply a pickup to the player and return it to the pool
+     * @param {Pickup} pickup - The pickup the player touched
+     */
+    collect(pickup) {
+        if (!pickup.active || !pickup.definition) return;
+
+        const item = pickup.item;
+        const definition = pickup.definition;
+        const amount = definition.amount ?? 0;
+        const { x, y } = pickup;
+
+        if (pickup.placedId !== null) {
+            this.collectedPlaced.add(pickup.placedId);
+        }
+
+        try {
+            this.applyItem(item, amount);
+        } catch (error) {
+            console.error(`Error applying pickup '${item}':`, error);
+        }
+
+        pickup.deactivate();
+
+        this.scene.events.emit('pickupCollected', {
+            item,
+            amount,
+            x,
+            y,
+            label: (definition.label || `+${amount}`).replace('{amount}', amount),
+            color: definition.color || '#ffffff'
+        });
+    }
+
+    /**
+     * @param {string} item - Item key
+     * @param {number} amount - Amount from the item definition
+     */
+    applyItem(item, amount) {
+        const scene = this.scene;
+
+        switch (item) {
+            case 'oxygen': {
+                const player = scene.player;
+                if (!player) return;
+                player.oxygen = Math.min(player.maxOxygen, player.oxygen + amount);
+                scene.events.emit('playerOxygenChanged', player.oxygen, player.maxOxygen);
+                break;
+            }
+            case 'battery':
+                scene.batterySystem?.addCharge(amount);
+                break;
+            case 'batteryUpgrade':
+                scene.batterySystem?.applyUpgrade({ capacity: amount });
+                break;
+            case 'flare':
+                scene.flareSystem?.addFlares(amount);
+                break;
+            case 'health':
+                scene.healthSystem?.heal(amount);
+                break;
+            case 'score': {
+                const stateManager = scene.gameStateManager;
+                if (!stateManager) return;
+                stateManager.score += amount;
+                scene.events.emit('scoreChanged', stateManager.score, amount);
+                break;
+            }
+            default:
+                console.warn(`No handler for loot item '${item}'`);
+        }
+    }
+
+    /**
+     * Remove every pickup from the world
+     */
+    clear() {
+        this.pickups.getChildren().forEach(pickup => {
+            if (pickup.active) {
+                pickup.deactivate();
+            }
+        });
+    }
+
+    /**
+     * Snapshot for save games: which placed pickups have been collected.
+     * Enemy drops aren't saved
+     * @returns {{collected: Array}}
+     */
+    getState() {
+        return { collected: [...this.collectedPlaced] };
+    }
+
+    /**
+     * Put the placed pickups back as they were in getState(). Call after clear()
+     * @param {Object} state - Saved pickup state
+     */
+    restoreState(state = {}) {
+        this.collectedPlaced = new Set(state.collected || []);
+        this.placePickups(this.placedPickups);
+    }
+
+    destroy() {
+        this.scene.events.off('enemyDied', this.handleEnemyDied);
+        this.playerOverlap?.destroy();
+        this.playerOverlap = null;
+        this.pickups.clear(true, true);
+    }
+}
@@ -0,0 +1,563 @@
+/**
+ * Min-heap of grid cell indices ordered by their f score
+ * @private
+ */
+class CellHeap {
+    constructor() {
+        this.items = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    clear() {
+        this.items.length = 0;
+        this.scores.length = 0;
+    }
+
+    push(item, score) {
+        const items = this.items;
+        const scores = this.scores;
+        let index = items.length;
+        items.push(item);
+        scores.push(score);
+
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (scores[parent] <= score) break;
+            items[index] = items[parent];
+            scores[index] = scores[parent];
+            index = parent;
+        }
+        items[index] = item;
+        scores[index] = score;
+    }
+
+    pop() {
+        const items = this.items;
+        const scores = this.scores;
+        const top = items[0];
+        const lastItem = items.pop();
+        const lastScore = scores.pop();
+
+        if (items.length > 0) {
+            let index = 0;
+            const length = items.length;
+            while (true) {
+                let child = index * 2 + 1;
+                if (child >= length) break;
+                if (child + 1 < length && scores[child + 1] < scores[child]) child++;
+                if (scores[child] >= lastScore) break;
+                items[index] = items[child];
+                scores[index] = scores[child];
+                index = child;
+            }
+            items[index] = lastItem;
+            scores[index] = lastScore;
+        }
+        return top;
+    }
+}
+
+// 8-way neighbour offsets: [dx, dy, cost]
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Grid navigation for enemies around the Obstacles tile layer.
+ * Builds a walkable grid from TilemapSystem.layers.Obstacles and answers path
+ * requests with A* spread over several frames, so long searches on the
+ * 100x500 level2 map never stall a frame.
+ */
+export default class NavigationSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Grid data (built lazily once the Obstacles layer exists)
+        this.width = 0;
+        this.height = 0;
+        this.tileWidth = 32;
+        this.tileHeight = 32;
+        this.walkable = null;   // Uint8Array: 1 = open water
+        this.extraCost = null;  // Float32Array: penalty for hugging walls
+        this.gridVersion = 0;
+
+        // A* working buffers, reused between searches
+        this.gScore = null;
+        this.cameFrom = null;
+        this.visited = null;    // Search id that last touched each cell
+        this.closed = null;     // Search id that closed each cell
+        this.searchId = 0;
+        this.openHeap = new CellHeap();
+
+        // Budget settings
+        this.maxExpansionsPerFrame = 1500; // Node expansions per frame across all searches
+        this.maxExpansionsPerSearch = 20000; // Give up on unreachable targets
+        this.wallPenalty = 1.5; // Extra cost for cells next to rock, keeps fish off the walls
+
+        // Pending path requests, processed one at a time
+        this.queue = [];
+        this.activeJob = null;
+
+        // Latest path per owner, for the debug overlay
+        this.debugPaths = new Map();
+        this.debugGraphics = null;
+
+        // Rebuild whenever the map or its obstacles change
+        this.scene.events.on('tilemapCreated', this.rebuild, this);
+        this.scene.events.on('obstaclesChanged', this.handleObstaclesChanged, this);
+    }
+
+    /**
+     * Get the Obstacles layer from the tilemap system
+     * @returns {Phaser.Tilemaps.TilemapLayer|null}
+     */
+    getObstaclesLayer() {
+        return this.scene.tilemapSystem?.layers?.Obstacles || null;
+    }
+
+    /**
+     * Build the grid if it hasn't been built yet
+     * @returns {boolean} Whether a grid is available
+     */
+    ensureGrid() {
+        if (this.walkable) return true;
+        return this.rebuild();
+    }
+
+    /**
+     * (Re)build the walkable grid from the Obstacles layer
+     * @returns {boolean} Whether the grid was built
+     */
+    rebuild() {
+        const layer = this.getObstaclesLayer();
+        if (!layer) {
+            return false;
+        }
+
+        try {
+            const layerData = layer.layer;
+            this.width = layerData.width;
+            this.height = layerData.height;
+            this.tileWidth = layer.tilemap.tileWidth;
+            this.tileHeight = layer.tilemap.tileHeight;
+
+            const size = this.width * this.height;
+            this.walkable = new Uint8Array(size);
+            this.extraCost = new Float32Array(size);
+            this.gScore = new Float32Array(size);
+            this.cameFrom = new Int32Array(size);
+            this.visited = new Uint32Array(size);
+            this.closed = new Uint32Array(size);
+            this.searchId = 0;
+
+            for (let y = 0; y < this.height; y++) {
+                const row = layerData.data[y];
+                for (let x = 0; x < this.width; x++) {
+                    const tile = row[x];
+                    this.walkable[y * this.width + x] = (!tile || tile.index === -1) ? 1 : 0;
+                }
+            }
+
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    this.updateCellCost(x, y);
+                }
+            }
+
+            this.invalidatePaths();
+            console.log(`Navigation grid built: ${this.width}x${this.height} tiles`);
+            return true;
+        } catch (error) {
+            console.error('Error building navigation grid:', error);
+            this.walkable = null;
+            return false;
+        }
+    }
+
+    /**
+     * Recompute the wall penalty for a single cell
+     * @param {number} x - Tile x
+     * @param {number} y - Tile y
+     */
+    updateCellCost(x, y) {
+        let nearWall = false;
+        for (let dy = -1; dy <= 1 && !nearWall; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (!this.isWalkable(x + dx, y + dy)) {
+                    nearWall = true;
+                    break;
+                }
+            }
+        }
+        this.extraCost[y * this.width + x] = nearWall ? this.wallPenalty : 0;
+    }
+
+    /**
+     * Update the grid when obstacle tiles are added or removed at runtime
+     * @param {Object} change - { tileX, tileY } of the changed tile, or nothing for a full rebuild
+     */
+    handleObstaclesChanged(change = {}) {
+        const layer = this.getObstaclesLayer();
+        if (!this.walkable || !layer || change.tileX === undefined || change.tileY === undefined) {
+            this.rebuild();
+            return;
+        }
+
+        const { tileX, tileY } = change;
+        if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) return;
+
+        const tile = layer.layer.data[tileY][tileX];
+        this.walkable[tileY * this.width + tileX] = (!tile || tile.index === -1) ? 1 : 0;
+
+        // Neighbouring wall penalties depend on this tile too
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const x = tileX + dx;
+                const y = tileY + dy;
+                if (x >= 0 && y >= 0 && x < this.width && y < this.height) {
+                    this.updateCellCost(x, y);
+                }
+            }
+        }
+
+        this.invalidatePaths();
+    }
+
+    /**
+     * Drop in-flight searches after the grid changes; owners re-request on their next repath
+     */
+    invalidatePaths() {
+        this.gridVersion++;
+        this.queue.forEach(job => job.callback(null, true));
+        this.queue = [];
+        if (this.activeJob) {
+            this.activeJob.callback(null, true);
+            this.activeJob = null;
+        }
+    }
+
+    isWalkable(tileX, tileY) {
+        if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) return false;
+        return this.walkable[tileY * this.width + tileX] === 1;
+    }
+
+    worldToTile(x, y) {
+        return {
+            x: Math.floor(x / this.tileWidth),
+            y: Math.floor(y / this.tileHeight)
+        };
+    }
+
+    tileToWorld(tileX, tileY) {
+        return {
+            x: tileX * this.tileWidth + this.tileWidth / 2,
+            y: tileY * this.tileHeight + this.tileHeight / 2
+        };
+    }
+
+    /**
+     * Find the closest walkable tile to a (possibly blocked) tile
+     * @param {number} tileX - Tile x
+     * @param {number} tileY - Tile y
+     * @param {number} maxRadius - Search radius in tiles
+     * @returns {Object|null} { x, y } tile coordinates
+     */
+    findNearestWalkable(tileX, tileY, maxRadius = 4) {
+        if (this.isWalkable(tileX, tileY)) return { x: tileX, y: tileY };
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
+                    if (this.isWalkable(tileX + dx, tileY + dy)) {
+                        return { x: tileX + dx, y: tileY + dy };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check for a straight, unobstructed line between two world points
+     * @param {number} ax - Start x
+     * @param {number} ay - Start y
+     * @param {number} bx - End x
+     * @param {number} by - End y
+     * @returns {boolean}
+     */
+    hasClearLine(ax, ay, bx, by) {
+        if (!this.ensureGrid()) return true;
+
+        const distance = Math.hypot(bx - ax, by - ay);
+        const step = Math.min(this.tileWidth, this.tileHeight) / 4;
+        const steps = Math.ceil(distance / step);
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            const tile = this.worldToTile(ax + (bx - ax) * t, ay + (by - ay) * t);
+            if (!this.isWalkable(tile.x, tile.y)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Queue a path request. The callback receives an array of world points
+     * (or null if no path exists) once the search completes, possibly frames later.
+     * @param {number} fromX - Start x
+     * @param {number} fromY - Start y
+     * @param {number} toX - Target x
+     * @param {number} toY - Target y
+     * @param {Function} callback - (path, cancelled) => void
+     * @param {Object} owner - Requester; a newer request from the same owner replaces the old one
+     */
+    requestPath(fromX, fromY, toX, toY, callback, owner = null) {
+        if (!this.ensureGrid()) {
+            callback(null);
+            return;
+        }
+
+        if (owner) {
+            this.cancelRequests(owner);
+        }
+
+        const start = this.worldToTile(fromX, fromY);
+        const goal = this.worldToTile(toX, toY);
+        const startCell = this.findNearestWalkable(start.x, start.y);
+        const goalCell = this.findNearestWalkable(goal.x, goal.y);
+
+        if (!startCell || !goalCell) {
+            callback(null);
+            return;
+        }
+
+        this.queue.push({
+            owner,
+            callback,
+            start: startCell.y * this.width + startCell.x,
+            goal: goalCell.y * this.width + goalCell.x,
+            target: { x: toX, y: toY },
+            origin: { x: fromX, y: fromY },
+            started: false,
+            expansions: 0
+        });
+    }
+
+    /**
+     * Cancel all requests made by an owner and clear its debug path
+     * @param {Object} owner - The requester
+     */
+    cancelRequests(owner) {
+        this.queue = this.queue.filter(job => job.owner !== owner);
+        if (this.activeJob?.owner === owner) {
+            this.activeJob = null;
+        }
+        this.debugPaths.delete(owner);
+    }
+
+    /**
+     * Start a queued search, resetting the shared A* buffers
+     * @param {Object} job - The path request
+     */
+    beginSearch(job) {
+        this.searchId++;
+        this.openHeap.clear();
+        this.gScore[job.start] = 0;
+        this.cameFrom[job.start] = -1;
+        this.visited[job.start] = this.searchId;
+        this.openHeap.push(job.start, this.heuristic(job.start, job.goal));
+        job.started = true;
+    }
+
+    heuristic(cell, goal) {
+        // Octile distance
+        const dx = Math.abs((cell % this.width) - (goal % this.width));
+        const dy = Math.abs(Math.floor(cell / this.width) - Math.floor(goal / this.width));
+        return (dx + dy) + (Math.SQRT2 - 2) * Math.min(dx, dy);
+    }
+
+    /**
+     * Expand up to `budget` nodes of the active search
+     * @param {Object} job - The active path request
+     * @param {number} budget - Maximum node expansions
+     * @returns {Object} { done, used, found }
+     */
+    stepSearch(job, budget) {
+        let used = 0;
+        const width = this.width;
+
+        while (this.openHeap.size > 0 && used < budget) {
+            const current = this.openHeap.pop();
+            if (this.closed[current] === this.searchId) continue;
+            this.closed[current] = this.searchId;
+            used++;
+            job.expansions++;
+
+            if (current === job.goal) {
+                return { done: true, used, found: true };
+            }
+
+            if (job.expansions >= this.maxExpansionsPerSearch) {
+                return { done: true, used, found: false };
+            }
+
+            const cx = current % width;
+            const cy = (current - cx) / width;
+
+            for (const [dx, dy, cost] of NEIGHBOURS) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                if (!this.isWalkable(nx, ny)) continue;
+
+                // No cutting corners between two rocks
+                if (dx !== 0 && dy !== 0 && (!this.isWalkable(cx + dx, cy) || !this.isWalkable(cx, cy + dy))) {
+                    continue;
+                }
+
+                const neighbour = ny * width + nx;
+                if (this.closed[neighbour] === this.searchId) continue;
+
+                const tentative = this.gScore[current] + cost + this.extraCost[neighbour];
+                if (this.visited[neighbour] !== this.searchId || tentative < this.gScore[neighbour]) {
+                    this.visited[neighbour] = this.searchId;
+                    this.gScore[neighbour] = tentative;
+                    this.cameFrom[neighbour] = current;
+                    this.openHeap.push(neighbour, tentative + this.heuristic(neighbour, job.goal));
+                }
+            }
+        }
+
+        return { done: this.openHeap.size === 0, used, found: false };
+    }
+
+    /**
+     * Walk cameFrom back from the goal and convert to world points
+     * @param {Object} job - The completed path request
+     * @returns {Array} World-space points from start to goal
+     */
+    reconstructPath(job) {
+        const cells = [];
+        let current = job.goal;
+        while (current !== -1 && cells.length <= this.width * this.height) {
+            cells.push(current);
+            if (current === job.start) break;
+            current = this.cameFrom[current];
+        }
+        cells.reverse();
+
+        const points = cells.map(cell => this.tileToWorld(cell % this.width, Math.floor(cell / this.width)));
+        // End exactly on the requested target when it is reachable
+        if (points.length > 0) {
+            const targetTile = this.worldToTile(job.target.x, job.target.y);
+            if (this.isWalkable(targetTile.x, targetTile.y)) {
+                points[points.length - 1] = { x: job.target.x, y: job.target.y };
+            }
+        }
+        return this.smoothPath(points, job.origin);
+    }
+
+    /**
+     * Remove redundant waypoints by skipping ahead while there is a clear line
+     * @param {Array} points - Raw grid path
+     * @param {Object} origin - Where the requester actually is
+     * @returns {Array} Smoothed path
+     */
+    smoothPath(points, origin) {
+        if (points.length <= 2) return points;
+
+        const smoothed = [];
+        let anchor = origin;
+        let index = 0;
+
+        while (index < points.length - 1) {
+            let furthest = index;
+            for (let next = points.length - 1; next > index; next--) {
+                if (this.hasClearLine(anchor.x, anchor.y, points[next].x, points[next].y)) {
+                    furthest = next;
+                    break;
+                }
+            }
+            if (furthest === index) furthest = index + 1;
+
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            index = furthest;
+        }
+        return smoothed;
+    }
+
+    update(time, delta) {
+        let budget = this.maxExpansionsPerFrame;
+
+        while (budget > 0 && (this.activeJob || this.queue.length > 0)) {
+            if (!this.activeJob) {
+                this.activeJob = this.queue.shift();
+                this.beginSearch(this.activeJob);
+            }
+
+            const job = this.activeJob;
+            const result = this.stepSearch(job, budget);
+            budget -= result.used;
+
+            if (result.done) {
+                this.activeJob = null;
+                const path = result.found ? this.reconstructPath(job) : null;
+                if (job.owner) {
+                    if (path) {
+                        this.debugPaths.set(job.owner, path);
+                    } else {
+                        this.debugPaths.delete(job.owner);
+                    }
+                }
+                job.callback(path);
+            } else if (result.used === 0) {
+                break;
+            }
+        }
+
+        this.drawDebug();
+    }
+
+    /**
+     * Draw computed paths when physics debug is enabled
+     */
+    drawDebug() {
+        if (!this.scene.physics?.config?.debug) return;
+
+        if (!this.debugGraphics) {
+            this.debugGraphics = this.scene.add.graphics();
+            this.debugGraphics.setDepth(960);
+        }
+
+        this.debugGraphics.clear();
+        this.debugPaths.forEach((path, owner) => {
+            if (!owner.active || path.length === 0) {
+                this.debugPaths.delete(owner);
+                return;
+            }
+
+            this.debugGraphics.lineStyle(2, 0x00ffff, 0.8);
+            this.debugGraphics.beginPath();
+            this.debugGraphics.moveTo(owner.x, owner.y);
+            path.forEach(point => this.debugGraphics.lineTo(point.x, point.y));
+            this.debugGraphics.strokePath();
+
+            this.debugGraphics.fillStyle(0xff00ff, 0.9);
+            path.forEach(point => this.debugGraphics.fillCircle(point.x, point.y, 3));
+        });
+    }
+
+    destroy() {
+        this.scene.events.off('tilemapCreated', this.rebuild, this);
+        this.scene.events.off('obstaclesChanged', this.handleObstaclesChanged, this);
+        this.queue = [];
+        this.activeJob = null;
+        this.debugPaths.clear();
+        this.debugGraphics?.destroy();
+        this.debugGraphics = null;
+    }
+}
@@ -10,11 +10,29 @@ export default class ParticleSystem {
      */
     constructor(scene) {
         this.scene = scene;
+        this.rng = scene.random.cosmetic;
         this.emitters = {};
         this.enabled = true;
         this.movementBurstEmitter = null;
         this.boostEmitter = null;
         this.markerPosition = null; // Store the position of the yellow marker pixel
+        this.density = 1; // Particle density setting, from 0 (off) to 1 (full)
+    }
+
+    /**
+     * @param {number} density - Particle density setting, from 0 (off) to 1 (full)
+     */
+    setDensity(density) {
+        this.density = density;
+    }
+
+    /**
+     * Scale a particle count by the density setting
+     * @param {number} count - Particles at full density
+     * @returns {number}
+     */
+    scaleCount(count) {
+        return Math.round(count * this.density);
     }
 
     /**
@@ -291,7 +309,7 @@ export default class ParticleSystem {
         }).setDepth(20);
         
         // Emit boost particles
-        boostEmitter.explode(particleCount);
+        boostEmitter.explode(this.scaleCount(particleCount));
         
         // For high-speed boost, add a second emitter with different parameters for more dramatic effect
         if (isHighSpeedBoost) {
@@ -337,7 +355,7 @@ export default class ParticleSystem {
             }).setDepth(21);
             
             // Emit more particles
-            secondaryEmitter.explode(Math.floor(particleCount * 0.9));
+            secondaryEmitter.explode(this.scaleCount(Math.floor(particleCount * 0.9)));
             
             // Add a third small emission for tiny bubbles with high turbulence and better spread
             const tertiaryEmitter = this.scene.add.particles(0, 0, particleKey, {
@@ -590,13 +608,13 @@ export default class ParticleSystem {
             }).setDepth(26);
             
             // Emit particles
-            tertiaryEmitter.explode(Math.floor(particleCount * 1.2));
-            topCorkscrewEmitter.explode(20);
-            bottomCorkscrewEmitter.explode(20);
-            middleCorkscrewEmitter.explode(15);
-            tracerEmitter.explode(15);
-            cloudEmitter.explode(35);
-            distantStreamEmitter.explode(60);
+            tertiaryEmitter.explode(this.scaleCount(Math.floor(particleCount * 1.2)));
+            topCorkscrewEmitter.explode(this.scaleCount(20));
+            bottomCorkscrewEmitter.explode(this.scaleCount(20));
+            middleCorkscrewEmitter.explode(this.scaleCount(15));
+            tracerEmitter.explode(this.scaleCount(15));
+            cloudEmitter.explode(this.scaleCount(35));
+            distantStreamEmitter.explode(this.scaleCount(60));
             
             // Destroy the emitters
             this.scene.time.delayedCall(lifespan * 0.7, () => {
@@ -723,7 +741,7 @@ export default class ParticleSystem {
                     console.log("Emitting bubble burst");
                     
                     // Emit a burst of 3-4 bubbles
-                    helmetEmitter.emitParticle(3 + Math.floor(Math.random() * 2));
+                    helmetEmitter.emitParticle(this.scaleCount(3 + Math.floor(this.rng.frac() * 2)));
                     
                     // Update the last burst time
                     bubbleState.lastBurstTime = time;
@@ -735,7 +753,7 @@ export default class ParticleSystem {
             this.scene.events.on('update', updateBubbleBursts);
             
             // Do an initial burst
-            helmetEmitter.emitParticle(3);
+            helmetEmitter.emitParticle(this.scaleCount(3));
             bubbleState.lastBurstTime = this.scene.time.now;
             
             // Store for cleanup
@@ -783,7 +801,7 @@ export default class ParticleSystem {
         }).setDepth(15);
 
         // Emit more bubbles in the burst
-        movementEmitter.explode(15);  // Increased from 8 to 15
+        movementEmitter.explode(this.scaleCount(15));  // Increased from 8 to 15
 
         // Destroy the emitter after particles are done
         this.scene.time.delayedCall(1100, () => {
@@ -849,7 +867,7 @@ export default class ParticleSystem {
             const emitter = this.scene.add.particles(x, y, texture, emitterConfig);
             
             // Emit particles immediately
-            emitter.emitParticle(emitCount);
+            emitter.emitParticle(this.scaleCount(emitCount));
             
             // Set up automatic cleanup after particles die
             this.scene.time.delayedCall(lifespan + 100, () => {
@@ -0,0 +1,103 @@
+import Phaser from 'phaser';
+
+/**
+ * Named random streams, and whether each one is seeded from the run's seed.
+ * Streams not listed here are seeded.
+ */
+export const RANDOM_STREAMS = {
+    // Anything that changes the game: spawns, enemy movement, fish schools (piranha bite), loot, air pockets
+    gameplay: { seeded: true },
+    // Looks only: particles, ambient bubbles, pickup bobbing. Stays random from run to run
+    cosmetic: { seeded: false }
+};
+
+/**
+ * Random numbers for a run of the game, split into named streams that each
+ * draw from their own generator.
+ *
+ * Seeded streams start from the run's seed plus their name, so the gameplay
+ * stream replays exactly from a seed (see ReplaySystem) and drawing from one
+ * stream never shifts another: a particle setting that spawns more bubbles
+ * doesn't change where enemies go. Unseeded streams get a fresh seed every run.
+ *
+ * The game scene creates one per run as `scene.random`, and systems take
+ * their stream from it when they are created. Tests inject their own by
+ * giving the scene (or a stub of it) a RandomSystem with a fixed seed, or
+ * by replacing a stream with setStream().
+ */
+export default class RandomSystem {
+    /**
+     * @returns {string} A new random seed
+     */
+    static createSeed() {
+        return Math.random().toString(36).slice(2);
+    }
+
+    /**
+     * @param {string} seed - Seed for the seeded streams, random when omitted
+     */
+    constructor(seed = RandomSystem.createSeed()) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Start every stream again from a seed
+     * @param {string} seed - Seed for the seeded streams
+     */
+    reseed(seed) {
+        this.seed = String(seed);
+        this.streams = new Map();
+        Object.keys(RANDOM_STREAMS).forEach(name => {
+            this.streams.set(name, this.createStream(name));
+        });
+        console.log(`Random streams seeded with ${this.seed}`);
+    }
+
+    /**
+     * @param {string} name - Stream name
+     * @returns {Phaser.Math.RandomDataGenerator}
+     */
+    createStream(name) {
+        const seeded = RANDOM_STREAMS[name]?.seeded ?? true;
+        const seed = seeded ? `${this.seed}:${name}` : RandomSystem.createSeed();
+        return new Phaser.Math.RandomDataGenerator([seed]);
+    }
+
+    /**
+     * Get a stream, creating it on first use
+     * @param {string} name - Stream name, e.g. 'gameplay' or 'cosmetic'
+     * @returns {Phaser.Math.RandomDataGenerator}
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = this.createStream(name);
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Replace a stream, e.g. with a scripted generator in a test. Systems
+     * keep the stream they were created with, so set it before creating them.
+     * @param {string} name - Stream name
+     * @param {Object} generator - Anything with the RandomDataGenerator methods the systems call
+     */
+    setStream(name, generator) {
+        this.streams.set(name, generator);
+    }
+
+    /**
+     * @returns {Phaser.Math.RandomDataGenerator} The stream for anything that changes the game
+     */
+    get gameplay() {
+        return this.stream('gameplay');
+    }
+
+    /**
+     * @returns {Phaser.Math.RandomDataGenerator} The stream for effects that only change how the game looks
+     */
+    get cosmetic() {
+        return this.stream('cosmetic');
+    }
+}
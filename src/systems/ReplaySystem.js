@@ -0,0 +1,566 @@
+import SaveStore from './SaveStore';
+import { completeInputState } from './InputManager';
+import { getLevel } from '../utils/LevelManifest';
+
+const LAST_REPLAY_KEY = 'diverGame.replay';
+
+/**
+ * Version of the replay document. Bump it whenever the document changes
+ * shape and add a migration from the previous version below.
+ */
+const REPLAY_VERSION = 2;
+
+/**
+ * Map of version -> function upgrading a document from that version to the next
+ */
+const MIGRATIONS = {
+    // Version 2 records the aim. Older replays were played aiming where the diver faced
+    1: replay => (Array.isArray(replay?.inputs)
+        ? { ...replay, inputs: replay.inputs.map(run => [...run, null]) }
+        : replay)
+};
+
+/**
+ * Length of every frame while recording or playing back, in ms
+ */
+export const REPLAY_STEP = 1000 / 60;
+
+// Held inputs, one bit each in the order listed
+const HELD_INPUTS = ['up', 'down', 'left', 'right', 'boost', 'shoot'];
+
+// Stick positions are stored as whole thousandths
+const STICK_PRECISION = 1000;
+
+// Aim angles are stored as whole thousandths of a radian
+const AIM_PRECISION = 1000;
+
+// The last replay recorded, kept until the next one replaces it
+const lastReplayStore = new SaveStore({
+    key: LAST_REPLAY_KEY,
+    version: REPLAY_VERSION,
+    createDefault: () => null,
+    migrations: MIGRATIONS
+});
+
+/**
+ * Input recording and deterministic replay.
+ *
+ * A recording starts with the level and stores, for every frame, the input
+ * state the game acted on (held directions, boost and shoot, the stick and the aim)
+ * plus the actions pressed, together with the level, the seed of the scene's
+ * gameplay random stream and the difficulty. Frames with the same input are
+ * run-length encoded, so a replay is a few KB per minute.
+ *
+ * While a replay is being recorded or played back the game runs on a fixed
+ * time step (REPLAY_STEP), pausing only takes effect between frames and
+ * frames spent paused don't count, so playing the replay back on the same
+ * seed reproduces the run. The recording stops on game over or when the
+ * level is completed and keeps that outcome; playback checks it reaches the
+ * same one.
+ *
+ * Events (on the scene):
+ * - replayStarted { mode } - 'recording' or 'playback'
+ * - replayRecorded { replay } - the recording finished and was kept as the last replay
+ * - replayFinished { matched, expected, actual } - playback finished
+ * - replayStopped { mode } - recording or playback stopped early
+ */
+export default class ReplaySystem {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.mode = 'off';
+        this.replay = null;
+
+        // Frames recorded or played back so far
+        this.frame = 0;
+
+        // Whether the frame being run doesn't count (the game is paused)
+        this.frozen = false;
+
+        // Pause presses waiting for the end of the frame
+        this.pendingActions = [];
+
+        this.originalStep = null;
+        this.simulatedTime = 0;
+        this.savedDifficulty = null;
+
+        this.filterAction = this.filterAction.bind(this);
+    }
+
+    /**
+     * @returns {boolean} Whether a replay is being recorded or played back
+     */
+    isActive() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.mode === 'playback';
+    }
+
+    /**
+     * Start recording from the current state of the level. Should be called
+     * before the first frame of the level, so the replay starts with it.
+     */
+    startRecording() {
+        if (this.isActive()) return;
+
+        this.mode = 'recording';
+        this.frame = 0;
+        this.runs = [];
+        this.presses = [];
+        this.install();
+        console.log(`Recording replay of ${this.scene.currentLevel} with seed ${this.scene.random.seed}`);
+    }
+
+    /**
+     * Play a replay back. The scene must have been started on the replay's
+     * level and seed (see GameScene.init), before its first frame.
+     * @param {Object} replay - Replay document
+     * @returns {boolean} Whether playback started
+     */
+    startPlayback(replay) {
+        if (this.isActive()) return false;
+
+        if (!ReplaySystem.isReplay(replay) || replay.level !== this.scene.currentLevel || replay.seed !== this.scene.random.seed) {
+            console.error('Replay does not match the running level:', replay?.level, replay?.seed);
+            return false;
+        }
+
+        this.mode = 'playback';
+        this.replay = replay;
+        this.frame = 0;
+        this.runIndex = 0;
+        this.runFrame = 0;
+
+        // Presses by frame
+        this.pressesByFrame = new Map();
+        replay.presses.forEach(([frame, action]) => {
+            if (!this.pressesByFrame.has(frame)) {
+                this.pressesByFrame.set(frame, []);
+            }
+            this.pressesByFrame.get(frame).push(action);
+        });
+
+        // Spawns are scaled by the difficulty the replay was recorded on
+        this.savedDifficulty = this.scene.registry.get('difficulty');
+        if (replay.difficulty) {
+            this.scene.registry.set('difficulty', replay.difficulty);
+        }
+
+        this.install();
+        console.log(`Playing back replay of ${replay.level} (${replay.frames} frames)`);
+        return true;
+    }
+
+    /**
+     * Hook into the input manager, the state manager and the game loop
+     */
+    install() {
+        const scene = this.scene;
+        const inputManager = scene.inputManager;
+        if (inputManager) {
+            inputManager.actionFilter = this.filterAction;
+        }
+
+        scene.events.on('update', this.handleUpdate, this);
+        scene.events.on('gameRestored', this.handleGameRestored, this);
+        scene.gameStateManager?.onStateChange('any', this.handleStateChange, this);
+
+        this.installFixedStep();
+        scene.events.emit('replayStarted', { mode: this.mode });
+    }
+
+    /**
+     * Give the input manager, the state manager and the game loop back
+     */
+    uninstall() {
+        const scene = this.scene;
+        const inputManager = scene.inputManager;
+        if (inputManager) {
+            inputManager.actionFilter = null;
+            inputManager.inputOverride = null;
+        }
+
+        scene.events.off('update', this.handleUpdate, this);
+        scene.events.off('gameRestored', this.handleGameRestored, this);
+        scene.gameStateManager?.offStateChange('any', this.handleStateChange, this);
+
+        this.uninstallFixedStep();
+
+        if (this.mode === 'playback') {
+            scene.registry.set('difficulty', this.savedDifficulty);
+        }
+
+        this.mode = 'off';
+        this.frozen = false;
+        this.pendingActions = [];
+    }
+
+    /**
+     * Drive the game loop with a fixed step instead of the real frame time.
+     * Time stands still while the game is paused.
+     */
+    installFixedStep() {
+        const loop = this.scene.game.loop;
+        this.originalStep = loop.callback;
+        this.simulatedTime = loop.time;
+
+        const step = this.originalStep;
+
+        loop.callback = (time, delta) => {
+            // Pause and resume between frames, never part way through one
+            const pending = this.pendingActions;
+            this.pendingActions = [];
+            pending.forEach(action => this.scene?.inputManager?.runAction(action));
+
+            // A replay that was stopped early ends after its last frame, where the recording stopped
+            if (this.mode === 'playback' && this.runIndex >= this.replay.inputs.length) {
+                this.finishPlayback(this.captureOutcome('stopped'));
+            }
+
+            if (this.mode === 'off') {
+                step(time, delta);
+                return;
+            }
+
+            const live = !!this.scene.gameRunning;
+            this.frozen = !live;
+            if (live) {
+                this.simulatedTime += REPLAY_STEP;
+            }
+            step(this.simulatedTime, live ? REPLAY_STEP : 0);
+        };
+    }
+
+    uninstallFixedStep() {
+        if (!this.originalStep) return;
+
+        this.scene.game.loop.callback = this.originalStep;
+        this.originalStep = null;
+    }
+
+    /**
+     * Decide what happens to an action pressed while a replay is active
+     * @param {string} action - Action name
+     * @returns {boolean} Whether the action should run now
+     */
+    filterAction(action) {
+        if (action === 'pause') {
+            this.pendingActions.push(action);
+            return false;
+        }
+
+        if (this.mode === 'recording') {
+            this.presses.push([this.frame, action]);
+            return true;
+        }
+
+        // During playback the actions come from the replay
+        return false;
+    }
+
+    /**
+     * Record or play back the input for the frame about to run
+     */
+    handleUpdate() {
+        if (this.frozen) return;
+
+        const inputManager = this.scene.inputManager;
+        if (!inputManager) return;
+
+        if (this.mode === 'recording') {
+            const encoded = ReplaySystem.encodeInput(inputManager.readInputState());
+            const last = this.runs[this.runs.length - 1];
+            if (last && encoded.every((value, index) => last[index + 1] === value)) {
+                last[0]++;
+            } else {
+                this.runs.push([1, ...encoded]);
+            }
+
+            // The game acts on exactly what was recorded
+            inputManager.inputOverride = ReplaySystem.decodeInput(encoded);
+            this.frame++;
+        } else if (this.mode === 'playback') {
+            const run = this.replay.inputs[this.runIndex];
+            if (!run) return;
+
+            (this.pressesByFrame.get(this.frame) || []).forEach(action => inputManager.runAction(action));
+
+            inputManager.inputOverride = ReplaySystem.decodeInput(run.slice(1));
+            this.frame++;
+            this.runFrame++;
+            if (this.runFrame >= run[0]) {
+                this.runIndex++;
+                this.runFrame = 0;
+            }
+        }
+    }
+
+    /**
+     * Finish on game over or when the level is completed
+     * @param {string} newState - State entered
+     */
+    handleStateChange(newState) {
+        const states = this.scene.gameStateManager.gameStates;
+        if (newState !== states.GAME_OVER && newState !== states.LEVEL_COMPLETE) return;
+
+        const outcome = this.captureOutcome(newState);
+        if (this.mode === 'recording') {
+            this.finishRecording(outcome);
+        } else if (this.mode === 'playback') {
+            this.finishPlayback(outcome);
+        }
+    }
+
+    /**
+     * Loading a save game puts the level in a state the replay can't reproduce
+     */
+    handleGameRestored() {
+        console.warn('Save game loaded, replay stopped');
+        this.stop(false);
+    }
+
+    /**
+     * Where the run ended up
+     * @param {string} result - What ended it: a game state, or 'stopped'
+     * @returns {Object}
+     */
+    captureOutcome(result) {
+        const sprite = this.scene.player?.sprite;
+        const round = value => Math.round((value ?? 0) * 100) / 100;
+        return {
+            result,
+            frame: this.frame,
+            score: this.scene.gameStateManager?.score ?? 0,
+            x: round(sprite?.x),
+            y: round(sprite?.y)
+        };
+    }
+
+    /**
+     * Keep the recording as the last replay
+     * @param {Object} outcome - Where the run ended up
+     * @returns {Object} The replay document
+     */
+    finishRecording(outcome) {
+        const replay = {
+            level: this.scene.currentLevel,
+            seed: this.scene.random.seed,
+            difficulty: this.scene.registry.get('difficulty') ?? null,
+            step: REPLAY_STEP,
+            recordedAt: new Date().toISOString(),
+            frames: this.frame,
+            inputs: this.runs,
+            presses: this.presses,
+            outcome
+        };
+
+        this.uninstall();
+        ReplaySystem.saveLast(replay);
+        console.log(`Replay recorded: ${replay.frames} frames in ${replay.inputs.length} runs, ending in ${outcome.result}`);
+        this.scene.events.emit('replayRecorded', { replay });
+        return replay;
+    }
+
+    /**
+     * Check the playback ended where the recording did
+     * @param {Object} actual - Where the playback ended up
+     */
+    finishPlayback(actual) {
+        const expected = this.replay.outcome;
+        const matched = !!expected &&
+            expected.result === actual.result &&
+            expected.frame === actual.frame &&
+            expected.score === actual.score &&
+            expected.x === actual.x &&
+            expected.y === actual.y;
+
+        this.uninstall();
+        if (matched) {
+            console.log('Replay finished with the recorded outcome:', actual);
+        } else {
+            console.warn('Replay diverged from the recording. Expected', expected, 'got', actual);
+        }
+        this.scene.events.emit('replayFinished', { matched, expected, actual });
+    }
+
+    /**
+     * Stop early. A recording stopped this way can still be kept: playing it
+     * back runs until its input runs out.
+     * @param {boolean} keep - Whether to keep a recording as the last replay
+     */
+    stop(keep = true) {
+        if (!this.isActive()) return;
+
+        const mode = this.mode;
+        if (mode === 'recording' && keep) {
+            this.finishRecording(this.captureOutcome('stopped'));
+            return;
+        }
+
+        this.uninstall();
+        this.scene.events.emit('replayStopped', { mode });
+    }
+
+    /**
+     * @param {Object} inputState - State from InputManager.readInputState()
+     * @returns {Array<number|null>} [held input bits, stick x, stick y, aim or null]
+     */
+    static encodeInput(inputState) {
+        let bits = 0;
+        HELD_INPUTS.forEach((input, index) => {
+            if (inputState[input]) {
+                bits |= 1 << index;
+            }
+        });
+
+        const aim = typeof inputState.aim === 'number' ? Math.round(inputState.aim * AIM_PRECISION) : null;
+
+        if (!inputState.analog) {
+            return [bits, 0, 0, aim];
+        }
+        return [
+            bits,
+            Math.round(inputState.moveX * STICK_PRECISION),
+            Math.round(inputState.moveY * STICK_PRECISION),
+            aim
+        ];
+    }
+
+    /**
+     * @param {Array<number>} encoded - Frame from encodeInput()
+     * @returns {Object} Input state as InputManager.getInputState() returns it
+     */
+    static decodeInput([bits, stickX, stickY, aim = null]) {
+        const inputState = {};
+        HELD_INPUTS.forEach((input, index) => {
+            inputState[input] = (bits & (1 << index)) !== 0;
+        });
+        inputState.aim = aim === null ? null : aim / AIM_PRECISION;
+        return completeInputState(inputState, { x: stickX / STICK_PRECISION, y: stickY / STICK_PRECISION });
+    }
+
+    /**
+     * @param {*} replay - Document to check
+     * @returns {boolean} Whether it is a replay of a level this game has
+     */
+    static isReplay(replay) {
+        return !!replay &&
+            typeof replay.level === 'string' &&
+            !!getLevel(replay.level) &&
+            typeof replay.seed === 'string' &&
+            Array.isArray(replay.inputs) &&
+            Array.isArray(replay.presses);
+    }
+
+    /**
+     * @returns {Object|null} The last replay recorded
+     */
+    static loadLast() {
+        const replay = lastReplayStore.load();
+        return ReplaySystem.isReplay(replay) ? replay : null;
+    }
+
+    /**
+     * @param {Object} replay - Replay document
+     * @returns {boolean} Whether it was written
+     */
+    static saveLast(replay) {
+        return lastReplayStore.save(replay);
+    }
+
+    /**
+     * Download a replay as a .json file
+     * @param {Object} replay - Replay document
+     * @returns {boolean} Whether the file was offered for download
+     */
+    static exportReplay(replay) {
+        if (!replay) return false;
+
+        try {
+            const blob = new Blob([lastReplayStore.serialize(replay)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `divergame-replay-${replay.level}-${replay.frames}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            return true;
+        } catch (error) {
+            console.error('Error exporting replay:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read an exported replay file
+     * @param {string} text - Contents of the file
+     * @returns {Object|null} The replay, or null if the file isn't one
+     */
+    static parseReplay(text) {
+        let replay;
+        try {
+            replay = lastReplayStore.parse(text);
+        } catch (error) {
+            console.error('File is not a replay:', error);
+            return null;
+        }
+
+        if (!ReplaySystem.isReplay(replay)) {
+            console.error('File is not a replay for this version');
+            return null;
+        }
+        return replay;
+    }
+
+    /**
+     * Ask the player for an exported replay file
+     * @returns {Promise<Object|null>} The replay, or null if none was read
+     */
+    static promptImport() {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', () => {
+                const file = input.files?.[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+                file.text()
+                    .then(text => resolve(ReplaySystem.parseReplay(text)))
+                    .catch(error => {
+                        console.error('Error reading replay file:', error);
+                        resolve(null);
+                    });
+            });
+            input.click();
+        });
+    }
+
+    /**
+     * Stop without keeping anything and give the game loop back
+     */
+    destroy() {
+        if (this.isActive()) {
+            this.uninstall();
+        }
+        this.scene = null;
+    }
+}
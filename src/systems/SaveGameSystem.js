@@ -0,0 +1,340 @@
+import SaveStore from './SaveStore';
+import { getLevel, getLevelName } from '../utils/LevelManifest';
+
+const SAVE_KEY_PREFIX = 'diverGame.save';
+export const SAVE_SLOTS = 3;
+
+/**
+ * Version of the save game document. Bump it whenever the document changes
+ * shape and add a migration from the previous version below.
+ */
+const SAVE_VERSION = 3;
+
+/**
+ * Map of version -> function upgrading a document from that version to the next
+ */
+const MIGRATIONS = {
+    // Version 2 saves the battery upgrades, which older saves didn't have
+    1: save => (save?.battery ? { ...save, battery: { ...save.battery, upgrades: [] } } : save),
+    // Version 3 saves the flares carried and which placed pickups were collected
+    2: save => (save ? { ...save, flares: null, pickups: { collected: [] } } : save)
+};
+
+/**
+ * Save games: snapshots of the running level that can be restored later.
+ *
+ * A snapshot holds the player (position, velocity, oxygen, health), battery
+ * charge and upgrades, flashlight, flares carried, placed pickups collected,
+ * lighting zone, air pockets and their respawn timers, live
+ * enemies with their AI state, the level clock, score, kills, secrets and
+ * the last checkpoint. Each system saves and restores its own part through
+ * getState()/restoreState().
+ *
+ * Snapshots are kept in numbered slots in localStorage, and a slot can be
+ * exported to a .json file and imported back. Loading a save from another
+ * level restarts the scene on that level and restores the save once the
+ * level has been built.
+ */
+export default class SaveGameSystem {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.stores = [];
+        for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+            this.stores.push(new SaveStore({
+                key: `${SAVE_KEY_PREFIX}.${slot}`,
+                version: SAVE_VERSION,
+                createDefault: () => null,
+                migrations: MIGRATIONS
+            }));
+        }
+    }
+
+    /**
+     * @param {number} slot - Slot number, from 1
+     * @returns {SaveStore}
+     */
+    getStore(slot) {
+        const store = this.stores[slot - 1];
+        if (!store) {
+            throw new Error(`There is no save slot ${slot}`);
+        }
+        return store;
+    }
+
+    /**
+     * Snapshot the running level
+     * @returns {Object} The save game document
+     */
+    serialize() {
+        const scene = this.scene;
+        const sprite = scene.player?.sprite;
+
+        return {
+            level: scene.currentLevel,
+            savedAt: new Date().toISOString(),
+            elapsed: scene.levelSystem?.elapsed ?? 0,
+            player: {
+                x: sprite?.x ?? 0,
+                y: sprite?.y ?? 0,
+                vx: sprite?.body?.velocity.x ?? 0,
+                vy: sprite?.body?.velocity.y ?? 0,
+                flipX: !!sprite?.flipX,
+                oxygen: scene.player?.oxygen ?? 0,
+                health: scene.healthSystem?.currentHealth ?? 0
+            },
+            battery: {
+                level: null,
+                upgrades: [],
+                ...scene.batterySystem?.getState(),
+                flashlight: !!scene.lightingSystem?.flashlightEnabled
+            },
+            flares: scene.flareSystem?.getState() ?? null,
+            pickups: scene.lootSystem?.getState() ?? { collected: [] },
+            lighting: scene.lightingSystem?.getState() ?? null,
+            airPockets: scene.airPocketSystem?.getState() ?? [],
+            enemies: scene.enemySystem?.getState() ?? null,
+            progress: {
+                score: scene.gameStateManager?.score ?? 0,
+                levelStartScore: scene.gameStateManager?.levelStartScore ?? 0,
+                ...scene.levelSystem?.getProgress()
+            },
+            checkpoint: scene.checkpointSystem?.saved ?? null
+        };
+    }
+
+    /**
+     * Put the running level back into the state of a save game document.
+     * The document must be for the level that is loaded (see load()).
+     * @param {Object} save - Document from serialize()
+     * @returns {boolean} Whether the save was restored
+     */
+    restore(save) {
+        const scene = this.scene;
+        if (!save || save.level !== scene.currentLevel) {
+            console.error('Save game is not for the current level:', save?.level);
+            return false;
+        }
+
+        try {
+            // Anything in flight belongs to the game we're leaving
+            scene.bossSystem?.resetFight();
+            scene.enemyProjectileSystem?.clear();
+            scene.lootSystem?.clear();
+
+            this.restorePlayer(save.player);
+
+            // Before the lighting, so the flashlight has the saved charge to turn on with
+            if (save.battery && save.battery.level !== null) {
+                scene.batterySystem?.restoreState(save.battery);
+            }
+
+            if (save.flares) {
+                scene.flareSystem?.restoreState(save.flares);
+            } else {
+                scene.flareSystem?.clear();
+            }
+            scene.lootSystem?.restoreState(save.pickups);
+
+            if (save.lighting) {
+                scene.lightingSystem?.restoreState(save.lighting);
+            }
+            scene.airPocketSystem?.restoreState(save.airPockets);
+            if (save.enemies) {
+                scene.enemySystem?.restoreState(save.enemies);
+            }
+
+            const stateManager = scene.gameStateManager;
+            if (stateManager) {
+                stateManager.score = save.progress.score;
+                stateManager.levelStartScore = save.progress.levelStartScore;
+                scene.events.emit('scoreChanged', stateManager.score, 0);
+            }
+            if (scene.levelSystem) {
+                scene.levelSystem.elapsed = save.elapsed;
+                scene.levelSystem.restoreProgress(save.progress);
+            }
+
+            scene.checkpointSystem?.restoreSaved(save.checkpoint);
+
+            console.log(`Restored save from ${save.savedAt} in '${save.level}'`);
+            scene.events.emit('gameRestored', { level: save.level, savedAt: save.savedAt });
+            return true;
+        } catch (error) {
+            console.error('Error restoring save game:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @param {Object} saved - The player part of a save game document
+     */
+    restorePlayer(saved) {
+        const scene = this.scene;
+        const player = scene.player;
+        if (!player) return;
+
+        if (player.sprite) {
+            scene.tweens.killTweensOf(player.sprite);
+        }
+
+        player.reset(saved.x, saved.y);
+        player.sprite?.setVelocity(saved.vx, saved.vy);
+        player.sprite?.setFlipX(saved.flipX);
+        player.oxygen = saved.oxygen;
+        player.oxygenDepleted = false;
+        scene.events.emit('playerOxygenChanged', player.oxygen, player.maxOxygen);
+
+        const healthSystem = scene.healthSystem;
+        if (healthSystem) {
+            healthSystem.reset();
+            healthSystem.currentHealth = saved.health;
+            healthSystem.updateHealthDisplay();
+        }
+
+        scene.cameras.main.centerOn(saved.x, saved.y);
+    }
+
+    /**
+     * Write the running level to a slot
+     * @param {number} slot - Slot number, from 1
+     * @returns {boolean} Whether the save was written
+     */
+    save(slot) {
+        const saved = this.getStore(slot).save(this.serialize());
+        console.log(`Saved game to slot ${slot}:`, saved);
+        return saved;
+    }
+
+    /**
+     * Load a slot. Saves from another level restart the scene on that level.
+     * @param {number} slot - Slot number, from 1
+     * @returns {boolean} Whether the save was found and loaded
+     */
+    load(slot) {
+        const save = this.getStore(slot).load();
+        if (!save) {
+            console.warn(`Save slot ${slot} is empty`);
+            return false;
+        }
+
+        if (save.level === this.scene.currentLevel) {
+            return this.restore(save);
+        }
+
+        console.log(`Save in slot ${slot} is for '${save.level}', restarting the scene`);
+        const scene = this.scene;
+        scene.gameStateManager?.cleanupForRestart();
+        scene.scene.restart({ level: save.level, restore: save });
+        return true;
+    }
+
+    /**
+     * @param {number} slot - Slot number, from 1
+     */
+    clear(slot) {
+        this.getStore(slot).clear();
+    }
+
+    /**
+     * Short description of every slot, for menus
+     * @returns {Array<{slot: number, empty: boolean, level: string, levelName: string, savedAt: string, elapsed: number}>}
+     */
+    listSlots() {
+        return this.stores.map((store, index) => {
+            const save = store.load();
+            return {
+                slot: index + 1,
+                empty: !save,
+                level: save?.level ?? null,
+                levelName: save ? getLevelName(save.level) : '',
+                savedAt: save?.savedAt ?? null,
+                elapsed: save?.elapsed ?? 0
+            };
+        });
+    }
+
+    /**
+     * Download a slot as a .json file
+     * @param {number} slot - Slot number, from 1
+     * @returns {boolean} Whether there was anything to export
+     */
+    exportSlot(slot) {
+        const store = this.getStore(slot);
+        const save = store.load();
+        if (!save) return false;
+
+        try {
+            const blob = new Blob([store.serialize(save)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `divergame-${save.level}-slot${slot}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            return true;
+        } catch (error) {
+            console.error(`Error exporting save slot ${slot}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Read an exported file into a slot
+     * @param {number} slot - Slot number, from 1
+     * @param {string} text - Contents of the file
+     * @returns {boolean} Whether the file held a save that could be read
+     */
+    importSlot(slot, text) {
+        const store = this.getStore(slot);
+        let save;
+        try {
+            save = store.parse(text);
+        } catch (error) {
+            console.error('Imported file is not a save game:', error);
+            return false;
+        }
+
+        if (!save?.level || !save.player) {
+            console.error('Imported file is not a save game for this version');
+            return false;
+        }
+        // Catch a save for a level this build doesn't have now, not when it's loaded
+        if (!getLevel(save.level)) {
+            console.error(`Imported save is for an unknown level '${save.level}'`);
+            return false;
+        }
+        return store.save(save);
+    }
+
+    /**
+     * Ask the player for an exported file and read it into a slot
+     * @param {number} slot - Slot number, from 1
+     * @returns {Promise<boolean>} Whether a save was imported
+     */
+    promptImport(slot) {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', () => {
+                const file = input.files?.[0];
+                if (!file) {
+                    resolve(false);
+                    return;
+                }
+                file.text()
+                    .then(text => resolve(this.importSlot(slot, text)))
+                    .catch(error => {
+                        console.error('Error reading imported file:', error);
+                        resolve(false);
+                    });
+            });
+            input.click();
+        });
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Versioned JSON storage on top of localStorage.
+ *
+ * Data is stored as `{ version, data }`. When the stored version is older than
+ * the current one, each migration between the two is run in order; data from a
+ * newer version (or data that can't be read) is replaced by the defaults.
+ * Falls back to in-memory storage when localStorage isn't available.
+ */
+export default class SaveStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.key - localStorage key
+     * @param {number} options.version - Current data version
+     * @param {Function} options.createDefault - Returns fresh default data
+     * @param {Object<number, Function>} options.migrations - Map of version -> function upgrading data from that version to the next
+     */
+    constructor({ key, version, createDefault, migrations = {} }) {
+        this.key = key;
+        this.version = version;
+        this.createDefault = createDefault;
+        this.migrations = migrations;
+        this.memory = null;
+    }
+
+    /**
+     * @returns {Storage|null} localStorage, or null if it can't be used
+     */
+    getStorage() {
+        try {
+            if (typeof window !== 'undefined' && window.localStorage) {
+                return window.localStorage;
+            }
+        } catch (error) {
+            // Accessing localStorage throws in some privacy modes
+        }
+        return null;
+    }
+
+    /**
+     * Read and migrate the saved data
+     * @returns {Object} The saved data, or the defaults
+     */
+    load() {
+        let raw = null;
+        try {
+            const storage = this.getStorage();
+            raw = storage ? storage.getItem(this.key) : this.memory;
+        } catch (error) {
+            console.error(`Error reading save '${this.key}':`, error);
+        }
+
+        if (!raw) {
+            return this.createDefault();
+        }
+
+        try {
+            return this.parse(raw);
+        } catch (error) {
+            console.error(`Save '${this.key}' is unreadable, starting fresh:`, error);
+            return this.createDefault();
+        }
+    }
+
+    /**
+     * Read and migrate data written by serialize(), e.g. from an imported file
+     * @param {string} raw - Serialized save
+     * @returns {Object} Up-to-date data
+     * @throws {SyntaxError} If the text isn't JSON
+     */
+    parse(raw) {
+        const stored = JSON.parse(raw);
+        return this.migrate(stored.data, stored.version ?? 0);
+    }
+
+    /**
+     * @param {Object} data - Data to store
+     * @returns {string} The data wrapped with the current version, as JSON
+     */
+    serialize(data) {
+        return JSON.stringify({ version: this.version, data });
+    }
+
+    /**
+     * Bring data from an older version up to date
+     * @param {Object} data - Stored data
+     * @param {number} fromVersion - Version it was saved with
+     * @returns {Object} Up-to-date data
+     */
+    migrate(data, fromVersion) {
+        if (fromVersion > this.version) {
+            console.warn(`Save '${this.key}' is from a newer version (${fromVersion} > ${this.version}), starting fresh`);
+            return this.createDefault();
+        }
+
+        let migrated = data;
+        for (let version = fromVersion; version < this.version; version++) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                console.warn(`No migration for save '${this.key}' from version ${version}, starting fresh`);
+                return this.createDefault();
+            }
+            migrated = migration(migrated);
+            console.log(`Migrated save '${this.key}' from version ${version} to ${version + 1}`);
+        }
+
+        // Fill in anything added to the defaults since the data was saved
+        return { ...this.createDefault(), ...migrated };
+    }
+
+    /**
+     * Write data under the current version
+     * @param {Object} data - Data to save
+     * @returns {boolean} Whether the data was written
+     */
+    save(data) {
+        const raw = this.serialize(data);
+        try {
+            const storage = this.getStorage();
+            if (storage) {
+                storage.setItem(this.key, raw);
+            } else {
+                this.memory = raw;
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error writing save '${this.key}':`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete the saved data
+     */
+    clear() {
+        try {
+            this.getStorage()?.removeItem(this.key);
+        } catch (error) {
+            console.error(`Error clearing save '${this.key}':`, error);
+        }
+        this.memory = null;
+    }
+}
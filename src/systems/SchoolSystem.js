@@ -0,0 +1,124 @@
+import FishSchool from '../entities/FishSchool';
+
+/**
+ * Manages schooling fish placed on the Tiled 'Schools' layer.
+ * Schools far from the camera are put to sleep so large levels stay cheap.
+ */
+export default class SchoolSystem {
+    constructor(scene) {
+        console.log('Initializing SchoolSystem...');
+
+        this.scene = scene;
+        this.schools = [];
+
+        // Schools within this margin of the camera keep simulating
+        this.wakeMargin = 400;
+
+        // Hostile schools bite when a member gets this close to the player
+        this.contactRadius = 36;
+
+        // Boosting or firing nearby startles the fish
+        this.handleDisturbance = this.handleDisturbance.bind(this);
+        this.handlePlayerFired = this.handlePlayerFired.bind(this);
+        scene.events.on('playerBoostActivated', this.handleDisturbance);
+        scene.events.on('playerFired', this.handlePlayerFired);
+    }
+
+    /**
+     * Create schools from Tiled spawn definitions
+     * @param {Array} spawns - Schools from EntityLayerSystem.getSchoolSpawns()
+     */
+    createSchools(spawns = []) {
+        try {
+            this.clearSchools();
+
+            const registry = this.scene.enemySystem?.enemyTypes;
+            if (!registry) {
+                console.warn('No enemy type registry available - skipping fish schools');
+                return;
+            }
+
+            spawns.forEach(spawn => {
+                const species = registry.getSchoolSpecies(spawn.species);
+                if (!species) return;
+
+                this.schools.push(new FishSchool(this.scene, { ...spawn, species }));
+            });
+
+            const total = this.schools.reduce((sum, school) => sum + school.members.length, 0);
+            console.log(`Created ${this.schools.length} fish schools (${total} fish)`);
+        } catch (error) {
+            console.error('Error creating fish schools:', error);
+        }
+    }
+
+    getPlayer() {
+        const player = this.scene.player?.sprite;
+        return player?.active ? player : null;
+    }
+
+    /**
+     * Scatter every school whose members are near the player
+     */
+    handleDisturbance() {
+        const player = this.getPlayer();
+        if (player) {
+            this.scatterAround(player.x, player.y);
+        }
+    }
+
+    handlePlayerFired(x, y) {
+        this.scatterAround(x, y);
+    }
+
+    /**
+     * @param {number} x - World x of the disturbance
+     * @param {number} y - World y of the disturbance
+     */
+    scatterAround(x, y) {
+        this.schools.forEach(school => {
+            if (school.isSleeping) return;
+
+            const radius = school.species.scatter?.radius || 0;
+            if (school.isTouching(x, y, radius)) {
+                school.scatterFrom(x, y);
+            }
+        });
+    }
+
+    update(time, delta) {
+        if (this.schools.length === 0) return;
+
+        const view = this.scene.cameras.main.worldView;
+        const player = this.getPlayer();
+
+        this.schools.forEach(school => {
+            // Sleep when the school's whole range is off screen
+            const extent = school.getExtent() + this.wakeMargin;
+            const awake = school.home.x + extent > view.x &&
+                school.home.x - extent < view.right &&
+                school.home.y + extent > view.y &&
+                school.home.y - extent < view.bottom;
+            school.setSleeping(!awake);
+
+            school.update(time, delta, player);
+
+            if (awake && player && school.species.hostile &&
+                school.isTouching(player.x, player.y, this.contactRadius)) {
+                // HealthSystem's invulnerability window throttles repeated bites
+                this.scene.healthSystem?.takeDamage(school.species.contactDamage ?? 5);
+            }
+        });
+    }
+
+    clearSchools() {
+        this.schools.forEach(school => school.destroy());
+        this.schools = [];
+    }
+
+    destroy() {
+        this.scene.events.off('playerBoostActivated', this.handleDisturbance);
+        this.scene.events.off('playerFired', this.handlePlayerFired);
+        this.clearSchools();
+    }
+}
@@ -0,0 +1,216 @@
+import Phaser from 'phaser';
+import SaveStore from './SaveStore';
+import { AUDIO } from '../utils/Constants';
+import gamepad from '../config/gamepad.json';
+
+const SAVE_KEY = 'diverGame.settings';
+const SAVE_VERSION = 1;
+
+/**
+ * Every setting, in the order the settings menu shows them.
+ *
+ * - `percent` settings go from `min` to `max` in `step`s and show as a percentage
+ * - `choice` settings pick one of `options`, shown with the matching `labels`
+ * - `toggle` settings are on or off
+ */
+export const SETTINGS = [
+    { key: 'masterVolume', label: 'Master Volume', type: 'percent', min: 0, max: 1, step: 0.1, default: AUDIO.MASTER_VOLUME },
+    { key: 'musicVolume', label: 'Music Volume', type: 'percent', min: 0, max: 1, step: 0.1, default: AUDIO.MUSIC_VOLUME },
+    { key: 'ambienceVolume', label: 'Ambience Volume', type: 'percent', min: 0, max: 1, step: 0.1, default: AUDIO.AMBIENCE_VOLUME },
+    { key: 'sfxVolume', label: 'Effects Volume', type: 'percent', min: 0, max: 1, step: 0.1, default: AUDIO.EFFECTS_VOLUME },
+    { key: 'particleDensity', label: 'Particles', type: 'choice', options: [0, 0.25, 0.5, 1], labels: ['Off', 'Low', 'Medium', 'High'], default: 1 },
+    { key: 'screenShake', label: 'Screen Shake', type: 'percent', min: 0, max: 1, step: 0.25, default: 1 },
+    { key: 'touchControls', label: 'Touch Controls', type: 'toggle', default: true },
+    { key: 'touchScale', label: 'Touch Layout Size', type: 'percent', min: 0.75, max: 1.5, step: 0.25, default: 1 },
+    { key: 'gamepadDeadZone', label: 'Stick Dead Zone', type: 'percent', min: 0.05, max: 0.5, step: 0.05, default: gamepad.deadZone },
+    // AIM_MODES in src/systems/InputManager.js
+    { key: 'aimMode', label: 'Aiming', type: 'choice', options: ['free', 'facing'], labels: ['Free Aim', 'Facing'], default: 'free' },
+    // Keys of the difficulty table in src/config/spawnDirector.json
+    { key: 'difficulty', label: 'Difficulty', type: 'choice', options: ['easy', 'normal', 'hard'], labels: ['Easy', 'Normal', 'Hard'], default: 'normal' }
+];
+
+/**
+ * Player settings: volumes, particle density, screen shake, touch controls,
+ * gamepad dead zone, aiming and difficulty.
+ *
+ * Like the campaign, there is one instance per game shared through the game
+ * registry (see SettingsSystem.get), saved to localStorage through a
+ * versioned SaveStore. Every change is saved straight away and announced
+ * with a 'change' event (key, value, settings) so running systems can apply
+ * it live. The difficulty is also mirrored to the registry's 'difficulty'
+ * key, which the spawn director reads.
+ */
+export default class SettingsSystem extends Phaser.Events.EventEmitter {
+    /**
+     * Get the game's settings, loading them on first use
+     * @param {Phaser.Scene} scene - Any scene of the game
+     * @returns {SettingsSystem}
+     */
+    static get(scene) {
+        let settings = scene.registry.get('settings');
+        if (!settings) {
+            settings = new SettingsSystem(scene.registry);
+            scene.registry.set('settings', settings);
+        }
+        return settings;
+    }
+
+    /**
+     * @param {Phaser.Data.DataManager} registry - The game registry
+     */
+    constructor(registry) {
+        super();
+        this.registry = registry;
+        this.store = new SaveStore({
+            key: SAVE_KEY,
+            version: SAVE_VERSION,
+            createDefault: () => SettingsSystem.createDefaultSettings()
+        });
+
+        // Settings added since the save was written get their defaults
+        const saved = this.store.load();
+        this.values = SettingsSystem.createDefaultSettings();
+        SETTINGS.forEach(setting => {
+            if (saved[setting.key] !== undefined) {
+                this.values[setting.key] = this.normalize(setting, saved[setting.key]);
+            }
+        });
+
+        this.registry.set('difficulty', this.values.difficulty);
+        console.log('Settings loaded:', this.values);
+    }
+
+    /**
+     * @returns {Object} Every setting at its default
+     */
+    static createDefaultSettings() {
+        const values = {};
+        SETTINGS.forEach(setting => {
+            values[setting.key] = setting.default;
+        });
+        return values;
+    }
+
+    /**
+     * @param {string} key - Setting key
+     * @returns {Object} The setting's definition from SETTINGS
+     */
+    getDefinition(key) {
+        const setting = SETTINGS.find(candidate => candidate.key === key);
+        if (!setting) {
+            throw new Error(`Unknown setting '${key}'`);
+        }
+        return setting;
+    }
+
+    /**
+     * Bring a value into the setting's range, or back to the default if it isn't valid
+     * @param {Object} setting - Definition from SETTINGS
+     * @param {*} value - Value to check
+     * @returns {*}
+     */
+    normalize(setting, value) {
+        switch (setting.type) {
+            case 'percent':
+                return typeof value === 'number' && !isNaN(value)
+                    ? Phaser.Math.Clamp(value, setting.min, setting.max)
+                    : setting.default;
+            case 'choice':
+                return setting.options.includes(value) ? value : setting.default;
+            case 'toggle':
+                return typeof value === 'boolean' ? value : setting.default;
+            default:
+                return setting.default;
+        }
+    }
+
+    /**
+     * @param {string} key - Setting key
+     * @returns {*} The setting's value
+     */
+    getValue(key) {
+        return this.values[key];
+    }
+
+    /**
+     * @returns {Object} Copy of every setting's value
+     */
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Change a setting, save it and announce the change
+     * @param {string} key - Setting key
+     * @param {*} value - New value
+     */
+    setValue(key, value) {
+        const setting = this.getDefinition(key);
+        const normalized = this.normalize(setting, value);
+        if (normalized === this.values[key]) return;
+
+        this.values[key] = normalized;
+        this.store.save(this.values);
+
+        if (key === 'difficulty') {
+            this.registry.set('difficulty', normalized);
+        }
+
+        console.log(`Setting '${key}' changed to`, normalized);
+        this.emit('change', key, normalized, this.getAll());
+    }
+
+    /**
+     * Step a setting to its next or previous value, as the menu arrows do.
+     * Percentages stop at their ends, choices and toggles wrap around.
+     * @param {string} key - Setting key
+     * @param {number} direction - 1 for the next value, -1 for the previous
+     */
+    cycle(key, direction) {
+        const setting = this.getDefinition(key);
+        const value = this.values[key];
+
+        switch (setting.type) {
+            case 'percent':
+                // Rounded so repeated steps don't drift (0.1 + 0.2 ...)
+                this.setValue(key, Math.round((value + setting.step * direction) * 100) / 100);
+                break;
+            case 'choice': {
+                const count = setting.options.length;
+                const index = (setting.options.indexOf(value) + direction + count) % count;
+                this.setValue(key, setting.options[index]);
+                break;
+            }
+            case 'toggle':
+                this.setValue(key, !value);
+                break;
+        }
+    }
+
+    /**
+     * @param {string} key - Setting key
+     * @returns {string} The setting's value as shown in the menu
+     */
+    describe(key) {
+        const setting = this.getDefinition(key);
+        const value = this.values[key];
+
+        switch (setting.type) {
+            case 'percent':
+                return `${Math.round(value * 100)}%`;
+            case 'choice':
+                return setting.labels[setting.options.indexOf(value)];
+            case 'toggle':
+                return value ? 'On' : 'Off';
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Put every setting back to its default
+     */
+    reset() {
+        SETTINGS.forEach(setting => this.setValue(setting.key, setting.default));
+    }
+}
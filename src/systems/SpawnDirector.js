@@ -0,0 +1,322 @@
+import Phaser from 'phaser';
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    interval: 2500,
+    maxEnemies: 12,
+    budget: { base: 2, depth: 8, perMinute: 1, max: 14 },
+    condition: { minScale: 0.4 },
+    defaultDifficulty: 'normal',
+    difficulty: { easy: 0.6, normal: 1.0, hard: 1.5 },
+    spawnDistance: { min: 500, max: 900 },
+    cameraMargin: 64,
+    despawnDistance: 1800,
+    pool: [{ enemyType: 'badFish', minDepth: 0, weight: 1 }]
+};
+
+/**
+ * Spawns extra enemies around the player on top of the ones placed in Tiled.
+ *
+ * The director keeps a "threat budget" that grows with depth and time spent in
+ * the level, shrinks while the player is low on health or oxygen, and is scaled
+ * by the difficulty setting. Every enemy costs its `threat` from the enemy type
+ * registry. New enemies appear off camera but inside the map, never inside the
+ * safe zones from the Tiled 'SafeZones' layer, and nothing spawns at all while
+ * the player is in a safe zone.
+ *
+ * Tuning lives in src/config/spawnDirector.json.
+ */
+export default class SpawnDirector {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {EnemySystem} enemySystem - The enemy system that owns the director
+     */
+    constructor(scene, enemySystem) {
+        this.scene = scene;
+        this.rng = scene.random.gameplay;
+        this.enemySystem = enemySystem;
+        this.config = this.loadConfig();
+
+        this.safeZones = [];
+        this.spawned = [];
+        this.elapsed = 0;
+        this.spawnTimer = this.config.interval;
+        this.lastStatus = null;
+    }
+
+    /**
+     * Merge the JSON config over the defaults
+     * @returns {Object}
+     */
+    loadConfig() {
+        const config = this.scene.cache.json.get('spawnDirector');
+        if (!config) {
+            console.warn('Spawn director configuration not found in cache, using defaults');
+            return { ...DEFAULT_CONFIG };
+        }
+
+        return {
+            ...DEFAULT_CONFIG,
+            ...config,
+            budget: { ...DEFAULT_CONFIG.budget, ...config.budget },
+            condition: { ...DEFAULT_CONFIG.condition, ...config.condition },
+            difficulty: { ...DEFAULT_CONFIG.difficulty, ...config.difficulty },
+            spawnDistance: { ...DEFAULT_CONFIG.spawnDistance, ...config.spawnDistance }
+        };
+    }
+
+    /**
+     * Set the safe zones for the current map
+     * @param {Array} zones - Zones from EntityLayerSystem.getSafeZones()
+     */
+    setSafeZones(zones = []) {
+        this.safeZones = zones.map(zone => new Phaser.Geom.Rectangle(zone.x, zone.y, zone.width, zone.height));
+        console.log(`SpawnDirector using ${this.safeZones.length} safe zones`);
+    }
+
+    /**
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {boolean} Whether the point is inside a safe zone
+     */
+    isInSafeZone(x, y) {
+        return this.safeZones.some(zone => zone.contains(x, y));
+    }
+
+    getPlayer() {
+        const player = this.scene.player?.sprite;
+        return player?.active ? player : null;
+    }
+
+    /**
+     * How far down the map the player is, from 0 (top) to 1 (bottom)
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     * @returns {number}
+     */
+    getDepth(player) {
+        const mapHeight = this.scene.tilemapSystem?.map?.heightInPixels;
+        if (!mapHeight) return 0;
+        return Phaser.Math.Clamp(player.y / mapHeight, 0, 1);
+    }
+
+    /**
+     * Multiplier for the current difficulty setting
+     * @returns {number}
+     */
+    getDifficultyScale() {
+        const difficulty = this.scene.registry.get('difficulty') ?? this.config.defaultDifficulty;
+        return this.config.difficulty[difficulty] ?? 1;
+    }
+
+    /**
+     * Player condition from 0 (nearly dead or out of air) to 1 (healthy)
+     * @returns {number}
+     */
+    getPlayerCondition() {
+        const healthSystem = this.scene.healthSystem;
+        const player = this.scene.player;
+
+        const health = healthSystem ? healthSystem.currentHealth / healthSystem.maxHealth : 1;
+        const oxygen = player?.maxOxygen ? player.oxygen / player.maxOxygen : 1;
+        return Phaser.Math.Clamp(Math.min(health, oxygen), 0, 1);
+    }
+
+    /**
+     * Threat points the director is allowed to have around the player right now
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     * @returns {number}
+     */
+    getBudget(player) {
+        const { base, depth, perMinute, max } = this.config.budget;
+        const raw = Math.min(max, base + this.getDepth(player) * depth + (this.elapsed / 60000) * perMinute);
+
+        // Ease off while the player is struggling
+        const minScale = this.config.condition.minScale;
+        const conditionScale = minScale + (1 - minScale) * this.getPlayerCondition();
+
+        return raw * conditionScale * this.getDifficultyScale();
+    }
+
+    /**
+     * Threat of every living enemy near the player, whether placed in Tiled or spawned by us
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     * @returns {number}
+     */
+    getCurrentThreat(player) {
+        const range = this.config.despawnDistance;
+        return this.enemySystem.enemies.getChildren().reduce((total, enemy) => {
+            if (!enemy.isAlive || enemy.isBoss) return total;
+            if (Phaser.Math.Distance.Between(enemy.x, enemy.y, player.x, player.y) > range) return total;
+            return total + (enemy.threat ?? 1);
+        }, 0);
+    }
+
+    /**
+     * Whether spawning should be on hold this frame
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     * @returns {boolean}
+     */
+    isPaused(player) {
+        if (this.scene.bossSystem?.isFightActive()) return true;
+        return this.isInSafeZone(player.x, player.y);
+    }
+
+    update(time, delta) {
+        if (!this.config.enabled) return;
+
+        const player = this.getPlayer();
+        if (!player) return;
+
+        const stateManager = this.scene.gameStateManager;
+        if (stateManager && stateManager.currentState !== stateManager.gameStates.RUNNING) return;
+
+        this.elapsed += delta;
+        this.despawnStragglers(player);
+
+        this.spawnTimer -= delta;
+        if (this.spawnTimer > 0) return;
+        this.spawnTimer = this.config.interval;
+
+        if (this.isPaused(player)) return;
+        if (this.spawned.length >= this.config.maxEnemies) return;
+
+        const budget = this.getBudget(player);
+        const threat = this.getCurrentThreat(player);
+        const depth = this.getDepth(player);
+        this.lastStatus = { budget, threat, depth, spawned: this.spawned.length };
+
+        const choice = this.pickEnemyType(budget - threat, depth);
+        if (!choice) return;
+
+        const position = this.findSpawnPosition(player);
+        if (!position) return;
+
+        const enemy = this.enemySystem.spawnUnbound(choice.enemyType, position.x, position.y);
+        if (enemy) {
+            enemy.isDirected = true;
+            this.spawned.push(enemy);
+            console.log(`SpawnDirector: spawned '${enemy.enemyType}' (threat ${(threat + enemy.threat).toFixed(1)}/${budget.toFixed(1)}, depth ${depth.toFixed(2)})`);
+            this.scene.events.emit('directorSpawned', { enemy, budget, threat: threat + enemy.threat });
+        }
+    }
+
+    /**
+     * Weighted random pick from the pool entries that fit the remaining budget and depth
+     * @param {number} remaining - Threat points left in the budget
+     * @param {number} depth - Player depth from 0 to 1
+     * @returns {Object|null} The pool entry
+     */
+    pickEnemyType(remaining, depth) {
+        const registry = this.enemySystem.enemyTypes;
+        const candidates = this.config.pool.filter(entry => {
+            if (!registry.has(entry.enemyType)) return false;
+            if (depth < (entry.minDepth ?? 0) || depth > (entry.maxDepth ?? 1)) return false;
+            return (registry.get(entry.enemyType).threat ?? 1) <= remaining;
+        });
+        if (candidates.length === 0) return null;
+
+        const totalWeight = candidates.reduce((sum, entry) => sum + (entry.weight ?? 1), 0);
+        let roll = this.rng.realInRange(0, totalWeight);
+        for (const entry of candidates) {
+            roll -= entry.weight ?? 1;
+            if (roll <= 0) return entry;
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Find open water off camera, inside the map and outside safe zones
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     * @returns {{x: number, y: number}|null}
+     */
+    findSpawnPosition(player) {
+        const map = this.scene.tilemapSystem?.map;
+        if (!map) return null;
+
+        const margin = this.config.cameraMargin;
+        const view = this.scene.cameras.main.worldView;
+        const hidden = new Phaser.Geom.Rectangle(view.x - margin, view.y - margin, view.width + margin * 2, view.height + margin * 2);
+        const border = 64;
+        const { min, max } = this.config.spawnDistance;
+
+        for (let attempt = 0; attempt < 12; attempt++) {
+            const angle = this.rng.realInRange(0, Math.PI * 2);
+            const distance = this.rng.realInRange(min, max);
+            const x = player.x + Math.cos(angle) * distance;
+            const y = player.y + Math.sin(angle) * distance;
+
+            if (x < border || y < border || x > map.widthInPixels - border || y > map.heightInPixels - border) continue;
+            if (hidden.contains(x, y)) continue;
+            if (this.isInSafeZone(x, y)) continue;
+            if (!this.isOpenWater(x, y, 40)) continue;
+
+            return { x, y };
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @param {number} clearance - Required free space around the point
+     * @returns {boolean} Whether the point and its surroundings are free of obstacles
+     */
+    isOpenWater(x, y, clearance) {
+        const tilemapSystem = this.scene.tilemapSystem;
+        if (!tilemapSystem?.layers?.Obstacles) return true;
+
+        return ![
+            [0, 0], [clearance, 0], [-clearance, 0], [0, clearance], [0, -clearance]
+        ].some(([dx, dy]) => tilemapSystem.isPositionBlocked(x + dx, y + dy));
+    }
+
+    /**
+     * Forget dead enemies and remove ones the player has left far behind
+     * @param {Phaser.GameObjects.Sprite} player - The player sprite
+     */
+    despawnStragglers(player) {
+        const view = this.scene.cameras.main.worldView;
+        this.spawned = this.spawned.filter(enemy => {
+            if (!enemy.active || !enemy.isAlive) return false;
+
+            const distance = Phaser.Math.Distance.Between(enemy.x, enemy.y, player.x, player.y);
+            if (distance > this.config.despawnDistance && !view.contains(enemy.x, enemy.y)) {
+                enemy.destroy();
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Director timers for save games
+     * @returns {{elapsed: number, spawnTimer: number}}
+     */
+    getState() {
+        return { elapsed: this.elapsed, spawnTimer: this.spawnTimer };
+    }
+
+    /**
+     * Restore timers from getState(). The enemies themselves are restored by
+     * EnemySystem, which hands the directed ones back to us.
+     * @param {Object} state - Saved director state
+     */
+    restoreState(state = {}) {
+        this.elapsed = state.elapsed ?? 0;
+        this.spawnTimer = state.spawnTimer ?? this.config.interval;
+        this.spawned = [];
+    }
+
+    /**
+     * Current director numbers, for debugging
+     * @returns {Object|null}
+     */
+    getStatus() {
+        return this.lastStatus;
+    }
+
+    destroy() {
+        this.spawned = [];
+        this.safeZones = [];
+    }
+}
@@ -813,4 +813,35 @@ export default class TilemapSystem {
             return false;
         }
     }
+
+    /**
+     * Place or remove an obstacle tile at runtime and notify listeners (NavigationSystem, LightOcclusion).
+     * Nothing in the game changes rock yet: this is a hook for tests and level editing tools.
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @param {number} index - Tile index to place, or -1 to clear the tile
+     * @returns {boolean} Whether the tile was changed
+     */
+    setObstacleTile(tileX, tileY, index) {
+        try {
+            const obstaclesLayer = this.layers.Obstacles;
+            if (!obstaclesLayer) {
+                console.warn('No Obstacles layer found to modify');
+                return false;
+            }
+
+            if (index === -1) {
+                obstaclesLayer.removeTileAt(tileX, tileY);
+            } else {
+                const tile = obstaclesLayer.putTileAt(index, tileX, tileY);
+                tile?.setCollision(true);
+            }
+
+            this.scene.events.emit('obstaclesChanged', { tileX, tileY, index });
+            return true;
+        } catch (error) {
+            console.error('Error setting obstacle tile:', error);
+            return false;
+        }
+    }
 } 
\ No newline at end of file
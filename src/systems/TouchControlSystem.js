@@ -5,6 +5,7 @@ export default class TouchControlSystem {
     constructor(scene) {
         this.scene = scene;
         this.enabled = true;
+        this.layoutScale = 1; // Size of the controls, from the touch layout setting
         this.elements = new Map();
         this.touchData = {
             isMoving: false,
@@ -50,9 +51,19 @@ export default class TouchControlSystem {
         this.createBoostButton();
         this.setupEventListeners();
         this.setVisible(this.enabled);
+        this.handleResize();
         console.log('Touch control system initialized');
     }
 
+    /**
+     * Resize the controls and move them to match
+     * @param {number} scale - 1 for the default size
+     */
+    setLayoutScale(scale) {
+        this.layoutScale = scale;
+        this.handleResize();
+    }
+
     /**
      * Create the joystick UI elements
      */
@@ -231,10 +242,11 @@ export default class TouchControlSystem {
         let moveX = dx;
         let moveY = dy;
 
-        if (distance > cfg.maxDistance) {
+        const maxDistance = cfg.maxDistance * this.layoutScale;
+        if (distance > maxDistance) {
             const angle = Math.atan2(dy, dx);
-            moveX = Math.cos(angle) * cfg.maxDistance;
-            moveY = Math.sin(angle) * cfg.maxDistance;
+            moveX = Math.cos(angle) * maxDistance;
+            moveY = Math.sin(angle) * maxDistance;
         }
 
         const stick = this.elements.get('joystickStick');
@@ -248,14 +260,6 @@ export default class TouchControlSystem {
         this.touchData.up = dy < -5;
         this.touchData.down = dy > 5;
 
-        // Update key states in the scene
-        if (this.scene.keys) {
-            this.scene.keys.left.isDown = this.touchData.left;
-            this.scene.keys.right.isDown = this.touchData.right;
-            this.scene.keys.up.isDown = this.touchData.up;
-            this.scene.keys.down.isDown = this.touchData.down;
-        }
-
         // Update arrow visuals
         this.updateArrowVisuals();
     }
@@ -293,14 +297,6 @@ export default class TouchControlSystem {
         this.touchData.up = false;
         this.touchData.down = false;
 
-        // Reset key states
-        if (this.scene.keys) {
-            this.scene.keys.left.isDown = false;
-            this.scene.keys.right.isDown = false;
-            this.scene.keys.up.isDown = false;
-            this.scene.keys.down.isDown = false;
-        }
-
         this.updateArrowVisuals();
     }
 
@@ -309,12 +305,9 @@ export default class TouchControlSystem {
      */
     handleBoostDown() {
         this.touchData.boost = true;
-        if (this.scene.keys) {
-            this.scene.keys.boost.isDown = true;
-        }
         this.elements.get('boostButton').setFillStyle(this.config.boost.color, 0.6);
         this.elements.get('boostGlow').setAlpha(0.3);
-        this.elements.get('boostText').setScale(0.9);
+        this.elements.get('boostText').setScale(0.9 * this.layoutScale);
     }
 
     /**
@@ -322,12 +315,9 @@ export default class TouchControlSystem {
      */
     handleBoostUp() {
         this.touchData.boost = false;
-        if (this.scene.keys) {
-            this.scene.keys.boost.isDown = false;
-        }
         this.elements.get('boostButton').setFillStyle(this.config.boost.color, 0.3);
         this.elements.get('boostGlow').setAlpha(0.1);
-        this.elements.get('boostText').setScale(1);
+        this.elements.get('boostText').setScale(this.layoutScale);
     }
 
     /**
@@ -336,11 +326,18 @@ export default class TouchControlSystem {
     handleResize() {
         const width = this.scene.cameras.main.width;
         const height = this.scene.cameras.main.height;
+        const scale = this.layoutScale;
 
         // Update config positions
-        this.config.joystick.y = height - 150;
-        this.config.boost.x = width - 120;
-        this.config.boost.y = height - 150;
+        this.config.joystick.x = 150 * scale;
+        this.config.joystick.y = height - 150 * scale;
+        this.config.boost.x = width - 120 * scale;
+        this.config.boost.y = height - 150 * scale;
+
+        // Scale every element with the layout
+        for (const element of this.elements.values()) {
+            element?.setScale(scale);
+        }
 
         // Update joystick elements
         const joystickElements = ['joystickZone', 'joystickGlow', 'joystickBase', 'joystickStick'];
@@ -363,7 +360,7 @@ export default class TouchControlSystem {
         // Update text positions
         this.elements.get('moveText')?.setPosition(
             this.config.joystick.x,
-            this.config.joystick.y - 120
+            this.config.joystick.y - 120 * scale
         );
 
         // Update arrow positions
@@ -378,8 +375,8 @@ export default class TouchControlSystem {
             const arrow = this.elements.get(`${direction}Arrow`);
             if (arrow) {
                 arrow.setPosition(
-                    this.config.joystick.x + offset.x,
-                    this.config.joystick.y + offset.y
+                    this.config.joystick.x + offset.x * scale,
+                    this.config.joystick.y + offset.y * scale
                 );
             }
         });
@@ -25,6 +25,7 @@ export default class HealthBar {
             healthColor: 0xff0000,
             warningThreshold: 0.5,
             criticalThreshold: 0.25,
+            icon: 'heart', // Texture shown on the bar, or null for none
             ...config
         };
         
@@ -39,15 +40,17 @@ export default class HealthBar {
         this.container.add(this.textContainer);
         
         // Add heart sprite as an independent element
-        this.label = scene.add.sprite(
-            this.x + (this.config.width / 2) - 70,
-            this.y + 21,
-            'heart'
-        );
-        this.label.setOrigin(0.5, 1);
-        this.label.setScale(0.128);
-        this.label.setDepth(5000);
-        this.label.setScrollFactor(0);
+        if (this.config.icon) {
+            this.label = scene.add.sprite(
+                this.x + (this.config.width / 2) - 70,
+                this.y + 21,
+                this.config.icon
+            );
+            this.label.setOrigin(0.5, 1);
+            this.label.setScale(0.128);
+            this.label.setDepth(5000);
+            this.label.setScrollFactor(0);
+        }
         
         // Create white border
         this.whiteBorder = scene.add.rectangle(
@@ -227,7 +230,7 @@ export default class HealthBar {
         
         // Add visual feedback for damage
         if (this._lastHealth && this._lastHealth > value) {
-            this.scene.cameras.main.shake(100, Math.min(0.005, (this._lastHealth - value) / 100));
+            this.scene.gameSceneCamera?.shake(100, Math.min(0.005, (this._lastHealth - value) / 100));
             
             // Flash the bar red briefly
             this.scene.tweens.add({
@@ -278,6 +281,7 @@ export default class HealthBar {
      */
     setVisible(visible) {
         this.container.setVisible(visible);
+        this.label?.setVisible(visible);
     }
     
     /**
@@ -307,5 +311,10 @@ export default class HealthBar {
             this.container.destroy();
             this.container = null;
         }
+        
+        if (this.label) {
+            this.label.destroy();
+            this.label = null;
+        }
     }
 } 
\ No newline at end of file
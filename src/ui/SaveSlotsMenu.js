@@ -0,0 +1,184 @@
+import { formatTime } from '../utils/Format';
+
+/**
+ * SaveSlotsMenu - Save, load, export and import panel for the save slots,
+ * opened from the pause menu
+ */
+export default class SaveSlotsMenu {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {SaveGameSystem} saveGameSystem - Save games for the scene
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onClose - Called when the panel is closed with Back
+     * @param {Function} callbacks.onLoaded - Called after a save from the current level was restored
+     */
+    constructor(scene, saveGameSystem, { onClose, onLoaded } = {}) {
+        this.scene = scene;
+        this.saveGameSystem = saveGameSystem;
+        this.onClose = onClose;
+        this.onLoaded = onLoaded;
+        this.container = null;
+        this.statusMessage = '';
+
+        this.scene.scale.on('resize', this.handleResize, this);
+    }
+
+    /**
+     * @returns {boolean} Whether the panel is showing
+     */
+    isVisible() {
+        return !!this.container?.visible;
+    }
+
+    show() {
+        this.statusMessage = '';
+        this.build();
+    }
+
+    hide() {
+        this.container?.destroy();
+        this.container = null;
+    }
+
+    handleResize() {
+        if (this.isVisible()) {
+            this.build();
+        }
+    }
+
+    /**
+     * (Re)build the panel for the current slots and screen size
+     */
+    build() {
+        this.container?.destroy();
+
+        const camera = this.scene.cameras.main;
+        const centerX = camera.width / 2;
+        const top = camera.height / 2 - 170;
+
+        this.container = this.scene.add.container(0, 0);
+        this.container.setScrollFactor(0, 0, true);
+        this.container.setDepth(1001);
+
+        const bg = this.scene.add.rectangle(0, 0, camera.width, camera.height, 0x000000, 0.85).setOrigin(0, 0);
+        // Swallow clicks so the pause menu underneath can't be pressed
+        bg.setInteractive();
+
+        const title = this.scene.add.text(centerX, top, 'Save / Load', {
+            fontFamily: 'Arial',
+            fontSize: '32px',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+
+        this.container.add([bg, title]);
+
+        this.saveGameSystem.listSlots().forEach((info, index) => {
+            this.createSlotRow(info, centerX, top + 80 + index * 80);
+        });
+
+        const status = this.scene.add.text(centerX, top + 310, this.statusMessage, {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#ffd700'
+        }).setOrigin(0.5);
+        this.container.add(status);
+
+        this.createButton(centerX, top + 370, 'Back', () => {
+            this.hide();
+            this.onClose?.();
+        }, 160);
+    }
+
+    /**
+     * One row: slot description plus its buttons
+     * @param {Object} info - Entry from SaveGameSystem.listSlots()
+     * @param {number} centerX - Row center x
+     * @param {number} y - Row center y
+     */
+    createSlotRow(info, centerX, y) {
+        const left = centerX - 330;
+        const description = info.empty
+            ? `Slot ${info.slot}: empty`
+            : `Slot ${info.slot}: ${info.levelName}  ${formatTime(info.elapsed)}\n${new Date(info.savedAt).toLocaleString()}`;
+
+        const label = this.scene.add.text(left, y, description, {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: info.empty ? '#888888' : '#ffffff'
+        }).setOrigin(0, 0.5);
+        this.container.add(label);
+
+        const buttonsX = centerX + 20;
+        this.createButton(buttonsX, y, 'Save', () => {
+            const saved = this.saveGameSystem.save(info.slot);
+            this.setStatus(saved ? `Saved to slot ${info.slot}` : 'Could not save');
+        });
+
+        this.createButton(buttonsX + 95, y, 'Load', () => {
+            const sameLevel = info.level === this.scene.currentLevel;
+            if (this.saveGameSystem.load(info.slot)) {
+                if (sameLevel) {
+                    this.hide();
+                    this.onLoaded?.();
+                }
+            } else {
+                this.setStatus(`Could not load slot ${info.slot}`);
+            }
+        }, 90, !info.empty);
+
+        this.createButton(buttonsX + 190, y, 'Export', () => {
+            this.setStatus(this.saveGameSystem.exportSlot(info.slot)
+                ? `Exported slot ${info.slot}`
+                : 'Could not export');
+        }, 90, !info.empty);
+
+        this.createButton(buttonsX + 285, y, 'Import', () => {
+            this.saveGameSystem.promptImport(info.slot).then(imported => {
+                this.setStatus(imported ? `Imported into slot ${info.slot}` : 'That file is not a save game');
+            });
+        });
+    }
+
+    /**
+     * @param {string} message - Message shown under the slots
+     */
+    setStatus(message) {
+        this.statusMessage = message;
+        if (this.isVisible()) {
+            this.build();
+        }
+    }
+
+    /**
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} label - Button label
+     * @param {Function} onClick - Called when the button is released
+     * @param {number} width - Button width
+     * @param {boolean} enabled - Greyed out and ignored when false
+     */
+    createButton(x, y, label, onClick, width = 90, enabled = true) {
+        const color = enabled ? 0x6666ff : 0x333344;
+        const button = this.scene.add.rectangle(x, y, width, 40, color);
+        const text = this.scene.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: enabled ? '#ffffff' : '#888888'
+        }).setOrigin(0.5);
+
+        if (enabled) {
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerover', () => button.setFillStyle(0x8888ff));
+            button.on('pointerout', () => button.setFillStyle(0x6666ff));
+            button.on('pointerdown', () => button.setFillStyle(0x4444ff));
+            button.on('pointerup', onClick);
+        }
+
+        this.container.add([button, text]);
+    }
+
+    destroy() {
+        this.scene.scale.off('resize', this.handleResize, this);
+        this.hide();
+    }
+}
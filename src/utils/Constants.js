@@ -62,6 +62,9 @@ export const PLAYER = {
         BURST_INTERVAL: 40, // Milliseconds between particle bursts during boost
         COOLDOWN: 500 // Milliseconds of cooldown after boost ends
     },
+    AIM: {
+        MAX_TILT: Math.PI / 6 // Furthest the diver leans towards the aim (30 degrees)
+    },
     BOUNCE: 0.1,
     FRICTION: 0.1
 };
@@ -191,6 +194,38 @@ export const AUDIO = {
     MASTER_VOLUME: 1.0
 };
 
+// Flashlight battery constants (see BatterySystem)
+export const BATTERY = {
+    CAPACITY: 100,          // Charge of a full battery, before upgrades
+    DRAIN_RATE: 2,          // Charge used per second while the flashlight is on
+    RECHARGE_RATE: 5,       // Charge regained per second while it is off
+    MIN_CHARGE_TO_SWITCH_ON: 5, // A flat battery recharges this much before the flashlight works again
+    LEVELS: [               // Meter and indicator colour by the fraction of charge left
+        { threshold: 0.75, color: 0x00ff00 }, // Green
+        { threshold: 0.5, color: 0xffff00 },  // Yellow
+        { threshold: 0.25, color: 0xff8800 }, // Orange
+        { threshold: 0, color: 0xff0000 }     // Red
+    ]
+};
+
+// Throwable flare constants (see FlareSystem)
+export const FLARE = {
+    START_COUNT: 3,         // Flares the diver starts a level with
+    MAX_CARRIED: 9,         // Most flares the diver can carry
+    MAX_ACTIVE: 5,          // Flares burning at once; throwing another puts out the oldest
+    THROW_COOLDOWN: 500,    // Milliseconds between throws
+    THROW_SPEED: 420,       // Pixels per second as it leaves the hand
+    SINK: 60,               // Gravity pulling it down through the water, pixels per second squared
+    DRAG: 0.35,             // Fraction of its speed the water leaves it after a second
+    BOUNCE: 0.45,           // Fraction of its speed kept off rock
+    BURN_TIME: [20000, 30000], // Milliseconds it burns for, picked at random
+    COLOR: 0xff5533,
+    RADIUS: 280,            // Reach of its light
+    INTENSITY: 1.4,
+    FLICKER: 0.25,          // Most the light dims by on a flicker
+    DARKNESS_RELIEF: 0.6    // How much of a zone's darkness it lifts around the diver when close
+};
+
 // Add lighting constants
 export const LIGHTING = {
     TRANSITION_SPEED: 0.0004,  // Extremely slow for ultra-smooth transitions
@@ -217,5 +252,18 @@ export const LIGHTING = {
             X: 100,              // Position ahead of player
             Y: 0
         }
+    },
+    OCCLUSION: {
+        MOVE_THRESHOLD: 4,          // Pixels a light moves before its polygon is recast
+        ANGLE_THRESHOLD: 0.02,      // Radians a cone turns before it is recast
+        ARC_STEP: Math.PI / 36,     // Polygons get a point at least every 5 degrees
+        SHADOW_EXTENT: 2,           // Shadows reach this many times a light's range
+        FLASHLIGHT_CONE: Math.PI / 3, // Covers the flashlight_cone1 beam (about 46 degrees)
+        FLASHLIGHT_RANGE: 960,      // flashlight_cone1 reaches 954px from its origin
+        FEATHER_STEPS: 3            // Point lights fade out over this many rings
+    },
+    EMITTERS: {
+        PERIOD: 2000,               // Default length of a light pattern's cycle in ms
+        MIN_LEVEL: 0.25             // Default dimmest intensity, as a fraction of the brightest
     }
 }; 
\ No newline at end of file
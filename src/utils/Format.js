@@ -0,0 +1,23 @@
+/**
+ * Formatting helpers shared by the results and level select screens
+ */
+
+/**
+ * Format milliseconds as m:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * @param {number} stars - Stars earned (0-3)
+ * @returns {string} Filled and empty stars
+ */
+export function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(Math.max(0, 3 - stars));
+}
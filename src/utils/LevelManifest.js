@@ -0,0 +1,143 @@
+import { LEVELS, TILESETS, MUSIC } from '../config/levels';
+
+/**
+ * Read-only access to the level manifest in src/config/levels.js, plus the
+ * helpers scenes use to load every level's assets from it.
+ */
+
+const ORDERED_LEVELS = [...LEVELS].sort((a, b) => a.order - b.order);
+
+/**
+ * @returns {Array<Object>} Every level in campaign order
+ */
+export function getLevels() {
+    return ORDERED_LEVELS;
+}
+
+/**
+ * @param {string} key - Level key, e.g. 'level1'
+ * @returns {Object|null} The level entry, or null if unknown
+ */
+export function getLevel(key) {
+    return ORDERED_LEVELS.find(level => level.key === key) || null;
+}
+
+/**
+ * @returns {Object} The first level of the campaign
+ */
+export function getFirstLevel() {
+    return ORDERED_LEVELS[0];
+}
+
+/**
+ * @param {string} key - Level key
+ * @returns {Object|null} The level after this one, or null if it is the last
+ */
+export function getNextLevel(key) {
+    const index = ORDERED_LEVELS.findIndex(level => level.key === key);
+    if (index === -1) return null;
+    return ORDERED_LEVELS[index + 1] || null;
+}
+
+/**
+ * @param {string} key - Level key
+ * @returns {string} Display name, falling back to the key
+ */
+export function getLevelName(key) {
+    return getLevel(key)?.name || key;
+}
+
+/**
+ * Queue every level's map, tilesets and music on a scene's loader.
+ * Shared tilesets and tracks are only queued once.
+ * @param {Phaser.Scene} scene - Scene whose loader to use (call from preload)
+ */
+export function loadLevelAssets(scene) {
+    const tilesets = new Set();
+    const tracks = new Set();
+
+    ORDERED_LEVELS.forEach(level => {
+        scene.load.tilemapTiledJSON(level.key, level.map);
+
+        // AirPocketSystem reads the raw map data from the json cache
+        if (!scene.cache.json.has(level.key)) {
+            scene.cache.json.add(level.key, level.map);
+        }
+
+        level.tilesets.forEach(key => tilesets.add(key));
+        [level.music, level.ambience].filter(Boolean).forEach(key => tracks.add(key));
+    });
+
+    tilesets.forEach(key => {
+        if (!TILESETS[key]) {
+            console.warn(`Level manifest references unknown tileset '${key}'`);
+            return;
+        }
+        scene.load.image(key, TILESETS[key].image);
+    });
+
+    tracks.forEach(key => {
+        if (!MUSIC[key]) {
+            console.warn(`Level manifest references unknown track '${key}'`);
+            return;
+        }
+        scene.load.audio(key, MUSIC[key].audio);
+    });
+
+    console.log(`Queued assets for ${ORDERED_LEVELS.length} levels (${tilesets.size} tilesets, ${tracks.size} tracks)`);
+}
+
+/**
+ * Tiled tileset names (and embedded image paths) mapped to texture keys
+ * @returns {Array<[string, string]>} [tilesetName, textureKey] pairs
+ */
+export function getTilesetMappings() {
+    const mappings = [];
+    Object.entries(TILESETS).forEach(([key, tileset]) => {
+        mappings.push([key, key]);
+        tileset.aliases.forEach(alias => mappings.push([alias, key]));
+        mappings.push([`../${tileset.file}`, key]);
+    });
+    return mappings;
+}
+
+/**
+ * Asset file paths (relative to src/assets) for everything in the manifest
+ * @returns {{images: Object, audio: Object, tilemaps: Object}}
+ */
+export function getAssetPaths() {
+    const images = {};
+    Object.entries(TILESETS).forEach(([key, tileset]) => {
+        images[key] = tileset.file;
+    });
+
+    const audio = {};
+    Object.entries(MUSIC).forEach(([key, track]) => {
+        audio[key] = track.file;
+    });
+
+    const tilemaps = {};
+    ORDERED_LEVELS.forEach(level => {
+        tilemaps[level.key] = level.file;
+    });
+
+    return { images, audio, tilemaps };
+}
+
+/**
+ * Count the secrets placed in a level's map, without loading it
+ * @param {string} key - Level key
+ * @returns {number}
+ */
+export function getSecretCount(key) {
+    const level = getLevel(key);
+    if (!level?.map?.layers) return 0;
+
+    return level.map.layers
+        .filter(layer => Array.isArray(layer.objects))
+        .reduce((count, layer) => count + layer.objects.filter(obj =>
+            layer.name?.toLowerCase().includes('secret') ||
+            obj.type?.toLowerCase().includes('secret') ||
+            obj.name?.toLowerCase().includes('secret')
+        ).length, 0);
+}
@@ -0,0 +1,311 @@
+import Phaser from 'phaser';
+import PhaserRaycaster from 'phaser-raycaster';
+import GameScene from '../../src/scenes/GameScene';
+import { completeInputState } from '../../src/systems/InputManager';
+import SettingsSystem from '../../src/systems/SettingsSystem';
+import { GAME_WIDTH, GAME_HEIGHT, GAME_GRAVITY } from '../../src/utils/Constants';
+
+// Frame length the harness steps the game by, the same as a replay's fixed step
+export const FRAME = 1000 / 60;
+
+// Event-loop turns to wait for the scene's assets before giving up
+const MAX_BOOT_TURNS = 500;
+
+const NO_INPUT = { up: false, down: false, left: false, right: false, boost: false, shoot: false };
+
+/**
+ * Runs the real GameScene in Node for tests, on Phaser's HEADLESS renderer
+ * (see tests/setup.js for the browser pieces jsdom fills in).
+ *
+ * The game loop never runs on its own: step() advances it a frame at a time
+ * on a fixed 1/60 s step, so a test decides exactly what happens on every
+ * frame. Held input takes the place of the keyboard, gamepad and touch
+ * controls in the input manager, so it is read (and recorded by ReplaySystem)
+ * like a player's, and presses go through triggerAction like a key press.
+ *
+ * Everything the game logs with console.error is kept in `errors`.
+ *
+ * @example
+ * const harness = await GameHarness.start({ level: 'level1', seed: 'test' });
+ * harness.hold({ right: true });
+ * harness.runFor(1000);
+ * expect(harness.player.sprite.x).toBeGreaterThan(start);
+ * harness.destroy();
+ */
+export default class GameHarness {
+    /**
+     * Boot a headless game and start GameScene
+     * @param {Object} options - GameScene's data (level, seed, replay, record), plus:
+     * @param {string} options.seed - Seed for the run's random streams
+     * @param {string} options.difficulty - Difficulty setting to play on
+     * @returns {Promise<GameHarness>} The harness, once the scene is running
+     */
+    static async start({ seed = 'harness', difficulty, ...data } = {}) {
+        const harness = new GameHarness();
+        await harness.boot();
+
+        if (difficulty) {
+            SettingsSystem.get(harness.game).setValue('difficulty', difficulty);
+        }
+
+        await harness.startScene({ ...data, seed });
+        return harness;
+    }
+
+    constructor() {
+        this.game = null;
+        this.time = 0;
+        this.frame = 0;
+        this.errors = [];
+        this.input = { ...NO_INPUT };
+        this.stick = { x: 0, y: 0 };
+    }
+
+    /**
+     * Create the game and stop its loop, so only step() advances it
+     * @returns {Promise<void>}
+     */
+    async boot() {
+        this.captureErrors();
+
+        this.game = new Phaser.Game({
+            type: Phaser.HEADLESS,
+            width: GAME_WIDTH,
+            height: GAME_HEIGHT,
+            banner: false,
+            autoFocus: false,
+            audio: { noAudio: true },
+            input: { gamepad: true },
+            // Images load from their URL in an <img>, which tests/setup.js sizes from the file
+            loader: { imageLoadType: 'HTMLImageElement' },
+            physics: {
+                default: 'arcade',
+                arcade: { gravity: { y: GAME_GRAVITY }, debug: false }
+            },
+            // As in src/index.js
+            plugins: {
+                scene: [{ key: 'PhaserRaycaster', plugin: PhaserRaycaster, mapping: 'raycasterPlugin' }]
+            }
+        });
+
+        await new Promise(resolve => this.game.events.once(Phaser.Core.Events.READY, resolve));
+        this.game.loop.stop();
+    }
+
+    /**
+     * Start GameScene and step until it has loaded and created the level
+     * @param {Object} data - Scene data (level, seed, replay...)
+     * @returns {Promise<void>}
+     */
+    async startScene(data) {
+        this.game.scene.add('GameScene', GameScene, true, data);
+        await this.waitForLevel();
+    }
+
+    /**
+     * Step until GameScene has loaded and created its level, after it was
+     * started or restarted (e.g. by loading a save for another level)
+     * @returns {Promise<void>}
+     */
+    async waitForLevel() {
+        for (let turn = 0; turn < MAX_BOOT_TURNS; turn++) {
+            if (this.scene?.sys.isActive() && this.scene.player) {
+                this.takeInput();
+                return;
+            }
+
+            // The clock stands still while loading, so the level always starts
+            // at time 0 however long the images take
+            this.game.loop.callback(this.time, 0);
+            // Let the loader's image loads finish
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        throw new Error(`GameScene did not start: ${this.errors.join('\n') || 'no errors logged'}`);
+    }
+
+    /**
+     * Have the input manager read the held input instead of the keyboard,
+     * gamepad and touch controls
+     */
+    takeInput() {
+        this.scene.inputManager.readInputState = () => completeInputState({ ...this.input, touch: {} }, this.stick);
+    }
+
+    /**
+     * Keep every console.error, still passing it on to the console
+     */
+    captureErrors() {
+        this.originalConsoleError = console.error;
+        console.error = (...args) => {
+            this.errors.push(args.map(arg => (arg instanceof Error ? arg.stack : String(arg))).join(' '));
+            this.originalConsoleError.apply(console, args);
+        };
+    }
+
+    /**
+     * @returns {GameScene} The running game scene
+     */
+    get scene() {
+        return this.game?.scene.getScene('GameScene');
+    }
+
+    /**
+     * @returns {Player} The diver
+     */
+    get player() {
+        return this.scene?.player;
+    }
+
+    /**
+     * @returns {string} GameStateManager's current state
+     */
+    get state() {
+        return this.scene?.gameStateManager?.currentState;
+    }
+
+    /**
+     * @returns {Object} GameStateManager's state names
+     */
+    get states() {
+        return this.scene.gameStateManager.gameStates;
+    }
+
+    /**
+     * Hold input from now on, until changed. Keys not given are released
+     * @param {Object} input - up/down/left/right/boost/shoot flags, an optional stick {x, y}
+     * and an optional aim angle in radians (free aim, as the mouse or right stick sets it)
+     */
+    hold({ stick = { x: 0, y: 0 }, ...held } = {}) {
+        this.input = { ...NO_INPUT, ...held };
+        this.stick = stick;
+    }
+
+    /**
+     * Let go of everything
+     */
+    release() {
+        this.hold({});
+    }
+
+    /**
+     * Press an action's key once, e.g. 'pause' or 'flashlight'
+     * @param {string} action - Action name
+     */
+    press(action) {
+        this.scene.inputManager.triggerAction(action);
+    }
+
+    /**
+     * Advance the game by whole frames
+     * @param {number} frames - Number of frames
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.time += FRAME;
+            this.frame++;
+            // The loop's callback, so a replay's fixed step still wraps it
+            this.game.loop.callback(this.time, FRAME);
+            this.updateCameras();
+        }
+    }
+
+    /**
+     * Headless games never render, which is when cameras follow their target
+     * and work out what they can see, so do that part of rendering here
+     */
+    updateCameras() {
+        if (!this.scene?.sys.isActive()) return;
+        this.scene.cameras.cameras.forEach(camera => camera.preRender());
+    }
+
+    /**
+     * Advance the game by a length of game time
+     * @param {number} ms - Milliseconds
+     */
+    runFor(ms) {
+        this.step(Math.ceil(ms / FRAME));
+    }
+
+    /**
+     * Step until a condition holds
+     * @param {Function} condition - Called with the harness after every frame
+     * @param {number} maxFrames - Frames to try before giving up
+     * @returns {number} Frames it took
+     */
+    runUntil(condition, maxFrames = 600) {
+        for (let frames = 1; frames <= maxFrames; frames++) {
+            this.step();
+            if (condition(this)) return frames;
+        }
+        throw new Error(`Condition not met within ${maxFrames} frames`);
+    }
+
+    /**
+     * Put the diver somewhere, standing still
+     * @param {number} x - World x
+     * @param {number} y - World y
+     */
+    teleportPlayer(x, y) {
+        const sprite = this.player.sprite;
+        sprite.body.reset(x, y);
+        this.player.lastPosition = { x, y };
+    }
+
+    /**
+     * Find open water with a flat rock face to its right: `clear` empty tiles
+     * left of the face, with rock in the face's column on the rows around it
+     * @param {number} clear - Open tiles needed in front of the face
+     * @returns {{x: number, y: number, faceX: number}} Centre of the last open tile and the face's world x
+     */
+    findWall(clear = 8) {
+        const layer = this.scene.tilemapSystem.layers.Obstacles;
+        const { data, width, height } = layer.layer;
+        const tileSize = layer.tilemap.tileWidth;
+        const solid = (x, y) => data[y]?.[x]?.index > -1;
+
+        for (let y = 4; y < height - 4; y++) {
+            for (let x = clear; x < width - 1; x++) {
+                if (![-1, 0, 1].every(dy => solid(x + 1, y + dy))) continue;
+
+                let open = true;
+                for (let dy = -3; dy <= 3 && open; dy++) {
+                    for (let dx = x - clear + 1; dx <= x; dx++) {
+                        if (solid(dx, y + dy)) { open = false; break; }
+                    }
+                }
+
+                if (open) {
+                    return { x: (x + 0.5) * tileSize, y: (y + 0.5) * tileSize, faceX: (x + 1) * tileSize };
+                }
+            }
+        }
+        throw new Error('No wall found in the level');
+    }
+
+    /**
+     * Take every enemy out of the level and stop the spawn director, for
+     * tests that shouldn't be interrupted by a bite
+     */
+    removeEnemies() {
+        const enemySystem = this.scene.enemySystem;
+        enemySystem.director.config.enabled = false;
+        enemySystem.enemies.clear(true, true);
+    }
+
+    /**
+     * Stop the game and put console.error back
+     */
+    destroy() {
+        if (this.game) {
+            this.game.destroy(true);
+            // The game is torn down on its next step
+            this.game.loop.callback(this.time + FRAME, FRAME);
+            this.game = null;
+        }
+        if (this.originalConsoleError) {
+            console.error = this.originalConsoleError;
+            this.originalConsoleError = null;
+        }
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Browser pieces jsdom doesn't have, so Phaser can run in Node.
+ *
+ * - Canvas contexts come from vitest-canvas-mock. Nothing is drawn, but every call works
+ * - Images "load" as soon as their src is set, with the size of the PNG on disk
+ *   (read from its header), or 32x32 when there is no file
+ * - localStorage starts empty for every test, so saves and settings don't leak between them
+ */
+import 'vitest-canvas-mock';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { beforeEach } from 'vitest';
+
+const FALLBACK_SIZE = { width: 32, height: 32 };
+
+/**
+ * @param {string} url - Image URL
+ * @returns {{width: number, height: number}} Size from the PNG header, or the fallback
+ */
+function readImageSize(url) {
+    if (!url.startsWith('file:')) return FALLBACK_SIZE;
+
+    try {
+        const header = fs.readFileSync(fileURLToPath(url)).subarray(0, 24);
+        if (header.toString('ascii', 1, 4) === 'PNG') {
+            return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+        }
+    } catch (error) {
+        // Missing file, use the fallback
+    }
+    return FALLBACK_SIZE;
+}
+
+const imageSrc = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+
+Object.defineProperty(HTMLImageElement.prototype, 'src', {
+    configurable: true,
+    get() {
+        return imageSrc.get.call(this);
+    },
+    set(value) {
+        imageSrc.set.call(this, value);
+        this.loadedSize = readImageSize(String(value));
+        setTimeout(() => this.dispatchEvent(new Event('load')));
+    }
+});
+
+['width', 'naturalWidth'].forEach(property => {
+    Object.defineProperty(HTMLImageElement.prototype, property, {
+        configurable: true,
+        get() { return this.loadedSize?.width ?? 0; },
+        set() {}
+    });
+});
+
+['height', 'naturalHeight'].forEach(property => {
+    Object.defineProperty(HTMLImageElement.prototype, property, {
+        configurable: true,
+        get() { return this.loadedSize?.height ?? 0; },
+        set() {}
+    });
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
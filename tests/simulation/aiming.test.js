@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+import SettingsSystem from '../../src/systems/SettingsSystem';
+import { PLAYER } from '../../src/utils/Constants';
+
+/**
+ * @returns {Bullet[]} Bullets in flight
+ */
+function activeBullets(harness) {
+    return harness.scene.bulletSystem.bullets.getChildren().filter(bullet => bullet.active);
+}
+
+describe('aiming', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'aiming' });
+        harness.removeEnemies();
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('turns and leans the diver towards the aim', () => {
+        harness.hold({ right: true, aim: -2.5 });
+        harness.step();
+
+        const sprite = harness.player.sprite;
+        expect(harness.player.aimAngle).toBeCloseTo(-2.5, 5);
+        // Aiming up and to the left while swimming right
+        expect(sprite.flipX).toBe(true);
+        expect(sprite.rotation).toBeCloseTo(PLAYER.AIM.MAX_TILT, 5);
+
+        harness.hold({ aim: 0.2 });
+        harness.step();
+
+        expect(sprite.flipX).toBe(false);
+        expect(sprite.rotation).toBeCloseTo(0.2, 5);
+    });
+
+    it('fires bullets along the aim from the gun hand', () => {
+        harness.hold({ shoot: true, aim: 2 });
+        harness.runUntil(() => activeBullets(harness).length > 0);
+
+        const [bullet] = activeBullets(harness);
+        expect(bullet).toBeDefined();
+        expect(Math.atan2(bullet.body.velocity.y, bullet.body.velocity.x)).toBeCloseTo(2, 5);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('points the flashlight along the aim', () => {
+        harness.press('flashlight');
+        harness.hold({ aim: Math.PI / 2 });
+        harness.step();
+
+        const lighting = harness.scene.lightingSystem;
+        const origin = harness.player.getAimPoint(45, -40);
+        expect(lighting.flashlightRotation).toBeCloseTo(Math.PI / 2, 5);
+        expect(lighting.flashlightVisibility.angle).toBeCloseTo(Math.PI / 2, 5);
+        expect(lighting.flashlightVisibility.x).toBeCloseTo(origin.x, 5);
+        expect(lighting.flashlightVisibility.y).toBeCloseTo(origin.y, 5);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('aims where the diver faces without an aim', () => {
+        harness.hold({ left: true, shoot: true });
+        harness.runUntil(() => activeBullets(harness).length > 0);
+
+        const [bullet] = activeBullets(harness);
+        expect(harness.player.aimAngle).toBe(Math.PI);
+        expect(harness.player.sprite.rotation).toBe(0);
+        expect(bullet.body.velocity.x).toBeLessThan(0);
+        expect(bullet.body.velocity.y).toBeCloseTo(0, 5);
+    });
+
+    it('aims at the mouse cursor once it moves', () => {
+        const inputManager = harness.scene.inputManager;
+        const pointer = harness.scene.input.activePointer;
+        const sprite = harness.player.sprite;
+
+        // Nothing has aimed yet
+        expect(inputManager.getAim()).toBeNull();
+
+        pointer.x = 10;
+        pointer.y = 20;
+        const cursor = harness.scene.cameras.main.getWorldPoint(10, 20);
+
+        expect(inputManager.getAim()).toBeCloseTo(Math.atan2(cursor.y - sprite.y, cursor.x - sprite.x), 5);
+    });
+
+    it('keeps the classic facing aim with the Aiming setting on Facing', () => {
+        const settings = SettingsSystem.get(harness.game);
+        const inputManager = harness.scene.inputManager;
+        const pointer = harness.scene.input.activePointer;
+
+        settings.setValue('aimMode', 'facing');
+        try {
+            inputManager.getAim();
+            pointer.x += 100;
+
+            expect(inputManager.aimMode).toBe('facing');
+            expect(inputManager.getAim()).toBeNull();
+        } finally {
+            settings.setValue('aimMode', 'free');
+        }
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+
+describe('air pockets', () => {
+    let harness;
+    let pocket;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'air-pockets' });
+        harness.removeEnemies();
+
+        // Air pockets are placed shortly after the map is built
+        harness.runUntil(({ scene }) => scene.airPocketSystem.airPockets.some(candidate => candidate.active), 60);
+        pocket = harness.scene.airPocketSystem.airPockets.find(candidate => candidate.active);
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('are created from the level\'s AirPockets layer', () => {
+        expect(pocket.sprite.body.enable).toBe(true);
+        expect(pocket.oxygenAmount).toBeGreaterThan(0);
+    });
+
+    it('refill oxygen and disappear when collected', () => {
+        harness.player.oxygen = 40;
+
+        harness.teleportPlayer(pocket.sprite.x, pocket.sprite.y);
+        harness.step(2);
+
+        expect(harness.player.oxygen).toBeGreaterThan(40);
+        expect(pocket.active).toBe(false);
+        expect(pocket.sprite.visible).toBe(false);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('come back 30 seconds after being collected', () => {
+        harness.teleportPlayer(pocket.sprite.x, pocket.sprite.y);
+        harness.step(2);
+        // Out of the way, so it isn't collected again as soon as it is back
+        harness.teleportPlayer(harness.player.spawnPoint.x, harness.player.spawnPoint.y);
+
+        harness.runFor(29000);
+        expect(pocket.active).toBe(false);
+
+        harness.runFor(1500);
+        expect(pocket.active).toBe(true);
+        expect(pocket.sprite.visible).toBe(true);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+import { BATTERY } from '../../src/utils/Constants';
+
+describe('flashlight battery', () => {
+    let harness;
+    let battery;
+    let lighting;
+    let meter;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'battery' });
+        harness.removeEnemies();
+        battery = harness.scene.batterySystem;
+        lighting = harness.scene.lightingSystem;
+        meter = harness.scene.gameSceneUI.batteryMeter;
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('drains while the flashlight is on and the meter shows it', () => {
+        harness.press('flashlight');
+        harness.runFor(2000);
+
+        expect(lighting.flashlightEnabled).toBe(true);
+        expect(battery.charge).toBeCloseTo(BATTERY.CAPACITY - 2 * BATTERY.DRAIN_RATE, 0);
+        expect(meter.levelBar.scaleY).toBeCloseTo(battery.charge / battery.capacity, 5);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('puts the flashlight out when the battery runs flat', () => {
+        battery.setCharge(1);
+        harness.press('flashlight');
+        harness.runUntil(() => !lighting.flashlightEnabled, 120);
+
+        expect(battery.draining).toBe(false);
+        expect(lighting.flashlightPointLight.visible).toBe(false);
+
+        // Too flat to turn back on straight away
+        let refused = false;
+        harness.scene.events.once('flashlightNoPower', () => {
+            refused = true;
+        });
+        harness.press('flashlight');
+
+        expect(refused).toBe(true);
+        expect(lighting.flashlightEnabled).toBe(false);
+    });
+
+    it('tints the indicator light with the charge left', () => {
+        harness.press('flashlight');
+        battery.setCharge(battery.capacity * 0.4);
+        harness.step();
+
+        expect(lighting.flashlightPointLight.tintTopLeft).toBe(0xff8800);
+    });
+
+    it('charges from battery pickups and grows with upgrades', () => {
+        battery.setCharge(10);
+        harness.scene.lootSystem.applyItem('battery', 25);
+        harness.scene.lootSystem.applyItem('batteryUpgrade', 25);
+
+        expect(battery.capacity).toBe(BATTERY.CAPACITY + 25);
+        expect(battery.charge).toBe(60);
+        expect(meter.levelBar.scaleY).toBeCloseTo(60 / 125, 5);
+    });
+});
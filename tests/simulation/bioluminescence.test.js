@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+
+describe('bioluminescence', () => {
+    let harness;
+    let lighting;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'bioluminescence' });
+        lighting = harness.scene.lightingSystem;
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    /**
+     * @param {string} type - Enemy type key
+     * @returns {Enemy|undefined} The first living enemy of the type
+     */
+    function findEnemy(type) {
+        return harness.scene.enemySystem.enemies.getChildren()
+            .find(enemy => enemy.isAlive && enemy.enemyType === type);
+    }
+
+    it('places animated lights from the level\'s Lights layer', () => {
+        const weed = lighting.lightEmitters.filter(emitter => !emitter.target);
+        expect(weed.length).toBeGreaterThan(0);
+        expect(weed.every(emitter => emitter.pattern === 'breathe')).toBe(true);
+
+        const light = weed[0].light;
+        const seen = new Set();
+        for (let i = 0; i < 20; i++) {
+            harness.runFor(250);
+            seen.add(Math.round(light.intensity * 100));
+        }
+
+        expect(seen.size).toBeGreaterThan(5);
+        expect(Math.min(...seen) / 100).toBeGreaterThanOrEqual(weed[0].minIntensity - 0.01);
+        expect(Math.max(...seen) / 100).toBeLessThanOrEqual(weed[0].intensity + 0.01);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('gives a jellyfish a pulsing glow that swims with it', () => {
+        const jellyfish = findEnemy('jellyfish');
+        expect(jellyfish).toBeDefined();
+        const emitter = jellyfish.lightEmitter;
+        expect(emitter.pattern).toBe('pulse');
+        expect(lighting.pointLights).toContain(emitter.light);
+
+        const start = { x: emitter.light.x, y: emitter.light.y };
+        jellyfish.body.reset(jellyfish.x + 120, jellyfish.y - 80);
+        harness.step(2);
+
+        // Physics moves it after the lights are placed, so the glow may trail by a frame
+        expect(emitter.light.x - start.x).toBeGreaterThan(100);
+        expect(Math.abs(emitter.light.x - jellyfish.x)).toBeLessThan(5);
+        expect(Math.abs(emitter.light.y - jellyfish.y)).toBeLessThan(5);
+    });
+
+    it('lets a spawn in Tiled change the species\' glow', () => {
+        // level1's cave_fish spawn (object 27) has lightColor #ff66ccff
+        const jellyfish = harness.scene.enemySystem.enemies.getChildren()
+            .find(enemy => enemy.spawnPoint?.id === 27);
+        expect(jellyfish).toBeDefined();
+
+        expect(jellyfish.lightEmitter.light.color).toBe(0x66ccff);
+        expect(jellyfish.lightEmitter.pattern).toBe('pulse');
+    });
+
+    it('puts a creature\'s light out when it is gone', () => {
+        const jellyfish = findEnemy('jellyfish');
+        const light = jellyfish.lightEmitter.light;
+
+        jellyfish.destroy();
+        harness.step();
+
+        expect(lighting.pointLights).not.toContain(light);
+        expect(lighting.lightEmitters.some(emitter => emitter.light === light)).toBe(false);
+        expect(harness.errors).toEqual([]);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+
+describe('checkpoints', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'checkpoints' });
+        harness.removeEnemies();
+        harness.runUntil(({ scene }) => scene.airPocketSystem.airPockets.some(candidate => candidate.active), 60);
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    /**
+     * Swim into a checkpoint so it saves the diver's state
+     * @returns {Object} The checkpoint
+     */
+    function reachCheckpoint() {
+        const checkpoint = harness.scene.checkpointSystem.checkpoints[0];
+        harness.teleportPlayer(checkpoint.centerX, checkpoint.centerY);
+        harness.step(2);
+        expect(harness.scene.checkpointSystem.saved?.checkpoint).toBe(checkpoint.name);
+        return checkpoint;
+    }
+
+    it('respawns the diver there after a game over', () => {
+        const checkpoint = reachCheckpoint();
+
+        harness.scene.events.emit('playerDeath');
+        expect(harness.state).toBe(harness.states.GAME_OVER);
+        harness.scene.gameStateManager.respawnAtCheckpoint();
+
+        expect(harness.state).toBe(harness.states.RUNNING);
+        expect(harness.player.sprite.x).toBeCloseTo(checkpoint.centerX, 0);
+        expect(harness.player.sprite.y).toBeCloseTo(checkpoint.centerY, 0);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('keeps pickups and air pockets collected before it collected after a respawn', () => {
+        const { lootSystem, airPocketSystem } = harness.scene;
+        const flare = lootSystem.pickups.getChildren().find(pickup => pickup.active && pickup.item === 'flare');
+        const flareId = flare.placedId;
+        harness.teleportPlayer(flare.x, flare.y);
+        harness.runUntil(() => !flare.active, 60);
+
+        const pocket = airPocketSystem.airPockets.find(candidate => candidate.active);
+        harness.teleportPlayer(pocket.sprite.x, pocket.sprite.y);
+        harness.step(2);
+        expect(pocket.active).toBe(false);
+
+        reachCheckpoint();
+        const { saved } = harness.scene.checkpointSystem;
+        expect(saved.pickups.collected).toEqual([flareId]);
+        expect(saved.airPockets[airPocketSystem.airPockets.indexOf(pocket)].collected).toBe(true);
+
+        harness.scene.events.emit('playerDeath');
+        harness.scene.gameStateManager.respawnAtCheckpoint();
+        harness.step();
+
+        const placed = lootSystem.pickups.getChildren().filter(pickup => pickup.active && pickup.placedId === flareId);
+        expect(placed).toEqual([]);
+        expect(lootSystem.getState().collected).toEqual([flareId]);
+        expect(pocket.active).toBe(false);
+        expect(harness.errors).toEqual([]);
+    });
+});
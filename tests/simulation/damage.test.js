@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+
+describe('damage', () => {
+    let harness;
+    let enemy;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'damage' });
+        harness.removeEnemies();
+
+        const { x, y } = harness.player.sprite;
+        enemy = harness.scene.enemySystem.spawnUnbound('badFish', x, y);
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('is taken when an enemy touches the diver', () => {
+        const healthSystem = harness.scene.healthSystem;
+
+        harness.step(2);
+
+        expect(healthSystem.currentHealth).toBe(healthSystem.maxHealth - enemy.contactDamage);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('isn\'t taken again while the diver is invulnerable', () => {
+        const healthSystem = harness.scene.healthSystem;
+
+        harness.step(2);
+        const afterFirstHit = healthSystem.currentHealth;
+
+        // Keep the enemy on top of the diver
+        for (let frame = 0; frame < 30; frame++) {
+            enemy.setPosition(harness.player.sprite.x, harness.player.sprite.y);
+            harness.step();
+        }
+
+        expect(healthSystem.currentHealth).toBe(afterFirstHit);
+    });
+
+    it('can be hurt again after the invulnerability window', () => {
+        const healthSystem = harness.scene.healthSystem;
+        enemy.destroy();
+
+        healthSystem.grantInvulnerability(2000);
+        expect(healthSystem.takeDamage(10)).toBe(false);
+
+        harness.runFor(2100);
+
+        expect(healthSystem.isInvulnerable).toBe(false);
+        expect(healthSystem.takeDamage(10)).toBe(true);
+        expect(healthSystem.currentHealth).toBe(healthSystem.maxHealth - 10);
+    });
+
+    it('ends the game when health runs out', () => {
+        enemy.destroy();
+        harness.scene.healthSystem.takeDamage(harness.scene.healthSystem.maxHealth);
+
+        expect(harness.state).toBe(harness.states.GAME_OVER);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import Phaser from 'phaser';
+import GameHarness from '../harness/GameHarness';
+
+/**
+ * @param {GameHarness} harness
+ * @returns {Array<Array>} Type and rounded position of every living enemy
+ */
+function describeEnemies(harness) {
+    return harness.scene.enemySystem.enemies.getChildren()
+        .filter(enemy => enemy.isAlive)
+        .map(enemy => [enemy.enemyType, Math.round(enemy.x), Math.round(enemy.y)]);
+}
+
+describe('enemies', () => {
+    let harnesses = [];
+
+    /**
+     * @param {Object} options - GameHarness.start options
+     * @returns {Promise<GameHarness>}
+     */
+    async function start(options) {
+        const harness = await GameHarness.start(options);
+        harnesses.push(harness);
+        return harness;
+    }
+
+    afterEach(() => {
+        harnesses.forEach(harness => harness.destroy());
+        harnesses = [];
+    });
+
+    it('are spawned from the level\'s Enemies layer', async () => {
+        const harness = await start({ level: 'level1', seed: 'enemies' });
+
+        expect(describeEnemies(harness).length).toBeGreaterThan(0);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('are added around the player by the spawn director', async () => {
+        const harness = await start({ level: 'level1', seed: 'enemies' });
+        const { enemySystem } = harness.scene;
+        const { spawnDistance } = enemySystem.director.config;
+        const spawned = [];
+        harness.scene.events.on('directorSpawned', ({ enemy }) => {
+            const player = harness.player.sprite;
+            spawned.push({
+                inGroup: enemySystem.enemies.contains(enemy),
+                directed: enemy.isDirected,
+                distance: Phaser.Math.Distance.Between(enemy.x, enemy.y, player.x, player.y)
+            });
+        });
+
+        // Out of the safe zone around the spawn, with nothing placed in Tiled
+        // using up the threat budget
+        enemySystem.enemies.clear(true, true);
+        harness.teleportPlayer(1600, 2400);
+        harness.scene.healthSystem.grantInvulnerability(60000);
+        harness.runFor(15000);
+
+        expect(spawned.length).toBeGreaterThan(0);
+        spawned.forEach(({ inGroup, directed, distance }) => {
+            expect(inGroup).toBe(true);
+            expect(directed).toBe(true);
+            expect(distance).toBeGreaterThanOrEqual(spawnDistance.min - 1);
+            expect(distance).toBeLessThanOrEqual(spawnDistance.max + 1);
+        });
+    });
+
+    it('only notice the diver inside their territory', async () => {
+        const harness = await start({ level: 'level1', seed: 'enemies' });
+        const { enemySystem } = harness.scene;
+        harness.removeEnemies();
+        harness.scene.healthSystem.grantInvulnerability(60000);
+
+        const player = harness.player.sprite;
+        const wanderer = enemySystem.spawnUnbound('badFish', player.x + 150, player.y);
+        const angler = enemySystem.spawnUnbound('anglerfish', player.x - 150, player.y);
+        expect(wanderer.aggroRadius).toBe(0);
+
+        harness.runFor(1000);
+
+        expect(wanderer.aiState).toBe('idle');
+        expect(angler.aiState).toBe('chase');
+
+        wanderer.takeDamage(1);
+        expect(wanderer.aiState).toBe('chase');
+    });
+
+    it('move the same way every run with the same seed', async () => {
+        const first = await start({ level: 'level1', seed: 'same-seed' });
+        const second = await start({ level: 'level1', seed: 'same-seed' });
+
+        [first, second].forEach(harness => {
+            harness.scene.healthSystem.grantInvulnerability(60000);
+            harness.runFor(10000);
+        });
+
+        expect(describeEnemies(second)).toEqual(describeEnemies(first));
+    });
+});
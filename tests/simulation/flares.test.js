@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+import { FLARE } from '../../src/utils/Constants';
+
+describe('flares', () => {
+    let harness;
+    let flares;
+    let lighting;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'flares' });
+        harness.removeEnemies();
+        flares = harness.scene.flareSystem;
+        lighting = harness.scene.lightingSystem;
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('throws a lit flare along the aim and counts it off the HUD', () => {
+        harness.hold({ aim: -0.5 });
+        harness.step();
+        harness.press('flare');
+
+        const [flare] = flares.getActiveFlares();
+        expect(flare).toBeDefined();
+        expect(Math.atan2(flare.body.velocity.y, flare.body.velocity.x)).toBeCloseTo(-0.5, 5);
+        expect(flare.burnTime).toBeGreaterThanOrEqual(FLARE.BURN_TIME[0]);
+        expect(flare.burnTime).toBeLessThanOrEqual(FLARE.BURN_TIME[1]);
+        expect(lighting.pointLights).toContain(flare.light);
+
+        expect(flares.count).toBe(FLARE.START_COUNT - 1);
+        expect(harness.scene.gameSceneUI.flareText.text).toBe(`Flares: ${FLARE.START_COUNT - 1}`);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('slows down in the water and sinks', () => {
+        harness.hold({ aim: 0 });
+        harness.step();
+        harness.press('flare');
+        const [flare] = flares.getActiveFlares();
+        harness.runFor(1000);
+
+        expect(Math.abs(flare.body.velocity.x)).toBeLessThan(FLARE.THROW_SPEED * FLARE.DRAG * 1.05);
+        expect(flare.body.velocity.y).toBeGreaterThan(0);
+    });
+
+    it('bounces off rock', () => {
+        const wall = harness.findWall();
+        // The flare leaves the hand 50px in front of the diver and 40px up
+        harness.teleportPlayer(wall.x - 150, wall.y + 40);
+        harness.hold({ aim: 0 });
+        harness.step();
+        harness.press('flare');
+
+        const [flare] = flares.getActiveFlares();
+        harness.runUntil(() => flare.body.velocity.x < 0, 120);
+
+        expect(flare.x).toBeLessThan(wall.faceX);
+    });
+
+    it('fades out and burns away', () => {
+        harness.hold({ aim: Math.PI / 2 });
+        harness.step();
+        harness.press('flare');
+
+        const [flare] = flares.getActiveFlares();
+        const light = flare.light;
+        harness.runFor(flare.burnTime / 2);
+        expect(light.intensity).toBeLessThan(FLARE.INTENSITY);
+        expect(light.intensity).toBeGreaterThan(0);
+
+        harness.runUntil(() => !flare.active, Math.ceil(flare.burnTime / 16));
+        expect(lighting.pointLights).not.toContain(light);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('lifts the darkness of a zone around the diver while it burns', () => {
+        // As deep in a black zone
+        lighting.currentLightLevel = 0.9;
+        lighting.targetLightLevel = 0.9;
+        harness.step();
+        expect(lighting.overlay.alpha).toBeCloseTo(0.9, 3);
+
+        harness.hold({ aim: Math.PI / 2 });
+        harness.step();
+        harness.press('flare');
+        harness.step();
+
+        expect(lighting.getDarknessRelief(harness.player.sprite.x, harness.player.sprite.y)).toBeGreaterThan(0);
+        expect(lighting.overlay.alpha).toBeLessThan(0.9);
+    });
+
+    it('puts out the oldest flare when too many burn, and refuses with none left', () => {
+        flares.addFlares(FLARE.MAX_CARRIED);
+        expect(flares.count).toBe(FLARE.MAX_CARRIED);
+
+        const thrown = [];
+        for (let i = 0; i <= FLARE.MAX_ACTIVE; i++) {
+            harness.press('flare');
+            thrown.push(flares.getActiveFlares().at(-1));
+            harness.runFor(FLARE.THROW_COOLDOWN + 20);
+        }
+
+        expect(flares.getActiveFlares()).toHaveLength(FLARE.MAX_ACTIVE);
+        expect(flares.getActiveFlares()[0]).toBe(thrown[1]);
+
+        flares.setCount(0);
+        let empty = false;
+        harness.scene.events.once('flareEmpty', () => {
+            empty = true;
+        });
+        harness.press('flare');
+        expect(empty).toBe(true);
+    });
+
+    it('picks up flares placed in the map', () => {
+        const placed = harness.scene.lootSystem.pickups.getChildren()
+            .find(pickup => pickup.active && pickup.item === 'flare');
+        expect(placed).toBeDefined();
+
+        harness.teleportPlayer(placed.x, placed.y);
+        harness.runUntil(() => !placed.active, 60);
+
+        expect(flares.count).toBe(FLARE.START_COUNT + 2);
+        expect(harness.scene.lootSystem.getState().collected).toHaveLength(1);
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+
+describe('GameStateManager', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'game-state' });
+        harness.removeEnemies();
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('starts the level running', () => {
+        expect(harness.state).toBe(harness.states.RUNNING);
+    });
+
+    it('pauses and resumes with the pause action', () => {
+        harness.press('pause');
+
+        expect(harness.state).toBe(harness.states.PAUSED);
+        expect(harness.scene.gameRunning).toBe(false);
+        expect(harness.scene.physics.world.isPaused).toBe(true);
+
+        harness.press('pause');
+
+        expect(harness.state).toBe(harness.states.RUNNING);
+        expect(harness.scene.gameRunning).toBe(true);
+        expect(harness.scene.physics.world.isPaused).toBe(false);
+    });
+
+    it('stands still while paused', () => {
+        harness.hold({ right: true });
+        harness.press('pause');
+
+        const { x } = harness.player.sprite;
+        const oxygen = harness.player.oxygen;
+        harness.runFor(1000);
+
+        expect(harness.player.sprite.x).toBe(x);
+        expect(harness.player.oxygen).toBe(oxygen);
+    });
+
+    it('unpauses the clock when a save loads another level from the pause menu', async () => {
+        const other = await GameHarness.start({ level: 'level2', seed: 'game-state' });
+        other.scene.saveGameSystem.save(1);
+        other.destroy();
+
+        harness.press('pause');
+        expect(harness.scene.time.paused).toBe(true);
+        expect(harness.scene.saveGameSystem.load(1)).toBe(true);
+        await harness.waitForLevel();
+
+        expect(harness.scene.currentLevel).toBe('level2');
+        expect(harness.state).toBe(harness.states.RUNNING);
+        expect(harness.scene.time.paused).toBe(false);
+        expect(harness.scene.anims.paused).toBe(false);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('tells listeners about every change', () => {
+        const changes = [];
+        harness.scene.gameStateManager.onStateChange('any', (state, previous) => {
+            changes.push([previous, state]);
+        });
+
+        harness.press('pause');
+        harness.press('pause');
+
+        const { RUNNING, PAUSED } = harness.states;
+        expect(changes).toEqual([[RUNNING, PAUSED], [PAUSED, RUNNING]]);
+    });
+
+    it('completes the level at an exit', () => {
+        const exit = harness.scene.levelSystem.exits[0];
+
+        harness.teleportPlayer(exit.bounds.centerX, exit.bounds.centerY);
+        harness.step(2);
+
+        expect(harness.state).toBe(harness.states.LEVEL_COMPLETE);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('counts kills of placed enemies only, not minions', () => {
+        const { enemySystem, levelSystem } = harness.scene;
+        const player = harness.player.sprite;
+        const placed = enemySystem.spawnEnemy({ ...enemySystem.spawnPoints[0], alive: [], x: player.x + 200, y: player.y });
+        const minion = enemySystem.spawnMinion('badFish', player.x - 200, player.y);
+
+        placed.die();
+        minion.die();
+
+        expect(levelSystem.kills).toBe(1);
+        expect(levelSystem.getResults().kills).toBe(1);
+    });
+
+    it('ends the game when the diver dies', () => {
+        harness.scene.events.emit('playerDeath');
+
+        expect(harness.state).toBe(harness.states.GAME_OVER);
+    });
+});
+
+describe('level2', () => {
+    it('has an exit besides the boss arena', async () => {
+        const harness = await GameHarness.start({ level: 'level2', seed: 'game-state' });
+        harness.removeEnemies();
+        const exit = harness.scene.levelSystem.exits[0];
+        expect(exit).toBeDefined();
+
+        harness.teleportPlayer(exit.bounds.centerX, exit.bounds.centerY);
+        harness.step(2);
+
+        expect(harness.state).toBe(harness.states.LEVEL_COMPLETE);
+        harness.destroy();
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+
+describe('light occlusion', () => {
+    let harness;
+    let lighting;
+    let occlusion;
+    let wall;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'lighting' });
+        harness.removeEnemies();
+        lighting = harness.scene.lightingSystem;
+        occlusion = lighting.occlusion;
+        wall = harness.findWall();
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('maps the Obstacles layer when the level is built', () => {
+        expect(occlusion.ready).toBe(true);
+        expect(occlusion.obstaclesMap.collisionTiles.length).toBeGreaterThan(0);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('stops light at rock faces', () => {
+        const x = wall.x - 100;
+        const visibility = occlusion.getVisibility('test', { x, y: wall.y, range: 600, angle: 0, cone: Math.PI / 6 });
+
+        // Straight ahead the light ends on the face, not at its range
+        const ahead = visibility.points.reduce((best, point) =>
+            (Math.abs(point.y - wall.y) < Math.abs(best.y - wall.y) ? point : best));
+        expect(ahead.x).toBeCloseTo(wall.faceX, 0);
+
+        expect(visibility.polygon[0]).toEqual({ x, y: wall.y });
+        expect(visibility.shadows.length).toBeGreaterThan(0);
+        visibility.points.forEach(point => expect(point.x).toBeLessThanOrEqual(wall.faceX + 0.5));
+    });
+
+    it('reaches its full range in open water', () => {
+        const visibility = occlusion.getVisibility('test', { x: wall.x - 100, y: wall.y, range: 60 });
+
+        visibility.points.forEach(point => {
+            expect(Math.hypot(point.x - (wall.x - 100), point.y - wall.y)).toBeCloseTo(60, 3);
+        });
+        expect(visibility.shadows).toEqual([]);
+    });
+
+    it('only recasts a light that has moved or turned meaningfully', () => {
+        const light = { x: wall.x - 100, y: wall.y, range: 400, angle: 0, cone: Math.PI / 6 };
+        const first = occlusion.getVisibility('test', light);
+        const casts = occlusion.casts;
+
+        expect(occlusion.getVisibility('test', { ...light, x: light.x + 2, angle: 0.01 })).toBe(first);
+        expect(occlusion.casts).toBe(casts);
+
+        occlusion.getVisibility('test', { ...light, x: light.x + 10 });
+        expect(occlusion.casts).toBe(casts + 1);
+
+        occlusion.getVisibility('test', { ...light, x: light.x + 10, angle: 0.2 });
+        expect(occlusion.casts).toBe(casts + 2);
+    });
+
+    it('recasts when the obstacles change', () => {
+        const light = { x: wall.x - 100, y: wall.y, range: 400, angle: 0, cone: Math.PI / 6 };
+        occlusion.getVisibility('test', light);
+
+        // A rock between the light and the wall
+        const tileSize = harness.scene.tilemapSystem.map.tileWidth;
+        const index = occlusion.obstaclesMap.collisionTiles[0];
+        harness.scene.tilemapSystem.setObstacleTile(Math.floor(wall.x / tileSize) - 1, Math.floor(wall.y / tileSize), index);
+
+        const visibility = occlusion.getVisibility('test', light);
+        visibility.points.forEach(point => expect(point.x).toBeLessThan(wall.faceX - tileSize));
+    });
+
+    it('casts the flashlight against the rock in front of the diver', () => {
+        // The beam comes from 45px in front of the diver and 40px up
+        harness.teleportPlayer(wall.x - 145, wall.y + 40);
+        harness.press('flashlight');
+        harness.step();
+
+        const visibility = lighting.flashlightVisibility;
+        expect(lighting.flashlightEnabled).toBe(true);
+        expect(visibility.x).toBeCloseTo(wall.x - 100, 0);
+        expect(visibility.shadows.length).toBeGreaterThan(0);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('gives point lights in view their line of sight', () => {
+        harness.teleportPlayer(wall.x - 100, wall.y);
+        harness.step();
+
+        const light = { x: wall.x - 50, y: wall.y, radius: 200, intensity: 1, visible: true };
+        lighting.pointLights.push(light);
+        harness.step();
+
+        const lit = lighting.litPointLights.find(entry => entry.light === light);
+        expect(lit).toBeDefined();
+        expect(lit.visibility.shadows.length).toBeGreaterThan(0);
+        expect(harness.errors).toEqual([]);
+    });
+});
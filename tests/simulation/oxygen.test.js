@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+import { OXYGEN, PLAYER } from '../../src/utils/Constants';
+
+describe('oxygen', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await GameHarness.start({ level: 'level1', seed: 'oxygen' });
+        harness.removeEnemies();
+    });
+
+    afterEach(() => {
+        harness.destroy();
+    });
+
+    it('drains at the drain rate while swimming', () => {
+        const start = harness.player.oxygen;
+
+        // Away from the air pocket to the right of the spawn
+        harness.hold({ left: true });
+        harness.runFor(2000);
+
+        expect(harness.player.oxygen).toBeCloseTo(start - 2 * OXYGEN.DRAIN_RATE, 0);
+        expect(harness.errors).toEqual([]);
+    });
+
+    it('drains faster while boosting', () => {
+        const start = harness.player.oxygen;
+
+        harness.hold({ left: true, boost: true });
+        harness.runFor(500);
+
+        expect(start - harness.player.oxygen).toBeGreaterThanOrEqual(0.5 * PLAYER.BOOST.OXYGEN_COST);
+        expect(start - harness.player.oxygen).toBeGreaterThan(0.5 * OXYGEN.DRAIN_RATE);
+    });
+
+    it('warns when it runs low', () => {
+        let warned = false;
+        harness.player.on('playerLowOxygen', isLow => {
+            warned = isLow;
+        });
+
+        harness.player.oxygen = harness.player.maxOxygen * 0.3 + 0.5;
+        harness.runFor(1000);
+
+        expect(warned).toBe(true);
+        expect(harness.player.isLowOxygen).toBe(true);
+    });
+
+    it('runs out and stays empty', () => {
+        harness.player.oxygen = 1;
+
+        harness.runUntil(({ player }) => player.oxygenDepleted, 120);
+        harness.runFor(500);
+
+        expect(harness.player.oxygen).toBe(0);
+        expect(harness.player.oxygenDepleted).toBe(true);
+    });
+});
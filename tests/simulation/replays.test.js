@@ -0,0 +1,54 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+import ReplaySystem from '../../src/systems/ReplaySystem';
+
+describe('replays', () => {
+    let harnesses = [];
+
+    /**
+     * @param {Object} options - GameHarness.start options
+     * @returns {Promise<GameHarness>}
+     */
+    async function start(options) {
+        const harness = await GameHarness.start(options);
+        harnesses.push(harness);
+        return harness;
+    }
+
+    afterEach(() => {
+        harnesses.forEach(harness => harness.destroy());
+        harnesses = [];
+    });
+
+    it('play back to the outcome they recorded', async () => {
+        const recorder = await start({ level: 'level1', seed: 'replay', record: true });
+        let replay = null;
+        recorder.scene.events.on('replayRecorded', event => {
+            replay = event.replay;
+        });
+
+        recorder.hold({ right: true, down: true });
+        recorder.runFor(1500);
+        recorder.press('pause');
+        recorder.runFor(500);
+        recorder.press('pause');
+        recorder.hold({ left: true, boost: true });
+        recorder.runFor(1500);
+        recorder.scene.replaySystem.stop();
+
+        expect(replay).not.toBeNull();
+        expect(replay.inputs.length).toBeGreaterThan(1);
+        expect(ReplaySystem.loadLast()).toEqual(replay);
+
+        const player = await start({ level: 'level1', replay });
+        let finished = null;
+        player.scene.events.on('replayFinished', event => {
+            finished = event;
+        });
+
+        player.runUntil(() => finished !== null, replay.frames + 120);
+
+        expect(finished.matched).toBe(true);
+        expect(player.errors).toEqual([]);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import GameHarness from '../harness/GameHarness';
+
+/**
+ * @param {GameHarness} harness
+ * @returns {FishSchool} The level's piranha school
+ */
+function findPiranhas(harness) {
+    return harness.scene.schoolSystem.schools.find(school => school.species.hostile);
+}
+
+describe('fish schools', () => {
+    let harnesses = [];
+
+    /**
+     * @param {Object} options - GameHarness.start options
+     * @returns {Promise<GameHarness>}
+     */
+    async function start(options) {
+        const harness = await GameHarness.start(options);
+        harnesses.push(harness);
+        return harness;
+    }
+
+    afterEach(() => {
+        harnesses.forEach(harness => harness.destroy());
+        harnesses = [];
+    });
+
+    it('swim and bite the same way every run with the same seed', async () => {
+        const first = await start({ level: 'level1', seed: 'same-school' });
+        const second = await start({ level: 'level1', seed: 'same-school' });
+
+        const runs = [first, second].map(harness => {
+            harness.removeEnemies();
+            const piranhas = findPiranhas(harness);
+            // Hold the diver in the middle of the school, or it sinks out of reach
+            for (let i = 0; i < 30; i++) {
+                harness.teleportPlayer(piranhas.home.x, piranhas.home.y);
+                harness.runFor(100);
+            }
+
+            return {
+                fish: piranhas.members.map(member => [Math.round(member.x), Math.round(member.y)]),
+                health: harness.scene.healthSystem.currentHealth
+            };
+        });
+
+        expect(runs[0].health).toBeLessThan(first.scene.healthSystem.maxHealth);
+        expect(runs[1]).toEqual(runs[0]);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import Phaser from 'phaser';
+import BatterySystem from '../../src/systems/BatterySystem';
+import { BATTERY } from '../../src/utils/Constants';
+
+describe('BatterySystem', () => {
+    let scene;
+    let battery;
+    let changes;
+
+    beforeEach(() => {
+        scene = { events: new Phaser.Events.EventEmitter() };
+        battery = new BatterySystem(scene);
+        changes = [];
+        scene.events.on('batteryChanged', status => changes.push(status));
+    });
+
+    it('drains only while the flashlight is on, and recharges after', () => {
+        battery.update(0, 1000);
+        expect(battery.charge).toBe(BATTERY.CAPACITY);
+
+        scene.events.emit('flashlightToggled', true);
+        battery.update(0, 1000);
+        expect(battery.charge).toBeCloseTo(BATTERY.CAPACITY - BATTERY.DRAIN_RATE, 5);
+
+        scene.events.emit('flashlightToggled', false);
+        battery.update(0, 200);
+        expect(battery.charge).toBeCloseTo(BATTERY.CAPACITY - BATTERY.DRAIN_RATE + BATTERY.RECHARGE_RATE / 5, 5);
+        expect(changes.at(-1)).toMatchObject({ charge: battery.charge, capacity: BATTERY.CAPACITY, draining: false });
+    });
+
+    it('announces a flat battery once, and powers nothing until it recharges', () => {
+        let depleted = 0;
+        scene.events.on('batteryDepleted', () => depleted++);
+
+        battery.setCharge(1);
+        scene.events.emit('flashlightToggled', true);
+        battery.update(0, 1000);
+        battery.update(0, 1000);
+
+        expect(battery.charge).toBe(0);
+        expect(depleted).toBe(1);
+        expect(battery.canPower()).toBe(false);
+        expect(battery.getColor()).toBe(BATTERY.LEVELS.at(-1).color);
+
+        scene.events.emit('flashlightToggled', false);
+        battery.update(0, 1000 * BATTERY.MIN_CHARGE_TO_SWITCH_ON / BATTERY.RECHARGE_RATE);
+        expect(battery.canPower()).toBe(true);
+    });
+
+    it('takes pickups up to its capacity', () => {
+        battery.setCharge(10);
+        battery.addCharge(25);
+        expect(battery.charge).toBe(35);
+
+        battery.addCharge(500);
+        expect(battery.charge).toBe(BATTERY.CAPACITY);
+    });
+
+    it('applies upgrades to the capacity and rates, and saves them', () => {
+        battery.setCharge(50);
+        battery.applyUpgrade({ capacity: 25 });
+        battery.applyUpgrade({ drain: 0.5, recharge: 2 });
+
+        expect(battery.capacity).toBe(BATTERY.CAPACITY + 25);
+        expect(battery.charge).toBe(75);
+        expect(battery.drainRate).toBe(BATTERY.DRAIN_RATE * 0.5);
+        expect(battery.rechargeRate).toBe(BATTERY.RECHARGE_RATE * 2);
+
+        const restored = new BatterySystem({ events: new Phaser.Events.EventEmitter() });
+        restored.restoreState(battery.getState());
+
+        expect(restored.capacity).toBe(battery.capacity);
+        expect(restored.charge).toBe(75);
+        expect(restored.drainRate).toBe(battery.drainRate);
+    });
+});
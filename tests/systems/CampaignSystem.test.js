@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import CampaignSystem from '../../src/systems/CampaignSystem';
+
+/**
+ * @param {Object} overrides - Result fields to change
+ * @returns {Object} Results of a run, as LevelSystem.getResults() gives them
+ */
+function createResults(overrides = {}) {
+    return {
+        level: 'level1',
+        time: 200000,
+        levelScore: 500,
+        secrets: [],
+        secretsFound: 0,
+        secretsTotal: 2,
+        ...overrides
+    };
+}
+
+describe('CampaignSystem', () => {
+    it('starts with only the first level unlocked', () => {
+        const campaign = new CampaignSystem();
+
+        expect(campaign.getCurrentLevel()).toBe('level1');
+        expect(campaign.isUnlocked('level1')).toBe(true);
+        expect(campaign.isUnlocked('level2')).toBe(false);
+        expect(campaign.describeUnlock('level2')).toBe('Finish The Shallows');
+    });
+
+    it('unlocks the next level when one is finished', () => {
+        const campaign = new CampaignSystem();
+
+        const { unlocked } = campaign.recordResults(createResults());
+
+        expect(unlocked).toEqual(['level2']);
+        expect(campaign.isUnlocked('level2')).toBe(true);
+    });
+
+    it('gives a star for the finish, all secrets and the par time', () => {
+        const campaign = new CampaignSystem();
+
+        expect(campaign.calculateStars(createResults())).toBe(1);
+        expect(campaign.calculateStars(createResults({ secretsFound: 2 }))).toBe(2);
+        expect(campaign.calculateStars(createResults({ secretsFound: 2, time: 60000 }))).toBe(3);
+    });
+
+    it('keeps the best time and score', () => {
+        const campaign = new CampaignSystem();
+        campaign.recordResults(createResults({ time: 90000, levelScore: 300 }));
+        const second = campaign.recordResults(createResults({ time: 120000, levelScore: 800 }));
+
+        expect(second).toMatchObject({ newBestTime: false, newBestScore: true });
+        expect(campaign.getRecord('level1')).toMatchObject({ bestTime: 90000, bestScore: 800, completed: true });
+    });
+
+    it('carries the best scores of earlier levels into later ones', () => {
+        const campaign = new CampaignSystem();
+        campaign.recordResults(createResults({ levelScore: 700 }));
+
+        expect(campaign.getCarriedScore('level1')).toBe(0);
+        expect(campaign.getCarriedScore('level2')).toBe(700);
+    });
+
+    it('loads saved progress and forgets it on reset', () => {
+        new CampaignSystem().recordResults(createResults());
+
+        const campaign = new CampaignSystem();
+        expect(campaign.getRecord('level1').completed).toBe(true);
+
+        campaign.reset();
+        expect(new CampaignSystem().getRecord('level1').completed).toBe(false);
+    });
+});
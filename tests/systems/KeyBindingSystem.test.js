@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import KeyBindingSystem, { ACTIONS, KEYS_PER_ACTION } from '../../src/systems/KeyBindingSystem';
+
+describe('KeyBindingSystem', () => {
+    it('starts every action on its default keys', () => {
+        const bindings = new KeyBindingSystem();
+
+        ACTIONS.forEach(({ action, keys }) => {
+            expect(bindings.getKeys(action)).toEqual(keys.slice(0, KEYS_PER_ACTION));
+        });
+    });
+
+    it('shoots with Space and boosts with Shift by default', () => {
+        const bindings = new KeyBindingSystem();
+
+        expect(bindings.findAction('SPACE')).toBe('shoot');
+        expect(bindings.findAction('SHIFT')).toBe('boost');
+    });
+
+    it('rebinds a key and saves it', () => {
+        const bindings = new KeyBindingSystem();
+        const changes = [];
+        bindings.on('change', all => changes.push(all));
+
+        const result = bindings.setKey('flashlight', 0, 'L');
+
+        expect(result).toEqual({ bound: true, conflict: null });
+        expect(bindings.getKeys('flashlight')[0]).toBe('L');
+        expect(changes).toHaveLength(1);
+        expect(new KeyBindingSystem().getKeys('flashlight')[0]).toBe('L');
+    });
+
+    it('won\'t bind a key another action uses', () => {
+        const bindings = new KeyBindingSystem();
+
+        const result = bindings.setKey('flashlight', 0, 'ESC');
+
+        expect(result).toEqual({ bound: false, conflict: 'pause' });
+        expect(bindings.getKeys('flashlight')).toEqual(['F']);
+    });
+
+    it('won\'t bind keys Phaser doesn\'t know', () => {
+        expect(new KeyBindingSystem().setKey('flashlight', 0, 'NOT_A_KEY')).toEqual({ bound: false, conflict: null });
+    });
+
+    it('clears a slot', () => {
+        const bindings = new KeyBindingSystem();
+        bindings.clearKey('pause', 0);
+
+        expect(bindings.getAll().pause[0]).toBeNull();
+    });
+
+    it('names key codes and describes keys', () => {
+        expect(KeyBindingSystem.getKeyName(65)).toBe('A');
+        expect(KeyBindingSystem.getKeyName(-1)).toBeNull();
+        expect(KeyBindingSystem.describeKey(null)).toBe('-');
+    });
+
+    it('ignores unknown keys in a save', () => {
+        localStorage.setItem('diverGame.controls', JSON.stringify({ version: 1, data: { pause: ['NOT_A_KEY', 'P'] } }));
+
+        expect(new KeyBindingSystem().getAll().pause).toEqual([null, 'P']);
+    });
+});
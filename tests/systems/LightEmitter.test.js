@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import LightEmitter, { LIGHT_PATTERNS, parseColor } from '../../src/systems/LightEmitter';
+import RandomSystem from '../../src/systems/RandomSystem';
+import { LIGHTING } from '../../src/utils/Constants';
+
+describe('LightEmitter', () => {
+    let lighting;
+
+    beforeEach(() => {
+        const random = new RandomSystem('emitters');
+        lighting = {
+            scene: { random },
+            lights: [],
+            createPointLight(x, y, color, radius, intensity) {
+                const light = { x, y, color, radius, intensity, visible: true };
+                this.lights.push(light);
+                return light;
+            },
+            removePointLight(light) {
+                this.lights = this.lights.filter(other => other !== light);
+            }
+        };
+    });
+
+    it('reads Tiled, hex and numeric colours', () => {
+        expect(parseColor(0x123456)).toBe(0x123456);
+        expect(parseColor('0x66ccff')).toBe(0x66ccff);
+        expect(parseColor('#66ccff')).toBe(0x66ccff);
+        expect(parseColor('#ff66ccff')).toBe(0x66ccff);
+        expect(parseColor('seaweed', 0xabcdef)).toBe(0xabcdef);
+        expect(parseColor(undefined)).toBe(0xffffff);
+    });
+
+    it('keeps every pattern between its dimmest and brightest', () => {
+        Object.keys(LIGHT_PATTERNS).forEach(pattern => {
+            const emitter = new LightEmitter(lighting, { pattern, intensity: 2, period: 1000 });
+            for (let time = 0; time < 3000; time += 37) {
+                emitter.update(time);
+                expect(emitter.light.intensity).toBeGreaterThanOrEqual(2 * LIGHTING.EMITTERS.MIN_LEVEL - 1e-9);
+                expect(emitter.light.intensity).toBeLessThanOrEqual(2 + 1e-9);
+            }
+        });
+    });
+
+    it('repeats a pulse every period, from its phase', () => {
+        const emitter = new LightEmitter(lighting, { pattern: 'pulse', period: 1000, phase: 0.25, minIntensity: 0 });
+
+        emitter.update(0);
+        expect(emitter.light.intensity).toBeCloseTo(1, 5);
+        emitter.update(500);
+        expect(emitter.light.intensity).toBeCloseTo(0, 5);
+        emitter.update(1000);
+        expect(emitter.light.intensity).toBeCloseTo(1, 5);
+    });
+
+    it('follows a flipped, fading target and lets go when it is destroyed', () => {
+        const target = { scene: {}, x: 100, y: 200, displayWidth: 50, displayHeight: 40, flipX: true, visible: true, alpha: 0.5 };
+        const emitter = new LightEmitter(lighting, { target, offsetX: 0.6, offsetY: -0.5, intensity: 1, minIntensity: 1 });
+
+        expect(emitter.update(0)).toBe(true);
+        expect(emitter.light).toMatchObject({ x: 70, y: 180, intensity: 0.5 });
+
+        target.scene = undefined;
+        expect(emitter.update(16)).toBe(false);
+
+        emitter.destroy();
+        expect(lighting.lights).toEqual([]);
+    });
+
+    it('falls back to a steady light for an unknown pattern', () => {
+        const emitter = new LightEmitter(lighting, { pattern: 'strobe', intensity: 0.8 });
+        emitter.update(1234);
+
+        expect(emitter.pattern).toBe('steady');
+        expect(emitter.light.intensity).toBe(0.8);
+    });
+});
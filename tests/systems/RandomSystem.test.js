@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import RandomSystem from '../../src/systems/RandomSystem';
+
+/**
+ * @param {Phaser.Math.RandomDataGenerator} stream
+ * @returns {Array<number>} The stream's next few numbers
+ */
+function draw(stream) {
+    return Array.from({ length: 5 }, () => stream.between(0, 1000000));
+}
+
+describe('RandomSystem', () => {
+    it('repeats the gameplay stream for the same seed', () => {
+        expect(draw(new RandomSystem('seed').gameplay)).toEqual(draw(new RandomSystem('seed').gameplay));
+    });
+
+    it('gives different seeds different gameplay streams', () => {
+        expect(draw(new RandomSystem('seed').gameplay)).not.toEqual(draw(new RandomSystem('other').gameplay));
+    });
+
+    it('keeps streams apart, so drawing from one doesn\'t shift another', () => {
+        const busy = new RandomSystem('seed');
+        draw(busy.cosmetic);
+        draw(busy.stream('extra'));
+
+        expect(draw(busy.gameplay)).toEqual(draw(new RandomSystem('seed').gameplay));
+    });
+
+    it('doesn\'t seed the cosmetic stream', () => {
+        expect(draw(new RandomSystem('seed').cosmetic)).not.toEqual(draw(new RandomSystem('seed').cosmetic));
+    });
+
+    it('seeds streams it doesn\'t know', () => {
+        expect(draw(new RandomSystem('seed').stream('extra'))).toEqual(draw(new RandomSystem('seed').stream('extra')));
+    });
+
+    it('starts every stream again when reseeded', () => {
+        const random = new RandomSystem('seed');
+        const first = draw(random.gameplay);
+        random.reseed('seed');
+
+        expect(draw(random.gameplay)).toEqual(first);
+    });
+
+    it('hands out a stream set with setStream', () => {
+        const generator = { between: () => 4 };
+        const random = new RandomSystem('seed');
+        random.setStream('gameplay', generator);
+
+        expect(random.gameplay).toBe(generator);
+    });
+
+    it('picks a seed when none is given', () => {
+        expect(new RandomSystem().seed).toMatch(/^[a-z0-9]+$/);
+    });
+});
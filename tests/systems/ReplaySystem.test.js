@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import ReplaySystem from '../../src/systems/ReplaySystem';
+import { completeInputState } from '../../src/systems/InputManager';
+
+const NO_INPUT = { up: false, down: false, left: false, right: false, boost: false, shoot: false };
+
+/**
+ * @param {Object} overrides - Replay fields to change
+ * @returns {Object} A small valid replay
+ */
+function createReplay(overrides = {}) {
+    return {
+        level: 'level1',
+        seed: 'seed',
+        difficulty: 'normal',
+        step: 1000 / 60,
+        frames: 3,
+        inputs: [[3, 0, 0, 0, null]],
+        presses: [],
+        outcome: { result: 'stopped', frame: 3, score: 0, x: 0, y: 0 },
+        ...overrides
+    };
+}
+
+describe('completeInputState', () => {
+    it('moves at full speed on keys', () => {
+        const state = completeInputState({ ...NO_INPUT, left: true, down: true }, { x: 0, y: 0 });
+
+        expect(state).toMatchObject({ analog: false, moveX: -1, moveY: 1, primaryDirection: 'left' });
+    });
+
+    it('moves in proportion on the stick', () => {
+        const state = completeInputState({ ...NO_INPUT, right: true }, { x: 0.4, y: 0 });
+
+        expect(state).toMatchObject({ analog: true, moveX: 0.4, moveY: 0, primaryDirection: 'right' });
+    });
+});
+
+describe('ReplaySystem', () => {
+    it('encodes held input as bits', () => {
+        const state = completeInputState({ ...NO_INPUT, up: true, shoot: true }, { x: 0, y: 0 });
+
+        expect(ReplaySystem.encodeInput(state)).toEqual([0b100001, 0, 0, null]);
+    });
+
+    it('decodes what it encodes, stick included', () => {
+        const state = completeInputState({ ...NO_INPUT, right: true, down: true, boost: true }, { x: 0.5, y: 0.25 });
+        const decoded = ReplaySystem.decodeInput(ReplaySystem.encodeInput(state));
+
+        expect(decoded).toEqual(state);
+    });
+
+    it('records the aim in thousandths of a radian', () => {
+        const state = completeInputState({ ...NO_INPUT, shoot: true, aim: -2.5 }, { x: 0, y: 0 });
+        const encoded = ReplaySystem.encodeInput(state);
+
+        expect(encoded).toEqual([0b100000, 0, 0, -2500]);
+        expect(ReplaySystem.decodeInput(encoded)).toEqual(state);
+    });
+
+    it('recognises replays of levels the game has', () => {
+        expect(ReplaySystem.isReplay(createReplay())).toBe(true);
+        expect(ReplaySystem.isReplay(createReplay({ level: 'level99' }))).toBe(false);
+        expect(ReplaySystem.isReplay(createReplay({ inputs: null }))).toBe(false);
+        expect(ReplaySystem.isReplay(null)).toBe(false);
+    });
+
+    it('keeps the last replay', () => {
+        expect(ReplaySystem.loadLast()).toBeNull();
+
+        ReplaySystem.saveLast(createReplay());
+
+        expect(ReplaySystem.loadLast()).toEqual(createReplay());
+    });
+
+    it('reads exported files and refuses anything else', () => {
+        const file = JSON.stringify({ version: 2, data: createReplay() });
+
+        expect(ReplaySystem.parseReplay(file)).toEqual(createReplay());
+        expect(ReplaySystem.parseReplay('not json')).toBeNull();
+        expect(ReplaySystem.parseReplay(JSON.stringify({ version: 2, data: { level: 'level1' } }))).toBeNull();
+    });
+
+    it('reads files from before the aim was recorded as aiming where the diver faces', () => {
+        const file = JSON.stringify({ version: 1, data: createReplay({ inputs: [[3, 0, 0, 0], [2, 8, 500, 0]] }) });
+
+        expect(ReplaySystem.parseReplay(file).inputs).toEqual([[3, 0, 0, 0, null], [2, 8, 500, 0, null]]);
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import SaveGameSystem from '../../src/systems/SaveGameSystem';
+
+/**
+ * @param {Object} overrides - Save fields to change
+ * @returns {string} An exported save file's contents
+ */
+function createExport(overrides = {}) {
+    return JSON.stringify({
+        version: 3,
+        data: {
+            level: 'level1',
+            player: { x: 100, y: 200, oxygen: 80, health: 90 },
+            flares: null,
+            pickups: { collected: [] },
+            ...overrides
+        }
+    });
+}
+
+describe('SaveGameSystem', () => {
+    it('imports an exported save into a slot', () => {
+        const saves = new SaveGameSystem({});
+
+        expect(saves.importSlot(2, createExport())).toBe(true);
+        expect(saves.getStore(2).load()).toMatchObject({ level: 'level1', player: { x: 100, y: 200 } });
+    });
+
+    it('won\'t import a file that isn\'t a save', () => {
+        const saves = new SaveGameSystem({});
+
+        expect(saves.importSlot(1, 'not json')).toBe(false);
+        expect(saves.importSlot(1, createExport({ player: null }))).toBe(false);
+        expect(saves.getStore(1).load()).toBeNull();
+    });
+
+    it('won\'t import a save for a level that isn\'t in the manifest', () => {
+        const saves = new SaveGameSystem({});
+
+        expect(saves.importSlot(1, createExport({ level: 'level99' }))).toBe(false);
+        expect(saves.getStore(1).load()).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import SaveStore from '../../src/systems/SaveStore';
+
+/**
+ * @param {Object} options - Overrides for the store options
+ * @returns {SaveStore}
+ */
+function createStore(options = {}) {
+    return new SaveStore({
+        key: 'test.save',
+        version: 2,
+        createDefault: () => ({ coins: 0, name: 'diver' }),
+        ...options
+    });
+}
+
+describe('SaveStore', () => {
+    it('loads the defaults when nothing is saved', () => {
+        expect(createStore().load()).toEqual({ coins: 0, name: 'diver' });
+    });
+
+    it('loads what it saved, with the version alongside', () => {
+        const store = createStore();
+        store.save({ coins: 5, name: 'diver' });
+
+        expect(JSON.parse(localStorage.getItem('test.save'))).toEqual({ version: 2, data: { coins: 5, name: 'diver' } });
+        expect(store.load()).toEqual({ coins: 5, name: 'diver' });
+    });
+
+    it('fills in defaults added since the data was saved', () => {
+        localStorage.setItem('test.save', JSON.stringify({ version: 2, data: { coins: 5 } }));
+
+        expect(createStore().load()).toEqual({ coins: 5, name: 'diver' });
+    });
+
+    it('runs each migration from the saved version up', () => {
+        localStorage.setItem('test.save', JSON.stringify({ version: 0, data: { gold: 3 } }));
+        const store = createStore({
+            migrations: {
+                0: data => ({ money: data.gold }),
+                1: data => ({ coins: data.money * 10 })
+            }
+        });
+
+        expect(store.load()).toEqual({ coins: 30, name: 'diver' });
+    });
+
+    it('starts fresh when a migration is missing', () => {
+        localStorage.setItem('test.save', JSON.stringify({ version: 1, data: { coins: 3 } }));
+
+        expect(createStore().load()).toEqual({ coins: 0, name: 'diver' });
+    });
+
+    it('starts fresh with data from a newer version', () => {
+        localStorage.setItem('test.save', JSON.stringify({ version: 3, data: { coins: 3 } }));
+
+        expect(createStore().load()).toEqual({ coins: 0, name: 'diver' });
+    });
+
+    it('starts fresh when the save is unreadable', () => {
+        localStorage.setItem('test.save', '{not json');
+
+        expect(createStore().load()).toEqual({ coins: 0, name: 'diver' });
+    });
+
+    it('forgets the data when cleared', () => {
+        const store = createStore();
+        store.save({ coins: 5, name: 'diver' });
+        store.clear();
+
+        expect(localStorage.getItem('test.save')).toBeNull();
+        expect(store.load()).toEqual({ coins: 0, name: 'diver' });
+    });
+
+    it('parses what it serializes', () => {
+        const store = createStore();
+
+        expect(store.parse(store.serialize({ coins: 7, name: 'a' }))).toEqual({ coins: 7, name: 'a' });
+        expect(() => store.parse('nope')).toThrow(SyntaxError);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import Phaser from 'phaser';
+import SettingsSystem, { SETTINGS } from '../../src/systems/SettingsSystem';
+
+describe('SettingsSystem', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new Phaser.Data.DataManager(new Phaser.Events.EventEmitter());
+    });
+
+    it('starts at the defaults', () => {
+        const settings = new SettingsSystem(registry);
+
+        SETTINGS.forEach(setting => {
+            expect(settings.getValue(setting.key)).toBe(setting.default);
+        });
+        expect(registry.get('difficulty')).toBe('normal');
+    });
+
+    it('saves changes and announces them', () => {
+        const settings = new SettingsSystem(registry);
+        const changes = [];
+        settings.on('change', (key, value) => changes.push([key, value]));
+
+        settings.setValue('musicVolume', 0.3);
+
+        expect(changes).toEqual([['musicVolume', 0.3]]);
+        expect(new SettingsSystem(registry).getValue('musicVolume')).toBe(0.3);
+    });
+
+    it('keeps values in range', () => {
+        const settings = new SettingsSystem(registry);
+
+        settings.setValue('masterVolume', 4);
+        settings.setValue('difficulty', 'impossible');
+
+        expect(settings.getValue('masterVolume')).toBe(1);
+        expect(settings.getValue('difficulty')).toBe('normal');
+    });
+
+    it('steps percentages to their ends and wraps choices and toggles', () => {
+        const settings = new SettingsSystem(registry);
+
+        settings.cycle('masterVolume', 1);
+        expect(settings.getValue('masterVolume')).toBe(1);
+
+        settings.cycle('difficulty', 1);
+        expect(settings.getValue('difficulty')).toBe('hard');
+        settings.cycle('difficulty', 1);
+        expect(settings.getValue('difficulty')).toBe('easy');
+
+        settings.cycle('touchControls', 1);
+        expect(settings.getValue('touchControls')).toBe(false);
+    });
+
+    it('mirrors the difficulty to the registry', () => {
+        const settings = new SettingsSystem(registry);
+
+        settings.setValue('difficulty', 'hard');
+
+        expect(registry.get('difficulty')).toBe('hard');
+    });
+
+    it('describes values as the menu shows them', () => {
+        const settings = new SettingsSystem(registry);
+        settings.setValue('sfxVolume', 0.5);
+
+        expect(settings.describe('sfxVolume')).toBe('50%');
+        expect(settings.describe('particleDensity')).toBe('High');
+        expect(settings.describe('touchControls')).toBe('On');
+    });
+
+    it('throws for settings it doesn\'t have', () => {
+        expect(() => new SettingsSystem(registry).setValue('fov', 90)).toThrow('Unknown setting');
+    });
+
+    it('goes back to the defaults on reset', () => {
+        const settings = new SettingsSystem(registry);
+        settings.setValue('screenShake', 0);
+        settings.reset();
+
+        expect(settings.getValue('screenShake')).toBe(1);
+    });
+});
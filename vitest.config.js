@@ -0,0 +1,50 @@
+import path from 'node:path';
+import { defineConfig } from 'vitest/config';
+
+const ASSET_PATTERN = /\.(png|jpe?g|gif|mp3|wav|ogg)$/;
+const ASSET_PREFIX = 'test-asset:';
+
+/**
+ * Imported images and audio become file:// URLs of the file on disk, as Parcel
+ * turns them into URLs in the browser. The files don't have to exist, and
+ * tests/setup.js reads image sizes from them so spritesheets get their frames.
+ */
+const assetUrls = {
+    name: 'asset-urls',
+    enforce: 'pre',
+    resolveId(id, importer) {
+        if (id.startsWith(ASSET_PREFIX)) return id;
+        if (ASSET_PATTERN.test(id) && importer) {
+            return ASSET_PREFIX + path.resolve(path.dirname(importer), id);
+        }
+        return null;
+    },
+    load(id) {
+        if (!id.startsWith(ASSET_PREFIX)) return null;
+        const url = 'file://' + id.slice(ASSET_PREFIX.length);
+        return `export default ${JSON.stringify(url)};`;
+    }
+};
+
+export default defineConfig({
+    plugins: [assetUrls],
+    resolve: {
+        // Phaser's package entry is its CommonJS source, which needs optional
+        // WebGL debugging packages. The prebuilt bundle is what Parcel ships
+        alias: [{ find: /^phaser$/, replacement: 'phaser/dist/phaser.js' }]
+    },
+    test: {
+        environment: 'jsdom',
+        environmentOptions: {
+            jsdom: { pretendToBeVisual: true }
+        },
+        setupFiles: ['./tests/setup.js'],
+        include: ['tests/**/*.test.js'],
+        testTimeout: 20000,
+        // The game logs a lot, so its output is hidden. Set SHOW_GAME_LOGS=1
+        // to see it; errors are also collected by GameHarness
+        onConsoleLog() {
+            return !!process.env.SHOW_GAME_LOGS;
+        }
+    }
+});